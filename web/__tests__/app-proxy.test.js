@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import express from "express";
+import request from "supertest";
+import { describe, it, expect, vi } from "vitest";
+import { verifyAppProxySignature, verifyAppProxyRequest } from "../app-proxy.js";
+
+const SECRET = "test-secret";
+
+vi.mock("../shopify.js", () => ({
+  default: { api: { config: { apiSecretKey: "test-secret" } } },
+}));
+
+/**
+ * Sign query parameters the way Shopify's app proxy does
+ * @param {Array<[string, string]>} params
+ */
+function signedQuery(params, secret = SECRET) {
+  const values = new Map();
+  for (const [key, value] of params) {
+    values.set(key, [...(values.get(key) || []), value]);
+  }
+  const message = Array.from(values.keys())
+    .sort()
+    .map(key => `${key}=${values.get(key).join(",")}`)
+    .join("");
+  const signature = crypto.createHmac("sha256", secret).update(message).digest("hex");
+
+  const searchParams = new URLSearchParams(params);
+  searchParams.append("signature", signature);
+  return searchParams.toString();
+}
+
+const PROXY_PARAMS = [
+  ["shop", "shop-a.myshopify.com"],
+  ["logged_in_customer_id", ""],
+  ["path_prefix", "/apps/meta-bulk-assign"],
+  ["timestamp", String(Math.floor(Date.now() / 1000))],
+  ["handle", "blue-shirt"],
+];
+
+function proxyApp() {
+  const app = express();
+  app.get("/storefront-config", verifyAppProxyRequest(), (req, res) => {
+    res.json({ shop: res.locals.shop });
+  });
+  return app;
+}
+
+describe("verifyAppProxySignature", () => {
+  it("accepts a correctly signed query string", () => {
+    expect(verifyAppProxySignature(signedQuery(PROXY_PARAMS), SECRET)).toBe(true);
+    expect(verifyAppProxySignature(`?${signedQuery(PROXY_PARAMS)}`, SECRET)).toBe(true);
+  });
+
+  it("rejects a query string with a changed parameter", () => {
+    const query = signedQuery(PROXY_PARAMS).replace("handle=blue-shirt", "handle=red-shirt");
+    expect(verifyAppProxySignature(query, SECRET)).toBe(false);
+  });
+
+  it("rejects a query string signed with another secret", () => {
+    expect(verifyAppProxySignature(signedQuery(PROXY_PARAMS, "other-secret"), SECRET)).toBe(false);
+  });
+
+  it("rejects a query string without a signature", () => {
+    const query = new URLSearchParams(PROXY_PARAMS).toString();
+    expect(verifyAppProxySignature(query, SECRET)).toBe(false);
+  });
+
+  it("rejects any signature when no secret is configured", () => {
+    expect(verifyAppProxySignature(signedQuery(PROXY_PARAMS), undefined)).toBe(false);
+  });
+
+  it("joins repeated parameters with commas", () => {
+    const params = [...PROXY_PARAMS, ["ids", "1"], ["ids", "2"]];
+    expect(verifyAppProxySignature(signedQuery(params), SECRET)).toBe(true);
+  });
+});
+
+describe("verifyAppProxyRequest", () => {
+  it("passes a signed request and exposes the signed shop", async () => {
+    const response = await request(proxyApp()).get(`/storefront-config?${signedQuery(PROXY_PARAMS)}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ shop: "shop-a.myshopify.com" });
+  });
+
+  it("returns 401 for a tampered parameter", async () => {
+    const query = signedQuery(PROXY_PARAMS).replace("handle=blue-shirt", "handle=red-shirt");
+    const response = await request(proxyApp()).get(`/storefront-config?${query}`);
+
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({ error: "Invalid app proxy signature" });
+  });
+
+  it("returns 401 for a request signed with the wrong secret", async () => {
+    const query = signedQuery(PROXY_PARAMS, "other-secret");
+    const response = await request(proxyApp()).get(`/storefront-config?${query}`);
+
+    expect(response.status).toBe(401);
+  });
+
+  it("returns 401 for a request without a signature", async () => {
+    const query = new URLSearchParams(PROXY_PARAMS).toString();
+    const response = await request(proxyApp()).get(`/storefront-config?${query}`);
+
+    expect(response.status).toBe(401);
+  });
+
+  it("verifies repeated parameters joined with commas", async () => {
+    const params = [...PROXY_PARAMS, ["ids", "1"], ["ids", "2"]];
+    const response = await request(proxyApp()).get(`/storefront-config?${signedQuery(params)}`);
+
+    expect(response.status).toBe(200);
+  });
+
+  it("does not take a shop the caller adds to a signed request", async () => {
+    const signed = signedQuery(PROXY_PARAMS);
+
+    const appended = await request(proxyApp()).get(`/storefront-config?${signed}&shop=shop-b.myshopify.com`);
+    const prepended = await request(proxyApp()).get(`/storefront-config?shop=shop-b.myshopify.com&${signed}`);
+
+    expect(appended.status).toBe(401);
+    expect(prepended.status).toBe(401);
+  });
+
+  it("uses the signed shop, not one sent outside the query string", async () => {
+    const response = await request(proxyApp())
+      .get(`/storefront-config?${signedQuery(PROXY_PARAMS)}`)
+      .set("X-Shopify-Shop-Domain", "shop-b.myshopify.com");
+
+    expect(response.status).toBe(200);
+    expect(response.body.shop).toBe("shop-a.myshopify.com");
+  });
+
+  it.each([
+    ["older", -10 * 60],
+    ["newer", 10 * 60],
+  ])("returns 401 for a signed timestamp minutes %s than now", async (_, offsetSeconds) => {
+    const timestamp = String(Math.floor(Date.now() / 1000) + offsetSeconds);
+    const params = PROXY_PARAMS.map(([key, value]) => [key, key === "timestamp" ? timestamp : value]);
+    const response = await request(proxyApp()).get(`/storefront-config?${signedQuery(params)}`);
+
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({ error: "Expired app proxy request" });
+  });
+
+  it("returns 401 for a signed request without a timestamp", async () => {
+    const params = PROXY_PARAMS.filter(([key]) => key !== "timestamp");
+    const response = await request(proxyApp()).get(`/storefront-config?${signedQuery(params)}`);
+
+    expect(response.status).toBe(401);
+  });
+});
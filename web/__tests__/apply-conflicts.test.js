@@ -0,0 +1,151 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../shopify.js", () => ({ default: { api: { clients: {} } } }));
+
+vi.mock("../database.js", () => ({
+  default: {
+    getActiveConfigurations: vi.fn(),
+    getConfigurationRules: vi.fn(),
+  },
+}));
+
+vi.mock("../product-index.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchProductForRules: vi.fn(),
+  fetchCollectionForRules: vi.fn(),
+}));
+
+vi.mock("../bulk-operations.js", () => ({ scanProductCatalog: vi.fn() }));
+
+import database from "../database.js";
+import { fetchProductForRules } from "../product-index.js";
+import { loadConflictContext, resolveConfigurationWrites } from "../webhooks.js";
+
+const session = { shop: "shop-a.myshopify.com" };
+
+const MATERIAL = { namespace: "custom", key: "material", type: "single_line_text_field", value: "Cotton" };
+const CARE = { namespace: "custom", key: "care", type: "single_line_text_field", value: "Hand wash" };
+const BADGES = { namespace: "custom", key: "badges", type: "list.single_line_text_field" };
+
+function configuration(id, priority, metafieldConfigs, overrides = {}) {
+  return {
+    id,
+    shop: session.shop,
+    priority,
+    owner_type: "PRODUCT",
+    conflict_mode: "override",
+    created_at: "2026-01-01T00:00:00Z",
+    metafield_configs: metafieldConfigs,
+    ...overrides,
+  };
+}
+
+function vendorRule(vendor) {
+  return [{ id: 1, rule_type: "vendor", rule_value: vendor, operator: "AND", level: 0, parent_id: null }];
+}
+
+const PRODUCTS = {
+  "gid://shopify/Product/1": { id: "gid://shopify/Product/1", vendor: "Acme", metafields: {} },
+  "gid://shopify/Product/2": { id: "gid://shopify/Product/2", vendor: "Other", metafields: {} },
+};
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  fetchProductForRules.mockImplementation(async (session, productId) => PRODUCTS[productId] || null);
+});
+
+describe("apply job conflict resolution", () => {
+  it("needs no resolution when no other configuration sets the same keys", async () => {
+    const applied = configuration(1, 1, [MATERIAL]);
+    database.getActiveConfigurations.mockResolvedValue([
+      applied,
+      configuration(2, 5, [CARE]),
+      configuration(3, 5, [MATERIAL], { owner_type: "COLLECTION" }),
+    ]);
+
+    expect(await loadConflictContext(session, applied, applied.metafield_configs)).toBeNull();
+  });
+
+  it("leaves keys won by a higher-priority configuration matching the owner", async () => {
+    const applied = configuration(1, 1, [MATERIAL, CARE]);
+    const higher = configuration(2, 5, [{ ...MATERIAL, value: "Linen" }]);
+    database.getActiveConfigurations.mockResolvedValue([higher, applied]);
+    database.getConfigurationRules.mockImplementation(async (id) => (id === higher.id ? vendorRule("Acme") : []));
+
+    const context = await loadConflictContext(session, applied, applied.metafield_configs);
+    const writes = await resolveConfigurationWrites(session, applied, [
+      { id: "gid://shopify/Product/1" },
+      { id: "gid://shopify/Product/2" },
+    ], context);
+
+    // Product 1 matches the higher-priority configuration, which wins custom.material
+    expect(writes.get("gid://shopify/Product/1")).toEqual([CARE]);
+    expect(writes.get("gid://shopify/Product/2")).toEqual([MATERIAL, CARE]);
+  });
+
+  it("writes every key when the configuration has the highest priority", async () => {
+    const applied = configuration(1, 9, [MATERIAL]);
+    const lower = configuration(2, 5, [{ ...MATERIAL, value: "Linen" }]);
+    database.getActiveConfigurations.mockResolvedValue([applied, lower]);
+    database.getConfigurationRules.mockResolvedValue([]);
+
+    const context = await loadConflictContext(session, applied, applied.metafield_configs);
+    const writes = await resolveConfigurationWrites(session, applied, [{ id: "gid://shopify/Product/1" }], context);
+
+    expect(writes.get("gid://shopify/Product/1")).toEqual([MATERIAL]);
+  });
+
+  it("writes nothing on owners where it wins no key", async () => {
+    const applied = configuration(1, 1, [MATERIAL]);
+    const higher = configuration(2, 5, [{ ...MATERIAL, value: "Linen" }]);
+    database.getActiveConfigurations.mockResolvedValue([higher, applied]);
+    database.getConfigurationRules.mockResolvedValue([]);
+
+    const context = await loadConflictContext(session, applied, applied.metafield_configs);
+    const writes = await resolveConfigurationWrites(session, applied, [{ id: "gid://shopify/Product/1" }], context);
+
+    expect(writes.get("gid://shopify/Product/1")).toEqual([]);
+  });
+
+  it("merges list values of lower-priority configurations in merge mode", async () => {
+    const applied = configuration(1, 5, [{ ...BADGES, value: '["New"]' }], { conflict_mode: "merge" });
+    const lower = configuration(2, 1, [{ ...BADGES, value: '["Sale"]' }]);
+    database.getActiveConfigurations.mockResolvedValue([applied, lower]);
+    database.getConfigurationRules.mockResolvedValue([]);
+
+    const context = await loadConflictContext(session, applied, applied.metafield_configs);
+    const writes = await resolveConfigurationWrites(session, applied, [{ id: "gid://shopify/Product/1" }], context);
+
+    expect(writes.get("gid://shopify/Product/1")).toEqual([{ ...BADGES, value: '["New","Sale"]' }]);
+  });
+
+  it("resolves variants through their product, fetched once", async () => {
+    const applied = configuration(1, 1, [MATERIAL], { owner_type: "PRODUCTVARIANT" });
+    const higher = configuration(2, 5, [{ ...MATERIAL, value: "Linen" }], { owner_type: "PRODUCTVARIANT" });
+    database.getActiveConfigurations.mockResolvedValue([higher, applied]);
+    database.getConfigurationRules.mockImplementation(async (id) => (
+      id === higher.id
+        ? [{ id: 1, rule_type: "sku", rule_value: "SKU-1", operator: "AND", level: 0, parent_id: null }]
+        : []
+    ));
+    fetchProductForRules.mockResolvedValue({
+      id: "gid://shopify/Product/1",
+      vendor: "Acme",
+      metafields: {},
+      variants: [
+        { id: "gid://shopify/ProductVariant/1", title: "S", sku: "SKU-1", selectedOptions: [] },
+        { id: "gid://shopify/ProductVariant/2", title: "M", sku: "SKU-2", selectedOptions: [] },
+      ],
+    });
+
+    const context = await loadConflictContext(session, applied, applied.metafield_configs);
+    const writes = await resolveConfigurationWrites(session, applied, [
+      { id: "gid://shopify/ProductVariant/1", productId: "gid://shopify/Product/1" },
+      { id: "gid://shopify/ProductVariant/2", productId: "gid://shopify/Product/1" },
+    ], context);
+
+    expect(fetchProductForRules).toHaveBeenCalledTimes(1);
+    expect(writes.get("gid://shopify/ProductVariant/1")).toEqual([]);
+    expect(writes.get("gid://shopify/ProductVariant/2")).toEqual([MATERIAL]);
+  });
+});
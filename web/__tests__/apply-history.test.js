@@ -0,0 +1,88 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../shopify.js", () => ({ default: { api: { clients: {} } } }));
+
+vi.mock("../database.js", () => ({
+  default: {
+    getApplyRunSnapshots: vi.fn(),
+  },
+}));
+
+vi.mock("../metafield-diff.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchCurrentMetafields: vi.fn(),
+}));
+
+vi.mock("../metafield-apply.js", () => ({
+  buildMetafieldInputs: vi.fn(),
+  applyMetafieldsToOwners: vi.fn(),
+  setMetafields: vi.fn(async () => ({ failed: [] })),
+  deleteMetafields: vi.fn(async () => ({ failed: [] })),
+}));
+
+import database from "../database.js";
+import { fetchCurrentMetafields } from "../metafield-diff.js";
+import { setMetafields, deleteMetafields } from "../metafield-apply.js";
+import { rollbackProducts } from "../apply-history.js";
+
+const session = { shop: "shop-a.myshopify.com" };
+const PRODUCT = "gid://shopify/Product/1";
+
+function snapshot(key, previousValue, writtenValue) {
+  return {
+    product_id: PRODUCT,
+    namespace: "custom",
+    key,
+    previous_value: previousValue,
+    previous_type: previousValue === null ? null : "single_line_text_field",
+    written_value: writtenValue,
+  };
+}
+
+function currentValues(values) {
+  return new Map([[PRODUCT, {
+    title: "Shirt",
+    metafields: new Map(Object.entries(values).map(([key, value]) => [`custom.${key}`, { value }])),
+  }]]);
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe("rollbackProducts", () => {
+  it("restores only the metafields that still hold what the run wrote", async () => {
+    database.getApplyRunSnapshots.mockResolvedValue([
+      snapshot("material", "Wool", "Cotton"),
+      snapshot("care", null, "Hand wash"),
+      snapshot("origin", "Italy", "Spain"),
+    ]);
+    // Another configuration took custom.origin since the run
+    fetchCurrentMetafields.mockResolvedValue(currentValues({
+      material: "Cotton",
+      care: "Hand wash",
+      origin: "Portugal",
+    }));
+
+    const result = await rollbackProducts(session, 1, [PRODUCT]);
+
+    expect(setMetafields).toHaveBeenCalledWith(session, [
+      { ownerId: PRODUCT, namespace: "custom", key: "material", type: "single_line_text_field", value: "Wool" },
+    ]);
+    expect(deleteMetafields).toHaveBeenCalledWith(session, [
+      { ownerId: PRODUCT, namespace: "custom", key: "care" },
+    ]);
+    expect(result.successful).toEqual([PRODUCT]);
+  });
+
+  it("restores snapshots without a written value unconditionally", async () => {
+    database.getApplyRunSnapshots.mockResolvedValue([snapshot("material", "Wool", null)]);
+
+    await rollbackProducts(session, 1, [PRODUCT]);
+
+    expect(fetchCurrentMetafields).not.toHaveBeenCalled();
+    expect(setMetafields).toHaveBeenCalledWith(session, [
+      expect.objectContaining({ key: "material", value: "Wool" }),
+    ]);
+  });
+});
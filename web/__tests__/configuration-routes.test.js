@@ -0,0 +1,326 @@
+import express from "express";
+import request from "supertest";
+import { describe, it, expect, vi, beforeAll, beforeEach } from "vitest";
+
+// Routes run against database.js on an in-memory Postgres (pg-mem)
+const mem = vi.hoisted(() => {
+  process.env.DATABASE_URL = "postgres://localhost/test";
+  return {};
+});
+
+vi.mock("pg", async () => {
+  const { createMemoryPg } = await import("./helpers/memory-postgres.js");
+  return createMemoryPg(mem);
+});
+
+vi.mock("../shopify.js", () => ({ default: { api: { clients: {} } } }));
+
+vi.mock("../product-matcher.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  findMatchingProducts: vi.fn(async () => []),
+  previewMatchingProducts: vi.fn(async () => []),
+}));
+
+vi.mock("../apply-jobs.js", () => ({
+  enqueueApplyJob: vi.fn(async () => ({ id: 1, status: "pending" })),
+  formatApplyJob: (job) => job,
+}));
+
+vi.mock("../metafield-diff.js", () => ({
+  summarizeDryRun: vi.fn(async (session, productIds) => ({
+    create: productIds.length, overwrite: 0, unchanged: 0,
+  })),
+  buildDryRunDiff: vi.fn(async (session, products) => ({
+    products: products.map(product => ({ productId: product.id, productTitle: product.title, changes: [] })),
+  })),
+}));
+
+vi.mock("../webhooks.js", () => ({
+  reconcileConfigurationOwners: vi.fn(async () => {}),
+  loadConflictContext: vi.fn(async () => null),
+  resolveConfigurationWrites: vi.fn(async () => new Map()),
+}));
+
+vi.mock("../storefront-display.js", () => ({
+  syncStorefrontDisplayConfig: vi.fn(async () => {}),
+}));
+
+vi.mock("../product-index.js", () => ({
+  isProductIndexReady: vi.fn(async () => true),
+  syncProductIndex: vi.fn(async () => {}),
+  getProductIndexStatus: vi.fn(async () => ({ ready: false, status: "running" })),
+}));
+
+import database from "../database.js";
+import configurationRoutes from "../configuration-routes.js";
+import { findMatchingProducts } from "../product-matcher.js";
+import { enqueueApplyJob } from "../apply-jobs.js";
+import { buildDryRunDiff, summarizeDryRun } from "../metafield-diff.js";
+import { isProductIndexReady, syncProductIndex } from "../product-index.js";
+import { loadConflictContext, resolveConfigurationWrites } from "../webhooks.js";
+
+const SHOP_A = "shop-a.myshopify.com";
+const SHOP_B = "shop-b.myshopify.com";
+
+const RULES = [
+  { id: "rule_1", ruleType: "vendor", ruleValue: "Acme", operator: "AND", level: 0, position: 0 },
+];
+
+const METAFIELD_CONFIGS = [
+  { namespace: "custom", key: "material", type: "single_line_text_field", value: "Cotton" },
+];
+
+/**
+ * The configuration routes as mounted in index.js, authenticated as the given shop
+ */
+function appFor(shop) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    res.locals.shopify = { session: { shop } };
+    next();
+  });
+  app.use("/api/configurations", configurationRoutes);
+  return app;
+}
+
+async function createConfiguration(shop, name, priority) {
+  const configuration = await database.createConfiguration(shop, name, "vendor", METAFIELD_CONFIGS, priority);
+  await database.bulkCreateRules(configuration.id, RULES);
+  return configuration;
+}
+
+let backup;
+let ownConfiguration;
+let foreignConfiguration;
+
+beforeAll(async () => {
+  await database.initialize();
+  backup = mem.db.backup();
+});
+
+beforeEach(async () => {
+  backup.restore();
+  vi.clearAllMocks();
+
+  ownConfiguration = await createConfiguration(SHOP_A, "Own", 1);
+  foreignConfiguration = await createConfiguration(SHOP_B, "Foreign", 5);
+});
+
+describe("configuration routes across shops", () => {
+  it("returns the shop's own configuration", async () => {
+    const response = await request(appFor(SHOP_A)).get(`/api/configurations/${ownConfiguration.id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.name).toBe("Own");
+    expect(response.body.rules).toHaveLength(1);
+  });
+
+  it("returns 404 for GET /:id of another shop", async () => {
+    const response = await request(appFor(SHOP_A)).get(`/api/configurations/${foreignConfiguration.id}`);
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ error: "Configuration not found" });
+  });
+
+  it("returns 404 for PUT /:id of another shop and leaves it unchanged", async () => {
+    const response = await request(appFor(SHOP_A))
+      .put(`/api/configurations/${foreignConfiguration.id}`)
+      .send({ name: "Hijacked", metafieldConfigs: [], rules: [] });
+
+    expect(response.status).toBe(404);
+
+    const stored = await database.getConfigurationById(foreignConfiguration.id, SHOP_B);
+    expect(stored.name).toBe("Foreign");
+    expect(stored.metafield_configs).toEqual(METAFIELD_CONFIGS);
+    expect(await database.getConfigurationRules(foreignConfiguration.id, SHOP_B)).toHaveLength(1);
+  });
+
+  it("returns 404 for DELETE /:id of another shop and keeps it", async () => {
+    const response = await request(appFor(SHOP_A)).delete(`/api/configurations/${foreignConfiguration.id}`);
+
+    expect(response.status).toBe(404);
+    expect(await database.getConfigurationById(foreignConfiguration.id, SHOP_B)).toBeTruthy();
+  });
+
+  it("returns 404 for POST /:id/duplicate of another shop without copying it", async () => {
+    const response = await request(appFor(SHOP_A))
+      .post(`/api/configurations/${foreignConfiguration.id}/duplicate`);
+
+    expect(response.status).toBe(404);
+    expect(await database.getAllConfigurations(SHOP_A)).toHaveLength(1);
+    expect(await database.getAllConfigurations(SHOP_B)).toHaveLength(1);
+  });
+
+  it("returns 404 for GET /:id/preview of another shop without matching products", async () => {
+    const response = await request(appFor(SHOP_A))
+      .get(`/api/configurations/${foreignConfiguration.id}/preview`);
+
+    expect(response.status).toBe(404);
+    expect(findMatchingProducts).not.toHaveBeenCalled();
+  });
+
+  it("returns 404 for GET /:id/dry-run of another shop", async () => {
+    const response = await request(appFor(SHOP_A))
+      .get(`/api/configurations/${foreignConfiguration.id}/dry-run`);
+
+    expect(response.status).toBe(404);
+    expect(buildDryRunDiff).not.toHaveBeenCalled();
+  });
+
+  it("returns 404 for POST /:id/apply of another shop without queueing a job", async () => {
+    const response = await request(appFor(SHOP_A))
+      .post(`/api/configurations/${foreignConfiguration.id}/apply`);
+
+    expect(response.status).toBe(404);
+    expect(enqueueApplyJob).not.toHaveBeenCalled();
+  });
+
+  it("returns 404 for PUT /priorities with an id of another shop and updates none", async () => {
+    const response = await request(appFor(SHOP_A))
+      .put("/api/configurations/priorities")
+      .send({
+        priorities: [
+          { id: ownConfiguration.id, priority: 10 },
+          { id: foreignConfiguration.id, priority: 20 },
+        ],
+      });
+
+    expect(response.status).toBe(404);
+    expect((await database.getConfigurationById(ownConfiguration.id, SHOP_A)).priority).toBe(1);
+    expect((await database.getConfigurationById(foreignConfiguration.id, SHOP_B)).priority).toBe(5);
+  });
+
+  it("updates PUT /priorities of the shop's own configurations", async () => {
+    const response = await request(appFor(SHOP_A))
+      .put("/api/configurations/priorities")
+      .send({ priorities: [{ id: ownConfiguration.id, priority: 10 }] });
+
+    expect(response.status).toBe(200);
+    expect((await database.getConfigurationById(ownConfiguration.id, SHOP_A)).priority).toBe(10);
+  });
+
+  it("returns 404 for PUT /enabled with an id of another shop and updates none", async () => {
+    const response = await request(appFor(SHOP_A))
+      .put("/api/configurations/enabled")
+      .send({ ids: [ownConfiguration.id, foreignConfiguration.id], enabled: false });
+
+    expect(response.status).toBe(404);
+    expect((await database.getConfigurationById(ownConfiguration.id, SHOP_A)).enabled).toBe(true);
+    expect((await database.getConfigurationById(foreignConfiguration.id, SHOP_B)).enabled).toBe(true);
+  });
+});
+
+describe("configuration routes with an invalid id", () => {
+  const INVALID_IDS = ["abc", "1.5", "-1", "99999999999"];
+
+  it.each(INVALID_IDS)("returns 404 for GET /%s", async (id) => {
+    const response = await request(appFor(SHOP_A)).get(`/api/configurations/${id}`);
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ error: "Configuration not found" });
+  });
+
+  it.each([
+    ["put", ""],
+    ["delete", ""],
+    ["post", "/duplicate"],
+    ["get", "/preview"],
+    ["get", "/dry-run"],
+    ["post", "/apply"],
+  ])("returns 404 for %s /:id%s with a non-numeric id", async (method, suffix) => {
+    const response = await request(appFor(SHOP_A))[method](`/api/configurations/abc${suffix}`).send({});
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ error: "Configuration not found" });
+  });
+});
+
+describe("GET /:id/dry-run", () => {
+  const PRODUCTS = Array.from({ length: 30 }, (_, index) => ({
+    id: `gid://shopify/Product/${index + 1}`,
+    title: `Product ${index + 1}`,
+  }));
+
+  // pg-mem evaluates column defaults once, so every test's configuration would share one
+  // updated_at (and one cached dry run); an update gives each its own version
+  beforeEach(async () => {
+    await database.updateConfiguration(ownConfiguration.id, SHOP_A, "Own", "vendor", METAFIELD_CONFIGS);
+  });
+
+  it("summarizes every matched product and pages the diff", async () => {
+    findMatchingProducts.mockResolvedValue(PRODUCTS);
+
+    const response = await request(appFor(SHOP_A))
+      .get(`/api/configurations/${ownConfiguration.id}/dry-run?page=2&pageSize=25`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.total).toBe(30);
+    expect(response.body.totalPages).toBe(2);
+    expect(response.body.summary).toEqual({ create: 30, overwrite: 0, unchanged: 0 });
+    expect(response.body.products).toHaveLength(5);
+  });
+
+  it("reuses the matched products across pages until the configuration changes", async () => {
+    findMatchingProducts.mockResolvedValue(PRODUCTS);
+    const app = appFor(SHOP_A);
+    const url = `/api/configurations/${ownConfiguration.id}/dry-run?pageSize=10`;
+
+    await request(app).get(`${url}&page=1`);
+    await request(app).get(`${url}&page=2`);
+    await request(app).get(`${url}&page=3`);
+
+    expect(findMatchingProducts).toHaveBeenCalledTimes(1);
+    expect(summarizeDryRun).toHaveBeenCalledTimes(1);
+    expect(buildDryRunDiff).toHaveBeenCalledTimes(3);
+
+    await database.updateConfiguration(ownConfiguration.id, SHOP_A, "Edited", "vendor", METAFIELD_CONFIGS);
+    await request(app).get(`${url}&page=1`);
+
+    expect(findMatchingProducts).toHaveBeenCalledTimes(2);
+  });
+
+  it("diffs what the configuration wins over competing configurations", async () => {
+    const writes = new Map([[PRODUCTS[0].id, []]]);
+    findMatchingProducts.mockResolvedValue(PRODUCTS);
+    loadConflictContext.mockResolvedValueOnce({ configurations: [] });
+    resolveConfigurationWrites.mockResolvedValueOnce(writes);
+
+    await request(appFor(SHOP_A)).get(`/api/configurations/${ownConfiguration.id}/dry-run`);
+
+    expect(resolveConfigurationWrites).toHaveBeenCalledWith(
+      { shop: SHOP_A },
+      expect.objectContaining({ id: ownConfiguration.id }),
+      PRODUCTS,
+      { configurations: [] }
+    );
+    expect(summarizeDryRun.mock.calls[0][3]).toBe(writes);
+    expect(buildDryRunDiff.mock.calls[0][3]).toBe(writes);
+  });
+});
+
+describe("matching while the product index syncs", () => {
+  it("answers 409 with the sync status and syncs in the background", async () => {
+    isProductIndexReady.mockResolvedValueOnce(false);
+
+    const response = await request(appFor(SHOP_A))
+      .get(`/api/configurations/${ownConfiguration.id}/dry-run`);
+
+    expect(response.status).toBe(409);
+    expect(response.body.productIndex).toEqual({ ready: false, status: "running" });
+    expect(syncProductIndex).toHaveBeenCalledWith({ shop: SHOP_A });
+    expect(findMatchingProducts).not.toHaveBeenCalled();
+    expect(summarizeDryRun).not.toHaveBeenCalled();
+  });
+
+  it("answers 409 for POST /preview", async () => {
+    isProductIndexReady.mockResolvedValueOnce(false);
+
+    const response = await request(appFor(SHOP_A))
+      .post("/api/configurations/preview")
+      .send({ rules: RULES });
+
+    expect(response.status).toBe(409);
+    expect(response.body.productIndex.ready).toBe(false);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from "vitest";
+import {
+  DISPLAY_TYPES,
+  mapDisplayFields,
+  resolveDisplayStyle,
+} from "../display-types.js";
+
+const LAYOUTS = ["row", "stack", "table"];
+const ELEMENTS = ["image", "text", "html", "video", "icon"];
+
+describe("display type registry", () => {
+  it.each(DISPLAY_TYPES.map(displayType => [displayType.id, displayType]))(
+    "%s only uses what the generic renderers draw",
+    (id, displayType) => {
+      const roles = Object.keys(displayType.fields || {});
+      const sources = [
+        ...(displayType.item.link || []),
+        ...displayType.item.parts.flatMap(part => [...(part.source || []), ...(part.alt || [])]),
+      ];
+      const settingKeys = displayType.settings.map(setting => setting.key);
+
+      expect(LAYOUTS).toContain(displayType.layout);
+      for (const part of displayType.item.parts) {
+        expect(ELEMENTS).toContain(part.element);
+        if (part.setting) expect(settingKeys).toContain(part.setting);
+      }
+      for (const source of sources) {
+        expect(["value", "filename", ...roles]).toContain(source);
+      }
+    }
+  );
+});
+
+describe("mapDisplayFields", () => {
+  it("prefers fields named like a role before falling back to any field of its types", () => {
+    const fields = mapDisplayFields("energy_label", [
+      { key: "caption", type: "single_line_text_field" },
+      { key: "picture", type: "file_reference" },
+      { key: "datasheet_pdf", type: "file_reference" },
+    ]);
+
+    expect(fields).toEqual({
+      file: { key: "datasheet_pdf", type: "file_reference" },
+      icon: { key: "picture", type: "file_reference" },
+      label: { key: "caption", type: "single_line_text_field" },
+    });
+  });
+
+  it("leaves roles without a field of their types empty", () => {
+    expect(mapDisplayFields("size_chart", [{ key: "chart", type: "file_reference" }])).toEqual({
+      chart: { key: "chart", type: "file_reference" },
+      title: null,
+      notes: null,
+    });
+  });
+
+  it("returns null for display types without roles", () => {
+    expect(mapDisplayFields("badge", [{ key: "label", type: "single_line_text_field" }])).toBeNull();
+  });
+});
+
+describe("resolveDisplayStyle", () => {
+  it("sets the CSS properties of settings that have one", () => {
+    expect(resolveDisplayStyle("product_detail_icon", { iconHeight: "40" })).toBe("--mba-icon-height: 40px;");
+    expect(resolveDisplayStyle("product_detail_icon", {})).toBe("");
+    expect(resolveDisplayStyle("warranty_document", { linkText: "Warranty" })).toBe("");
+  });
+
+  it("drops characters that could end the declaration", () => {
+    expect(resolveDisplayStyle("badge", { color: 'red;" onmouseover="x' })).toBe("--mba-badge-color: red onmouseover=x;");
+  });
+});
@@ -0,0 +1,29 @@
+import { newDb } from "pg-mem";
+
+/**
+ * An in-memory Postgres for database.js, standing in for the "pg" module
+ * Use as vi.mock("pg", () => createMemoryPg(holder)); holder.db is the pg-mem database
+ */
+export function createMemoryPg(holder = {}) {
+  holder.db = newDb();
+  const { Pool: MemoryPool } = holder.db.adapters.createPg();
+
+  // pg-mem never matches integers against an array (`id = ANY($1)`), so number lists
+  // are inlined as `IN (...)`, which it does support
+  class Pool extends MemoryPool {
+    query(sql, params) {
+      if (typeof sql === "string" && Array.isArray(params)) {
+        sql = sql.replace(/= ANY\(\$(\d+)\)/g, (match, index) => {
+          const values = params[index - 1];
+          if (!Array.isArray(values) || !values.every(value => Number.isInteger(value))) {
+            return match;
+          }
+          return `IN (${values.length > 0 ? values.join(", ") : "NULL"})`;
+        });
+      }
+      return super.query(sql, params);
+    }
+  }
+
+  return { default: { Pool } };
+}
@@ -0,0 +1,99 @@
+import express from "express";
+import request from "supertest";
+import { describe, it, expect, vi, beforeAll } from "vitest";
+
+// Routes run against database.js on an in-memory Postgres (pg-mem)
+const mem = vi.hoisted(() => {
+  process.env.DATABASE_URL = "postgres://localhost/test";
+  return {};
+});
+
+vi.mock("pg", async () => {
+  const { createMemoryPg } = await import("./helpers/memory-postgres.js");
+  return createMemoryPg(mem);
+});
+
+vi.mock("../shopify.js", () => ({ default: { api: { clients: {} } } }));
+
+vi.mock("../apply-jobs.js", () => ({
+  enqueueRollbackJob: vi.fn(async () => null),
+  formatApplyJob: (job) => job,
+  runPendingJobs: vi.fn(),
+}));
+
+import database from "../database.js";
+import jobRoutes from "../job-routes.js";
+import applyRunRoutes from "../apply-run-routes.js";
+
+const SHOP = "shop-a.myshopify.com";
+
+/**
+ * The job and apply run routes as mounted in index.js
+ */
+function app() {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    res.locals.shopify = { session: { shop: SHOP } };
+    next();
+  });
+  app.use("/api/jobs", jobRoutes);
+  app.use("/api/apply-runs", applyRunRoutes);
+  return app;
+}
+
+beforeAll(async () => {
+  await database.initialize();
+});
+
+const INVALID_IDS = ["abc", "1.5", "-1", "0", "99999999999"];
+
+describe("job routes with an invalid id", () => {
+  it.each(INVALID_IDS)("returns 404 for GET /api/jobs/%s", async (id) => {
+    const response = await request(app()).get(`/api/jobs/${id}`);
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ error: "Job not found" });
+  });
+
+  it("returns 404 for a job that doesn't exist", async () => {
+    const response = await request(app()).get("/api/jobs/12345");
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe("apply run routes with an invalid id", () => {
+  it.each([
+    ["get", ""],
+    ["post", "/rollback"],
+  ])("returns 404 for %s /api/apply-runs/:id%s", async (method, suffix) => {
+    for (const id of INVALID_IDS) {
+      const response = await request(app())[method](`/api/apply-runs/${id}${suffix}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: "Apply run not found" });
+    }
+  });
+
+  it("returns 400 for a list filtered by an invalid configurationId", async () => {
+    const response = await request(app()).get("/api/apply-runs?configurationId=abc");
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe("apply run product count", () => {
+  it("counts each owner once when a resumed job writes a batch again", async () => {
+    const configuration = await database.createConfiguration(SHOP, "Counted", "vendor", [], 1);
+    const run = await database.createApplyRun(SHOP, configuration, "manual");
+
+    await database.addApplyRunProducts(run.id, ["gid://shopify/Product/1", "gid://shopify/Product/2"]);
+    await database.addApplyRunProducts(run.id, ["gid://shopify/Product/2", "gid://shopify/Product/3"]);
+
+    const response = await request(app()).get(`/api/apply-runs/${run.id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.productCount).toBe(3);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect, vi } from "vitest";
+
+vi.mock("../shopify.js", () => ({
+  default: {
+    api: {
+      clients: {
+        Graphql: class {
+          async request(query, { variables }) {
+            return {
+              data: {
+                nodes: variables.ids.map(id => ({
+                  id,
+                  title: id,
+                  metafields: {
+                    nodes: [{ id: `${id}/mf`, namespace: "custom", key: "material", value: "Wool", type: "single_line_text_field" }],
+                  },
+                })),
+              },
+            };
+          }
+        },
+      },
+    },
+  },
+}));
+
+import { buildDryRunDiff, summarizeDryRun } from "../metafield-diff.js";
+
+const session = { shop: "shop-a.myshopify.com" };
+
+const METAFIELD_CONFIGS = [
+  { namespace: "custom", key: "material", type: "single_line_text_field", value: "Cotton" },
+  { namespace: "custom", key: "care", type: "single_line_text_field", value: "Hand wash" },
+];
+
+describe("dry run after conflict resolution", () => {
+  // Product 1: another configuration wins custom.material; product 2: this one wins both
+  const writes = new Map([
+    ["gid://shopify/Product/1", [METAFIELD_CONFIGS[1]]],
+    ["gid://shopify/Product/2", METAFIELD_CONFIGS],
+  ]);
+
+  it("reports keys won by other configurations as skipped", async () => {
+    const { products } = await buildDryRunDiff(
+      session,
+      [{ id: "gid://shopify/Product/1", title: "Shirt" }],
+      METAFIELD_CONFIGS,
+      writes
+    );
+
+    expect(products[0].changes.map(change => [change.key, change.action, change.oldValue])).toEqual([
+      ["material", "skipped", "Wool"],
+      ["care", "create", null],
+    ]);
+  });
+
+  it("counts skipped keys in the summary", async () => {
+    const summary = await summarizeDryRun(
+      session,
+      ["gid://shopify/Product/1", "gid://shopify/Product/2"],
+      METAFIELD_CONFIGS,
+      writes
+    );
+
+    expect(summary).toEqual({ create: 2, overwrite: 1, unchanged: 0, skipped: 1 });
+  });
+
+  it("diffs every key when no other configuration competes", async () => {
+    const summary = await summarizeDryRun(session, ["gid://shopify/Product/1"], METAFIELD_CONFIGS);
+
+    expect(summary).toEqual({ create: 1, overwrite: 1, unchanged: 0, skipped: 0 });
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const graphql = vi.hoisted(() => ({ request: null }));
+
+vi.mock("../shopify.js", () => ({
+  default: {
+    api: {
+      clients: {
+        Graphql: class {
+          request(query, options) {
+            return graphql.request(query, options);
+          }
+        },
+      },
+    },
+  },
+}));
+
+vi.mock("../database.js", () => ({ default: {} }));
+vi.mock("../bulk-operations.js", () => ({ scanProductCatalog: vi.fn() }));
+
+import { productMatchesRules, toVariantViews } from "../rule-engine.js";
+import { fetchProductForRules } from "../product-index.js";
+
+const session = { shop: "shop-a.myshopify.com" };
+const PRODUCT_ID = "gid://shopify/Product/1";
+
+function collection(index) {
+  return { id: `gid://shopify/Collection/${index}`, handle: `collection-${index}`, title: `Collection ${index}` };
+}
+
+function variant(index) {
+  return {
+    id: `gid://shopify/ProductVariant/${index}`,
+    title: `Variant ${index}`,
+    sku: `SKU-${index}`,
+    barcode: null,
+    price: "10.00",
+    inventoryQuantity: 1,
+    selectedOptions: [],
+  };
+}
+
+function page(nodes, endCursor = null) {
+  return { nodes, pageInfo: { hasNextPage: endCursor !== null, endCursor } };
+}
+
+function range(from, to, build) {
+  return Array.from({ length: to - from + 1 }, (_, index) => build(from + index));
+}
+
+beforeEach(() => {
+  graphql.request = vi.fn(async (query, { variables }) => {
+    if (query.includes("getProductCollections")) {
+      return {
+        data: {
+          product: {
+            collections: variables.cursor === "collections-1"
+              ? page(range(251, 500, collection), "collections-2")
+              : page(range(501, 520, collection)),
+          },
+        },
+      };
+    }
+
+    if (query.includes("getProductVariants")) {
+      return { data: { product: { variants: page(range(101, 150, variant)) } } };
+    }
+
+    return {
+      data: {
+        product: {
+          id: PRODUCT_ID,
+          title: "Large product",
+          collections: page(range(1, 250, collection), "collections-1"),
+          variants: page(range(1, 100, variant), "variants-1"),
+        },
+      },
+    };
+  });
+});
+
+describe("fetchProductForRules", () => {
+  it("follows pageInfo for collections and variants beyond the first page", async () => {
+    const product = await fetchProductForRules(session, PRODUCT_ID);
+
+    expect(product.collections).toHaveLength(520);
+    expect(product.variants).toHaveLength(150);
+    expect(graphql.request).toHaveBeenCalledTimes(4);
+  });
+
+  it("gives collection and variant rules the right verdict on large products", async () => {
+    const product = await fetchProductForRules(session, PRODUCT_ID);
+
+    const inLastCollection = [{
+      id: 1, rule_type: "collection", rule_value: "Collection 520", rule_id: "gid://shopify/Collection/520",
+      operator: "AND", level: 0, parent_id: null,
+    }];
+    const notInLastCollection = [{ ...inLastCollection[0], negate: true }];
+    const lastSku = [{ id: 1, rule_type: "sku", rule_value: "SKU-150", operator: "AND", level: 0, parent_id: null }];
+
+    expect(productMatchesRules(product, inLastCollection)).toBe(true);
+    expect(productMatchesRules(product, notInLastCollection)).toBe(false);
+    expect(toVariantViews(product).filter(view => productMatchesRules(view, lastSku)).map(view => view.id))
+      .toEqual(["gid://shopify/ProductVariant/150"]);
+  });
+
+  it("makes one request when everything fits on the first page", async () => {
+    graphql.request = vi.fn(async () => ({
+      data: {
+        product: {
+          id: PRODUCT_ID,
+          collections: page([collection(1)]),
+          variants: page([variant(1)]),
+        },
+      },
+    }));
+
+    const product = await fetchProductForRules(session, PRODUCT_ID);
+
+    expect(product.collections).toHaveLength(1);
+    expect(graphql.request).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const graphql = vi.hoisted(() => ({ request: null }));
+
+vi.mock("../shopify.js", () => ({
+  default: {
+    api: {
+      session: { getOfflineId: (shop) => `offline_${shop}` },
+      clients: {
+        Graphql: class {
+          request(query, options) {
+            return graphql.request(query, options);
+          }
+        },
+      },
+    },
+    config: {
+      sessionStorage: { loadSession: async (id) => ({ id, shop: "shop-a.myshopify.com" }) },
+    },
+  },
+}));
+
+vi.mock("../database.js", () => ({
+  default: {
+    markWebhookProcessed: vi.fn(async () => true),
+    unmarkWebhookProcessed: vi.fn(async () => {}),
+    upsertIndexedProduct: vi.fn(async () => {}),
+    upsertIndexedCollection: vi.fn(async () => {}),
+    setIndexedProductCollections: vi.fn(async () => {}),
+    setIndexedProductVariants: vi.fn(async () => {}),
+    getActiveConfigurations: vi.fn(async () => []),
+    getConfigurationRules: vi.fn(async () => []),
+    getProductEvaluationHash: vi.fn(async () => null),
+    saveProductEvaluationHash: vi.fn(async () => {}),
+  },
+}));
+
+vi.mock("../bulk-operations.js", () => ({ scanProductCatalog: vi.fn() }));
+vi.mock("../managed-metafields.js", () => ({ reconcileManagedMetafields: vi.fn(async () => ({})) }));
+vi.mock("../storefront-payload.js", () => ({ invalidateStorefrontPayloads: vi.fn(async () => {}) }));
+
+import database from "../database.js";
+import webhookHandlers from "../webhooks.js";
+
+const SHOP = "shop-a.myshopify.com";
+const COLLECTION = { id: "gid://shopify/Collection/7", handle: "summer", title: "Summer" };
+
+function productPayload() {
+  return JSON.stringify({
+    id: 1,
+    admin_graphql_api_id: "gid://shopify/Product/1",
+    title: "Shirt",
+    vendor: "Acme",
+    tags: "",
+    variants: [],
+  });
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  graphql.request = vi.fn(async () => ({
+    data: {
+      product: {
+        collections: { nodes: [COLLECTION], pageInfo: { hasNextPage: false, endCursor: null } },
+      },
+    },
+  }));
+});
+
+describe("PRODUCTS_CREATE", () => {
+  it("indexes the collection membership of the new product without collection rules", async () => {
+    await webhookHandlers.PRODUCTS_CREATE.callback("PRODUCTS_CREATE", SHOP, productPayload(), "webhook-1");
+
+    expect(database.upsertIndexedCollection).toHaveBeenCalledWith(SHOP, COLLECTION);
+    expect(database.setIndexedProductCollections)
+      .toHaveBeenCalledWith(SHOP, "gid://shopify/Product/1", [COLLECTION.id]);
+  });
+});
+
+describe("webhook deliveries", () => {
+  it("keeps a delivery that was handled as processed", async () => {
+    await webhookHandlers.PRODUCTS_UPDATE.callback("PRODUCTS_UPDATE", SHOP, productPayload(), "webhook-2");
+
+    expect(database.markWebhookProcessed).toHaveBeenCalledWith(SHOP, "PRODUCTS_UPDATE", "webhook-2");
+    expect(database.unmarkWebhookProcessed).not.toHaveBeenCalled();
+  });
+
+  it("forgets a delivery whose handling failed, so a retry is processed", async () => {
+    database.getActiveConfigurations.mockRejectedValueOnce(new Error("connection lost"));
+
+    await webhookHandlers.PRODUCTS_UPDATE.callback("PRODUCTS_UPDATE", SHOP, productPayload(), "webhook-3");
+
+    expect(database.unmarkWebhookProcessed).toHaveBeenCalledWith("webhook-3");
+  });
+
+  it("leaves a duplicate's record alone", async () => {
+    database.markWebhookProcessed.mockResolvedValueOnce(false);
+
+    await webhookHandlers.PRODUCTS_UPDATE.callback("PRODUCTS_UPDATE", SHOP, productPayload(), "webhook-1");
+
+    expect(database.getActiveConfigurations).not.toHaveBeenCalled();
+    expect(database.unmarkWebhookProcessed).not.toHaveBeenCalled();
+  });
+});
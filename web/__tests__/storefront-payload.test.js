@@ -0,0 +1,224 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const graphql = vi.hoisted(() => ({ product: null }));
+
+vi.mock("../shopify.js", () => ({
+  default: {
+    api: {
+      session: { getOfflineId: (shop) => `offline_${shop}` },
+      clients: {
+        Graphql: class {
+          async request() {
+            return { data: { productByHandle: graphql.product } };
+          }
+        },
+      },
+    },
+    config: {
+      sessionStorage: { loadSession: async (id) => ({ id, shop: "shop-a.myshopify.com" }) },
+    },
+  },
+}));
+
+vi.mock("../database.js", () => ({
+  default: {
+    getActiveConfigurations: vi.fn(),
+    getConfigurationRules: vi.fn(async () => []),
+    getStorefrontPayload: vi.fn(async () => null),
+    saveStorefrontPayload: vi.fn(async () => {}),
+  },
+}));
+
+vi.mock("../bulk-operations.js", () => ({ scanProductCatalog: vi.fn() }));
+
+import database from "../database.js";
+import { getStorefrontPayload } from "../storefront-payload.js";
+
+const SHOP = "shop-a.myshopify.com";
+
+function configuration(metafieldConfigs, id = 1, priority = 1) {
+  return {
+    id,
+    shop: SHOP,
+    priority,
+    owner_type: "PRODUCT",
+    updated_at: "2026-01-01T00:00:00Z",
+    metafield_configs: metafieldConfigs,
+  };
+}
+
+function metaobject(fields) {
+  return { id: "gid://shopify/Metaobject/1", fields };
+}
+
+function textField(key, value, type = "single_line_text_field") {
+  return { key, value, type, reference: null };
+}
+
+function fileField(key, url) {
+  return { key, value: "gid://shopify/GenericFile/1", type: "file_reference", reference: { url } };
+}
+
+/**
+ * Payload of a product holding the given metafields, displayed as configured
+ */
+async function payloadFor(metafieldConfigs, metafields, configurations = [configuration(metafieldConfigs)]) {
+  database.getActiveConfigurations.mockResolvedValue(configurations);
+  graphql.product = {
+    id: "gid://shopify/Product/1",
+    handle: "shirt",
+    title: "Shirt",
+    tags: [],
+    collections: { nodes: [], pageInfo: { hasNextPage: false, endCursor: null } },
+    variants: { nodes: [], pageInfo: { hasNextPage: false, endCursor: null } },
+    metafields: { nodes: metafields },
+  };
+  const { payload } = await getStorefrontPayload(SHOP, "shirt");
+  return payload.metafields;
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe("storefront payload display items", () => {
+  it("resolves the roles of energy label metaobjects into parts and a link", async () => {
+    const [metafield] = await payloadFor(
+      [{ namespace: "custom", key: "energy", type: "metaobject_reference", displayType: "energy_label", displaySettings: { iconSize: "64" } }],
+      [{
+        namespace: "custom",
+        key: "energy",
+        type: "metaobject_reference",
+        value: "gid://shopify/Metaobject/1",
+        reference: metaobject([
+          textField("label_text", "A+++"),
+          fileField("pdf_file", "https://cdn.shopify.com/label.pdf"),
+          { key: "icon", value: "gid://shopify/MediaImage/1", type: "file_reference", reference: { image: { url: "https://cdn.shopify.com/a.png" } } },
+        ]),
+      }],
+    );
+
+    expect(metafield.layout).toBe("row");
+    expect(metafield.style).toBe("--mba-label-size: 64px;");
+    expect(metafield.items).toEqual([{
+      link: "https://cdn.shopify.com/label.pdf",
+      parts: [
+        { content: "https://cdn.shopify.com/a.png", alt: "A+++" },
+        { content: "A+++" },
+      ],
+    }]);
+  });
+
+  it("names warranty documents by file unless link text is set", async () => {
+    const metafield = {
+      namespace: "custom",
+      key: "warranty",
+      type: "list.file_reference",
+      value: "[]",
+      references: { nodes: [{ url: "https://cdn.shopify.com/files/123_warranty.pdf?v=1" }] },
+    };
+    const config = { namespace: "custom", key: "warranty", type: "list.file_reference", displayType: "warranty_document" };
+
+    const [byFile] = await payloadFor([config], [metafield]);
+    expect(byFile.items).toEqual([{
+      link: "https://cdn.shopify.com/files/123_warranty.pdf?v=1",
+      parts: [{ content: null }, { content: "warranty.pdf" }],
+    }]);
+
+    const [byLinkText] = await payloadFor([{ ...config, displaySettings: { linkText: "Warranty" } }], [metafield]);
+    expect(byLinkText.items[0].parts[1]).toEqual({ content: "Warranty" });
+  });
+
+  it("draws one badge per list entry", async () => {
+    const [metafield] = await payloadFor(
+      [{ namespace: "custom", key: "badges", type: "list.single_line_text_field", displayType: "badge", displaySettings: { color: "#b91c1c" } }],
+      [{ namespace: "custom", key: "badges", type: "list.single_line_text_field", value: '["New","Organic"]' }],
+    );
+
+    expect(metafield.style).toBe("--mba-badge-color: #b91c1c;");
+    expect(metafield.items.map(item => item.parts[0].content)).toEqual(["New", "Organic"]);
+  });
+
+  it("lays specification table rows out without links", async () => {
+    const [metafield] = await payloadFor(
+      [{ namespace: "custom", key: "specs", type: "list.metaobject_reference", displayType: "spec_table" }],
+      [{
+        namespace: "custom",
+        key: "specs",
+        type: "list.metaobject_reference",
+        value: "[]",
+        references: {
+          nodes: [
+            metaobject([textField("name", "Weight"), textField("value", "1.2 kg")]),
+            metaobject([textField("name", "Width"), textField("value", "40 cm")]),
+          ],
+        },
+      }],
+    );
+
+    expect(metafield.layout).toBe("table");
+    expect(metafield.items).toEqual([
+      { link: null, parts: [{ content: "Weight" }, { content: "1.2 kg" }] },
+      { link: null, parts: [{ content: "Width" }, { content: "40 cm" }] },
+    ]);
+  });
+
+  it("renders rich text as escaped HTML and drops unsafe links", async () => {
+    const richText = {
+      type: "root",
+      children: [
+        { type: "heading", level: 3, children: [{ type: "text", value: "Care" }] },
+        {
+          type: "paragraph",
+          children: [
+            { type: "text", value: "<script>alert(1)</script> ", bold: true },
+            { type: "link", url: "javascript:alert(1)", children: [{ type: "text", value: "click" }] },
+            { type: "link", url: "https://example.com", children: [{ type: "text", value: "more" }] },
+          ],
+        },
+      ],
+    };
+
+    const [metafield] = await payloadFor(
+      [{ namespace: "custom", key: "care", type: "rich_text_field", displayType: "rich_text" }],
+      [{ namespace: "custom", key: "care", type: "rich_text_field", value: JSON.stringify(richText) }],
+    );
+
+    expect(metafield.items[0].parts[0].content).toBe(
+      "<h3>Care</h3><p><strong>&lt;script&gt;alert(1)&lt;/script&gt; </strong>click<a href=\"https://example.com\">more</a></p>"
+    );
+  });
+
+  it("skips values without content for any part", async () => {
+    const metafields = await payloadFor(
+      [{ namespace: "custom", key: "energy", type: "metaobject_reference", displayType: "energy_label" }],
+      [{
+        namespace: "custom",
+        key: "energy",
+        type: "metaobject_reference",
+        value: "gid://shopify/Metaobject/1",
+        reference: metaobject([{ key: "rating", value: "5", type: "number_integer", reference: null }]),
+      }],
+    );
+
+    expect(metafields).toEqual([]);
+  });
+});
+
+describe("storefront payload across configurations", () => {
+  it("keeps one entry per key, from the highest-priority matching configuration", async () => {
+    const badges = { namespace: "custom", key: "badges", type: "list.single_line_text_field" };
+    const metafields = await payloadFor(
+      null,
+      [{ ...badges, value: '["New"]' }],
+      // Ordered by priority, like getActiveConfigurations
+      [
+        configuration([{ ...badges, displayType: "badge", displaySettings: { color: "red" } }], 2, 10),
+        configuration([{ ...badges, displayType: "badge", displaySettings: { color: "blue" } }], 1, 1),
+      ],
+    );
+
+    expect(metafields).toHaveLength(1);
+    expect(metafields[0].style).toBe("--mba-badge-color: red;");
+  });
+});
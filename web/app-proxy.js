@@ -0,0 +1,103 @@
+/**
+ * App Proxy - Verifies requests Shopify forwards from the storefront (/apps/meta-bulk-assign)
+ *
+ * App proxy routes sit outside session authentication, so the only proof a request came
+ * through Shopify is the `signature` query parameter: a hex HMAC-SHA256 (keyed with the app
+ * secret) of the other query parameters, sorted by name and concatenated as `key=value`
+ * without separators, with repeated parameters joined by commas. The signed `timestamp`
+ * must be recent, so a captured URL can't be replayed indefinitely.
+ * See https://shopify.dev/docs/apps/build/online-store/display-dynamic-data#calculate-a-digital-signature
+ */
+
+import crypto from "crypto";
+import shopify from "./shopify.js";
+
+// How far the signed timestamp may be from our clock (either way) before a request is rejected
+const MAX_TIMESTAMP_SKEW_SECONDS = 5 * 60;
+
+/**
+ * Build the message Shopify signs from the query string
+ */
+function signatureMessage(searchParams) {
+  const values = new Map();
+
+  for (const [key, value] of searchParams) {
+    if (key === 'signature') continue;
+    values.set(key, [...(values.get(key) || []), value]);
+  }
+
+  return Array.from(values.keys())
+    .sort()
+    .map(key => `${key}=${values.get(key).join(',')}`)
+    .join('');
+}
+
+/**
+ * Check the signature of an app proxy query string
+ * @param {string} queryString - raw query string, with or without the leading "?"
+ * @param {string} secret - the app's API secret key
+ * @returns {boolean}
+ */
+export function verifyAppProxySignature(queryString, secret) {
+  const searchParams = new URLSearchParams(queryString);
+  const signature = searchParams.get('signature');
+
+  if (!signature || !secret) return false;
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(signatureMessage(searchParams))
+    .digest('hex');
+
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const signatureBuffer = Buffer.from(signature, 'utf8');
+
+  return expectedBuffer.length === signatureBuffer.length
+    && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+/**
+ * Whether a signed app proxy timestamp (Unix seconds) is within MAX_TIMESTAMP_SKEW_SECONDS of now
+ */
+export function isFreshAppProxyTimestamp(timestamp, now = Date.now()) {
+  if (!/^\d+$/.test(timestamp || '')) return false;
+  return Math.abs(now / 1000 - Number(timestamp)) <= MAX_TIMESTAMP_SKEW_SECONDS;
+}
+
+/**
+ * Express middleware rejecting app proxy requests without a valid signature or with a stale
+ * timestamp
+ * The signed shop domain is exposed as res.locals.shop
+ */
+export function verifyAppProxyRequest() {
+  return (req, res, next) => {
+    // Verify the raw query string: Express' parsed req.query may reshape bracketed keys
+    const queryIndex = req.originalUrl.indexOf('?');
+    const queryString = queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex + 1);
+
+    if (!verifyAppProxySignature(queryString, shopify.api.config.apiSecretKey)) {
+      console.log('[App Proxy] Rejected request with missing or invalid signature');
+      return res.status(401).json({ error: 'Invalid app proxy signature' });
+    }
+
+    const searchParams = new URLSearchParams(queryString);
+    if (!isFreshAppProxyTimestamp(searchParams.get('timestamp'))) {
+      console.log('[App Proxy] Rejected request with a missing or stale timestamp');
+      return res.status(401).json({ error: 'Expired app proxy request' });
+    }
+
+    const shop = searchParams.get('shop');
+    if (!shop) {
+      return res.status(400).json({ error: 'Missing shop parameter' });
+    }
+
+    res.locals.shop = shop;
+    next();
+  };
+}
+
+export default {
+  verifyAppProxySignature,
+  isFreshAppProxyTimestamp,
+  verifyAppProxyRequest,
+};
@@ -0,0 +1,184 @@
+/**
+ * Apply History - Snapshots prior metafield values for every apply run so it can be rolled back
+ *
+ * Each configuration apply (bulk job from the UI or a product webhook) is recorded in
+ * apply_runs. Before a batch is written, the current value of every metafield it touches
+ * is stored in apply_run_snapshots with the value written; rolling back restores those
+ * values, or deletes the metafield when the run created it. Metafields whose value changed
+ * since the run (another configuration, a webhook or a manual edit) are left alone, so a
+ * rollback never undoes a newer write.
+ */
+
+import database from "./database.js";
+import { fetchCurrentMetafields, metafieldValuesEqual } from "./metafield-diff.js";
+import {
+  buildMetafieldInputs,
+  applyMetafieldsToOwners,
+  setMetafields,
+  deleteMetafields,
+} from "./metafield-apply.js";
+
+/**
+ * Shape an apply run row for API responses
+ */
+export function formatApplyRun(run) {
+  return {
+    id: run.id,
+    configurationId: run.configuration_id,
+    configurationName: run.configuration_name,
+    source: run.source,
+    status: run.status,
+    productCount: run.product_count,
+    createdAt: run.created_at,
+    completedAt: run.completed_at,
+    rolledBackAt: run.rolled_back_at,
+  };
+}
+
+/**
+ * Snapshot the current values of the metafields a configuration writes, then write them
+ * Owner IDs may be products, variants or collections
+ * @returns {{ successful: string[], failed: { ownerId: string, error: string }[] }}
+ */
+export async function applyMetafieldsWithSnapshot(session, runId, ownerIds, metafieldConfigs) {
+  const metafieldInputs = buildMetafieldInputs(metafieldConfigs);
+
+  if (metafieldInputs.length > 0 && ownerIds.length > 0) {
+    const keys = metafieldInputs.map(input => `${input.namespace}.${input.key}`);
+    const current = await fetchCurrentMetafields(session, ownerIds, keys);
+
+    const snapshots = [];
+    for (const ownerId of ownerIds) {
+      const metafields = current.get(ownerId)?.metafields;
+
+      for (const input of metafieldInputs) {
+        const previous = metafields?.get(`${input.namespace}.${input.key}`);
+        snapshots.push({
+          productId: ownerId,
+          namespace: input.namespace,
+          key: input.key,
+          previousValue: previous ? previous.value : null,
+          previousType: previous ? previous.type : null,
+          writtenValue: input.value,
+        });
+      }
+    }
+
+    await database.saveApplyRunSnapshots(runId, snapshots);
+  }
+
+  const result = await applyMetafieldsToOwners(session, ownerIds, metafieldConfigs);
+  await database.addApplyRunProducts(runId, result.successful);
+
+  return result;
+}
+
+/**
+ * Apply a configuration to the matching owners of one product (the product itself, or some of
+ * its variants) as its own recorded run (used by webhooks)
+ * Throws when the write fails, like applyMetafieldsToProduct
+ */
+export async function applyToOwnersWithHistory(session, configuration, ownerIds, metafieldConfigs) {
+  const run = await database.createApplyRun(session.shop, configuration, 'webhook');
+
+  try {
+    const result = await applyMetafieldsWithSnapshot(session, run.id, ownerIds, metafieldConfigs);
+
+    if (result.failed.length > 0) {
+      throw new Error(`GraphQL errors: ${result.failed[0].error}`);
+    }
+
+    await database.finishApplyRun(run.id, 'completed');
+    return { ids: ownerIds, runId: run.id };
+  } catch (error) {
+    await database.finishApplyRun(run.id, 'failed');
+    throw error;
+  }
+}
+
+/**
+ * Snapshots whose metafield still holds what the run wrote
+ * Snapshots from before written values were recorded are all kept
+ */
+async function filterUnchangedSnapshots(session, snapshots) {
+  const recorded = snapshots.filter(snapshot => snapshot.written_value !== null);
+  if (recorded.length === 0) {
+    return snapshots;
+  }
+
+  const ownerIds = Array.from(new Set(recorded.map(snapshot => snapshot.product_id)));
+  const keys = Array.from(new Set(recorded.map(snapshot => `${snapshot.namespace}.${snapshot.key}`)));
+  const current = await fetchCurrentMetafields(session, ownerIds, keys);
+
+  return snapshots.filter((snapshot) => {
+    if (snapshot.written_value === null) return true;
+
+    const currentValue = current.get(snapshot.product_id)?.metafields
+      .get(`${snapshot.namespace}.${snapshot.key}`)?.value ?? null;
+    return metafieldValuesEqual(currentValue, snapshot.written_value);
+  });
+}
+
+/**
+ * Restore the snapshotted values of a run for some of its owners
+ * Values changed since the run are kept (see filterUnchangedSnapshots)
+ * @returns {{ successful: string[], failed: { ownerId: string, error: string }[] }}
+ */
+export async function rollbackProducts(session, runId, productIds) {
+  const allSnapshots = await database.getApplyRunSnapshots(runId, productIds);
+  const snapshots = await filterUnchangedSnapshots(session, allSnapshots);
+
+  if (snapshots.length < allSnapshots.length) {
+    console.log(
+      `[Apply History] Run ${runId}: keeping ${allSnapshots.length - snapshots.length} ` +
+      `metafield(s) changed since the run`
+    );
+  }
+
+  const toRestore = snapshots
+    .filter(snapshot => snapshot.previous_value !== null)
+    .map(snapshot => ({
+      ownerId: snapshot.product_id,
+      namespace: snapshot.namespace,
+      key: snapshot.key,
+      type: snapshot.previous_type,
+      value: snapshot.previous_value,
+    }));
+
+  const toDelete = snapshots
+    .filter(snapshot => snapshot.previous_value === null)
+    .map(snapshot => ({
+      ownerId: snapshot.product_id,
+      namespace: snapshot.namespace,
+      key: snapshot.key,
+    }));
+
+  const errors = new Map();
+
+  if (toRestore.length > 0) {
+    const { failed } = await setMetafields(session, toRestore);
+    for (const failure of failed) {
+      errors.set(failure.ownerId, failure.error);
+    }
+  }
+
+  if (toDelete.length > 0) {
+    const { failed } = await deleteMetafields(session, toDelete);
+    for (const failure of failed) {
+      const previous = errors.get(failure.ownerId);
+      errors.set(failure.ownerId, previous ? `${previous}; ${failure.error}` : failure.error);
+    }
+  }
+
+  return {
+    successful: productIds.filter(id => !errors.has(id)),
+    failed: Array.from(errors, ([ownerId, error]) => ({ ownerId, error })),
+  };
+}
+
+export default {
+  formatApplyRun,
+  applyMetafieldsWithSnapshot,
+  applyToOwnersWithHistory,
+  rollbackProducts,
+};
@@ -0,0 +1,297 @@
+/**
+ * Apply Jobs - Persisted background queue for applying configurations to products
+ *
+ * Jobs are stored in the apply_jobs table. The worker claims one job at a time,
+ * records the matching products on first run and then checkpoints progress after
+ * every batch, so a job interrupted by a restart resumes where it stopped.
+ *
+ * Every apply job records an apply run (apply-history.js); rollback jobs restore
+ * the values snapshotted by such a run, using the same checkpointing.
+ *
+ * Like the webhooks, an apply job only writes the keys its configuration wins on each owner
+ * (see conflict-resolver.js): keys a higher-priority configuration matching that owner also
+ * sets are left alone, and list keys in "merge" mode get the merged value.
+ */
+
+import shopify from "./shopify.js";
+import database from "./database.js";
+import { findMatchingProducts } from "./product-matcher.js";
+import { applyMetafieldsWithSnapshot, rollbackProducts } from "./apply-history.js";
+import { recordManagedMetafields } from "./managed-metafields.js";
+import { invalidateStorefrontPayloads } from "./storefront-payload.js";
+import { loadConflictContext, resolveConfigurationWrites } from "./webhooks.js";
+
+// Products per checkpoint; writes inside a batch are grouped into metafieldsSet calls
+const BATCH_SIZE = 25;
+const POLL_INTERVAL_MS = 5000;
+// A running job without a heartbeat for this long is considered abandoned
+const STALE_AFTER_SECONDS = 120;
+// Keep the stored error list bounded for very large runs
+const MAX_STORED_ERRORS = 100;
+
+let isWorking = false;
+let workerInterval = null;
+
+/**
+ * Queue a configuration apply run
+ * metafieldConfigs must already be processed (metaobjects created)
+ * source is recorded on the apply run ('manual' from the app, 'schedule' from the scheduler)
+ */
+export async function enqueueApplyJob(shop, configuration, metafieldConfigs, source = 'manual') {
+  const run = await database.createApplyRun(shop, configuration, source);
+  const job = await database.createApplyJob(shop, configuration.id, metafieldConfigs, run.id);
+
+  console.log(`[Apply Jobs] Queued job ${job.id} for configuration ${configuration.id} (run ${run.id})`);
+
+  // Start processing right away instead of waiting for the next poll
+  runPendingJobs();
+
+  return job;
+}
+
+/**
+ * Queue a rollback of an apply run
+ * Returns null if the run can't be rolled back (still running or already rolled back)
+ */
+export async function enqueueRollbackJob(shop, run) {
+  const started = await database.startApplyRunRollback(run.id);
+  if (!started) {
+    return null;
+  }
+
+  const job = await database.createRollbackJob(shop, run);
+
+  console.log(`[Apply Jobs] Queued rollback job ${job.id} for run ${run.id}`);
+
+  runPendingJobs();
+
+  return job;
+}
+
+/**
+ * Shape a job row for API responses
+ */
+export function formatApplyJob(job) {
+  return {
+    id: job.id,
+    type: job.job_type,
+    applyRunId: job.apply_run_id,
+    configurationId: job.configuration_id,
+    status: job.status,
+    total: job.total_count,
+    processed: job.processed_count,
+    successful: job.successful_count,
+    failed: job.failed_count,
+    errors: job.errors || [],
+    errorMessage: job.error_message,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    completedAt: job.completed_at,
+  };
+}
+
+/**
+ * The product a written owner belongs to, as tracked for managed configurations
+ * (the product itself, a variant's product, or null for collections)
+ */
+function ownerProductId(configuration, owner) {
+  if (configuration.owner_type === 'COLLECTION') return null;
+  return owner.productId || owner.id;
+}
+
+/**
+ * Write one batch of an apply job, resolving conflicts with the other configurations
+ * Owners are grouped by what the configuration wins on them, one write per group
+ * @returns {{ successful: string[], failed: { ownerId: string, error: string }[] }}
+ */
+async function applyBatch(session, job, configuration, batch, conflictContext) {
+  const writes = conflictContext
+    ? await resolveConfigurationWrites(session, configuration, batch, conflictContext)
+    : new Map(batch.map(owner => [owner.id, job.metafield_configs]));
+
+  const groups = new Map();
+  for (const owner of batch) {
+    const metafieldConfigs = writes.get(owner.id);
+    const groupKey = JSON.stringify(metafieldConfigs);
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { metafieldConfigs, owners: [] });
+    }
+    groups.get(groupKey).owners.push(owner);
+  }
+
+  const result = { successful: [], failed: [] };
+
+  for (const { metafieldConfigs, owners } of groups.values()) {
+    // Every key is won by a higher-priority configuration: nothing to write
+    if (metafieldConfigs.length === 0) {
+      result.successful.push(...owners.map(owner => owner.id));
+      continue;
+    }
+
+    const { successful, failed } = await applyMetafieldsWithSnapshot(
+      session,
+      job.apply_run_id,
+      owners.map(owner => owner.id),
+      metafieldConfigs
+    );
+
+    if (configuration.managed && successful.length > 0) {
+      const written = owners
+        .filter(owner => successful.includes(owner.id))
+        .map(owner => ({ id: owner.id, productId: ownerProductId(configuration, owner) }));
+      await recordManagedMetafields(job.shop, configuration, written, metafieldConfigs);
+    }
+
+    result.successful.push(...successful);
+    result.failed.push(...failed);
+  }
+
+  return result;
+}
+
+/**
+ * Process a single claimed job from its last checkpoint
+ */
+async function processApplyJob(job) {
+  const sessionId = shopify.api.session.getOfflineId(job.shop);
+  const session = await shopify.config.sessionStorage.loadSession(sessionId);
+
+  if (!session) {
+    throw new Error(`No session found for shop ${job.shop}`);
+  }
+
+  const isRollback = job.job_type === 'rollback';
+
+  // Needed to resolve conflicts, and managed configurations track what they wrote (see managed-metafields.js)
+  const configuration = isRollback ? null : await database.getConfigurationById(job.configuration_id, job.shop);
+
+  if (!isRollback && !configuration) {
+    throw new Error("Configuration not found");
+  }
+
+  // Disabled while queued or between batches: stop instead of writing more values
+  if (configuration && !configuration.enabled) {
+    throw new Error("Configuration is disabled");
+  }
+
+  // First run: resolve the products to process and store them on the job
+  let products = job.products;
+  if (!products) {
+    if (isRollback) {
+      const productIds = await database.getApplyRunProductIds(job.apply_run_id);
+      products = productIds.map(id => ({ id }));
+    } else {
+      const matchingProducts = await findMatchingProducts(session, job.configuration_id);
+      products = matchingProducts.map(product => ({
+        id: product.id,
+        title: product.title,
+        productId: product.productId,
+      }));
+    }
+    await database.setApplyJobProducts(job.id, products);
+  }
+
+  console.log(
+    `[Apply Jobs] Job ${job.id}: ${isRollback ? 'rolling back' : 'applying to'} ${products.length} products ` +
+    `(resuming at ${job.processed_count})`
+  );
+
+  // Other configurations setting the same keys, resolved per owner before every write
+  const conflictContext = isRollback
+    ? null
+    : await loadConflictContext(session, configuration, job.metafield_configs);
+
+  const progress = {
+    processed: job.processed_count,
+    successful: job.successful_count,
+    failed: job.failed_count,
+    errors: job.errors || [],
+  };
+
+  while (progress.processed < products.length) {
+    const batch = products.slice(progress.processed, progress.processed + BATCH_SIZE);
+
+    const { successful, failed } = isRollback
+      ? await rollbackProducts(session, job.apply_run_id, batch.map(product => product.id))
+      : await applyBatch(session, job, configuration, batch, conflictContext);
+
+    progress.successful += successful.length;
+    progress.failed += failed.length;
+    progress.processed += batch.length;
+
+    for (const failure of failed) {
+      if (progress.errors.length >= MAX_STORED_ERRORS) break;
+      const product = batch.find(p => p.id === failure.ownerId);
+      progress.errors.push({
+        productId: failure.ownerId,
+        productTitle: product?.title,
+        error: failure.error,
+      });
+    }
+
+    // Checkpoint (also acts as the worker heartbeat)
+    await database.updateApplyJobProgress(job.id, progress);
+  }
+
+  await database.finishApplyJob(job.id, 'completed');
+  await database.finishApplyRun(job.apply_run_id, isRollback ? 'rolled_back' : 'completed');
+
+  // Product webhooks invalidate written products too, but may arrive much later
+  await invalidateStorefrontPayloads(job.shop);
+
+  console.log(
+    `[Apply Jobs] Job ${job.id} completed: ${progress.successful} successful, ${progress.failed} failed`
+  );
+}
+
+/**
+ * Claim and process jobs until the queue is empty
+ * Safe to call repeatedly - only one loop runs per process
+ */
+export async function runPendingJobs() {
+  if (isWorking) return;
+  isWorking = true;
+
+  try {
+    let job = await database.claimNextApplyJob(STALE_AFTER_SECONDS);
+
+    while (job) {
+      try {
+        await processApplyJob(job);
+      } catch (error) {
+        console.error(`[Apply Jobs] Job ${job.id} failed:`, error);
+        await database.finishApplyJob(job.id, 'failed', error.message);
+        // A failed rollback leaves the run completed so it can be retried
+        await database.finishApplyRun(
+          job.apply_run_id,
+          job.job_type === 'rollback' ? 'completed' : 'failed'
+        );
+      }
+
+      job = await database.claimNextApplyJob(STALE_AFTER_SECONDS);
+    }
+  } catch (error) {
+    console.error("[Apply Jobs] Worker error:", error);
+  } finally {
+    isWorking = false;
+  }
+}
+
+/**
+ * Start polling for pending and abandoned jobs
+ */
+export function startApplyJobWorker() {
+  if (workerInterval) return;
+
+  console.log("[Apply Jobs] Worker started");
+  workerInterval = setInterval(runPendingJobs, POLL_INTERVAL_MS);
+  runPendingJobs();
+}
+
+export default {
+  enqueueApplyJob,
+  enqueueRollbackJob,
+  formatApplyJob,
+  runPendingJobs,
+  startApplyJobWorker,
+};
@@ -0,0 +1,93 @@
+import express from "express";
+import database, { isSerialId } from "./database.js";
+import { formatApplyRun } from "./apply-history.js";
+import { enqueueRollbackJob, formatApplyJob } from "./apply-jobs.js";
+
+const router = express.Router();
+
+/**
+ * Reject a :id that can't be an apply run id with the same 404 as a missing or foreign one,
+ * instead of letting Postgres fail on it
+ */
+router.param("id", (req, res, next, id) => {
+  if (!isSerialId(id)) {
+    return res.status(404).json({ error: "Apply run not found" });
+  }
+  next();
+});
+
+/**
+ * GET /api/apply-runs
+ * List recent apply runs for the shop (optionally ?configurationId=)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const session = res.locals.shopify.session;
+    if (req.query.configurationId && !isSerialId(req.query.configurationId)) {
+      return res.status(400).json({ error: "Invalid configurationId" });
+    }
+    const configurationId = req.query.configurationId
+      ? parseInt(req.query.configurationId, 10)
+      : null;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const runs = await database.getApplyRuns(session.shop, { configurationId, limit });
+
+    res.json(runs.map(formatApplyRun));
+  } catch (error) {
+    console.error("[Apply Runs] Error fetching apply runs:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/apply-runs/:id
+ * Get a single apply run
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const session = res.locals.shopify.session;
+    const { id } = req.params;
+
+    const run = await database.getApplyRunById(id, session.shop);
+    if (!run) {
+      return res.status(404).json({ error: "Apply run not found" });
+    }
+
+    res.json(formatApplyRun(run));
+  } catch (error) {
+    console.error("[Apply Runs] Error fetching apply run:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/apply-runs/:id/rollback
+ * Queue a job restoring the metafield values from before the run
+ * Progress is available at GET /api/jobs/:jobId
+ */
+router.post("/:id/rollback", async (req, res) => {
+  try {
+    const session = res.locals.shopify.session;
+    const { id } = req.params;
+
+    const run = await database.getApplyRunById(id, session.shop);
+    if (!run) {
+      return res.status(404).json({ error: "Apply run not found" });
+    }
+
+    const job = await enqueueRollbackJob(session.shop, run);
+    if (!job) {
+      return res.status(409).json({
+        error: `Apply run is ${run.status.replace('_', ' ')} and can't be rolled back`,
+      });
+    }
+
+    res.status(202).json(formatApplyJob(job));
+  } catch (error) {
+    console.error("[Apply Runs] Error rolling back apply run:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,264 @@
+/**
+ * Bulk Operations - Runs Shopify bulk queries and streams their JSONL results
+ *
+ * Used for full-catalog scans so large stores don't page through products
+ * (and their collections) with expensive paginated queries.
+ */
+
+import readline from "readline";
+import fetch from "node-fetch";
+
+const POLL_INTERVAL_MS = 1000;
+const MAX_POLL_INTERVAL_MS = 5000;
+
+// Give up waiting on a bulk operation (ours or one already running) after this long
+const BULK_OPERATION_TIMEOUT_MS = 30 * 60 * 1000;
+
+const RUN_BULK_QUERY_MUTATION = `
+  mutation RunBulkQuery($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation {
+        id
+        status
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const BULK_OPERATION_STATUS_QUERY = `
+  query GetBulkOperation($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation {
+        id
+        status
+        errorCode
+        objectCount
+        url
+      }
+    }
+  }
+`;
+
+const CURRENT_BULK_OPERATION_QUERY = `
+  query GetCurrentBulkOperation {
+    currentBulkOperation(type: QUERY) {
+      id
+      status
+    }
+  }
+`;
+
+/**
+ * Bulk query for the product fields used by the rule engine
+ */
+export const PRODUCT_CATALOG_BULK_QUERY = `
+  {
+    products {
+      edges {
+        node {
+          id
+          handle
+          title
+          vendor
+          productType
+          tags
+          status
+          createdAt
+          totalInventory
+          priceRangeV2 {
+            minVariantPrice {
+              amount
+            }
+          }
+          category {
+            id
+            name
+          }
+          collections {
+            edges {
+              node {
+                id
+                title
+                handle
+              }
+            }
+          }
+          variants {
+            edges {
+              node {
+                id
+                title
+                sku
+                barcode
+                price
+                inventoryQuantity
+                selectedOptions {
+                  name
+                  value
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait for an in-flight bulk query (only one may run per app and shop)
+ */
+async function waitForCurrentBulkOperation(client) {
+  const deadline = Date.now() + BULK_OPERATION_TIMEOUT_MS;
+  let interval = POLL_INTERVAL_MS;
+
+  while (true) {
+    const response = await client.request(CURRENT_BULK_OPERATION_QUERY);
+    const current = response.data.currentBulkOperation;
+
+    if (!current || (current.status !== 'CREATED' && current.status !== 'RUNNING')) {
+      return;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for running bulk operation ${current.id}`);
+    }
+
+    await sleep(interval);
+    interval = Math.min(interval * 2, MAX_POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Start a bulk query and wait until it finishes
+ * Returns the result file URL, or null when the query returned no objects
+ */
+export async function runBulkQuery(client, query) {
+  await waitForCurrentBulkOperation(client);
+
+  const response = await client.request(RUN_BULK_QUERY_MUTATION, {
+    variables: { query },
+  });
+
+  const { bulkOperation, userErrors } = response.data.bulkOperationRunQuery;
+  if (userErrors.length > 0) {
+    throw new Error(`Bulk query errors: ${JSON.stringify(userErrors)}`);
+  }
+
+  console.log(`[Bulk Operations] Started ${bulkOperation.id}`);
+
+  const deadline = Date.now() + BULK_OPERATION_TIMEOUT_MS;
+  let interval = POLL_INTERVAL_MS;
+
+  while (true) {
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for bulk operation ${bulkOperation.id}`);
+    }
+
+    await sleep(interval);
+    interval = Math.min(interval * 2, MAX_POLL_INTERVAL_MS);
+
+    const statusResponse = await client.request(BULK_OPERATION_STATUS_QUERY, {
+      variables: { id: bulkOperation.id },
+    });
+    const operation = statusResponse.data.node;
+
+    switch (operation.status) {
+      case 'COMPLETED':
+        console.log(`[Bulk Operations] ${operation.id} completed with ${operation.objectCount} objects`);
+        return operation.url || null;
+
+      case 'CREATED':
+      case 'RUNNING':
+        continue;
+
+      default:
+        throw new Error(
+          `Bulk operation ${operation.id} ended with status ${operation.status}` +
+          (operation.errorCode ? ` (${operation.errorCode})` : '')
+        );
+    }
+  }
+}
+
+/**
+ * GID resource type of a node id, e.g. "Collection" for gid://shopify/Collection/1
+ */
+function gidType(id) {
+  return String(id).split('/')[3];
+}
+
+/**
+ * Stream a bulk result file line by line
+ * Nested connection items (e.g. collections, variants) arrive as separate lines with __parentId
+ * directly after their parent, so they are folded back into the parent before it is emitted.
+ * childConnections maps a child's GID type to the parent connection it belongs to.
+ */
+async function streamBulkResult(url, childConnections, onNode) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download bulk result: ${response.status}`);
+  }
+
+  const lines = readline.createInterface({ input: response.body, crlfDelay: Infinity });
+  const connections = Object.values(childConnections);
+
+  let current = null;
+
+  for await (const line of lines) {
+    if (!line) continue;
+
+    const node = JSON.parse(line);
+
+    if (node.__parentId) {
+      const connection = childConnections[gidType(node.id)];
+      if (current && current.id === node.__parentId && connection) {
+        const { __parentId, ...child } = node;
+        current[connection].edges.push({ node: child });
+      }
+      continue;
+    }
+
+    if (current) {
+      await onNode(current);
+    }
+    current = { ...node };
+    for (const connection of connections) {
+      current[connection] = { edges: [] };
+    }
+  }
+
+  if (current) {
+    await onNode(current);
+  }
+}
+
+/**
+ * Scan the whole product catalog with a bulk query
+ * onProduct is called with each GraphQL product node (collections and variants as { edges })
+ */
+export async function scanProductCatalog(client, onProduct) {
+  const url = await runBulkQuery(client, PRODUCT_CATALOG_BULK_QUERY);
+
+  if (!url) {
+    return;
+  }
+
+  await streamBulkResult(url, {
+    Collection: 'collections',
+    ProductVariant: 'variants',
+  }, onProduct);
+}
+
+export default {
+  runBulkQuery,
+  scanProductCatalog,
+};
@@ -1,17 +1,163 @@
 import express from "express";
-import shopify from "./shopify.js";
-import database from "./database.js";
+import database, { OWNER_TYPES, CONFLICT_MODES, isSerialId } from "./database.js";
 import {
   findMatchingProducts,
   previewMatchingProducts,
   determineConfigurationType,
   generateConfigurationName,
 } from "./product-matcher.js";
-import { applyMetafieldsToProduct } from "./metafield-apply.js";
-import { createOrUpdateMetaobject } from "./metaobject-handler.js";
+import { enqueueApplyJob, formatApplyJob } from "./apply-jobs.js";
+import { buildDryRunDiff, summarizeDryRun } from "./metafield-diff.js";
+import { processMetafieldConfigs } from "./metaobject-handler.js";
+import {
+  reconcileConfigurationOwners,
+  loadConflictContext,
+  resolveConfigurationWrites,
+} from "./webhooks.js";
+import { syncStorefrontDisplayConfig } from "./storefront-display.js";
+import { validateDisplayType } from "./display-types.js";
+import {
+  isProductIndexReady,
+  syncProductIndex,
+  getProductIndexStatus,
+} from "./product-index.js";
 
 const router = express.Router();
 
+// Dry-run matches are reused across pages for this long (the catalog may change meanwhile)
+const DRY_RUN_CACHE_TTL_MS = 5 * 60 * 1000;
+const DRY_RUN_CACHE_MAX_ENTRIES = 50;
+
+// shop:id:updated_at -> { products, writes, summary, expiresAt }
+const dryRunCache = new Map();
+
+/**
+ * Reject a :id that can't be a configuration id with the same 404 as a missing or
+ * foreign one, instead of letting Postgres fail on it
+ */
+router.param("id", (req, res, next, id) => {
+  if (!isSerialId(id)) {
+    return res.status(404).json({ error: "Configuration not found" });
+  }
+  next();
+});
+
+/**
+ * Matching reads the local product index. While it is seeded (first use, or after the
+ * indexed fields changed) answer 409 with its sync status instead of waiting for the bulk
+ * sync inside the request; the client retries once the status is ready
+ * @returns {boolean} true when the response was sent
+ */
+async function respondWhileIndexing(session, res) {
+  if (await isProductIndexReady(session.shop)) {
+    return false;
+  }
+
+  syncProductIndex(session).catch((error) => {
+    console.error("[Product Index] Background sync failed:", error);
+  });
+
+  res.status(409).json({
+    error: "The product index is syncing. Try again once it is ready.",
+    productIndex: await getProductIndexStatus(session.shop),
+  });
+  return true;
+}
+
+/**
+ * Parse the optional schedule window of a request body (ISO date strings, empty/null for none)
+ * @returns {{ startsAt: Date|null, endsAt: Date|null, error?: string }}
+ */
+function parseSchedule({ startsAt, endsAt }) {
+  const schedule = {
+    startsAt: startsAt ? new Date(startsAt) : null,
+    endsAt: endsAt ? new Date(endsAt) : null,
+  };
+
+  if (schedule.startsAt && isNaN(schedule.startsAt.getTime())) {
+    return { ...schedule, error: `Invalid start date: ${startsAt}` };
+  }
+  if (schedule.endsAt && isNaN(schedule.endsAt.getTime())) {
+    return { ...schedule, error: `Invalid end date: ${endsAt}` };
+  }
+  if (schedule.startsAt && schedule.endsAt && schedule.endsAt <= schedule.startsAt) {
+    return { ...schedule, error: "End date must be after the start date" };
+  }
+
+  return schedule;
+}
+
+/**
+ * First display type error among metafield configurations (see display-types.js)
+ * @returns {string|null}
+ */
+function validateDisplayTypes(metafieldConfigs) {
+  for (const metafieldConfig of metafieldConfigs || []) {
+    const error = validateDisplayType(metafieldConfig);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Remove or reassign what a managed configuration wrote, in the background
+ * Results end up in the managed removals report (GET /api/managed-removals)
+ */
+function reconcileInBackground(session, configurationId) {
+  reconcileConfigurationOwners(session, configurationId).catch((error) => {
+    console.error(`[Configurations] Failed to reconcile configuration ${configurationId}:`, error);
+  });
+}
+
+/**
+ * Republish which metafields the theme app blocks render, in the background
+ */
+function syncDisplayConfigInBackground(session) {
+  syncStorefrontDisplayConfig(session).catch((error) => {
+    console.error("[Configurations] Failed to sync storefront display config:", error);
+  });
+}
+
+/**
+ * Matching products and catalog-wide summary of a configuration's dry run
+ * Conflicts with other configurations are resolved like an apply job does, so writes holds
+ * what the configuration wins per product (null when nothing competes for its keys)
+ * Cached per configuration version (any edit bumps updated_at), so paging through the
+ * diff doesn't rescan the catalog for every page
+ */
+async function getDryRunMatches(session, configuration) {
+  const cacheKey = `${session.shop}:${configuration.id}:${new Date(configuration.updated_at).getTime()}`;
+  const cached = dryRunCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached;
+  }
+
+  const products = await findMatchingProducts(session, configuration.id);
+  // Saved metafield_configs are already processed (metaobject GIDs), so nothing is created here
+  const conflictContext = await loadConflictContext(session, configuration, configuration.metafield_configs);
+  const writes = conflictContext
+    ? await resolveConfigurationWrites(session, configuration, products, conflictContext)
+    : null;
+  const summary = await summarizeDryRun(
+    session,
+    products.map(product => product.id),
+    configuration.metafield_configs,
+    writes
+  );
+
+  // Drop expired entries, then the oldest ones beyond the limit
+  for (const [key, entry] of dryRunCache) {
+    if (entry.expiresAt <= Date.now()) dryRunCache.delete(key);
+  }
+  while (dryRunCache.size >= DRY_RUN_CACHE_MAX_ENTRIES) {
+    dryRunCache.delete(dryRunCache.keys().next().value);
+  }
+
+  const entry = { products, writes, summary, expiresAt: Date.now() + DRY_RUN_CACHE_TTL_MS };
+  dryRunCache.set(cacheKey, entry);
+  return entry;
+}
+
 /**
  * GET /api/configurations
  * Get all configurations for the shop
@@ -24,7 +170,7 @@ router.get("/", async (req, res) => {
     // Add rule count to each configuration
     const configurationsWithRules = await Promise.all(
       configurations.map(async (config) => {
-        const rules = await database.getConfigurationRules(config.id);
+        const rules = await database.getConfigurationRules(config.id, session.shop);
         return {
           ...config,
           ruleCount: rules.length,
@@ -45,14 +191,15 @@ router.get("/", async (req, res) => {
  */
 router.get("/:id", async (req, res) => {
   try {
+    const session = res.locals.shopify.session;
     const { id } = req.params;
-    const configuration = await database.getConfigurationById(id);
+    const configuration = await database.getConfigurationById(id, session.shop);
 
     if (!configuration) {
       return res.status(404).json({ error: "Configuration not found" });
     }
 
-    const rules = await database.getConfigurationRules(id);
+    const rules = await database.getConfigurationRules(id, session.shop);
 
     res.json({
       ...configuration,
@@ -71,7 +218,15 @@ router.get("/:id", async (req, res) => {
 router.post("/", async (req, res) => {
   try {
     const session = res.locals.shopify.session;
-    const { name, metafieldConfigs, rules, priority } = req.body;
+    const {
+      name,
+      metafieldConfigs,
+      rules,
+      priority,
+      ownerType = "PRODUCT",
+      conflictMode = "override",
+      managed = false,
+    } = req.body;
 
     if (!metafieldConfigs || metafieldConfigs.length === 0) {
       return res
@@ -79,6 +234,24 @@ router.post("/", async (req, res) => {
         .json({ error: "Metafield configurations are required" });
     }
 
+    if (!OWNER_TYPES.includes(ownerType)) {
+      return res.status(400).json({ error: `Invalid owner type: ${ownerType}` });
+    }
+
+    if (!CONFLICT_MODES.includes(conflictMode)) {
+      return res.status(400).json({ error: `Invalid conflict mode: ${conflictMode}` });
+    }
+
+    const displayTypeError = validateDisplayTypes(metafieldConfigs);
+    if (displayTypeError) {
+      return res.status(400).json({ error: displayTypeError });
+    }
+
+    const schedule = parseSchedule(req.body);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+
     // Process metaobject fields if present
     const processedConfigs = await processMetafieldConfigs(
       session,
@@ -97,7 +270,12 @@ router.post("/", async (req, res) => {
       finalName,
       type,
       processedConfigs,
-      priority || 0
+      priority || 0,
+      ownerType,
+      conflictMode,
+      !!managed,
+      schedule.startsAt,
+      schedule.endsAt
     );
 
     // Create rules
@@ -106,7 +284,9 @@ router.post("/", async (req, res) => {
     }
 
     // Get the created configuration with rules
-    const configRules = await database.getConfigurationRules(configuration.id);
+    const configRules = await database.getConfigurationRules(configuration.id, session.shop);
+
+    syncDisplayConfigInBackground(session);
 
     res.status(201).json({
       ...configuration,
@@ -125,13 +305,28 @@ router.post("/", async (req, res) => {
  */
 router.put("/priorities", async (req, res) => {
   try {
+    const session = res.locals.shopify.session;
     const { priorities } = req.body;
 
     if (!Array.isArray(priorities)) {
       return res.status(400).json({ error: "Priorities must be an array" });
     }
 
-    await database.updateAllPriorities(priorities);
+    const ids = priorities.map(({ id }) => Number(id));
+    if (ids.some(id => !Number.isInteger(id))) {
+      return res.status(400).json({ error: "Invalid configuration id" });
+    }
+
+    // Reject the whole batch if any id belongs to another shop (or doesn't exist)
+    const ownedIds = new Set(await database.getOwnedConfigurationIds(session.shop, ids));
+    if (ids.some(id => !ownedIds.has(id))) {
+      return res.status(404).json({ error: "Configuration not found" });
+    }
+
+    await database.updateAllPriorities(session.shop, priorities);
+
+    // Keys are listed by priority
+    syncDisplayConfigInBackground(session);
 
     res.json({ success: true, message: "Priorities updated" });
   } catch (error) {
@@ -140,6 +335,52 @@ router.put("/priorities", async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/configurations/enabled
+ * Enable or disable several configurations at once
+ * NOTE: This must come BEFORE /:id route to avoid route conflicts
+ */
+router.put("/enabled", async (req, res) => {
+  try {
+    const session = res.locals.shopify.session;
+    const { ids, enabled } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: "ids must be a non-empty array" });
+    }
+
+    if (typeof enabled !== "boolean") {
+      return res.status(400).json({ error: "enabled must be a boolean" });
+    }
+
+    const configurationIds = ids.map(Number);
+    if (configurationIds.some(id => !Number.isInteger(id))) {
+      return res.status(400).json({ error: "Invalid configuration id" });
+    }
+
+    const ownedIds = new Set(await database.getOwnedConfigurationIds(session.shop, configurationIds));
+    if (configurationIds.some(id => !ownedIds.has(id))) {
+      return res.status(404).json({ error: "Configuration not found" });
+    }
+
+    const updated = await database.setConfigurationsEnabled(session.shop, configurationIds, enabled);
+
+    // Disabled managed configurations hand their values to the next-priority configuration
+    if (!enabled) {
+      for (const configuration of updated.filter(configuration => configuration.managed)) {
+        reconcileInBackground(session, configuration.id);
+      }
+    }
+
+    syncDisplayConfigInBackground(session);
+
+    res.json({ success: true, updated: updated.map(configuration => configuration.id) });
+  } catch (error) {
+    console.error("[Configurations] Error updating enabled state:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * PUT /api/configurations/:id
  * Update a configuration
@@ -148,13 +389,33 @@ router.put("/:id", async (req, res) => {
   try {
     const session = res.locals.shopify.session;
     const { id } = req.params;
-    const { name, metafieldConfigs, rules } = req.body;
+    const { name, metafieldConfigs, rules, ownerType, conflictMode, managed } = req.body;
 
-    const existing = await database.getConfigurationById(id);
+    const existing = await database.getConfigurationById(id, session.shop);
     if (!existing) {
       return res.status(404).json({ error: "Configuration not found" });
     }
 
+    if (ownerType && !OWNER_TYPES.includes(ownerType)) {
+      return res.status(400).json({ error: `Invalid owner type: ${ownerType}` });
+    }
+
+    if (conflictMode && !CONFLICT_MODES.includes(conflictMode)) {
+      return res.status(400).json({ error: `Invalid conflict mode: ${conflictMode}` });
+    }
+
+    const displayTypeError = validateDisplayTypes(metafieldConfigs);
+    if (displayTypeError) {
+      return res.status(400).json({ error: displayTypeError });
+    }
+
+    // The schedule is only changed when the body includes it
+    const hasSchedule = "startsAt" in req.body || "endsAt" in req.body;
+    const schedule = parseSchedule(req.body);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+
     // Process metaobject fields if present
     const processedConfigs = await processMetafieldConfigs(
       session,
@@ -170,20 +431,38 @@ router.put("/:id", async (req, res) => {
     // Update configuration
     await database.updateConfiguration(
       id,
+      session.shop,
       finalName,
       type,
-      processedConfigs
+      processedConfigs,
+      ownerType,
+      conflictMode,
+      typeof managed === "boolean" ? managed : null
     );
 
+    if (hasSchedule) {
+      await database.updateConfigurationSchedule(id, session.shop, schedule.startsAt, schedule.endsAt);
+    }
+
     // Delete old rules and create new ones
-    await database.deleteConfigurationRules(id);
+    await database.deleteConfigurationRules(id, session.shop);
     if (rules && rules.length > 0) {
       await database.bulkCreateRules(id, rules);
     }
 
     // Get updated configuration with rules
-    const updated = await database.getConfigurationById(id);
-    const configRules = await database.getConfigurationRules(id);
+    const updated = await database.getConfigurationById(id, session.shop);
+    const configRules = await database.getConfigurationRules(id, session.shop);
+
+    if (existing.managed && !updated.managed) {
+      // Leaving managed mode: the values stay, they just aren't tracked anymore
+      await database.deleteManagedMetafieldsByConfiguration(session.shop, updated.id);
+    } else if (updated.managed) {
+      // Rules or values may have changed for what it already wrote
+      reconcileInBackground(session, updated.id);
+    }
+
+    syncDisplayConfigInBackground(session);
 
     res.json({
       ...updated,
@@ -201,14 +480,22 @@ router.put("/:id", async (req, res) => {
  */
 router.delete("/:id", async (req, res) => {
   try {
+    const session = res.locals.shopify.session;
     const { id } = req.params;
 
-    const existing = await database.getConfigurationById(id);
+    const existing = await database.getConfigurationById(id, session.shop);
     if (!existing) {
       return res.status(404).json({ error: "Configuration not found" });
     }
 
-    await database.deleteConfiguration(id);
+    await database.deleteConfiguration(id, session.shop);
+
+    // Managed values are removed, or reassigned to the configurations that now win them
+    if (existing.managed) {
+      reconcileInBackground(session, existing.id);
+    }
+
+    syncDisplayConfigInBackground(session);
 
     res.json({ success: true, message: "Configuration deleted" });
   } catch (error) {
@@ -226,7 +513,7 @@ router.post("/:id/duplicate", async (req, res) => {
     const session = res.locals.shopify.session;
     const { id } = req.params;
 
-    const existing = await database.getConfigurationById(id);
+    const existing = await database.getConfigurationById(id, session.shop);
     if (!existing) {
       return res.status(404).json({ error: "Configuration not found" });
     }
@@ -236,7 +523,9 @@ router.post("/:id/duplicate", async (req, res) => {
       session.shop
     );
 
-    const rules = await database.getConfigurationRules(duplicated.id);
+    const rules = await database.getConfigurationRules(duplicated.id, session.shop);
+
+    syncDisplayConfigInBackground(session);
 
     res.status(201).json({
       ...duplicated,
@@ -250,15 +539,16 @@ router.post("/:id/duplicate", async (req, res) => {
 
 /**
  * POST /api/configurations/preview
- * Preview products that match given rules (before saving)
+ * Preview products (or variants, with ownerType PRODUCTVARIANT) that match given rules (before saving)
  */
 router.post("/preview", async (req, res) => {
   try {
     const session = res.locals.shopify.session;
-    const { rules } = req.body;
+    const { rules, ownerType = "PRODUCT" } = req.body;
 
-    const client = new shopify.api.clients.Graphql({ session });
-    const matchingProducts = await previewMatchingProducts(client, rules || []);
+    if (await respondWhileIndexing(session, res)) return;
+
+    const matchingProducts = await previewMatchingProducts(session, rules || [], ownerType);
 
     res.json({
       count: matchingProducts.length,
@@ -279,13 +569,14 @@ router.get("/:id/preview", async (req, res) => {
     const session = res.locals.shopify.session;
     const { id } = req.params;
 
-    const configuration = await database.getConfigurationById(id);
+    const configuration = await database.getConfigurationById(id, session.shop);
     if (!configuration) {
       return res.status(404).json({ error: "Configuration not found" });
     }
 
-    const client = new shopify.api.clients.Graphql({ session });
-    const matchingProducts = await findMatchingProducts(client, id);
+    if (await respondWhileIndexing(session, res)) return;
+
+    const matchingProducts = await findMatchingProducts(session, id);
 
     res.json({
       count: matchingProducts.length,
@@ -298,244 +589,77 @@ router.get("/:id/preview", async (req, res) => {
 });
 
 /**
- * POST /api/configurations/:id/apply
- * Apply configuration to all matching products
+ * GET /api/configurations/:id/dry-run
+ * Paginated diff of what applying the configuration would change
+ * summary counts the changes across all matched products, not just the page; keys another
+ * configuration wins on a product are reported as skipped
+ * Query: page (1-based), pageSize (max 50)
  */
-router.post("/:id/apply", async (req, res) => {
+router.get("/:id/dry-run", async (req, res) => {
   try {
     const session = res.locals.shopify.session;
     const { id } = req.params;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 25, 1), 50);
 
-    const configuration = await database.getConfigurationById(id);
+    const configuration = await database.getConfigurationById(id, session.shop);
     if (!configuration) {
       return res.status(404).json({ error: "Configuration not found" });
     }
 
-    const client = new shopify.api.clients.Graphql({ session });
+    if (await respondWhileIndexing(session, res)) return;
 
-    // Find matching products
-    const matchingProducts = await findMatchingProducts(client, id);
+    const { products: matchingProducts, writes, summary } = await getDryRunMatches(session, configuration);
+    const pageProducts = matchingProducts.slice((page - 1) * pageSize, page * pageSize);
 
-    console.log(
-      `[Configurations] Applying configuration ${id} to ${matchingProducts.length} products`
-    );
-
-    // Process metafield configs (create metaobjects if needed)
-    const metafieldConfigs = await processMetafieldConfigs(
-      session,
-      configuration.metafield_configs
-    );
+    const diff = await buildDryRunDiff(session, pageProducts, configuration.metafield_configs, writes);
 
-    // Apply metafields to each product
-    const results = {
+    res.json({
       total: matchingProducts.length,
-      successful: 0,
-      failed: 0,
-      errors: [],
-    };
-
-    for (const product of matchingProducts) {
-      try {
-        await applyMetafieldsToProduct(
-          session,
-          product.id,
-          metafieldConfigs
-        );
-        results.successful++;
-      } catch (error) {
-        results.failed++;
-        results.errors.push({
-          productId: product.id,
-          productTitle: product.title,
-          error: error.message,
-        });
-      }
-    }
-
-    res.json(results);
+      page,
+      pageSize,
+      totalPages: Math.ceil(matchingProducts.length / pageSize),
+      summary,
+      products: diff.products,
+    });
   } catch (error) {
-    console.error("[Configurations] Error applying configuration:", error);
+    console.error("[Configurations] Error building dry-run diff:", error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * Helper function to get metaobject definition ID from metafield definition
+ * POST /api/configurations/:id/apply
+ * Queue a background job applying the configuration to all matching products
+ * Progress is available at GET /api/jobs/:jobId
  */
-async function getMetaobjectDefinitionIdFromMetafield(session, metafieldDefinitionId) {
-  const client = new shopify.api.clients.Graphql({ session });
-
-  const query = `
-    query GetMetafieldDefinition($id: ID!) {
-      metafieldDefinition(id: $id) {
-        id
-        validations {
-          name
-          value
-        }
-      }
-    }
-  `;
-
+router.post("/:id/apply", async (req, res) => {
   try {
-    const response = await client.request(query, {
-      variables: { id: metafieldDefinitionId }
-    });
-
-    const validations = response.data.metafieldDefinition?.validations || [];
-    const metaobjectDefValidation = validations.find(v => v.name === "metaobject_definition_id");
-
-    return metaobjectDefValidation?.value || null;
-  } catch (error) {
-    console.error("Error fetching metafield definition:", error);
-    throw error;
-  }
-}
+    const session = res.locals.shopify.session;
+    const { id } = req.params;
 
-/**
- * Helper function to process metafield configs and create metaobjects if needed
- */
-async function processMetafieldConfigs(session, metafieldConfigs) {
-  const processed = [];
-
-  for (const config of metafieldConfigs) {
-    const processedConfig = { ...config };
-
-    // Handle list.metaobject_reference - create multiple metaobjects
-    if (config.type === "list.metaobject_reference") {
-      // Value should be an array
-      const isValueArray = Array.isArray(config.value);
-
-      if (isValueArray && config.value.length > 0) {
-        // Check if values are already GIDs (from saved config) or field values (from new config)
-        const isGidArray = config.value.every(v =>
-          typeof v === 'string' && v.startsWith('gid://shopify/Metaobject/')
-        );
-
-        if (isGidArray) {
-          // Values are already GIDs - use them as-is
-          console.log(`Using existing metaobject GIDs for ${config.namespace}.${config.key}`);
-          processedConfig.value = config.value;
-          processedConfig.metaobjectIds = config.value;
-        } else {
-          // Values are field objects - need to create metaobjects
-          try {
-            // Get metaobject definition ID
-            let metaobjectDefinitionId = config.metaobjectDefinitionId;
-
-            if (!metaobjectDefinitionId && config.definitionId) {
-              console.log(`Fetching metaobject definition ID for ${config.namespace}.${config.key}`);
-              metaobjectDefinitionId = await getMetaobjectDefinitionIdFromMetafield(
-                session,
-                config.definitionId
-              );
-            }
-
-            if (!metaobjectDefinitionId) {
-              console.warn(
-                `Skipping list.metaobject_reference ${config.namespace}.${config.key} - no metaobject definition ID`
-              );
-              processed.push(processedConfig);
-              continue;
-            }
-
-            // Create a metaobject for each entry in the array
-            const metaobjectGids = [];
-            for (let i = 0; i < config.value.length; i++) {
-              const entryValue = config.value[i];
-
-              // Skip empty objects
-              if (typeof entryValue !== "object" || Object.keys(entryValue).length === 0) {
-                continue;
-              }
-
-              const metaobject = await createOrUpdateMetaobject(
-                session,
-                metaobjectDefinitionId,
-                entryValue,
-                null // Always create new metaobjects for list entries
-              );
-
-              metaobjectGids.push(metaobject.id);
-            }
-
-            // Store array of GIDs as the value
-            processedConfig.value = metaobjectGids;
-            processedConfig.metaobjectIds = metaobjectGids;
-
-            console.log(`Created ${metaobjectGids.length} metaobjects for ${config.namespace}.${config.key}`);
-          } catch (error) {
-            console.error(
-              `Failed to create metaobjects for list ${config.namespace}.${config.key}:`,
-              error
-            );
-            throw error;
-          }
-        }
-      } else {
-        console.warn(
-          `Skipping list.metaobject_reference ${config.namespace}.${config.key} - value is not an array or is empty`
-        );
-      }
+    const configuration = await database.getConfigurationById(id, session.shop);
+    if (!configuration) {
+      return res.status(404).json({ error: "Configuration not found" });
     }
-    // Handle single metaobject_reference
-    else if (config.type === "metaobject_reference") {
-      // Check if value is an object (field values) or already a GID
-      const isValueObject = typeof config.value === "object" && config.value !== null && !Array.isArray(config.value);
-      const isValueGid = typeof config.value === "string" && config.value.startsWith("gid://shopify/Metaobject/");
-
-      if (isValueObject && Object.keys(config.value).length > 0) {
-        // Value contains field values - need to create/update metaobject
-        try {
-          // Get metaobject definition ID - either from config or fetch from metafield definition
-          let metaobjectDefinitionId = config.metaobjectDefinitionId;
-
-          if (!metaobjectDefinitionId && config.definitionId) {
-            // For backwards compatibility - fetch from metafield definition
-            console.log(`Fetching metaobject definition ID for ${config.namespace}.${config.key}`);
-            metaobjectDefinitionId = await getMetaobjectDefinitionIdFromMetafield(
-              session,
-              config.definitionId
-            );
-          }
-
-          if (!metaobjectDefinitionId) {
-            console.warn(
-              `Skipping metaobject_reference ${config.namespace}.${config.key} - no metaobject definition ID`
-            );
-            processed.push(processedConfig);
-            continue;
-          }
-
-          const metaobject = await createOrUpdateMetaobject(
-            session,
-            metaobjectDefinitionId,
-            config.value,
-            config.metaobjectId || null // Will be null for new, GID for updates
-          );
-
-          processedConfig.metaobjectId = metaobject.id;
-          processedConfig.value = metaobject.id;
-        } catch (error) {
-          console.error(
-            `Failed to create/update metaobject for ${config.namespace}.${config.key}:`,
-            error
-          );
-          throw error;
-        }
-      } else if (!isValueGid) {
-        // Value is neither valid field values nor a valid GID
-        console.warn(
-          `Skipping metaobject_reference ${config.namespace}.${config.key} - invalid value`
-        );
-      }
-      // If isValueGid is true, the value is already a GID, keep it as is
+
+    if (!configuration.enabled) {
+      return res.status(409).json({ error: "Configuration is disabled" });
     }
 
-    processed.push(processedConfig);
-  }
+    // Process metafield configs (create metaobjects if needed) once, up front
+    const metafieldConfigs = await processMetafieldConfigs(
+      session,
+      configuration.metafield_configs
+    );
 
-  return processed;
-}
+    const job = await enqueueApplyJob(session.shop, configuration, metafieldConfigs);
+
+    res.status(202).json(formatApplyJob(job));
+  } catch (error) {
+    console.error("[Configurations] Error applying configuration:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
 export default router;
@@ -0,0 +1,144 @@
+/**
+ * Configuration Scheduler - Opens and closes the schedule windows of configurations
+ *
+ * Configurations can have optional starts_at/ends_at bounds; outside them they are ignored
+ * by webhooks and the storefront. This worker polls Postgres for windows that opened or
+ * closed since it last looked (claimed atomically, so several app instances don't double
+ * process them):
+ * - opening queues an apply job for the configuration, which only writes the keys it wins by
+ *   priority on each owner (see apply-jobs.js)
+ * - closing removes or reassigns its values to the next-priority configuration when it is
+ *   managed (see managed-metafields.js), otherwise rolls back the runs of its window, which
+ *   only restores values it still holds (see apply-history.js)
+ * Both republish the keys the theme app blocks render (see storefront-display.js).
+ * Each poll also forgets webhook deliveries too old to be retried (see webhooks.js).
+ */
+
+import shopify from "./shopify.js";
+import database from "./database.js";
+import { enqueueApplyJob, enqueueRollbackJob } from "./apply-jobs.js";
+import { reconcileConfigurationOwners } from "./webhooks.js";
+import { processMetafieldConfigs } from "./metaobject-handler.js";
+import { syncStorefrontDisplayConfig } from "./storefront-display.js";
+
+const POLL_INTERVAL_MS = 60 * 1000;
+// Runs rolled back when a window closes (newest first)
+const MAX_WINDOW_RUNS = 100;
+
+let isRunning = false;
+let schedulerInterval = null;
+
+async function loadOfflineSession(shop) {
+  const sessionId = shopify.api.session.getOfflineId(shop);
+  return await shopify.config.sessionStorage.loadSession(sessionId);
+}
+
+/**
+ * Apply a configuration whose window just opened
+ */
+async function openWindow(configuration) {
+  const session = await loadOfflineSession(configuration.shop);
+  if (!session) {
+    throw new Error(`No session found for shop ${configuration.shop}`);
+  }
+
+  const metafieldConfigs = await processMetafieldConfigs(session, configuration.metafield_configs);
+  const job = await enqueueApplyJob(configuration.shop, configuration, metafieldConfigs, 'schedule');
+
+  console.log(`[Scheduler] Window of configuration ${configuration.id} opened, queued apply job ${job.id}`);
+
+  await syncStorefrontDisplayConfig(session);
+}
+
+/**
+ * Revert what a configuration wrote during the window that just closed
+ */
+async function closeWindow(configuration) {
+  const session = await loadOfflineSession(configuration.shop);
+  if (!session) {
+    throw new Error(`No session found for shop ${configuration.shop}`);
+  }
+
+  await syncStorefrontDisplayConfig(session);
+
+  if (configuration.managed) {
+    // No longer active, so its values go to the next-priority configuration or are removed
+    await reconcileConfigurationOwners(session, configuration.id);
+    console.log(`[Scheduler] Window of configuration ${configuration.id} closed, managed values reconciled`);
+    return;
+  }
+
+  const windowStart = new Date(
+    configuration.schedule_opened_at || configuration.starts_at || configuration.created_at
+  );
+  const runs = (await database.getApplyRuns(configuration.shop, {
+    configurationId: configuration.id,
+    limit: MAX_WINDOW_RUNS,
+  })).filter(run =>
+    new Date(run.created_at) >= windowStart
+      && (run.status === 'completed' || run.status === 'failed')
+      && run.product_count > 0
+  );
+
+  // Newest first, so older snapshots are restored last; a rollback skips values another
+  // configuration (or anyone else) wrote since, instead of clobbering them with the snapshot
+  for (const run of runs) {
+    const job = await enqueueRollbackJob(configuration.shop, run);
+    if (job) {
+      console.log(`[Scheduler] Queued rollback job ${job.id} for run ${run.id}`);
+    }
+  }
+
+  console.log(
+    `[Scheduler] Window of configuration ${configuration.id} closed, rolling back ${runs.length} run(s)`
+  );
+}
+
+/**
+ * Process every window that opened or closed since the last poll
+ * Safe to call repeatedly - only one pass runs per process
+ */
+export async function runScheduledTransitions() {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    for (const configuration of await database.claimClosingConfigurations()) {
+      try {
+        await closeWindow(configuration);
+      } catch (error) {
+        console.error(`[Scheduler] Failed to close window of configuration ${configuration.id}:`, error);
+      }
+    }
+
+    for (const configuration of await database.claimOpeningConfigurations()) {
+      try {
+        await openWindow(configuration);
+      } catch (error) {
+        console.error(`[Scheduler] Failed to open window of configuration ${configuration.id}:`, error);
+      }
+    }
+
+    await database.purgeProcessedWebhooks();
+  } catch (error) {
+    console.error("[Scheduler] Scheduler error:", error);
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Start polling for schedule windows
+ */
+export function startConfigurationScheduler() {
+  if (schedulerInterval) return;
+
+  console.log("[Scheduler] Scheduler started");
+  schedulerInterval = setInterval(runScheduledTransitions, POLL_INTERVAL_MS);
+  runScheduledTransitions();
+}
+
+export default {
+  runScheduledTransitions,
+  startConfigurationScheduler,
+};
@@ -0,0 +1,98 @@
+/**
+ * Conflict Resolver - Decides which configuration's value wins when several configurations
+ * that match the same owner set the same namespace.key
+ *
+ * Configurations are considered in priority order (highest first). The highest-priority
+ * configuration setting a key wins it. For list types, a winner in "merge" mode combines its
+ * values with the next lower-priority configurations setting that key, down to and including
+ * the first one in "override" mode.
+ */
+
+/**
+ * Parse a list metafield value, stored either as an array or as a JSON array string
+ */
+function parseListValue(value) {
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed;
+  } catch {
+    // Single value
+  }
+
+  return value === undefined || value === null || value === '' ? [] : [value];
+}
+
+/**
+ * Combine list values, dropping duplicates but keeping the winner's order first
+ * The result keeps the representation (array or JSON string) of the winning value
+ */
+function mergeListValues(winnerValue, values) {
+  const merged = [];
+  const seen = new Set();
+
+  for (const value of values) {
+    for (const item of parseListValue(value)) {
+      const identity = JSON.stringify(item);
+      if (!seen.has(identity)) {
+        seen.add(identity);
+        merged.push(item);
+      }
+    }
+  }
+
+  return Array.isArray(winnerValue) ? merged : JSON.stringify(merged);
+}
+
+/**
+ * Resolve the metafields to write for one owner
+ *
+ * matches: [{ configuration, metafieldConfigs }] for every configuration matching the owner,
+ * sorted by priority (highest first), with metafieldConfigs already processed
+ *
+ * @returns {{ configuration, metafieldConfigs }[]} each winning configuration with only the
+ * keys it won (merged values included); configurations that won nothing are left out
+ */
+export function resolveMetafieldConflicts(matches) {
+  const contenders = new Map();
+
+  for (const { configuration, metafieldConfigs } of matches) {
+    for (const metafieldConfig of metafieldConfigs) {
+      const key = `${metafieldConfig.namespace}.${metafieldConfig.key}`;
+      if (!contenders.has(key)) {
+        contenders.set(key, []);
+      }
+      contenders.get(key).push({ configuration, metafieldConfig });
+    }
+  }
+
+  const winners = new Map();
+
+  for (const entries of contenders.values()) {
+    const [winner] = entries;
+    let metafieldConfig = winner.metafieldConfig;
+
+    if (metafieldConfig.type?.startsWith('list.') && winner.configuration.conflict_mode === 'merge') {
+      const values = [];
+      for (const entry of entries) {
+        if (entry.metafieldConfig.type !== metafieldConfig.type) continue;
+        values.push(entry.metafieldConfig.value);
+        if (entry !== winner && entry.configuration.conflict_mode !== 'merge') break;
+      }
+      metafieldConfig = { ...metafieldConfig, value: mergeListValues(metafieldConfig.value, values) };
+    }
+
+    const configurationId = winner.configuration.id;
+    if (!winners.has(configurationId)) {
+      winners.set(configurationId, { configuration: winner.configuration, metafieldConfigs: [] });
+    }
+    winners.get(configurationId).metafieldConfigs.push(metafieldConfig);
+  }
+
+  return Array.from(winners.values());
+}
+
+export default {
+  resolveMetafieldConflicts,
+};
@@ -2,6 +2,55 @@ import pg from "pg";
 
 const { Pool } = pg;
 
+// Supported values for configuration_rules.rule_type and configurations.type
+const RULE_TYPES = [
+  'vendor', 'collection', 'category', 'product', 'tag',
+  'price', 'inventory', 'status', 'created_at', 'title', 'handle', 'metafield',
+  'variant_option', 'sku', 'barcode', 'collection_type',
+];
+const CONFIGURATION_TYPES = [...RULE_TYPES, 'combined'];
+
+// Resources a configuration writes its metafields to (metafieldsSet ownerType)
+export const OWNER_TYPES = ['PRODUCT', 'PRODUCTVARIANT', 'COLLECTION'];
+
+// How a configuration's list metafields combine with lower-priority configurations setting the same key
+export const CONFLICT_MODES = ['override', 'merge'];
+
+// Where an apply run came from: the app UI, a product webhook or the configuration scheduler
+const APPLY_RUN_SOURCES = ['manual', 'webhook', 'schedule'];
+
+// Why a managed metafield lost its configuration (managed_metafield_removals.reason)
+const MANAGED_REMOVAL_REASONS = [
+  'no_longer_matches', 'outranked', 'configuration_deleted', 'configuration_inactive',
+];
+
+// Configurations that are enabled and whose schedule window (if any) is open right now
+export const ACTIVE_CONFIGURATION_CONDITION = `enabled
+  AND (starts_at IS NULL OR starts_at <= CURRENT_TIMESTAMP)
+  AND (ends_at IS NULL OR ends_at > CURRENT_TIMESTAMP)`;
+
+// Largest SERIAL id (a Postgres integer)
+const MAX_SERIAL_ID = 2147483647;
+
+// Whether a route parameter can be a SERIAL id, so handlers don't let Postgres fail on it
+export function isSerialId(value) {
+  return /^\d+$/.test(value) && Number(value) > 0 && Number(value) <= MAX_SERIAL_ID;
+}
+
+// Parse metafield_configs JSON of a configurations row
+function parseConfigurationRow(config) {
+  return {
+    ...config,
+    metafield_configs: typeof config.metafield_configs === 'string'
+      ? JSON.parse(config.metafield_configs)
+      : config.metafield_configs
+  };
+}
+
+function sqlList(values) {
+  return values.map(value => `'${value}'`).join(', ');
+}
+
 // PostgreSQL Database Class
 class PostgreSQLDatabase {
   constructor(connectionString) {
@@ -42,11 +91,19 @@ class PostgreSQLDatabase {
         id SERIAL PRIMARY KEY,
         shop TEXT NOT NULL,
         name TEXT,
-        type TEXT NOT NULL CHECK (type IN ('vendor', 'category', 'collection', 'product', 'combined')),
+        type TEXT NOT NULL CHECK (type IN (${sqlList(CONFIGURATION_TYPES)})),
         metafield_configs TEXT NOT NULL,
         priority INTEGER NOT NULL DEFAULT 0,
         show_on_storefront BOOLEAN DEFAULT false,
         storefront_position TEXT DEFAULT 'after_price',
+        owner_type TEXT NOT NULL DEFAULT 'PRODUCT',
+        conflict_mode TEXT NOT NULL DEFAULT 'override' CHECK (conflict_mode IN (${sqlList(CONFLICT_MODES)})),
+        managed BOOLEAN NOT NULL DEFAULT false,
+        enabled BOOLEAN NOT NULL DEFAULT true,
+        starts_at TIMESTAMPTZ,
+        ends_at TIMESTAMPTZ,
+        schedule_opened_at TIMESTAMPTZ,
+        schedule_closed_at TIMESTAMPTZ,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
@@ -62,6 +119,31 @@ class PostgreSQLDatabase {
         ALTER TABLE configurations
         ADD COLUMN IF NOT EXISTS storefront_position TEXT DEFAULT 'after_price'
       `);
+      await this.query(`
+        ALTER TABLE configurations
+        ADD COLUMN IF NOT EXISTS owner_type TEXT NOT NULL DEFAULT 'PRODUCT'
+      `);
+      await this.query(`
+        ALTER TABLE configurations
+        ADD COLUMN IF NOT EXISTS conflict_mode TEXT NOT NULL DEFAULT 'override'
+          CHECK (conflict_mode IN (${sqlList(CONFLICT_MODES)}))
+      `);
+      await this.query(`
+        ALTER TABLE configurations
+        ADD COLUMN IF NOT EXISTS managed BOOLEAN NOT NULL DEFAULT false
+      `);
+      await this.query(`
+        ALTER TABLE configurations
+        ADD COLUMN IF NOT EXISTS enabled BOOLEAN NOT NULL DEFAULT true
+      `);
+      // Optional schedule window, and when the scheduler last opened/closed it
+      await this.query(`
+        ALTER TABLE configurations
+        ADD COLUMN IF NOT EXISTS starts_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS ends_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS schedule_opened_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS schedule_closed_at TIMESTAMPTZ
+      `);
     } catch (err) {
       console.log('[Database] Columns may already exist:', err.message);
     }
@@ -72,10 +154,12 @@ class PostgreSQLDatabase {
         id SERIAL PRIMARY KEY,
         configuration_id INTEGER NOT NULL,
         parent_id INTEGER,
-        rule_type TEXT NOT NULL CHECK (rule_type IN ('vendor', 'collection', 'category', 'product')),
+        rule_type TEXT NOT NULL CHECK (rule_type IN (${sqlList(RULE_TYPES)})),
         rule_value TEXT NOT NULL,
         rule_id TEXT,
         operator TEXT NOT NULL CHECK (operator IN ('AND', 'OR')),
+        negate BOOLEAN NOT NULL DEFAULT false,
+        comparison TEXT,
         level INTEGER NOT NULL DEFAULT 0,
         position INTEGER NOT NULL DEFAULT 0,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -84,6 +168,334 @@ class PostgreSQLDatabase {
       )
     `);
 
+    try {
+      await this.query(`
+        ALTER TABLE configuration_rules
+        ADD COLUMN IF NOT EXISTS negate BOOLEAN NOT NULL DEFAULT false
+      `);
+      // How comparison rules (price, title, ...) compare rule_value; NULL means equals
+      await this.query(`
+        ALTER TABLE configuration_rules
+        ADD COLUMN IF NOT EXISTS comparison TEXT
+      `);
+    } catch (err) {
+      console.log('[Database] Columns may already exist:', err.message);
+    }
+
+    // Keep the CHECK constraints of existing tables in sync with RULE_TYPES and OWNER_TYPES
+    try {
+      await this.query(`
+        ALTER TABLE configurations
+        DROP CONSTRAINT IF EXISTS configurations_type_check
+      `);
+      await this.query(`
+        ALTER TABLE configurations
+        ADD CONSTRAINT configurations_type_check CHECK (type IN (${sqlList(CONFIGURATION_TYPES)}))
+      `);
+      await this.query(`
+        ALTER TABLE configurations
+        DROP CONSTRAINT IF EXISTS configurations_owner_type_check
+      `);
+      await this.query(`
+        ALTER TABLE configurations
+        ADD CONSTRAINT configurations_owner_type_check CHECK (owner_type IN (${sqlList(OWNER_TYPES)}))
+      `);
+      await this.query(`
+        ALTER TABLE configuration_rules
+        DROP CONSTRAINT IF EXISTS configuration_rules_rule_type_check
+      `);
+      await this.query(`
+        ALTER TABLE configuration_rules
+        ADD CONSTRAINT configuration_rules_rule_type_check CHECK (rule_type IN (${sqlList(RULE_TYPES)}))
+      `);
+    } catch (err) {
+      console.log('[Database] Could not update type constraints:', err.message);
+    }
+
+    // Create apply_jobs table (background bulk apply with progress tracking)
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS apply_jobs (
+        id SERIAL PRIMARY KEY,
+        shop TEXT NOT NULL,
+        configuration_id INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+        metafield_configs TEXT NOT NULL,
+        products TEXT,
+        total_count INTEGER NOT NULL DEFAULT 0,
+        processed_count INTEGER NOT NULL DEFAULT 0,
+        successful_count INTEGER NOT NULL DEFAULT 0,
+        failed_count INTEGER NOT NULL DEFAULT 0,
+        errors TEXT NOT NULL DEFAULT '[]',
+        error_message TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        FOREIGN KEY (configuration_id) REFERENCES configurations (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create apply run history (prior metafield values per product, for rollback)
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS apply_runs (
+        id SERIAL PRIMARY KEY,
+        shop TEXT NOT NULL,
+        configuration_id INTEGER,
+        configuration_name TEXT,
+        source TEXT NOT NULL CHECK (source IN (${sqlList(APPLY_RUN_SOURCES)})),
+        status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed', 'rolling_back', 'rolled_back')),
+        product_count INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP,
+        rolled_back_at TIMESTAMP,
+        FOREIGN KEY (configuration_id) REFERENCES configurations (id) ON DELETE SET NULL
+      )
+    `);
+
+    // previous_value/previous_type are NULL when the metafield didn't exist before the run
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS apply_run_snapshots (
+        run_id INTEGER NOT NULL,
+        product_id TEXT NOT NULL,
+        namespace TEXT NOT NULL,
+        key TEXT NOT NULL,
+        previous_value TEXT,
+        previous_type TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (run_id, product_id, namespace, key),
+        FOREIGN KEY (run_id) REFERENCES apply_runs (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Owners a run wrote to, so product_count stays distinct when a job resumes a batch
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS apply_run_products (
+        run_id INTEGER NOT NULL,
+        product_id TEXT NOT NULL,
+        PRIMARY KEY (run_id, product_id),
+        FOREIGN KEY (run_id) REFERENCES apply_runs (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Apply jobs also carry rollbacks of an apply run
+    try {
+      // What the run wrote, so a rollback leaves values changed since then alone
+      await this.query(`
+        ALTER TABLE apply_run_snapshots
+        ADD COLUMN IF NOT EXISTS written_value TEXT
+      `);
+      await this.query(`
+        ALTER TABLE apply_jobs
+        ADD COLUMN IF NOT EXISTS job_type TEXT NOT NULL DEFAULT 'apply'
+      `);
+      await this.query(`
+        ALTER TABLE apply_jobs
+        ADD COLUMN IF NOT EXISTS apply_run_id INTEGER REFERENCES apply_runs (id) ON DELETE SET NULL
+      `);
+      await this.query(`
+        ALTER TABLE apply_jobs
+        ALTER COLUMN configuration_id DROP NOT NULL
+      `);
+      await this.query(`
+        ALTER TABLE apply_runs
+        DROP CONSTRAINT IF EXISTS apply_runs_source_check
+      `);
+      await this.query(`
+        ALTER TABLE apply_runs
+        ADD CONSTRAINT apply_runs_source_check CHECK (source IN (${sqlList(APPLY_RUN_SOURCES)}))
+      `);
+    } catch (err) {
+      console.log('[Database] Columns may already exist:', err.message);
+    }
+
+    // Create local product index tables (mirror of the catalog fields used by rules)
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS product_index (
+        shop TEXT NOT NULL,
+        product_id TEXT NOT NULL,
+        handle TEXT,
+        title TEXT,
+        vendor TEXT,
+        product_type TEXT,
+        category_id TEXT,
+        category_name TEXT,
+        tags TEXT NOT NULL DEFAULT '[]',
+        min_price NUMERIC,
+        total_inventory INTEGER,
+        status TEXT,
+        product_created_at TIMESTAMPTZ,
+        indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (shop, product_id)
+      )
+    `);
+
+    // Fields used by comparison rules (filled by the next sync, see INDEX_VERSION in product-index.js)
+    try {
+      await this.query(`
+        ALTER TABLE product_index
+        ADD COLUMN IF NOT EXISTS min_price NUMERIC,
+        ADD COLUMN IF NOT EXISTS total_inventory INTEGER,
+        ADD COLUMN IF NOT EXISTS status TEXT,
+        ADD COLUMN IF NOT EXISTS product_created_at TIMESTAMPTZ
+      `);
+    } catch (err) {
+      console.log('[Database] Columns may already exist:', err.message);
+    }
+
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS collection_index (
+        shop TEXT NOT NULL,
+        collection_id TEXT NOT NULL,
+        title TEXT,
+        handle TEXT,
+        collection_type TEXT,
+        indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (shop, collection_id)
+      )
+    `);
+
+    try {
+      // smart or custom; NULL until the collection is synced or updated by webhook
+      await this.query(`
+        ALTER TABLE collection_index
+        ADD COLUMN IF NOT EXISTS collection_type TEXT
+      `);
+    } catch (err) {
+      console.log('[Database] Columns may already exist:', err.message);
+    }
+
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS product_index_collections (
+        shop TEXT NOT NULL,
+        product_id TEXT NOT NULL,
+        collection_id TEXT NOT NULL,
+        PRIMARY KEY (shop, product_id, collection_id)
+      )
+    `);
+
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS product_variant_index (
+        shop TEXT NOT NULL,
+        variant_id TEXT NOT NULL,
+        product_id TEXT NOT NULL,
+        title TEXT,
+        sku TEXT,
+        barcode TEXT,
+        price NUMERIC,
+        inventory_quantity INTEGER,
+        selected_options TEXT NOT NULL DEFAULT '[]',
+        position INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (shop, variant_id)
+      )
+    `);
+
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS product_index_syncs (
+        shop TEXT PRIMARY KEY,
+        status TEXT NOT NULL CHECK (status IN ('running', 'completed', 'failed')),
+        product_count INTEGER NOT NULL DEFAULT 0,
+        error_message TEXT,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP,
+        last_synced_at TIMESTAMP,
+        index_version INTEGER
+      )
+    `);
+
+    try {
+      await this.query(`
+        ALTER TABLE product_index_syncs
+        ADD COLUMN IF NOT EXISTS index_version INTEGER
+      `);
+    } catch (err) {
+      console.log('[Database] Columns may already exist:', err.message);
+    }
+
+    // Webhook deliveries already handled (x-shopify-webhook-id), to drop duplicates
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS processed_webhooks (
+        webhook_id TEXT PRIMARY KEY,
+        shop TEXT NOT NULL,
+        topic TEXT NOT NULL,
+        processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Hash of the inputs a product was last evaluated with by the product webhooks
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS product_evaluations (
+        shop TEXT NOT NULL,
+        product_id TEXT NOT NULL,
+        input_hash TEXT NOT NULL,
+        evaluated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (shop, product_id)
+      )
+    `);
+
+    // Metafields written by managed configurations, so they can be removed or reassigned
+    // when the owner stops matching. Rows outlive deleted configurations on purpose.
+    // product_id is the owner's product (itself for products), null for collections
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS managed_metafields (
+        shop TEXT NOT NULL,
+        owner_id TEXT NOT NULL,
+        product_id TEXT,
+        namespace TEXT NOT NULL,
+        key TEXT NOT NULL,
+        configuration_id INTEGER NOT NULL,
+        configuration_name TEXT,
+        value TEXT NOT NULL,
+        written_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (shop, owner_id, namespace, key)
+      )
+    `);
+
+    // Report of managed metafields that were removed, reassigned or kept because they were edited
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS managed_metafield_removals (
+        id SERIAL PRIMARY KEY,
+        shop TEXT NOT NULL,
+        configuration_id INTEGER NOT NULL,
+        configuration_name TEXT,
+        owner_id TEXT NOT NULL,
+        namespace TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT,
+        action TEXT NOT NULL CHECK (action IN ('removed', 'reassigned', 'kept')),
+        reason TEXT NOT NULL CHECK (reason IN (${sqlList(MANAGED_REMOVAL_REASONS)})),
+        reassigned_to INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Cached /storefront-config responses per product handle (see storefront-payload.js)
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS storefront_payloads (
+        shop TEXT NOT NULL,
+        product_handle TEXT NOT NULL,
+        product_id TEXT NOT NULL,
+        configurations_version TEXT NOT NULL,
+        payload JSONB NOT NULL,
+        etag TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (shop, product_handle)
+      )
+    `);
+
+    try {
+      await this.query(`
+        ALTER TABLE managed_metafield_removals
+        DROP CONSTRAINT IF EXISTS managed_metafield_removals_reason_check
+      `);
+      await this.query(`
+        ALTER TABLE managed_metafield_removals
+        ADD CONSTRAINT managed_metafield_removals_reason_check
+          CHECK (reason IN (${sqlList(MANAGED_REMOVAL_REASONS)}))
+      `);
+    } catch (err) {
+      console.log('[Database] Columns may already exist:', err.message);
+    }
+
     // Create indexes
     await this.query(`
       CREATE INDEX IF NOT EXISTS idx_configurations_shop ON configurations(shop)
@@ -93,6 +505,19 @@ class PostgreSQLDatabase {
       CREATE INDEX IF NOT EXISTS idx_configurations_priority ON configurations(priority DESC)
     `);
 
+    await this.query(`
+      CREATE INDEX IF NOT EXISTS idx_processed_webhooks_processed_at ON processed_webhooks(processed_at)
+    `);
+
+    await this.query(`
+      CREATE INDEX IF NOT EXISTS idx_managed_metafields_configuration ON managed_metafields(shop, configuration_id)
+    `);
+
+    await this.query(`
+      CREATE INDEX IF NOT EXISTS idx_managed_metafield_removals_shop
+        ON managed_metafield_removals(shop, created_at DESC)
+    `);
+
     await this.query(`
       CREATE INDEX IF NOT EXISTS idx_configuration_rules_config_id ON configuration_rules(configuration_id)
     `);
@@ -101,6 +526,27 @@ class PostgreSQLDatabase {
       CREATE INDEX IF NOT EXISTS idx_configuration_rules_parent_id ON configuration_rules(parent_id)
     `);
 
+    await this.query(`
+      CREATE INDEX IF NOT EXISTS idx_apply_jobs_status ON apply_jobs(status, created_at)
+    `);
+
+    await this.query(`
+      CREATE INDEX IF NOT EXISTS idx_apply_runs_shop ON apply_runs(shop, created_at DESC)
+    `);
+
+    await this.query(`
+      CREATE INDEX IF NOT EXISTS idx_product_variant_index_product ON product_variant_index(shop, product_id)
+    `);
+
+    await this.query(`
+      CREATE INDEX IF NOT EXISTS idx_product_index_collections_collection
+      ON product_index_collections(shop, collection_id)
+    `);
+
+    await this.query(`
+      CREATE INDEX IF NOT EXISTS idx_storefront_payloads_product ON storefront_payloads(shop, product_id)
+    `);
+
     console.log("[Database] PostgreSQL initialized successfully");
   }
 
@@ -134,16 +580,35 @@ class Database {
   }
 
   // Configuration operations
-  async createConfiguration(shop, name, type, metafieldConfigs, priority = 0) {
+  async createConfiguration(
+    shop, name, type, metafieldConfigs, priority = 0, ownerType = 'PRODUCT', conflictMode = 'override',
+    managed = false, startsAt = null, endsAt = null
+  ) {
     const result = await this.query(
-      `INSERT INTO configurations (shop, name, type, metafield_configs, priority)
-       VALUES (?, ?, ?, ?, ?)
+      `INSERT INTO configurations
+         (shop, name, type, metafield_configs, priority, owner_type, conflict_mode, managed, starts_at, ends_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
        RETURNING *`,
-      [shop, name, type, JSON.stringify(metafieldConfigs), priority]
+      [
+        shop, name, type, JSON.stringify(metafieldConfigs), priority, ownerType, conflictMode,
+        managed, startsAt, endsAt,
+      ]
     );
     return result.rows[0];
   }
 
+  // Configurations in effect right now (see ACTIVE_CONFIGURATION_CONDITION), by priority
+  async getActiveConfigurations(shop) {
+    const result = await this.query(
+      `SELECT * FROM configurations
+       WHERE shop = ? AND ${ACTIVE_CONFIGURATION_CONDITION}
+       ORDER BY priority DESC, created_at DESC`,
+      [shop]
+    );
+
+    return result.rows.map(parseConfigurationRow);
+  }
+
   async getAllConfigurations(shop) {
     const result = await this.query(
       `SELECT * FROM configurations
@@ -153,46 +618,89 @@ class Database {
     );
 
     // Parse metafield_configs JSON
-    return result.rows.map(config => ({
-      ...config,
-      metafield_configs: typeof config.metafield_configs === 'string'
-        ? JSON.parse(config.metafield_configs)
-        : config.metafield_configs
-    }));
+    return result.rows.map(parseConfigurationRow);
   }
 
-  async getConfigurationById(id) {
+  // Configuration accessors take the shop so one shop can never reach another's rows
+  async getConfigurationById(id, shop) {
     const result = await this.query(
-      "SELECT * FROM configurations WHERE id = ?",
-      [id]
+      "SELECT * FROM configurations WHERE id = ? AND shop = ?",
+      [id, shop]
     );
     const config = result.rows[0];
 
-    if (config && config.metafield_configs) {
-      if (typeof config.metafield_configs === 'string') {
-        config.metafield_configs = JSON.parse(config.metafield_configs);
-      }
-    }
+    return config && parseConfigurationRow(config);
+  }
+
+  async updateConfiguration(
+    id, shop, name, type, metafieldConfigs, ownerType = null, conflictMode = null, managed = null
+  ) {
+    await this.query(
+      `UPDATE configurations
+       SET name = ?, type = ?, metafield_configs = ?, owner_type = COALESCE(?, owner_type),
+           conflict_mode = COALESCE(?, conflict_mode), managed = COALESCE(?, managed),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND shop = ?`,
+      [name, type, JSON.stringify(metafieldConfigs), ownerType, conflictMode, managed, id, shop]
+    );
+  }
 
-    return config;
+  // Enable or pause several configurations of a shop at once; returns the updated rows
+  async setConfigurationsEnabled(shop, ids, enabled) {
+    const result = await this.query(
+      `UPDATE configurations
+       SET enabled = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE shop = ? AND id = ANY(?) AND enabled <> ?
+       RETURNING *`,
+      [enabled, shop, ids, enabled]
+    );
+    return result.rows.map(parseConfigurationRow);
   }
 
-  async updateConfiguration(id, name, type, metafieldConfigs) {
+  // null clears a bound; the scheduler re-opens/closes the window according to the new bounds
+  async updateConfigurationSchedule(id, shop, startsAt, endsAt) {
     await this.query(
       `UPDATE configurations
-       SET name = ?, type = ?, metafield_configs = ?, updated_at = CURRENT_TIMESTAMP
-       WHERE id = ?`,
-      [name, type, JSON.stringify(metafieldConfigs), id]
+       SET starts_at = ?, ends_at = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND shop = ?`,
+      [startsAt, endsAt, id, shop]
+    );
+  }
+
+  // Scheduled configurations whose window has opened since the scheduler last looked
+  // (first time, start moved later, or reopened after the end was extended)
+  async claimOpeningConfigurations() {
+    const result = await this.query(
+      `UPDATE configurations
+       SET schedule_opened_at = CURRENT_TIMESTAMP
+       WHERE starts_at IS NOT NULL AND ${ACTIVE_CONFIGURATION_CONDITION}
+         AND (schedule_opened_at IS NULL
+           OR schedule_opened_at < starts_at
+           OR schedule_closed_at >= schedule_opened_at)
+       RETURNING *`
+    );
+    return result.rows.map(parseConfigurationRow);
+  }
+
+  // Scheduled configurations whose window has closed since the scheduler last looked
+  async claimClosingConfigurations() {
+    const result = await this.query(
+      `UPDATE configurations
+       SET schedule_closed_at = CURRENT_TIMESTAMP
+       WHERE ends_at IS NOT NULL AND ends_at <= CURRENT_TIMESTAMP
+         AND (schedule_closed_at IS NULL OR schedule_closed_at < ends_at)
+       RETURNING *`
     );
+    return result.rows;
   }
 
-  async deleteConfiguration(id) {
-    await this.query("DELETE FROM configurations WHERE id = ?", [id]);
+  async deleteConfiguration(id, shop) {
+    await this.query("DELETE FROM configurations WHERE id = ? AND shop = ?", [id, shop]);
   }
 
   async duplicateConfiguration(id, shop) {
     // Get original configuration
-    const original = await this.getConfigurationById(id);
+    const original = await this.getConfigurationById(id, shop);
     if (!original) return null;
 
     // Create new configuration with "Copy" suffix
@@ -202,11 +710,16 @@ class Database {
       newName,
       original.type,
       original.metafield_configs,
-      original.priority
+      original.priority,
+      original.owner_type,
+      original.conflict_mode,
+      original.managed,
+      original.starts_at,
+      original.ends_at
     );
 
     // Get original rules
-    const rules = await this.getConfigurationRules(id);
+    const rules = await this.getConfigurationRules(id, shop);
 
     // Duplicate rules with new configuration_id
     for (const rule of rules) {
@@ -218,58 +731,82 @@ class Database {
         rule.rule_id,
         rule.operator,
         rule.level,
-        rule.position
+        rule.position,
+        rule.negate,
+        rule.comparison
       );
     }
 
     return newConfig;
   }
 
-  async updateConfigurationPriority(id, priority) {
+  async updateConfigurationPriority(id, shop, priority) {
     console.log('[Database] Updating priority:', { id, priority, idType: typeof id, priorityType: typeof priority });
     await this.query(
-      "UPDATE configurations SET priority = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
-      [priority, id]
+      "UPDATE configurations SET priority = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND shop = ?",
+      [priority, id, shop]
     );
   }
 
-  async updateAllPriorities(priorities) {
+  // Ids (of the given ones) that belong to the shop
+  async getOwnedConfigurationIds(shop, ids) {
+    const result = await this.query(
+      "SELECT id FROM configurations WHERE shop = ? AND id = ANY(?)",
+      [shop, ids]
+    );
+    return result.rows.map(row => row.id);
+  }
+
+  async updateAllPriorities(shop, priorities) {
     // priorities is an array of { id, priority }
     for (const { id, priority } of priorities) {
-      await this.updateConfigurationPriority(id, priority);
+      await this.updateConfigurationPriority(id, shop, priority);
     }
   }
 
   // Configuration rules operations
-  async createConfigurationRule(configId, parentId, ruleType, ruleValue, ruleId, operator, level, position) {
+  async createConfigurationRule(
+    configId, parentId, ruleType, ruleValue, ruleId, operator, level, position,
+    negate = false, comparison = null
+  ) {
     const result = await this.query(
-      `INSERT INTO configuration_rules (configuration_id, parent_id, rule_type, rule_value, rule_id, operator, level, position)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `INSERT INTO configuration_rules
+         (configuration_id, parent_id, rule_type, rule_value, rule_id, operator, level, position, negate, comparison)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
        RETURNING *`,
-      [configId, parentId, ruleType, ruleValue, ruleId, operator, level, position]
+      [configId, parentId, ruleType, ruleValue, ruleId, operator, level, position, negate, comparison]
     );
     return result.rows[0];
   }
 
-  async getConfigurationRules(configId) {
+  // Rules have no shop column; they are scoped through their configuration
+  async getConfigurationRules(configId, shop) {
     const result = await this.query(
-      `SELECT * FROM configuration_rules
-       WHERE configuration_id = ?
-       ORDER BY level, position`,
-      [configId]
+      `SELECT r.* FROM configuration_rules r
+       JOIN configurations c ON c.id = r.configuration_id
+       WHERE r.configuration_id = ? AND c.shop = ?
+       ORDER BY r.level, r.position`,
+      [configId, shop]
     );
     return result.rows;
   }
 
-  async deleteConfigurationRules(configId) {
+  async deleteConfigurationRules(configId, shop) {
     await this.query(
-      "DELETE FROM configuration_rules WHERE configuration_id = ?",
-      [configId]
+      `DELETE FROM configuration_rules r
+       USING configurations c
+       WHERE c.id = r.configuration_id AND r.configuration_id = ? AND c.shop = ?`,
+      [configId, shop]
     );
   }
 
-  async deleteConfigurationRule(ruleId) {
-    await this.query("DELETE FROM configuration_rules WHERE id = ?", [ruleId]);
+  async deleteConfigurationRule(ruleId, shop) {
+    await this.query(
+      `DELETE FROM configuration_rules r
+       USING configurations c
+       WHERE c.id = r.configuration_id AND r.id = ? AND c.shop = ?`,
+      [ruleId, shop]
+    );
   }
 
   async bulkCreateRules(configId, rules) {
@@ -298,7 +835,9 @@ class Database {
         rule.ruleId || rule.rule_id || null,
         rule.operator,
         rule.level,
-        rule.position
+        rule.position,
+        !!rule.negate,
+        rule.comparison || null
       );
 
       // Store mapping of old ID to new database ID
@@ -311,6 +850,718 @@ class Database {
     return createdRules;
   }
 
+  // Apply job operations
+  async createApplyJob(shop, configurationId, metafieldConfigs, applyRunId = null) {
+    const result = await this.query(
+      `INSERT INTO apply_jobs (shop, configuration_id, metafield_configs, apply_run_id)
+       VALUES (?, ?, ?, ?)
+       RETURNING *`,
+      [shop, configurationId, JSON.stringify(metafieldConfigs), applyRunId]
+    );
+    return this.parseApplyJob(result.rows[0]);
+  }
+
+  async createRollbackJob(shop, run) {
+    const result = await this.query(
+      `INSERT INTO apply_jobs (shop, configuration_id, metafield_configs, job_type, apply_run_id)
+       VALUES (?, ?, '[]', 'rollback', ?)
+       RETURNING *`,
+      [shop, run.configuration_id, run.id]
+    );
+    return this.parseApplyJob(result.rows[0]);
+  }
+
+  async getApplyJobById(id, shop) {
+    const result = await this.query(
+      "SELECT * FROM apply_jobs WHERE id = ? AND shop = ?",
+      [id, shop]
+    );
+    return this.parseApplyJob(result.rows[0]);
+  }
+
+  /**
+   * Atomically claim the oldest pending job, or a running job whose worker
+   * stopped sending heartbeats (e.g. the server restarted mid-run)
+   */
+  async claimNextApplyJob(staleAfterSeconds) {
+    const result = await this.query(
+      `UPDATE apply_jobs
+       SET status = 'running',
+           started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = (
+         SELECT id FROM apply_jobs
+         WHERE status = 'pending'
+            OR (status = 'running' AND updated_at < CURRENT_TIMESTAMP - (? * INTERVAL '1 second'))
+         ORDER BY created_at
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [staleAfterSeconds]
+    );
+    return this.parseApplyJob(result.rows[0]);
+  }
+
+  async setApplyJobProducts(id, products) {
+    await this.query(
+      `UPDATE apply_jobs
+       SET products = ?, total_count = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [JSON.stringify(products), products.length, id]
+    );
+  }
+
+  async updateApplyJobProgress(id, { processed, successful, failed, errors }) {
+    await this.query(
+      `UPDATE apply_jobs
+       SET processed_count = ?, successful_count = ?, failed_count = ?, errors = ?,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [processed, successful, failed, JSON.stringify(errors), id]
+    );
+  }
+
+  async finishApplyJob(id, status, errorMessage = null) {
+    await this.query(
+      `UPDATE apply_jobs
+       SET status = ?, error_message = ?, updated_at = CURRENT_TIMESTAMP, completed_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, errorMessage, id]
+    );
+  }
+
+  parseApplyJob(job) {
+    if (!job) return job;
+
+    return {
+      ...job,
+      metafield_configs: typeof job.metafield_configs === 'string'
+        ? JSON.parse(job.metafield_configs)
+        : job.metafield_configs,
+      products: typeof job.products === 'string' ? JSON.parse(job.products) : job.products,
+      errors: typeof job.errors === 'string' ? JSON.parse(job.errors) : job.errors,
+    };
+  }
+
+  // Apply run history operations
+  async createApplyRun(shop, configuration, source) {
+    const result = await this.query(
+      `INSERT INTO apply_runs (shop, configuration_id, configuration_name, source)
+       VALUES (?, ?, ?, ?)
+       RETURNING *`,
+      [shop, configuration.id, configuration.name, source]
+    );
+    return result.rows[0];
+  }
+
+  async getApplyRunById(id, shop) {
+    const result = await this.query(
+      "SELECT * FROM apply_runs WHERE id = ? AND shop = ?",
+      [id, shop]
+    );
+    return result.rows[0];
+  }
+
+  async getApplyRuns(shop, { configurationId = null, limit = 20 } = {}) {
+    const result = await this.query(
+      `SELECT * FROM apply_runs
+       WHERE shop = ? AND (?::INTEGER IS NULL OR configuration_id = ?)
+       ORDER BY created_at DESC, id DESC
+       LIMIT ?`,
+      [shop, configurationId, configurationId, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Record the owners a run wrote to; product_count counts each once, even when a resumed
+   * job writes a batch again
+   */
+  async addApplyRunProducts(id, productIds) {
+    for (const productId of productIds) {
+      await this.query(
+        `INSERT INTO apply_run_products (run_id, product_id)
+         VALUES (?, ?)
+         ON CONFLICT (run_id, product_id) DO NOTHING`,
+        [id, productId]
+      );
+    }
+    await this.query(
+      `UPDATE apply_runs
+       SET product_count = (SELECT COUNT(*) FROM apply_run_products WHERE run_id = ?)
+       WHERE id = ?`,
+      [id, id]
+    );
+  }
+
+  async finishApplyRun(id, status) {
+    await this.query(
+      `UPDATE apply_runs
+       SET status = ?, completed_at = COALESCE(completed_at, CURRENT_TIMESTAMP),
+           rolled_back_at = CASE WHEN ? = 'rolled_back' THEN CURRENT_TIMESTAMP ELSE rolled_back_at END
+       WHERE id = ?`,
+      [status, status, id]
+    );
+  }
+
+  /**
+   * Move a finished run into rolling_back; returns false if it isn't finished
+   * or a rollback is already underway
+   */
+  async startApplyRunRollback(id) {
+    const result = await this.query(
+      `UPDATE apply_runs SET status = 'rolling_back'
+       WHERE id = ? AND status IN ('completed', 'failed')
+       RETURNING *`,
+      [id]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Store prior values; the first snapshot wins so a resumed batch keeps the true originals
+   */
+  async saveApplyRunSnapshots(runId, snapshots) {
+    for (const snapshot of snapshots) {
+      await this.query(
+        `INSERT INTO apply_run_snapshots
+           (run_id, product_id, namespace, key, previous_value, previous_type, written_value)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (run_id, product_id, namespace, key) DO NOTHING`,
+        [
+          runId,
+          snapshot.productId,
+          snapshot.namespace,
+          snapshot.key,
+          snapshot.previousValue,
+          snapshot.previousType,
+          snapshot.writtenValue,
+        ]
+      );
+    }
+  }
+
+  async getApplyRunProductIds(runId) {
+    const result = await this.query(
+      `SELECT DISTINCT product_id FROM apply_run_snapshots
+       WHERE run_id = ?
+       ORDER BY product_id`,
+      [runId]
+    );
+    return result.rows.map(row => row.product_id);
+  }
+
+  async getApplyRunSnapshots(runId, productIds) {
+    const result = await this.query(
+      `SELECT * FROM apply_run_snapshots
+       WHERE run_id = ? AND product_id = ANY(?)`,
+      [runId, productIds]
+    );
+    return result.rows;
+  }
+
+  // Product index operations
+  async upsertIndexedProduct(shop, product) {
+    await this.query(
+      `INSERT INTO product_index
+         (shop, product_id, handle, title, vendor, product_type, category_id, category_name, tags,
+          min_price, total_inventory, status, product_created_at, indexed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT (shop, product_id) DO UPDATE SET
+         handle = EXCLUDED.handle,
+         title = EXCLUDED.title,
+         vendor = EXCLUDED.vendor,
+         product_type = EXCLUDED.product_type,
+         category_id = EXCLUDED.category_id,
+         category_name = EXCLUDED.category_name,
+         tags = EXCLUDED.tags,
+         min_price = EXCLUDED.min_price,
+         total_inventory = EXCLUDED.total_inventory,
+         status = EXCLUDED.status,
+         product_created_at = EXCLUDED.product_created_at,
+         indexed_at = CURRENT_TIMESTAMP`,
+      [
+        shop,
+        product.id,
+        product.handle,
+        product.title,
+        product.vendor,
+        product.productType,
+        product.category?.id || null,
+        product.category?.name || null,
+        JSON.stringify(product.tags || []),
+        product.price,
+        product.totalInventory,
+        product.status,
+        product.createdAt,
+      ]
+    );
+  }
+
+  async setIndexedProductCollections(shop, productId, collectionIds) {
+    await this.query(
+      "DELETE FROM product_index_collections WHERE shop = ? AND product_id = ?",
+      [shop, productId]
+    );
+
+    for (const collectionId of collectionIds) {
+      await this.query(
+        `INSERT INTO product_index_collections (shop, product_id, collection_id)
+         VALUES (?, ?, ?)
+         ON CONFLICT DO NOTHING`,
+        [shop, productId, collectionId]
+      );
+    }
+  }
+
+  async setIndexedProductVariants(shop, productId, variants) {
+    await this.query(
+      "DELETE FROM product_variant_index WHERE shop = ? AND product_id = ?",
+      [shop, productId]
+    );
+
+    for (const [position, variant] of variants.entries()) {
+      await this.query(
+        `INSERT INTO product_variant_index
+           (shop, variant_id, product_id, title, sku, barcode, price, inventory_quantity, selected_options, position)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (shop, variant_id) DO UPDATE SET
+           product_id = EXCLUDED.product_id,
+           title = EXCLUDED.title,
+           sku = EXCLUDED.sku,
+           barcode = EXCLUDED.barcode,
+           price = EXCLUDED.price,
+           inventory_quantity = EXCLUDED.inventory_quantity,
+           selected_options = EXCLUDED.selected_options,
+           position = EXCLUDED.position`,
+        [
+          shop,
+          variant.id,
+          productId,
+          variant.title,
+          variant.sku,
+          variant.barcode,
+          variant.price,
+          variant.inventoryQuantity,
+          JSON.stringify(variant.selectedOptions || []),
+          position,
+        ]
+      );
+    }
+  }
+
+  async deleteIndexedProduct(shop, productId) {
+    await this.query(
+      "DELETE FROM product_index_collections WHERE shop = ? AND product_id = ?",
+      [shop, productId]
+    );
+    await this.query(
+      "DELETE FROM product_variant_index WHERE shop = ? AND product_id = ?",
+      [shop, productId]
+    );
+    await this.query(
+      "DELETE FROM product_index WHERE shop = ? AND product_id = ?",
+      [shop, productId]
+    );
+  }
+
+  // Remove rows not touched by the current sync (started_at of product_index_syncs)
+  async deleteStaleIndexedProducts(shop) {
+    const staleCondition = `shop = ? AND indexed_at < (
+      SELECT started_at FROM product_index_syncs WHERE shop = ?
+    )`;
+
+    await this.query(
+      `DELETE FROM product_index_collections
+       WHERE shop = ? AND product_id IN (SELECT product_id FROM product_index WHERE ${staleCondition})`,
+      [shop, shop, shop]
+    );
+    await this.query(
+      `DELETE FROM product_variant_index
+       WHERE shop = ? AND product_id IN (SELECT product_id FROM product_index WHERE ${staleCondition})`,
+      [shop, shop, shop]
+    );
+    await this.query(
+      `DELETE FROM product_index WHERE ${staleCondition}`,
+      [shop, shop]
+    );
+  }
+
+  async getIndexedProducts(shop) {
+    const result = await this.query(
+      `SELECT p.*,
+              COALESCE(
+                json_agg(json_build_object('id', pc.collection_id, 'title', ci.title, 'handle', ci.handle))
+                  FILTER (WHERE pc.collection_id IS NOT NULL),
+                '[]'
+              ) AS collections,
+              (
+                SELECT COALESCE(json_agg(json_build_object(
+                  'id', v.variant_id,
+                  'title', v.title,
+                  'sku', v.sku,
+                  'barcode', v.barcode,
+                  'price', v.price,
+                  'inventoryQuantity', v.inventory_quantity,
+                  'selectedOptions', v.selected_options::json
+                ) ORDER BY v.position), '[]')
+                FROM product_variant_index v
+                WHERE v.shop = p.shop AND v.product_id = p.product_id
+              ) AS variants
+       FROM product_index p
+       LEFT JOIN product_index_collections pc
+         ON pc.shop = p.shop AND pc.product_id = p.product_id
+       LEFT JOIN collection_index ci
+         ON ci.shop = pc.shop AND ci.collection_id = pc.collection_id
+       WHERE p.shop = ?
+       GROUP BY p.shop, p.product_id
+       ORDER BY p.title`,
+      [shop]
+    );
+    return result.rows;
+  }
+
+  async getIndexedVendors(shop) {
+    const result = await this.query(
+      `SELECT DISTINCT vendor FROM product_index
+       WHERE shop = ? AND vendor IS NOT NULL AND vendor <> ''
+       ORDER BY vendor`,
+      [shop]
+    );
+    return result.rows.map(row => row.vendor);
+  }
+
+  async getIndexedCategories(shop) {
+    const result = await this.query(
+      `SELECT DISTINCT category_name FROM product_index
+       WHERE shop = ? AND category_name IS NOT NULL
+       ORDER BY category_name`,
+      [shop]
+    );
+    return result.rows.map(row => row.category_name);
+  }
+
+  async getIndexedTags(shop) {
+    const result = await this.query(
+      `SELECT DISTINCT tag FROM product_index, jsonb_array_elements_text(tags::jsonb) AS tag
+       WHERE shop = ?
+       ORDER BY tag`,
+      [shop]
+    );
+    return result.rows.map(row => row.tag);
+  }
+
+  // collectionType is only known from collection queries/webhooks, so a missing one keeps the stored value
+  async upsertIndexedCollection(shop, collection) {
+    await this.query(
+      `INSERT INTO collection_index (shop, collection_id, title, handle, collection_type, indexed_at)
+       VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT (shop, collection_id) DO UPDATE SET
+         title = EXCLUDED.title,
+         handle = EXCLUDED.handle,
+         collection_type = COALESCE(EXCLUDED.collection_type, collection_index.collection_type),
+         indexed_at = CURRENT_TIMESTAMP`,
+      [shop, collection.id, collection.title, collection.handle, collection.collectionType || null]
+    );
+  }
+
+  async getIndexedCollection(shop, collectionId) {
+    const result = await this.query(
+      `SELECT collection_id AS id, title, handle, collection_type FROM collection_index
+       WHERE shop = ? AND collection_id = ?`,
+      [shop, collectionId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getCollectionMemberIds(shop, collectionId) {
+    const result = await this.query(
+      "SELECT product_id FROM product_index_collections WHERE shop = ? AND collection_id = ?",
+      [shop, collectionId]
+    );
+    return result.rows.map(row => row.product_id);
+  }
+
+  async setCollectionMembers(shop, collectionId, productIds) {
+    await this.query(
+      "DELETE FROM product_index_collections WHERE shop = ? AND collection_id = ?",
+      [shop, collectionId]
+    );
+
+    for (const productId of productIds) {
+      await this.query(
+        `INSERT INTO product_index_collections (shop, product_id, collection_id)
+         VALUES (?, ?, ?)
+         ON CONFLICT DO NOTHING`,
+        [shop, productId, collectionId]
+      );
+    }
+  }
+
+  async deleteIndexedCollection(shop, collectionId) {
+    await this.query(
+      "DELETE FROM product_index_collections WHERE shop = ? AND collection_id = ?",
+      [shop, collectionId]
+    );
+    await this.query(
+      "DELETE FROM collection_index WHERE shop = ? AND collection_id = ?",
+      [shop, collectionId]
+    );
+  }
+
+  // Remove rows not touched by the current sync (started_at of product_index_syncs)
+  async deleteStaleIndexedCollections(shop) {
+    const staleCondition = `shop = ? AND indexed_at < (
+      SELECT started_at FROM product_index_syncs WHERE shop = ?
+    )`;
+
+    await this.query(
+      `DELETE FROM product_index_collections
+       WHERE shop = ? AND collection_id IN (SELECT collection_id FROM collection_index WHERE ${staleCondition})`,
+      [shop, shop, shop]
+    );
+    await this.query(
+      `DELETE FROM collection_index WHERE ${staleCondition}`,
+      [shop, shop]
+    );
+  }
+
+  async getIndexedCollections(shop) {
+    const result = await this.query(
+      `SELECT collection_id AS id, title, handle, collection_type FROM collection_index
+       WHERE shop = ?
+       ORDER BY title`,
+      [shop]
+    );
+    return result.rows;
+  }
+
+  // Webhook idempotency operations
+
+  // Record a webhook delivery; returns false when it was already processed
+  async markWebhookProcessed(shop, topic, webhookId) {
+    const result = await this.query(
+      `INSERT INTO processed_webhooks (webhook_id, shop, topic)
+       VALUES (?, ?, ?)
+       ON CONFLICT (webhook_id) DO NOTHING
+       RETURNING webhook_id`,
+      [webhookId, shop, topic]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Forget a delivery whose handling failed, so Shopify's retry of it is processed
+  async unmarkWebhookProcessed(webhookId) {
+    await this.query("DELETE FROM processed_webhooks WHERE webhook_id = ?", [webhookId]);
+  }
+
+  // Shopify retries for up to 48 hours, so older deliveries can be forgotten
+  async purgeProcessedWebhooks() {
+    await this.query(
+      "DELETE FROM processed_webhooks WHERE processed_at < CURRENT_TIMESTAMP - INTERVAL '3 days'"
+    );
+  }
+
+  async getProductEvaluationHash(shop, productId) {
+    const result = await this.query(
+      "SELECT input_hash FROM product_evaluations WHERE shop = ? AND product_id = ?",
+      [shop, productId]
+    );
+    return result.rows[0]?.input_hash || null;
+  }
+
+  async saveProductEvaluationHash(shop, productId, inputHash) {
+    await this.query(
+      `INSERT INTO product_evaluations (shop, product_id, input_hash, evaluated_at)
+       VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT (shop, product_id) DO UPDATE SET
+         input_hash = EXCLUDED.input_hash,
+         evaluated_at = CURRENT_TIMESTAMP`,
+      [shop, productId, inputHash]
+    );
+  }
+
+  async deleteProductEvaluation(shop, productId) {
+    await this.query(
+      "DELETE FROM product_evaluations WHERE shop = ? AND product_id = ?",
+      [shop, productId]
+    );
+  }
+
+  // Managed metafield operations
+
+  // rows: [{ ownerId, productId, namespace, key, configurationId, configurationName, value }]
+  async upsertManagedMetafields(shop, rows) {
+    for (const row of rows) {
+      await this.query(
+        `INSERT INTO managed_metafields
+           (shop, owner_id, product_id, namespace, key, configuration_id, configuration_name, value, written_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT (shop, owner_id, namespace, key) DO UPDATE SET
+           product_id = EXCLUDED.product_id,
+           configuration_id = EXCLUDED.configuration_id,
+           configuration_name = EXCLUDED.configuration_name,
+           value = EXCLUDED.value,
+           written_at = CURRENT_TIMESTAMP`,
+        [
+          shop,
+          row.ownerId,
+          row.productId,
+          row.namespace,
+          row.key,
+          row.configurationId,
+          row.configurationName,
+          row.value,
+        ]
+      );
+    }
+  }
+
+  async getManagedMetafields(shop, ownerIds) {
+    const result = await this.query(
+      "SELECT * FROM managed_metafields WHERE shop = ? AND owner_id = ANY(?)",
+      [shop, ownerIds]
+    );
+    return result.rows;
+  }
+
+  async getManagedMetafieldsByConfiguration(shop, configurationId) {
+    const result = await this.query(
+      "SELECT * FROM managed_metafields WHERE shop = ? AND configuration_id = ?",
+      [shop, configurationId]
+    );
+    return result.rows;
+  }
+
+  async deleteManagedMetafield(shop, ownerId, namespace, key) {
+    await this.query(
+      "DELETE FROM managed_metafields WHERE shop = ? AND owner_id = ? AND namespace = ? AND key = ?",
+      [shop, ownerId, namespace, key]
+    );
+  }
+
+  // Forget everything written to a deleted product (and its variants) or collection
+  async deleteManagedMetafieldsForOwner(shop, ownerId) {
+    await this.query(
+      "DELETE FROM managed_metafields WHERE shop = ? AND (owner_id = ? OR product_id = ?)",
+      [shop, ownerId, ownerId]
+    );
+  }
+
+  // Stop tracking a configuration's metafields (e.g. when managed mode is turned off)
+  async deleteManagedMetafieldsByConfiguration(shop, configurationId) {
+    await this.query(
+      "DELETE FROM managed_metafields WHERE shop = ? AND configuration_id = ?",
+      [shop, configurationId]
+    );
+  }
+
+  // removals: [{ configurationId, configurationName, ownerId, namespace, key, value, action, reason, reassignedTo }]
+  async saveManagedMetafieldRemovals(shop, removals) {
+    for (const removal of removals) {
+      await this.query(
+        `INSERT INTO managed_metafield_removals
+           (shop, configuration_id, configuration_name, owner_id, namespace, key, value, action, reason, reassigned_to)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          shop,
+          removal.configurationId,
+          removal.configurationName,
+          removal.ownerId,
+          removal.namespace,
+          removal.key,
+          removal.value,
+          removal.action,
+          removal.reason,
+          removal.reassignedTo || null,
+        ]
+      );
+    }
+  }
+
+  async getManagedMetafieldRemovals(shop, { configurationId = null, limit = 50 } = {}) {
+    const result = await this.query(
+      `SELECT * FROM managed_metafield_removals
+       WHERE shop = ? AND (?::INTEGER IS NULL OR configuration_id = ?)
+       ORDER BY created_at DESC, id DESC
+       LIMIT ?`,
+      [shop, configurationId, configurationId, limit]
+    );
+    return result.rows;
+  }
+
+  // Storefront payload cache operations
+
+  async getStorefrontPayload(shop, productHandle, maxAgeSeconds) {
+    const result = await this.query(
+      `SELECT * FROM storefront_payloads
+       WHERE shop = ? AND product_handle = ?
+         AND created_at > CURRENT_TIMESTAMP - make_interval(secs => ?)`,
+      [shop, productHandle, maxAgeSeconds]
+    );
+    return result.rows[0] || null;
+  }
+
+  async saveStorefrontPayload(shop, productHandle, productId, configurationsVersion, payload, etag) {
+    await this.query(
+      `INSERT INTO storefront_payloads
+         (shop, product_handle, product_id, configurations_version, payload, etag, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT (shop, product_handle) DO UPDATE SET
+         product_id = EXCLUDED.product_id,
+         configurations_version = EXCLUDED.configurations_version,
+         payload = EXCLUDED.payload,
+         etag = EXCLUDED.etag,
+         created_at = CURRENT_TIMESTAMP`,
+      [shop, productHandle, productId, configurationsVersion, JSON.stringify(payload), etag]
+    );
+  }
+
+  // Drop cached payloads of some products, or of the whole shop when productIds is null
+  async deleteStorefrontPayloads(shop, productIds = null) {
+    await this.query(
+      `DELETE FROM storefront_payloads
+       WHERE shop = ? AND (?::TEXT[] IS NULL OR product_id = ANY(?))`,
+      [shop, productIds, productIds]
+    );
+  }
+
+  async getProductIndexSync(shop) {
+    const result = await this.query(
+      "SELECT * FROM product_index_syncs WHERE shop = ?",
+      [shop]
+    );
+    return result.rows[0];
+  }
+
+  async startProductIndexSync(shop) {
+    const result = await this.query(
+      `INSERT INTO product_index_syncs (shop, status, started_at, completed_at, error_message)
+       VALUES (?, 'running', CURRENT_TIMESTAMP, NULL, NULL)
+       ON CONFLICT (shop) DO UPDATE SET
+         status = 'running',
+         started_at = CURRENT_TIMESTAMP,
+         completed_at = NULL,
+         error_message = NULL
+       RETURNING *`,
+      [shop]
+    );
+    return result.rows[0];
+  }
+
+  async finishProductIndexSync(shop, status, productCount = null, errorMessage = null, indexVersion = null) {
+    await this.query(
+      `UPDATE product_index_syncs
+       SET status = ?, product_count = COALESCE(?, product_count), error_message = ?,
+           index_version = COALESCE(?, index_version),
+           completed_at = CURRENT_TIMESTAMP,
+           last_synced_at = CASE WHEN ? = 'completed' THEN CURRENT_TIMESTAMP ELSE last_synced_at END
+       WHERE shop = ?`,
+      [status, productCount, errorMessage, indexVersion, status, shop]
+    );
+  }
+
   close() {
     this.db.close();
   }
@@ -0,0 +1,348 @@
+/**
+ * Display Types - Registry of the ways a metafield can be displayed on the storefront
+ *
+ * The single place display types are defined. The configuration editor loads it from
+ * GET /api/display-types; the configuration routes validate against it, and it shapes
+ * the /storefront-config response and the display config of the theme app blocks.
+ *
+ * A display type is data, drawn by one generic renderer in the app embed script
+ * (snippets/meta-bulk-assign-display.liquid) and one in the theme app blocks
+ * (snippets/meta-bulk-assign-item.liquid). Adding a display type only takes a definition here:
+ * - id: stored as metafieldConfig.displayType
+ * - name: label in the editor
+ * - metafieldTypes: metafield types it can display
+ * - layout: how values are arranged: 'row' (wrapping row), 'stack' (column) or 'table' (a row each)
+ * - fields: for metaobject references, the roles the parts read, each picked from the
+ *   metaobject definition by field type and key hints ({ types, hints, fallback });
+ *   with fallback a role takes any field of its types when no key matches a hint
+ * - item: how each value (each entry of a list) is drawn:
+ *   - direction: 'row' or 'column' (default) of the parts
+ *   - link: sources of a URL wrapping the item (not in tables)
+ *   - parts: { element: 'image' | 'text' | 'html' | 'video' | 'icon', source, alt, setting, variant }
+ *     - source: slots tried in order; 'value' is the metafield value (a file's URL,
+ *       rich text as HTML), 'filename' the name of a file value, others are field roles
+ *     - alt (images): sources of the alt text
+ *     - width (images): width of the resized image the theme app blocks request (default 320)
+ *     - setting (text): a setting shown instead of the sources when set
+ *     - variant: style of the part (class mba-part--<variant>)
+ *     - icon (icons): a built-in icon ('document')
+ *   A value is drawn when one of its parts has content from the value
+ * - settings: options shown in the editor and stored as metafieldConfig.displaySettings
+ *   ({ key, type: 'text' | 'number' | 'boolean', label, default, helpText }); a setting with
+ *   cssVar (and unit) sets that CSS custom property on each item
+ */
+
+const TEXT_FIELD_TYPES = ['single_line_text_field', 'multi_line_text_field'];
+const ICON_KEY_HINTS = ['icon', 'image', 'img', 'bild'];
+const FILE_KEY_HINTS = ['pdf', 'file', 'datei'];
+const TEXT_KEY_HINTS = ['label', 'title', 'name', 'text', 'titel'];
+
+export const DISPLAY_TYPES = [
+  {
+    id: 'energy_label',
+    name: 'Energy Label',
+    metafieldTypes: ['metaobject_reference', 'list.metaobject_reference'],
+    layout: 'row',
+    fields: {
+      file: { types: ['file_reference'], hints: FILE_KEY_HINTS },
+      icon: { types: ['file_reference'], hints: ICON_KEY_HINTS, fallback: true },
+      label: { types: TEXT_FIELD_TYPES, hints: TEXT_KEY_HINTS, fallback: true },
+    },
+    item: {
+      direction: 'column',
+      link: ['file'],
+      parts: [
+        { element: 'image', source: ['icon'], alt: ['label'], variant: 'label' },
+        { element: 'text', source: ['label'], variant: 'caption' },
+      ],
+    },
+    settings: [
+      {
+        key: 'iconSize',
+        type: 'number',
+        label: 'Icon size (px)',
+        default: null,
+        helpText: 'Leave empty for the default size',
+        cssVar: '--mba-label-size',
+        unit: 'px',
+      },
+    ],
+  },
+  {
+    id: 'product_detail_icon',
+    name: 'Product Detail Icon',
+    metafieldTypes: [
+      'file_reference', 'list.file_reference', 'metaobject_reference', 'list.metaobject_reference',
+    ],
+    layout: 'row',
+    fields: {
+      icon: { types: ['file_reference'], hints: ICON_KEY_HINTS, fallback: true },
+      label: { types: TEXT_FIELD_TYPES, hints: TEXT_KEY_HINTS, fallback: true },
+    },
+    item: {
+      parts: [
+        { element: 'image', source: ['icon', 'value'], alt: ['label'], variant: 'detail' },
+      ],
+    },
+    settings: [
+      {
+        key: 'iconHeight',
+        type: 'number',
+        label: 'Icon height (px)',
+        default: null,
+        helpText: 'Leave empty for the default, responsive height',
+        cssVar: '--mba-icon-height',
+        unit: 'px',
+      },
+    ],
+  },
+  {
+    id: 'warranty_document',
+    name: 'Warranty Document',
+    metafieldTypes: ['file_reference', 'list.file_reference'],
+    layout: 'stack',
+    item: {
+      direction: 'row',
+      link: ['value'],
+      parts: [
+        { element: 'icon', icon: 'document' },
+        { element: 'text', source: ['filename'], setting: 'linkText', variant: 'document' },
+      ],
+    },
+    settings: [
+      {
+        key: 'linkText',
+        type: 'text',
+        label: 'Link text',
+        default: '',
+        helpText: 'Shown instead of the file name when set',
+      },
+    ],
+  },
+  {
+    id: 'badge',
+    name: 'Badge',
+    metafieldTypes: ['single_line_text_field', 'list.single_line_text_field'],
+    layout: 'row',
+    item: {
+      parts: [
+        { element: 'text', source: ['value'], variant: 'badge' },
+      ],
+    },
+    settings: [
+      {
+        key: 'color',
+        type: 'text',
+        label: 'Badge color',
+        default: '',
+        helpText: 'CSS color of the badge, e.g. #1f2937. Leave empty for the default',
+        cssVar: '--mba-badge-color',
+      },
+    ],
+  },
+  {
+    id: 'spec_table',
+    name: 'Specification Table',
+    metafieldTypes: ['metaobject_reference', 'list.metaobject_reference'],
+    layout: 'table',
+    fields: {
+      label: {
+        types: TEXT_FIELD_TYPES,
+        hints: ['label', 'name', 'title', 'titel', 'bezeichnung', 'property'],
+        fallback: true,
+      },
+      detail: {
+        types: [...TEXT_FIELD_TYPES, 'number_integer', 'number_decimal'],
+        hints: ['value', 'wert', 'detail', 'spec'],
+        fallback: true,
+      },
+    },
+    item: {
+      parts: [
+        { element: 'text', source: ['label'], variant: 'term' },
+        { element: 'text', source: ['detail'] },
+      ],
+    },
+    settings: [],
+  },
+  {
+    id: 'rich_text',
+    name: 'Rich Text',
+    metafieldTypes: ['rich_text_field', 'multi_line_text_field'],
+    layout: 'stack',
+    item: {
+      parts: [
+        { element: 'html', source: ['value'] },
+      ],
+    },
+    settings: [],
+  },
+  {
+    id: 'video',
+    name: 'Video',
+    metafieldTypes: ['file_reference', 'url'],
+    layout: 'stack',
+    item: {
+      parts: [
+        { element: 'video', source: ['value'] },
+      ],
+    },
+    settings: [
+      {
+        key: 'maxWidth',
+        type: 'number',
+        label: 'Maximum width (px)',
+        default: null,
+        helpText: 'Leave empty to use the full width',
+        cssVar: '--mba-video-width',
+        unit: 'px',
+      },
+    ],
+  },
+  {
+    id: 'size_chart',
+    name: 'Size Chart',
+    metafieldTypes: ['file_reference', 'metaobject_reference'],
+    layout: 'stack',
+    fields: {
+      chart: { types: ['file_reference'], hints: ['chart', 'size', 'groesse', 'image', 'bild'], fallback: true },
+      title: { types: ['single_line_text_field'], hints: TEXT_KEY_HINTS, fallback: true },
+      notes: { types: ['rich_text_field', 'multi_line_text_field'], hints: ['note', 'hint', 'hinweis', 'description'] },
+    },
+    item: {
+      parts: [
+        { element: 'text', source: ['title'], setting: 'heading', variant: 'heading' },
+        { element: 'image', source: ['chart', 'value'], alt: ['title'], variant: 'chart', width: 1200 },
+        { element: 'html', source: ['notes'] },
+      ],
+    },
+    settings: [
+      {
+        key: 'heading',
+        type: 'text',
+        label: 'Heading',
+        default: '',
+        helpText: 'Shown above the chart instead of the metaobject title when set',
+      },
+    ],
+  },
+];
+
+/**
+ * Definition of a display type, or undefined when it isn't registered
+ */
+export function getDisplayType(id) {
+  return DISPLAY_TYPES.find(displayType => displayType.id === id);
+}
+
+/**
+ * Display types that can show a metafield of the given type
+ */
+export function getDisplayTypesForMetafieldType(metafieldType) {
+  return DISPLAY_TYPES.filter(displayType => displayType.metafieldTypes.includes(metafieldType));
+}
+
+/**
+ * Settings of a display type with defaults filled in for the ones not set
+ */
+export function resolveDisplaySettings(id, displaySettings = {}) {
+  const settings = {};
+  for (const setting of getDisplayType(id)?.settings || []) {
+    let value = displaySettings?.[setting.key];
+    if (value === undefined || value === null || value === '') {
+      value = setting.default;
+    } else if (setting.type === 'number') {
+      value = Number.isFinite(Number(value)) ? Number(value) : setting.default;
+    } else if (setting.type === 'boolean') {
+      value = value === true || value === 'true';
+    }
+    settings[setting.key] = value;
+  }
+  return settings;
+}
+
+/**
+ * Inline style of an item: the CSS custom properties of the settings that have one
+ * Text values lose the characters that could end the declaration or the attribute
+ */
+export function resolveDisplayStyle(id, displaySettings = {}) {
+  const settings = resolveDisplaySettings(id, displaySettings);
+  const declarations = [];
+  for (const setting of getDisplayType(id)?.settings || []) {
+    const value = settings[setting.key];
+    if (!setting.cssVar || value === null || value === undefined) continue;
+
+    const cssValue = String(value).replace(/[;{}<>"'\\]/g, '').trim();
+    if (cssValue) {
+      declarations.push(`${setting.cssVar}: ${cssValue}${setting.unit || ''};`);
+    }
+  }
+  return declarations.join(' ');
+}
+
+function keyMatches(key, hints) {
+  const keyLower = key.toLowerCase();
+  return hints.some(hint => keyLower.includes(hint));
+}
+
+/**
+ * Pick the metaobject fields of a display type's roles
+ * @param {Array<{key: string, type: string}>} fieldDefinitions - fields of the metaobject definition
+ * @returns {Object|null} role -> { key, type } (null for roles without a field), or null when
+ *   the display type has no roles
+ */
+export function mapDisplayFields(id, fieldDefinitions) {
+  const roles = getDisplayType(id)?.fields;
+  if (!roles) return null;
+
+  const picked = {};
+  const taken = new Set();
+  const pick = (role, predicate) => {
+    const field = fieldDefinitions.find(field =>
+      !taken.has(field.key) && roles[role].types.includes(field.type) && predicate(field)
+    );
+    if (field) {
+      picked[role] = { key: field.key, type: field.type };
+      taken.add(field.key);
+    }
+  };
+
+  // Key hints first, so a fallback doesn't take a field another role names
+  for (const role of Object.keys(roles)) {
+    pick(role, field => keyMatches(field.key, roles[role].hints || []));
+  }
+  for (const role of Object.keys(roles)) {
+    if (!picked[role] && roles[role].fallback) {
+      pick(role, () => true);
+    }
+  }
+
+  return Object.fromEntries(Object.keys(roles).map(role => [role, picked[role] || null]));
+}
+
+/**
+ * Check the display type of a metafield configuration
+ * @returns {string|null} an error message, or null when valid (or no display type is set)
+ */
+export function validateDisplayType(metafieldConfig) {
+  if (!metafieldConfig.displayType) return null;
+
+  const displayType = getDisplayType(metafieldConfig.displayType);
+  if (!displayType) {
+    return `Unknown display type: ${metafieldConfig.displayType}`;
+  }
+  if (metafieldConfig.type && !displayType.metafieldTypes.includes(metafieldConfig.type)) {
+    return `${displayType.name} can't display ${metafieldConfig.namespace}.${metafieldConfig.key} (${metafieldConfig.type})`;
+  }
+  return null;
+}
+
+export default {
+  DISPLAY_TYPES,
+  getDisplayType,
+  getDisplayTypesForMetafieldType,
+  resolveDisplaySettings,
+  resolveDisplayStyle,
+  mapDisplayFields,
+  validateDisplayType,
+};
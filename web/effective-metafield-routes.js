@@ -0,0 +1,36 @@
+import express from "express";
+import { inspectProductMetafields } from "./effective-metafields.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/effective-metafields?productId=
+ * Configurations matching a product (with rule traces), the winning metafield values
+ * and the values currently stored on Shopify
+ */
+router.get("/", async (req, res) => {
+  try {
+    const session = res.locals.shopify.session;
+    const { productId } = req.query;
+
+    if (!productId) {
+      return res.status(400).json({ error: "productId is required" });
+    }
+
+    const productGid = String(productId).startsWith("gid://")
+      ? String(productId)
+      : `gid://shopify/Product/${productId}`;
+
+    const inspection = await inspectProductMetafields(session, productGid);
+    if (!inspection) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    res.json(inspection);
+  } catch (error) {
+    console.error("[Effective Metafields] Error inspecting product:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
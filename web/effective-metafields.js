@@ -0,0 +1,172 @@
+/**
+ * Effective Metafields - Explains which configurations apply to a single product and why
+ *
+ * For one product this evaluates every product- and variant-level configuration (with a
+ * per-rule trace), resolves namespace.key conflicts by priority the same way webhooks do,
+ * and compares the winning values with what is currently stored on Shopify.
+ */
+
+import database from "./database.js";
+import {
+  getMetafieldRuleKeys,
+  toVariantViews,
+  traceRules,
+} from "./rule-engine.js";
+import { resolveMetafieldConflicts } from "./conflict-resolver.js";
+import { buildMetafieldInputs } from "./metafield-apply.js";
+import { fetchCurrentMetafields, metafieldValuesEqual } from "./metafield-diff.js";
+import { fetchProductForRules } from "./product-index.js";
+
+function describeConfiguration(configuration) {
+  return {
+    id: configuration.id,
+    name: configuration.name,
+    priority: configuration.priority,
+    ownerType: configuration.owner_type,
+    conflictMode: configuration.conflict_mode,
+  };
+}
+
+/**
+ * The string value metafieldsSet would receive, or null when the config is skipped (e.g. empty)
+ */
+function toInputValue(metafieldConfig) {
+  const [input] = buildMetafieldInputs([metafieldConfig]);
+  return input ? input.value : null;
+}
+
+/**
+ * Inspect the configurations affecting a product and its variants
+ * Returns null when the product doesn't exist
+ */
+export async function inspectProductMetafields(session, productId) {
+  // Configurations in effect, ordered by priority DESC, like the webhooks
+  const configurations = (await database.getActiveConfigurations(session.shop))
+    .filter(configuration => configuration.owner_type !== 'COLLECTION');
+
+  const rulesByConfiguration = new Map();
+  for (const configuration of configurations) {
+    rulesByConfiguration.set(configuration.id, await database.getConfigurationRules(configuration.id, session.shop));
+  }
+
+  const ruleMetafieldKeys = getMetafieldRuleKeys(Array.from(rulesByConfiguration.values()).flat());
+  const product = await fetchProductForRules(session, productId, ruleMetafieldKeys);
+  if (!product) {
+    return null;
+  }
+
+  const variantViews = toVariantViews(product);
+
+  // ownerId -> [{ configuration, metafieldConfigs }] in priority order
+  const matchesByOwner = new Map();
+  const addMatch = (ownerId, configuration) => {
+    if (!matchesByOwner.has(ownerId)) {
+      matchesByOwner.set(ownerId, []);
+    }
+    matchesByOwner.get(ownerId).push({
+      configuration,
+      metafieldConfigs: configuration.metafield_configs,
+    });
+  };
+
+  const evaluated = configurations.map((configuration) => {
+    const rules = rulesByConfiguration.get(configuration.id);
+
+    if (configuration.owner_type === 'PRODUCTVARIANT') {
+      const variants = variantViews.map((view) => {
+        const trace = traceRules(view, rules);
+        if (trace.matches) {
+          addMatch(view.id, configuration);
+        }
+        return { id: view.id, title: view.variant.title, ...trace };
+      });
+
+      return {
+        ...describeConfiguration(configuration),
+        matches: variants.some(variant => variant.matches),
+        variants,
+      };
+    }
+
+    const trace = traceRules(product, rules);
+    if (trace.matches) {
+      addMatch(product.id, configuration);
+    }
+    return { ...describeConfiguration(configuration), ...trace };
+  });
+
+  // Resolve winners per owner, keeping every contender for display
+  const owners = [];
+  for (const [ownerId, matches] of matchesByOwner) {
+    const metafields = [];
+
+    for (const { configuration, metafieldConfigs } of resolveMetafieldConflicts(matches)) {
+      for (const metafieldConfig of metafieldConfigs) {
+        const contenders = matches
+          .map(match => ({
+            configuration: match.configuration,
+            metafieldConfig: match.metafieldConfigs.find(
+              candidate => candidate.namespace === metafieldConfig.namespace
+                && candidate.key === metafieldConfig.key
+            ),
+          }))
+          .filter(contender => contender.metafieldConfig)
+          .map(contender => ({
+            ...describeConfiguration(contender.configuration),
+            value: toInputValue(contender.metafieldConfig),
+          }));
+
+        metafields.push({
+          namespace: metafieldConfig.namespace,
+          key: metafieldConfig.key,
+          type: metafieldConfig.type,
+          winner: describeConfiguration(configuration),
+          value: toInputValue(metafieldConfig),
+          contenders,
+        });
+      }
+    }
+
+    const view = variantViews.find(variant => variant.id === ownerId);
+    owners.push({
+      id: ownerId,
+      ownerType: view ? 'PRODUCTVARIANT' : 'PRODUCT',
+      title: view ? view.variant.title : product.title,
+      metafields,
+    });
+  }
+
+  // Values currently stored on Shopify for every resolved key
+  const keys = Array.from(new Set(
+    owners.flatMap(owner => owner.metafields.map(metafield => `${metafield.namespace}.${metafield.key}`))
+  ));
+  if (keys.length > 0) {
+    const current = await fetchCurrentMetafields(session, owners.map(owner => owner.id), keys);
+
+    for (const owner of owners) {
+      const stored = current.get(owner.id)?.metafields;
+      for (const metafield of owner.metafields) {
+        const currentMetafield = stored?.get(`${metafield.namespace}.${metafield.key}`) || null;
+        metafield.current = currentMetafield
+          ? { value: currentMetafield.value, type: currentMetafield.type }
+          : null;
+        metafield.inSync = metafield.value !== null
+          && metafieldValuesEqual(currentMetafield?.value ?? null, metafield.value);
+      }
+    }
+  }
+
+  return {
+    product: {
+      id: product.id,
+      title: product.title,
+      handle: product.handle,
+    },
+    configurations: evaluated,
+    owners,
+  };
+}
+
+export default {
+  inspectProductMetafields,
+};
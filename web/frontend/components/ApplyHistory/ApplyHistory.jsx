@@ -0,0 +1,104 @@
+import {
+  LegacyCard,
+  VerticalStack,
+  HorizontalStack,
+  Text,
+  Badge,
+  Button,
+  Spinner,
+} from "@shopify/polaris";
+import { useQuery } from "react-query";
+import { useAuthenticatedFetch } from "../../hooks";
+
+const RUN_LIMIT = 10;
+
+const STATUS_BADGES = {
+  running: { tone: "info", label: "Running" },
+  completed: { tone: "success", label: "Completed" },
+  failed: { tone: "critical", label: "Failed" },
+  rolling_back: { tone: "attention", label: "Rolling back" },
+  rolled_back: { tone: undefined, label: "Rolled back" },
+};
+
+const SOURCE_LABELS = {
+  manual: "Applied from the app",
+  webhook: "Applied by product webhook",
+  schedule: "Applied when its schedule started",
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "";
+}
+
+/**
+ * Recent apply runs of a configuration, each with a rollback button
+ * restoring the metafield values from before that run (values changed since are kept)
+ */
+export function ApplyHistory({ configurationId, onRollback, rollbackDisabled = false }) {
+  const fetch = useAuthenticatedFetch();
+
+  const { data: runs = [], isLoading } = useQuery({
+    queryKey: ["apply-runs", configurationId],
+    queryFn: async () => {
+      const response = await fetch(
+        `/api/apply-runs?configurationId=${configurationId}&limit=${RUN_LIMIT}`
+      );
+      if (!response.ok) {
+        throw new Error("Failed to load apply history");
+      }
+      return await response.json();
+    },
+    enabled: !!configurationId,
+    refetchOnWindowFocus: false,
+  });
+
+  return (
+    <LegacyCard title="Apply history" sectioned>
+      {isLoading ? (
+        <HorizontalStack align="center">
+          <Spinner size="small" />
+        </HorizontalStack>
+      ) : runs.length === 0 ? (
+        <Text as="p" tone="subdued">
+          This configuration hasn't been applied yet.
+        </Text>
+      ) : (
+        <VerticalStack gap="3">
+          {runs.map((run) => {
+            const badge = STATUS_BADGES[run.status] || { label: run.status };
+            const canRollBack =
+              (run.status === "completed" || run.status === "failed") && run.productCount > 0;
+
+            return (
+              <HorizontalStack key={run.id} align="space-between" blockAlign="center" gap="2">
+                <VerticalStack gap="1">
+                  <HorizontalStack gap="2" blockAlign="center">
+                    <Text as="span" fontWeight="semibold">
+                      {formatDate(run.createdAt)}
+                    </Text>
+                    <Badge tone={badge.tone}>{badge.label}</Badge>
+                  </HorizontalStack>
+                  <Text as="span" variant="bodySm" tone="subdued">
+                    {SOURCE_LABELS[run.source] || run.source} · {run.productCount} product
+                    {run.productCount !== 1 ? "s" : ""}
+                    {run.rolledBackAt ? ` · rolled back ${formatDate(run.rolledBackAt)}` : ""}
+                  </Text>
+                </VerticalStack>
+                {canRollBack && (
+                  <Button
+                    size="slim"
+                    destructive
+                    onClick={() => onRollback(run.id)}
+                    disabled={rollbackDisabled}
+                  >
+                    Roll back
+                  </Button>
+                )}
+              </HorizontalStack>
+            );
+          })}
+        </VerticalStack>
+      )}
+    </LegacyCard>
+  );
+}
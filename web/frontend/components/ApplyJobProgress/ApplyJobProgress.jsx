@@ -0,0 +1,61 @@
+import { Banner, ProgressBar, VerticalStack, Text } from "@shopify/polaris";
+
+/**
+ * Banner showing live progress of a background apply (or rollback) job,
+ * followed by the final result once the job finishes
+ */
+export function ApplyJobProgress({ job, onDismiss }) {
+  if (!job) return null;
+
+  const isRollback = job.type === "rollback";
+
+  if (job.status === "failed") {
+    return (
+      <Banner tone="critical" onDismiss={onDismiss}>
+        <p>
+          {isRollback ? "Rollback failed" : "Applying configuration failed"}:{" "}
+          {job.errorMessage || "Unknown error"}
+        </p>
+        {job.processed > 0 && (
+          <p>
+            {job.successful} of {job.total} products were updated before the failure.
+          </p>
+        )}
+      </Banner>
+    );
+  }
+
+  if (job.status === "completed") {
+    return (
+      <Banner tone={job.failed === 0 ? "success" : "warning"} onDismiss={onDismiss}>
+        <p>
+          {isRollback ? "Rolled back" : "Applied to"} {job.successful} of {job.total} products.
+        </p>
+        {job.failed > 0 && <p>{job.failed} products failed to update.</p>}
+      </Banner>
+    );
+  }
+
+  // Pending jobs don't know their product count until matching finishes
+  const progress = job.total > 0 ? Math.round((job.processed / job.total) * 100) : 0;
+
+  return (
+    <Banner>
+      <VerticalStack gap="2">
+        <Text as="span">
+          {job.status === "pending" || job.total === 0
+            ? isRollback
+              ? "Preparing rollback..."
+              : "Finding matching products..."
+            : `${isRollback ? "Rolling back" : "Applying configuration"}: ${job.processed} of ${job.total} products`}
+        </Text>
+        <ProgressBar progress={progress} size="small" />
+        {job.failed > 0 && (
+          <Text as="span" tone="critical">
+            {job.failed} failed so far
+          </Text>
+        )}
+      </VerticalStack>
+    </Banner>
+  );
+}
@@ -10,8 +10,27 @@ import {
 } from "@shopify/polaris";
 import {PlusIcon, ExitIcon, MaximizeIcon, MinimizeIcon} from "@shopify/polaris-icons";
 import {RuleNode} from "../RuleNode/RuleNode";
+import {COMPARISON_RULE_TYPES} from "../../constants/comparisonRules";
+import {isRuleTypeAllowed} from "../../constants/ownerTypes";
 import "./ConfigurationGraphBuilder.css";
 
+// Order in which a new child/sibling picks its default (first unused) type
+const RULE_TYPE_ORDER = [
+    "vendor",
+    "collection",
+    "category",
+    "tag",
+    ...Object.keys(COMPARISON_RULE_TYPES),
+    "product",
+];
+
+// First type in RULE_TYPE_ORDER that isn't used yet and applies to the owner type
+const firstUnusedType = (usedTypes, ownerType) => RULE_TYPE_ORDER.find(
+    t => !usedTypes.includes(t) && isRuleTypeAllowed(ownerType, t)
+) || (ownerType === "COLLECTION" ? "title" : "vendor");
+
+const defaultComparison = (type) => COMPARISON_RULE_TYPES[type]?.comparisons[0] || null;
+
 /**
  * Graph builder component for creating AND/OR rule trees
  * Horizontal layout = OR logic
@@ -23,7 +42,10 @@ export function ConfigurationGraphBuilder({
                                               vendors = [],
                                               collections = [],
                                               categories = [],
+                                              tags = [],
                                               products = [],
+                                              metafieldDefinitions = [],
+                                              ownerType = "PRODUCT",
                                           }) {
     // Use initialRules directly (controlled component)
     const rules = initialRules;
@@ -70,6 +92,8 @@ export function ConfigurationGraphBuilder({
                 ruleType: type,
                 ruleValue: "",
                 ruleId: "",
+                negate: false,
+                comparison: defaultComparison(type),
                 parentId: null,
                 operator: "OR", // Root nodes are OR'd together
                 level: 0,
@@ -101,8 +125,7 @@ export function ConfigurationGraphBuilder({
             }
 
             // Pick first available type that's not used
-            const availableTypes = ["vendor", "collection", "category", "product"];
-            const defaultType = availableTypes.find(t => !usedTypes.includes(t)) || "vendor";
+            const defaultType = firstUnusedType(usedTypes, ownerType);
 
             const childrenCount = rules.filter(r => r.parentId === parentId).length;
             const nextId = getNextId();
@@ -112,6 +135,8 @@ export function ConfigurationGraphBuilder({
                 ruleType: defaultType,
                 ruleValue: "",
                 ruleId: "",
+                negate: false,
+                comparison: defaultComparison(defaultType),
                 parentId: parentId,
                 operator: operator,
                 level: parent.level + 1,
@@ -121,7 +146,7 @@ export function ConfigurationGraphBuilder({
             const updatedRules = [...rules, newRule];
             onChange?.(updatedRules);
         },
-        [rules, getNextId, onChange]
+        [rules, getNextId, onChange, ownerType]
     );
 
     // Add sibling node (OR relationship)
@@ -130,8 +155,7 @@ export function ConfigurationGraphBuilder({
             if (!parentId) {
                 // Add root sibling - pick first available type
                 const rootTypes = rules.filter(r => r.level === 0).map(r => r.ruleType);
-                const availableTypes = ["vendor", "collection", "category", "product"];
-                const defaultType = availableTypes.find(t => !rootTypes.includes(t)) || "vendor";
+                const defaultType = firstUnusedType(rootTypes, ownerType);
                 addRootNode(defaultType);
                 return;
             }
@@ -152,8 +176,7 @@ export function ConfigurationGraphBuilder({
             }
 
             // Pick first available type that's not used
-            const availableTypes = ["vendor", "collection", "category", "product"];
-            const defaultType = availableTypes.find(t => !usedTypes.includes(t)) || "vendor";
+            const defaultType = firstUnusedType(usedTypes, ownerType);
 
             const siblingsCount = rules.filter(
                 (r) => r.parentId === parentId && r.level === parent.level + 1
@@ -165,6 +188,8 @@ export function ConfigurationGraphBuilder({
                 ruleType: defaultType,
                 ruleValue: "",
                 ruleId: "",
+                negate: false,
+                comparison: defaultComparison(defaultType),
                 parentId: parentId,
                 operator: operator,
                 level: parent.level + 1,
@@ -186,7 +211,7 @@ export function ConfigurationGraphBuilder({
 
             onChange?.(updatedRules);
         },
-        [rules, getNextId, onChange, addRootNode]
+        [rules, getNextId, onChange, addRootNode, ownerType]
     );
 
     // Update rule
@@ -309,7 +334,10 @@ export function ConfigurationGraphBuilder({
                                     vendors={vendors}
                                     collections={collections}
                                     categories={categories}
+                                    tags={tags}
                                     products={products}
+                                    metafieldDefinitions={metafieldDefinitions}
+                                    ownerType={ownerType}
                                     level={node.level}
                                     isRoot={isRoot}
                                     usedParentTypes={usedParentTypes}
@@ -379,7 +407,10 @@ export function ConfigurationGraphBuilder({
             vendors,
             collections,
             categories,
+            tags,
             products,
+            metafieldDefinitions,
+            ownerType,
             getParentTypes,
         ]
     );
@@ -394,31 +425,68 @@ export function ConfigurationGraphBuilder({
         <>
             <HorizontalStack gap="2" align="space-between">
                 <HorizontalStack gap="2">
-                    <div
-                        onClick={() => addRootNode("vendor")}
-                        className="graph-builder-add-button vendor"
-                    >
-                        <span>+</span> Add Vendor
-                    </div>
-                    <div
-                        onClick={() => addRootNode("collection")}
-                        className="graph-builder-add-button collection"
-                    >
-                        <span>+</span> Add Collection
-                    </div>
-                    <div
-                        onClick={() => addRootNode("category")}
-                        className="graph-builder-add-button category"
-                    >
-                        <span>+</span> Add Category
-                    </div>
-                    {!hasProductNode && (
-                        <div
-                            onClick={() => addRootNode("product")}
-                            className="graph-builder-add-button product"
-                        >
-                            <span>+</span> Add Product
-                        </div>
+                    {ownerType === "COLLECTION" ? (
+                        <>
+                            <div
+                                onClick={() => addRootNode("title")}
+                                className="graph-builder-add-button field"
+                            >
+                                <span>+</span> Add Field Condition
+                            </div>
+                            <div
+                                onClick={() => addRootNode("collection_type")}
+                                className="graph-builder-add-button collection"
+                            >
+                                <span>+</span> Add Collection Type
+                            </div>
+                        </>
+                    ) : (
+                        <>
+                            <div
+                                onClick={() => addRootNode("vendor")}
+                                className="graph-builder-add-button vendor"
+                            >
+                                <span>+</span> Add Vendor
+                            </div>
+                            <div
+                                onClick={() => addRootNode("collection")}
+                                className="graph-builder-add-button collection"
+                            >
+                                <span>+</span> Add Collection
+                            </div>
+                            <div
+                                onClick={() => addRootNode("category")}
+                                className="graph-builder-add-button category"
+                            >
+                                <span>+</span> Add Category
+                            </div>
+                            <div
+                                onClick={() => addRootNode("tag")}
+                                className="graph-builder-add-button tag"
+                            >
+                                <span>+</span> Add Tag
+                            </div>
+                            <div
+                                onClick={() => addRootNode("price")}
+                                className="graph-builder-add-button field"
+                            >
+                                <span>+</span> Add Field Condition
+                            </div>
+                            <div
+                                onClick={() => addRootNode("sku")}
+                                className="graph-builder-add-button variant"
+                            >
+                                <span>+</span> Add Variant Condition
+                            </div>
+                            {!hasProductNode && (
+                                <div
+                                    onClick={() => addRootNode("product")}
+                                    className="graph-builder-add-button product"
+                                >
+                                    <span>+</span> Add Product
+                                </div>
+                            )}
+                        </>
                     )}
                 </HorizontalStack>
                 <Button
@@ -477,7 +545,7 @@ export function ConfigurationGraphBuilder({
                             </Text>
                             <Text as="p" tone="subdued">
                                 Add rules to target specific products. Horizontal connections = OR, Vertical connections
-                                = AND
+                                = AND. Toggle NOT on a rule to exclude the products it matches.
                             </Text>
                         </VerticalStack>
 
@@ -496,7 +564,8 @@ export function ConfigurationGraphBuilder({
                         Product Targeting Rules
                     </Text>
                     <Text as="p" tone="subdued">
-                        Add rules to target specific products. Horizontal connections = OR, Vertical connections = AND
+                        Add rules to target specific products. Horizontal connections = OR, Vertical connections = AND.
+                        Toggle NOT on a rule to exclude the products it matches.
                     </Text>
                 </VerticalStack>
 
@@ -0,0 +1,159 @@
+import { useState, useEffect } from "react";
+import {
+  Modal,
+  VerticalStack,
+  HorizontalStack,
+  Text,
+  Badge,
+  Spinner,
+  Banner,
+  Pagination,
+  Divider,
+} from "@shopify/polaris";
+import { useQuery } from "react-query";
+import { useAuthenticatedFetch } from "../../hooks";
+import "./DryRunReviewModal.css";
+
+const PAGE_SIZE = 25;
+const MAX_VALUE_LENGTH = 120;
+// How often to retry while the product index is syncing (the API answers 409 meanwhile)
+const INDEX_SYNC_RETRY_MS = 5000;
+
+const ACTION_BADGES = {
+  create: { tone: "success", label: "Create" },
+  overwrite: { tone: "warning", label: "Overwrite" },
+  unchanged: { tone: undefined, label: "Unchanged" },
+  skipped: { tone: "info", label: "Skipped" },
+};
+
+function truncate(value) {
+  if (value === null || value === undefined) return "";
+  return value.length > MAX_VALUE_LENGTH ? `${value.slice(0, MAX_VALUE_LENGTH)}…` : value;
+}
+
+/**
+ * Modal showing a dry-run diff of a configuration apply
+ * Lists per product which metafields will be created, overwritten or stay unchanged
+ */
+export function DryRunReviewModal({ open, configurationId, onClose, onConfirm, confirmLoading = false }) {
+  const fetch = useAuthenticatedFetch();
+  const [page, setPage] = useState(1);
+
+  // Start from the first page every time the modal opens
+  useEffect(() => {
+    if (open) setPage(1);
+  }, [open]);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ["dry-run", configurationId, page],
+    queryFn: async () => {
+      const response = await fetch(
+        `/api/configurations/${configurationId}/dry-run?page=${page}&pageSize=${PAGE_SIZE}`
+      );
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        const error = new Error(errorData.error || "Failed to load dry-run");
+        error.indexSyncing = response.status === 409;
+        throw error;
+      }
+      return await response.json();
+    },
+    // 409 while the product index is syncing: keep trying until it is ready
+    retry: (failureCount, error) => error.indexSyncing || failureCount < 3,
+    retryDelay: (failureCount, error) =>
+      error.indexSyncing ? INDEX_SYNC_RETRY_MS : Math.min(1000 * 2 ** failureCount, 30000),
+    enabled: open && !!configurationId,
+    keepPreviousData: true,
+    refetchOnWindowFocus: false,
+  });
+
+  return (
+    <Modal
+      open={open}
+      onClose={onClose}
+      title="Review changes before applying"
+      large
+      primaryAction={{
+        content: data ? `Apply to ${data.total} products` : "Apply",
+        onAction: onConfirm,
+        loading: confirmLoading,
+        disabled: isLoading || !!error || !data || data.total === 0,
+      }}
+      secondaryActions={[{ content: "Cancel", onAction: onClose }]}
+    >
+      <Modal.Section>
+        {isLoading ? (
+          <HorizontalStack align="center" gap="2">
+            <Spinner size="small" />
+            <Text as="span">Comparing current metafield values...</Text>
+          </HorizontalStack>
+        ) : error ? (
+          <Banner tone="critical">{error.message}</Banner>
+        ) : data.total === 0 ? (
+          <Text as="p" tone="subdued">
+            No products match this configuration.
+          </Text>
+        ) : (
+          <VerticalStack gap="4">
+            <VerticalStack gap="2">
+              <Text as="p" variant="headingSm">
+                {data.total} product{data.total !== 1 ? "s" : ""} match
+              </Text>
+              <HorizontalStack gap="2">
+                <Badge tone="success">{`${data.summary.create} to create`}</Badge>
+                <Badge tone="warning">{`${data.summary.overwrite} to overwrite`}</Badge>
+                <Badge>{`${data.summary.unchanged} unchanged`}</Badge>
+                {data.summary.skipped > 0 && (
+                  <Badge tone="info">{`${data.summary.skipped} won by other configurations`}</Badge>
+                )}
+              </HorizontalStack>
+            </VerticalStack>
+
+            {data.products.map((product) => (
+              <VerticalStack gap="1" key={product.productId}>
+                <Divider />
+                <Text as="p" variant="bodyMd" fontWeight="semibold">
+                  {product.productTitle || product.productId}
+                </Text>
+                {product.changes.map((change) => {
+                  const badge = ACTION_BADGES[change.action];
+                  return (
+                    <div className="dry-run-change-row" key={`${change.namespace}.${change.key}`}>
+                      <Badge tone={badge.tone}>{badge.label}</Badge>
+                      <span className="dry-run-change-key">
+                        {change.namespace}.{change.key}
+                      </span>
+                      <span className="dry-run-change-values">
+                        {change.action === "overwrite" && (
+                          <>
+                            <span className="dry-run-old-value">{truncate(change.oldValue)}</span>
+                            {" → "}
+                          </>
+                        )}
+                        <span className={["unchanged", "skipped"].includes(change.action) ? undefined : "dry-run-new-value"}>
+                          {truncate(change.newValue)}
+                        </span>
+                      </span>
+                    </div>
+                  );
+                })}
+              </VerticalStack>
+            ))}
+
+            {data.totalPages > 1 && (
+              <HorizontalStack align="center">
+                <Pagination
+                  hasPrevious={page > 1}
+                  onPrevious={() => setPage(page - 1)}
+                  hasNext={page < data.totalPages}
+                  onNext={() => setPage(page + 1)}
+                  label={`Page ${page} of ${data.totalPages}`}
+                />
+              </HorizontalStack>
+            )}
+          </VerticalStack>
+        )}
+      </Modal.Section>
+    </Modal>
+  );
+}
@@ -0,0 +1,100 @@
+import {
+  LegacyCard,
+  VerticalStack,
+  HorizontalStack,
+  Text,
+  Badge,
+  Spinner,
+} from "@shopify/polaris";
+import { useQuery } from "react-query";
+import { useAuthenticatedFetch } from "../../hooks";
+
+const REMOVAL_LIMIT = 20;
+
+const ACTION_BADGES = {
+  removed: { tone: "critical", label: "Removed" },
+  reassigned: { tone: "info", label: "Reassigned" },
+  kept: { tone: "attention", label: "Kept (edited)" },
+};
+
+const REASON_LABELS = {
+  no_longer_matches: "no longer matches",
+  outranked: "a higher priority configuration took it",
+  configuration_deleted: "configuration deleted",
+  configuration_inactive: "configuration disabled or outside its schedule",
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "";
+}
+
+function ownerLabel(ownerId) {
+  const [, type, id] = ownerId.match(/gid:\/\/shopify\/(\w+)\/(\d+)/) || [];
+  return type ? `${type.replace("ProductVariant", "Variant")} ${id}` : ownerId;
+}
+
+/**
+ * Report of metafields that managed configurations removed or handed over to another
+ * configuration; without configurationId it covers the whole shop (incl. deleted configurations)
+ */
+export function ManagedRemovals({ configurationId = null, title = "Managed metafield removals" }) {
+  const fetch = useAuthenticatedFetch();
+
+  const { data: removals = [], isLoading } = useQuery({
+    queryKey: ["managed-removals", configurationId],
+    queryFn: async () => {
+      const params = new URLSearchParams({ limit: REMOVAL_LIMIT });
+      if (configurationId) {
+        params.set("configurationId", configurationId);
+      }
+      const response = await fetch(`/api/managed-removals?${params}`);
+      if (!response.ok) {
+        throw new Error("Failed to load managed removals");
+      }
+      return await response.json();
+    },
+    refetchOnWindowFocus: false,
+  });
+
+  // The shop-wide report only shows up once something was removed
+  if (!configurationId && removals.length === 0) {
+    return null;
+  }
+
+  return (
+    <LegacyCard title={title} sectioned>
+      {isLoading ? (
+        <HorizontalStack align="center">
+          <Spinner size="small" />
+        </HorizontalStack>
+      ) : removals.length === 0 ? (
+        <Text as="p" tone="subdued">
+          Nothing removed yet. Values are removed when an item stops matching this configuration.
+        </Text>
+      ) : (
+        <VerticalStack gap="3">
+          {removals.map((removal) => {
+            const badge = ACTION_BADGES[removal.action] || { label: removal.action };
+
+            return (
+              <VerticalStack key={removal.id} gap="1">
+                <HorizontalStack gap="2" blockAlign="center">
+                  <Text as="span" fontWeight="semibold">
+                    {removal.namespace}.{removal.key}
+                  </Text>
+                  <Badge tone={badge.tone}>{badge.label}</Badge>
+                </HorizontalStack>
+                <Text as="span" variant="bodySm" tone="subdued">
+                  {ownerLabel(removal.ownerId)} · {REASON_LABELS[removal.reason] || removal.reason}
+                  {!configurationId && ` · ${removal.configurationName || `Configuration ${removal.configurationId}`}`}
+                  {removal.reassignedTo ? ` · now set by configuration ${removal.reassignedTo}` : ""}
+                  {` · ${formatDate(removal.createdAt)}`}
+                </Text>
+              </VerticalStack>
+            );
+          })}
+        </VerticalStack>
+      )}
+    </LegacyCard>
+  );
+}
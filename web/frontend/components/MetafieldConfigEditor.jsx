@@ -5,11 +5,13 @@ import {
   Button,
   Select,
   TextField,
+  Checkbox,
   Text,
   Banner,
 } from "@shopify/polaris";
 import { PlusIcon, DeleteIcon } from "@shopify/polaris-icons";
 import MetaobjectFieldsEditor from "./MetaobjectFieldsEditor";
+import { useDisplayTypes } from "../hooks";
 
 /**
  * Component for editing metafield configurations
@@ -20,6 +22,7 @@ export function MetafieldConfigEditor({
   metafieldDefinitions = [],
 }) {
   const [uploadingFiles, setUploadingFiles] = useState({});
+  const { getDisplayType, displayTypeOptions, isDisplayTypeAllowed } = useDisplayTypes();
   const handleAddMetafield = useCallback(() => {
     const newConfig = {
       id: `metafield_${Date.now()}`,
@@ -68,6 +71,13 @@ export function MetafieldConfigEditor({
           value: isListMetaobjectReference ? [{}] : isListFileReference ? [] : isMetaobjectReference ? {} : "",
         };
 
+        // Drop a display type that can't show the new metafield's type
+        const current = metafieldConfigs[index];
+        if (!isDisplayTypeAllowed(typeName, current?.displayType)) {
+          updates.displayType = "";
+          updates.displaySettings = {};
+        }
+
         // For metaobject_reference types, also store the metaobject definition ID
         if (isMetaobjectReference || isListMetaobjectReference) {
           const metaobjectDefId = getMetaobjectDefinitionId(definition);
@@ -79,7 +89,17 @@ export function MetafieldConfigEditor({
         handleUpdateMetafield(index, updates);
       }
     },
-    [metafieldDefinitions, handleUpdateMetafield]
+    [metafieldConfigs, metafieldDefinitions, handleUpdateMetafield, isDisplayTypeAllowed]
+  );
+
+  const handleDisplaySettingChange = useCallback(
+    (index, key, value) => {
+      const config = metafieldConfigs[index];
+      handleUpdateMetafield(index, {
+        displaySettings: { ...(config.displaySettings || {}), [key]: value },
+      });
+    },
+    [metafieldConfigs, handleUpdateMetafield]
   );
 
   // Extract metaobject definition ID from validation
@@ -250,6 +270,7 @@ export function MetafieldConfigEditor({
             const metaobjectDefinitionId = definition
               ? getMetaobjectDefinitionId(definition)
               : null;
+            const displayType = getDisplayType(config.displayType);
 
             return (
               <LegacyCard key={config.id || index} sectioned>
@@ -281,19 +302,40 @@ export function MetafieldConfigEditor({
 
                   <Select
                     label="Storefront Display Type"
-                    options={[
-                      { label: "Select display type", value: "" },
-                      { label: "Energy Label", value: "energy_label" },
-                      { label: "Product Detail Icon", value: "product_detail_icon" },
-                      { label: "Warranty Document", value: "warranty_document" },
-                    ]}
+                    options={displayTypeOptions(config.type)}
                     value={config.displayType || ""}
                     onChange={(value) =>
-                      handleUpdateMetafield(index, { displayType: value })
+                      handleUpdateMetafield(index, { displayType: value, displaySettings: {} })
                     }
                     helpText="How this metafield should be displayed on product pages (optional)"
                   />
 
+                  {displayType?.settings.map((setting) =>
+                    setting.type === "boolean" ? (
+                      <Checkbox
+                        key={setting.key}
+                        label={setting.label}
+                        checked={config.displaySettings?.[setting.key] ?? setting.default ?? false}
+                        onChange={(checked) =>
+                          handleDisplaySettingChange(index, setting.key, checked)
+                        }
+                        helpText={setting.helpText}
+                      />
+                    ) : (
+                      <TextField
+                        key={setting.key}
+                        label={setting.label}
+                        type={setting.type === "number" ? "number" : "text"}
+                        value={String(config.displaySettings?.[setting.key] ?? setting.default ?? "")}
+                        onChange={(value) =>
+                          handleDisplaySettingChange(index, setting.key, value)
+                        }
+                        helpText={setting.helpText}
+                        autoComplete="off"
+                      />
+                    )
+                  )}
+
                   {config.definitionId && (
                     <>
                       {isListMetaobject && metaobjectDefinitionId ? (
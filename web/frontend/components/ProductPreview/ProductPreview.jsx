@@ -11,17 +11,25 @@ import {
   Button,
 } from "@shopify/polaris";
 import { useAuthenticatedFetch } from "../../hooks";
+import { OWNER_TYPE_NOUNS, OWNER_TYPE_OPTIONS } from "../../constants/ownerTypes";
 import "./ProductPreview.css";
 
+// How often to retry while the product index is syncing (the API answers 409 meanwhile)
+const INDEX_SYNC_RETRY_MS = 5000;
+
 /**
- * Preview products that match configuration rules
+ * Preview products (or variants/collections, for variant- and collection-level configurations)
+ * that match configuration rules
  */
-export function ProductPreview({ rules, configurationId = null }) {
+export function ProductPreview({ rules, configurationId = null, ownerType = "PRODUCT" }) {
+  const noun = OWNER_TYPE_NOUNS[ownerType] || OWNER_TYPE_NOUNS.PRODUCT;
+  const ownerLabel = OWNER_TYPE_OPTIONS.find((option) => option.value === ownerType)?.label || "Products";
   const fetch = useAuthenticatedFetch();
   const [loading, setLoading] = useState(false);
   const [count, setCount] = useState(0);
   const [products, setProducts] = useState([]);
   const [error, setError] = useState(null);
+  const [indexSyncing, setIndexSyncing] = useState(false);
 
   const fetchPreview = async () => {
     if (!rules || rules.length === 0) {
@@ -44,12 +52,14 @@ export function ProductPreview({ rules, configurationId = null }) {
         response = await fetch("/api/configurations/preview", {
           method: "POST",
           headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ rules }),
+          body: JSON.stringify({ rules, ownerType }),
         });
       }
 
+      setIndexSyncing(response.status === 409);
       if (!response.ok) {
-        throw new Error("Failed to fetch product preview");
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || "Failed to fetch product preview");
       }
 
       const data = await response.json();
@@ -72,24 +82,35 @@ export function ProductPreview({ rules, configurationId = null }) {
     }, 500);
 
     return () => clearTimeout(timeoutId);
-  }, [rules, configurationId]);
+  }, [rules, configurationId, ownerType]);
+
+  // Try again until the product index finished syncing
+  useEffect(() => {
+    if (!indexSyncing) return;
+
+    const timeoutId = setTimeout(() => {
+      fetchPreview();
+    }, INDEX_SYNC_RETRY_MS);
+
+    return () => clearTimeout(timeoutId);
+  }, [indexSyncing, rules, configurationId, ownerType]);
 
   return (
     <LegacyCard sectioned>
       <VerticalStack gap="4">
         <VerticalStack gap="2">
           <Text as="h2" variant="headingMd">
-            Target Products
+            Target {ownerLabel}
           </Text>
           <Text as="p" tone="subdued">
-            Products that match your configuration rules
+            {ownerLabel} that match your configuration rules
           </Text>
         </VerticalStack>
 
         {loading ? (
           <HorizontalStack align="center" blockAlign="center">
             <Spinner size="small" />
-            <Text as="span">Loading products...</Text>
+            <Text as="span">Loading {noun.plural}...</Text>
           </HorizontalStack>
         ) : error ? (
           <Text as="p" tone="critical">
@@ -99,7 +120,7 @@ export function ProductPreview({ rules, configurationId = null }) {
           <VerticalStack gap="3">
             <HorizontalStack align="space-between">
               <Text as="p" variant="headingSm">
-                {count} product{count !== 1 ? "s" : ""} match
+                {count} {count !== 1 ? noun.plural : noun.singular} match
               </Text>
               <Button size="slim" onClick={fetchPreview}>
                 Refresh
@@ -108,17 +129,17 @@ export function ProductPreview({ rules, configurationId = null }) {
 
             {count === 0 ? (
               <Text as="p" tone="subdued">
-                No products match the current rules. Add or modify rules to target products.
+                No {noun.plural} match the current rules. Add or modify rules to target {noun.plural}.
               </Text>
             ) : (
               <VerticalStack gap="2">
                 {products.length > 0 && (
                   <>
                     <Text as="p" variant="bodySm" tone="subdued">
-                      Showing first {products.length} products:
+                      Showing first {products.length} {noun.plural}:
                     </Text>
                     <ResourceList
-                      resourceName={{ singular: "product", plural: "products" }}
+                      resourceName={noun}
                       items={products}
                       renderItem={(product) => {
                         const { id, title, vendor, productType, category } = product;
@@ -11,10 +11,30 @@ import {
   Text,
   Autocomplete,
   Tag,
+  TextField,
 } from "@shopify/polaris";
 import { PlusCircleIcon, DeleteIcon } from "@shopify/polaris-icons";
+import {
+  COMPARISON_LABELS,
+  COMPARISON_RULE_TYPES,
+  PRODUCT_STATUS_OPTIONS,
+  isComparisonRuleType,
+} from "../../constants/comparisonRules";
+import { COLLECTION_TYPE_OPTIONS, isRuleTypeAllowed } from "../../constants/ownerTypes";
 import "./RuleNode.css";
 
+/**
+ * Parse a "between" value stored as a JSON array [min, max]
+ */
+function parseRange(value) {
+  try {
+    const range = JSON.parse(value);
+    return Array.isArray(range) ? range : ["", ""];
+  } catch {
+    return ["", ""];
+  }
+}
+
 /**
  * Individual rule node component
  * Displays a rule with type selector, value input, and AND/OR add buttons
@@ -28,7 +48,10 @@ export function RuleNode({
   vendors = [],
   collections = [],
   categories = [],
+  tags = [],
   products = [],
+  metafieldDefinitions = [],
+  ownerType = "PRODUCT",
   level = 0,
   isRoot = false,
   usedParentTypes = [],
@@ -37,6 +60,10 @@ export function RuleNode({
   // Use rule prop directly (controlled component)
   const selectedType = rule.ruleType || "vendor";
   const selectedValue = rule.ruleValue || "";
+  const isNegated = !!rule.negate;
+  const comparisonType = COMPARISON_RULE_TYPES[selectedType];
+  const selectedComparison = rule.comparison || comparisonType?.comparisons[0] || null;
+  const typeLabel = comparisonType?.label || selectedType.charAt(0).toUpperCase() + selectedType.slice(1);
 
   // For products, parse as array (stored as JSON string)
   const selectedProducts = (() => {
@@ -57,11 +84,13 @@ export function RuleNode({
     { label: "Vendor", value: "vendor" },
     { label: "Collection", value: "collection" },
     { label: "Category", value: "category" },
+    { label: "Tag", value: "tag" },
+    ...Object.entries(COMPARISON_RULE_TYPES).map(([value, { label }]) => ({ label, value })),
   ];
 
-  // Filter out types that are already used in parent chain
+  // Filter out types that are already used in parent chain or don't apply to the owner type
   const typeOptions = allTypeOptions.filter(
-    (option) => !usedParentTypes.includes(option.value)
+    (option) => !usedParentTypes.includes(option.value) && isRuleTypeAllowed(ownerType, option.value)
   );
 
   // Get value options based on selected type
@@ -73,12 +102,14 @@ export function RuleNode({
         return collections.map((c) => ({ label: c.title, value: c.title, id: c.id }));
       case "category":
         return categories.map((c) => ({ label: c, value: c }));
+      case "tag":
+        return tags.map((t) => ({ label: t, value: t }));
       case "product":
         return products.map((p) => ({ label: p.title, value: p.id }));
       default:
         return [];
     }
-  }, [selectedType, vendors, collections, categories, products]);
+  }, [selectedType, vendors, collections, categories, tags, products]);
 
   const valueOptions = getValueOptions();
 
@@ -97,11 +128,20 @@ export function RuleNode({
         ruleType: value,
         ruleValue: "",
         ruleId: "",
+        comparison: COMPARISON_RULE_TYPES[value]?.comparisons[0] || null,
       });
     },
     [rule, onUpdate]
   );
 
+  // Toggle NOT (exclude products matching this rule)
+  const handleNegateToggle = useCallback(() => {
+    onUpdate(rule.id, {
+      ...rule,
+      negate: !isNegated,
+    });
+  }, [rule, onUpdate, isNegated]);
+
   // Handle value change
   const handleValueChange = useCallback(
     (value) => {
@@ -117,6 +157,156 @@ export function RuleNode({
     [rule, onUpdate, valueOptions]
   );
 
+  // Handle comparison change (between stores a [min, max] pair)
+  const handleComparisonChange = useCallback(
+    (value) => {
+      const wasRange = selectedComparison === "between";
+      const isRange = value === "between";
+
+      onUpdate(rule.id, {
+        ...rule,
+        comparison: value,
+        ruleValue: wasRange === isRange ? selectedValue : "",
+      });
+    },
+    [rule, onUpdate, selectedComparison, selectedValue]
+  );
+
+  // Handle free-form value change for comparison rules
+  const handleComparisonValueChange = useCallback(
+    (value) => {
+      onUpdate(rule.id, {
+        ...rule,
+        comparison: selectedComparison,
+        ruleValue: value,
+      });
+    },
+    [rule, onUpdate, selectedComparison]
+  );
+
+  const handleRangeChange = useCallback(
+    (index, value) => {
+      const range = parseRange(selectedValue);
+      range[index] = value;
+      handleComparisonValueChange(JSON.stringify(range));
+    },
+    [selectedValue, handleComparisonValueChange]
+  );
+
+  // Handle metafield picker / variant option name change (namespace.key or option name is stored in ruleId)
+  const handleRuleKeyChange = useCallback(
+    (value) => {
+      onUpdate(rule.id, {
+        ...rule,
+        comparison: selectedComparison,
+        ruleId: value,
+      });
+    },
+    [rule, onUpdate, selectedComparison]
+  );
+
+  // Render the comparison select and value input(s) for comparison rule types
+  const renderComparisonInputs = () => {
+    const comparisonOptions = comparisonType.comparisons.map((comparison) => ({
+      label: comparisonType.comparisonLabels?.[comparison] || COMPARISON_LABELS[comparison],
+      value: comparison,
+    }));
+
+    if (comparisonType.input === "status" || comparisonType.input === "collection_type") {
+      const isStatus = comparisonType.input === "status";
+      return (
+        <div className="rule-node-select">
+          <Select
+            label={comparisonType.label}
+            labelHidden
+            options={isStatus ? PRODUCT_STATUS_OPTIONS : COLLECTION_TYPE_OPTIONS}
+            value={selectedValue}
+            onChange={handleComparisonValueChange}
+            placeholder={isStatus ? "Select status" : "Select collection type"}
+          />
+        </div>
+      );
+    }
+
+    const isMetafield = comparisonType.input === "metafield";
+    const isOption = comparisonType.input === "option";
+    const inputType = isMetafield || isOption ? "text" : comparisonType.input;
+    const placeholder = selectedComparison === "regex" ? "e.g. ^summer-" : undefined;
+
+    const metafieldOptions = metafieldDefinitions.map((definition) => ({
+      label: `${definition.name} (${definition.namespace}.${definition.key})`,
+      value: `${definition.namespace}.${definition.key}`,
+    }));
+
+    return (
+      <VerticalStack gap="1">
+        {isMetafield && (
+          <div className="rule-node-select">
+            <Select
+              label="Metafield"
+              labelHidden
+              options={metafieldOptions}
+              value={rule.ruleId || ""}
+              onChange={handleRuleKeyChange}
+              placeholder="Select metafield"
+            />
+          </div>
+        )}
+        {isOption && (
+          <TextField
+            label="Option name"
+            labelHidden
+            value={rule.ruleId || ""}
+            onChange={handleRuleKeyChange}
+            placeholder="Option name, e.g. Size"
+            autoComplete="off"
+          />
+        )}
+        <div className="rule-node-select">
+          <Select
+            label="Comparison"
+            labelHidden
+            options={comparisonOptions}
+            value={selectedComparison}
+            onChange={handleComparisonChange}
+          />
+        </div>
+        {selectedComparison === "between" ? (
+          <HorizontalStack gap="1" wrap={false}>
+            <TextField
+              label="From"
+              labelHidden
+              type={inputType}
+              value={parseRange(selectedValue)[0]}
+              onChange={(value) => handleRangeChange(0, value)}
+              placeholder="From"
+              autoComplete="off"
+            />
+            <TextField
+              label="To"
+              labelHidden
+              type={inputType}
+              value={parseRange(selectedValue)[1]}
+              onChange={(value) => handleRangeChange(1, value)}
+              placeholder="To"
+              autoComplete="off"
+            />
+          </HorizontalStack>
+        ) : (
+          <TextField
+            label="Value"
+            labelHidden
+            type={inputType}
+            value={selectedValue}
+            onChange={handleComparisonValueChange}
+            placeholder={placeholder}
+            autoComplete="off"
+          />
+        )}
+      </VerticalStack>
+    );
+  };
+
   // Handle product multiselect change
   const handleProductsChange = useCallback(
     (selected) => {
@@ -148,7 +338,8 @@ export function RuleNode({
   );
 
   const allUsedTypes = [...usedParentTypes, selectedType];
-  const allTypeValues = ["vendor", "collection", "category"];
+  const allTypeValues = ["vendor", "collection", "category", "tag", ...Object.keys(COMPARISON_RULE_TYPES)]
+    .filter((type) => isRuleTypeAllowed(ownerType, type));
   const hasAvailableTypes = !hasChildren && selectedType !== "product" && allUsedTypes.length < allTypeValues.length;
 
   return (
@@ -157,15 +348,28 @@ export function RuleNode({
         <div className={`rule-node-card-content ${selectedType}`}>
           <VerticalStack gap="1">
             <HorizontalStack align="space-between">
-              <div className={`rule-node-badge ${selectedType}`}>
-                {selectedType.charAt(0).toUpperCase() + selectedType.slice(1)}
-              </div>
-              <Button
-                icon={DeleteIcon}
-                destructive
-                onClick={() => onDelete(rule.id)}
-                size="slim"
-              />
+              <HorizontalStack gap="1">
+                {isNegated && <div className="rule-node-not-badge">NOT</div>}
+                <div className={`rule-node-badge ${selectedType}`}>
+                  {typeLabel}
+                </div>
+              </HorizontalStack>
+              <ButtonGroup segmented>
+                <Button
+                  size="slim"
+                  pressed={isNegated}
+                  onClick={handleNegateToggle}
+                  accessibilityLabel={isNegated ? "Include products matching this rule" : "Exclude products matching this rule"}
+                >
+                  NOT
+                </Button>
+                <Button
+                  icon={DeleteIcon}
+                  destructive
+                  onClick={() => onDelete(rule.id)}
+                  size="slim"
+                />
+              </ButtonGroup>
             </HorizontalStack>
 
             {selectedType !== "product" && (
@@ -181,7 +385,9 @@ export function RuleNode({
               </div>
             )}
 
-            {selectedType === "product" ? (
+            {isComparisonRuleType(selectedType) ? (
+              renderComparisonInputs()
+            ) : selectedType === "product" ? (
               valueOptions.length > 0 ? (
                 <>
                   <div className="rule-node-autocomplete">
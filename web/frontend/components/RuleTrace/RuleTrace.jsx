@@ -0,0 +1,83 @@
+import { VerticalStack, HorizontalStack, Text, Badge } from "@shopify/polaris";
+import { COMPARISON_LABELS, COMPARISON_RULE_TYPES } from "../../constants/comparisonRules";
+import "./RuleTrace.css";
+
+/**
+ * Human readable "Type comparison value" for a traced rule
+ */
+function describeRule(node) {
+  const comparisonType = COMPARISON_RULE_TYPES[node.ruleType];
+  const typeLabel = comparisonType?.label
+    || node.ruleType.charAt(0).toUpperCase() + node.ruleType.slice(1);
+
+  let value = node.ruleValue || node.ruleId || "";
+  if (node.ruleType === "product" || node.ruleType === "collection") {
+    try {
+      const parsed = JSON.parse(node.ruleValue);
+      if (Array.isArray(parsed)) {
+        value = parsed.map((item) => item.title || item).join(", ");
+      }
+    } catch {
+      // Plain value
+    }
+  }
+
+  // Metafield and variant option rules keep their key in ruleId
+  const subject = node.ruleType === "metafield" || node.ruleType === "variant_option"
+    ? `${typeLabel} ${node.ruleId}`
+    : typeLabel;
+
+  const comparison = node.comparison && comparisonType
+    ? (comparisonType.comparisonLabels?.[node.comparison] || COMPARISON_LABELS[node.comparison]).toLowerCase()
+    : "is";
+
+  return `${node.negate ? "NOT " : ""}${subject} ${comparison} ${value}`;
+}
+
+function TraceNode({ node }) {
+  return (
+    <div className="rule-trace-node">
+      <VerticalStack gap="1">
+        <HorizontalStack gap="2" blockAlign="center">
+          {node.operator && (
+            <Text as="span" variant="bodySm" tone="subdued">
+              {node.operator}
+            </Text>
+          )}
+          <Text as="span">{describeRule(node)}</Text>
+          <Badge tone={node.matched ? "success" : "critical"}>
+            {node.matched ? "Matched" : "No match"}
+          </Badge>
+          {node.children.length > 0 && node.matched !== node.result && (
+            <Badge tone="warning">Children didn't match</Badge>
+          )}
+        </HorizontalStack>
+        {node.children.map((child) => (
+          <TraceNode key={child.id} node={child} />
+        ))}
+      </VerticalStack>
+    </div>
+  );
+}
+
+/**
+ * Per-rule evaluation trace of a configuration's rule tree
+ * (root nodes are OR'd, children follow their operator)
+ */
+export function RuleTrace({ nodes }) {
+  if (!nodes || nodes.length === 0) {
+    return (
+      <Text as="p" tone="subdued">
+        No rules - matches every product.
+      </Text>
+    );
+  }
+
+  return (
+    <VerticalStack gap="2">
+      {nodes.map((node) => (
+        <TraceNode key={node.id} node={node} />
+      ))}
+    </VerticalStack>
+  );
+}
@@ -0,0 +1,88 @@
+// Rule types that compare a product field using rule.comparison instead of picking a value
+export const COMPARISON_LABELS = {
+    equals: "Equals",
+    greater_than: "Greater than",
+    less_than: "Less than",
+    between: "Between",
+    contains: "Contains",
+    starts_with: "Starts with",
+    regex: "Matches regex",
+};
+
+export const COMPARISON_RULE_TYPES = {
+    price: {
+        label: "Price",
+        input: "number",
+        comparisons: ["less_than", "greater_than", "between", "equals"],
+    },
+    inventory: {
+        label: "Inventory",
+        input: "number",
+        comparisons: ["greater_than", "less_than", "between", "equals"],
+    },
+    status: {
+        label: "Status",
+        input: "status",
+        comparisons: ["equals"],
+    },
+    created_at: {
+        label: "Created",
+        input: "date",
+        comparisons: ["greater_than", "less_than", "between", "equals"],
+        comparisonLabels: {
+            greater_than: "After",
+            less_than: "Before",
+            equals: "On",
+        },
+    },
+    title: {
+        label: "Title",
+        input: "text",
+        comparisons: ["contains", "starts_with", "equals", "regex"],
+    },
+    handle: {
+        label: "Handle",
+        input: "text",
+        comparisons: ["contains", "starts_with", "equals", "regex"],
+    },
+    // rule.ruleId holds the metafield's namespace.key
+    metafield: {
+        label: "Metafield",
+        input: "metafield",
+        comparisons: ["equals", "contains", "starts_with", "regex", "greater_than", "less_than", "between"],
+    },
+    // Variant fields: checked on the variant itself for variant-level configurations,
+    // otherwise a product matches when any of its variants does.
+    // rule.ruleId holds the option name (e.g. "Size")
+    variant_option: {
+        label: "Variant option",
+        input: "option",
+        comparisons: ["equals", "contains", "starts_with", "regex"],
+    },
+    sku: {
+        label: "SKU",
+        input: "text",
+        comparisons: ["equals", "starts_with", "contains", "regex"],
+    },
+    barcode: {
+        label: "Barcode",
+        input: "text",
+        comparisons: ["equals", "starts_with", "contains", "regex"],
+    },
+    // Collection-level configurations only (smart or manual collection)
+    collection_type: {
+        label: "Collection type",
+        input: "collection_type",
+        comparisons: ["equals"],
+    },
+};
+
+export const PRODUCT_STATUS_OPTIONS = [
+    {label: "Active", value: "active"},
+    {label: "Draft", value: "draft"},
+    {label: "Archived", value: "archived"},
+];
+
+export function isComparisonRuleType(type) {
+    return !!COMPARISON_RULE_TYPES[type];
+}
@@ -0,0 +1,6 @@
+// How list metafields combine with lower-priority configurations setting the same key
+// (matches CONFLICT_MODES in web/database.js)
+export const CONFLICT_MODE_OPTIONS = [
+    {label: "Override lower-priority configurations", value: "override"},
+    {label: "Merge with lower-priority configurations", value: "merge"},
+];
@@ -0,0 +1,30 @@
+// Resources a configuration can write its metafields to (matches OWNER_TYPES in web/database.js)
+export const OWNER_TYPE_OPTIONS = [
+    {label: "Products", value: "PRODUCT"},
+    {label: "Variants", value: "PRODUCTVARIANT"},
+    {label: "Collections", value: "COLLECTION"},
+];
+
+export const OWNER_TYPE_NOUNS = {
+    PRODUCT: {singular: "product", plural: "products"},
+    PRODUCTVARIANT: {singular: "variant", plural: "variants"},
+    COLLECTION: {singular: "collection", plural: "collections"},
+};
+
+// Rule types a collection-level configuration can use (collections have no vendor, tags...)
+const COLLECTION_RULE_TYPES = ["title", "handle", "collection_type", "metafield"];
+
+export const COLLECTION_TYPE_OPTIONS = [
+    {label: "Smart", value: "smart"},
+    {label: "Manual", value: "custom"},
+];
+
+/**
+ * Whether a rule type can be used by configurations of the given owner type
+ */
+export function isRuleTypeAllowed(ownerType, ruleType) {
+    if (ownerType === "COLLECTION") {
+        return COLLECTION_RULE_TYPES.includes(ruleType);
+    }
+    return ruleType !== "collection_type";
+}
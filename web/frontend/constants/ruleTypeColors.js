@@ -11,6 +11,54 @@ export const TYPE_COLORS = {
         main: "#FFA500",
         light: "#FFF4E5",
     },
+    tag: {
+        main: "#C4387F",
+        light: "#FCEBF3",
+    },
+    price: {
+        main: "#0E7490",
+        light: "#E0F2F7",
+    },
+    inventory: {
+        main: "#0E7490",
+        light: "#E0F2F7",
+    },
+    status: {
+        main: "#0E7490",
+        light: "#E0F2F7",
+    },
+    created_at: {
+        main: "#0E7490",
+        light: "#E0F2F7",
+    },
+    title: {
+        main: "#0E7490",
+        light: "#E0F2F7",
+    },
+    handle: {
+        main: "#0E7490",
+        light: "#E0F2F7",
+    },
+    metafield: {
+        main: "#6D4C41",
+        light: "#EFEBE9",
+    },
+    variant_option: {
+        main: "#B45309",
+        light: "#FEF3E2",
+    },
+    sku: {
+        main: "#B45309",
+        light: "#FEF3E2",
+    },
+    barcode: {
+        main: "#B45309",
+        light: "#FEF3E2",
+    },
+    collection_type: {
+        main: "#008060",
+        light: "#E3F5F0",
+    },
     product: {
         main: "#8B5CF6",
         light: "#F3F0FF",
@@ -1 +1,3 @@
-export { useAuthenticatedFetch } from "./useAuthenticatedFetch";
\ No newline at end of file
+export { useAuthenticatedFetch } from "./useAuthenticatedFetch";
+export { useApplyJob, isApplyJobFinished } from "./useApplyJob";
+export { useDisplayTypes } from "./useDisplayTypes";
@@ -0,0 +1,85 @@
+import { useCallback, useState } from "react";
+import { useQuery } from "react-query";
+import { useAuthenticatedFetch } from "./useAuthenticatedFetch";
+
+const POLL_INTERVAL_MS = 1500;
+
+/**
+ * Returns true once an apply job will no longer change
+ */
+export function isApplyJobFinished(job) {
+  return job?.status === "completed" || job?.status === "failed";
+}
+
+/**
+ * A hook that starts a background apply job for a configuration (or a rollback
+ * of an earlier apply run) and polls its progress until it finishes.
+ *
+ * @returns {{ job: object|null, isRunning: boolean, startApply: Function, startRollback: Function, reset: Function }}
+ */
+export function useApplyJob() {
+  const fetch = useAuthenticatedFetch();
+  const [jobId, setJobId] = useState(null);
+  const [initialJob, setInitialJob] = useState(null);
+
+  const { data: polledJob } = useQuery({
+    queryKey: ["apply-job", jobId],
+    queryFn: async () => {
+      const response = await fetch(`/api/jobs/${jobId}`);
+      if (!response.ok) {
+        throw new Error("Failed to load job progress");
+      }
+      return await response.json();
+    },
+    enabled: !!jobId,
+    refetchInterval: (data) => (isApplyJobFinished(data) ? false : POLL_INTERVAL_MS),
+    refetchOnWindowFocus: false,
+  });
+
+  const startJob = useCallback(
+    async (url, fallbackError) => {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || fallbackError);
+      }
+
+      const job = await response.json();
+      setInitialJob(job);
+      setJobId(job.id);
+      return job;
+    },
+    [fetch]
+  );
+
+  const startApply = useCallback(
+    (configurationId) =>
+      startJob(`/api/configurations/${configurationId}/apply`, "Failed to apply configuration"),
+    [startJob]
+  );
+
+  const startRollback = useCallback(
+    (applyRunId) =>
+      startJob(`/api/apply-runs/${applyRunId}/rollback`, "Failed to roll back apply run"),
+    [startJob]
+  );
+
+  const reset = useCallback(() => {
+    setJobId(null);
+    setInitialJob(null);
+  }, []);
+
+  const job = jobId ? polledJob || initialJob : null;
+
+  return {
+    job,
+    isRunning: !!job && !isApplyJobFinished(job),
+    startApply,
+    startRollback,
+    reset,
+  };
+}
@@ -0,0 +1,58 @@
+import { useCallback } from "react";
+import { useQuery } from "react-query";
+import { useAuthenticatedFetch } from "./useAuthenticatedFetch";
+
+/**
+ * A hook that loads the storefront display types from the app (web/display-types.js),
+ * the one place they are defined.
+ *
+ * @returns {{ displayTypes: object[], isLoading: boolean, getDisplayType: Function, displayTypeOptions: Function, isDisplayTypeAllowed: Function }}
+ */
+export function useDisplayTypes() {
+  const fetch = useAuthenticatedFetch();
+
+  const { data: displayTypes = [], isLoading } = useQuery({
+    queryKey: ["display-types"],
+    queryFn: async () => {
+      const response = await fetch("/api/display-types");
+      if (!response.ok) {
+        throw new Error("Failed to load display types");
+      }
+      return await response.json();
+    },
+    staleTime: Infinity,
+    refetchOnWindowFocus: false,
+  });
+
+  // Definition of a display type, or undefined when it isn't registered
+  const getDisplayType = useCallback(
+    (id) => displayTypes.find((displayType) => displayType.id === id),
+    [displayTypes]
+  );
+
+  // Select options of the display types that can show a metafield of the given type
+  const displayTypeOptions = useCallback(
+    (metafieldType) => [
+      { label: "Select display type", value: "" },
+      ...displayTypes
+        .filter((displayType) => displayType.metafieldTypes.includes(metafieldType))
+        .map((displayType) => ({ label: displayType.name, value: displayType.id })),
+    ],
+    [displayTypes]
+  );
+
+  // Whether a display type can show a metafield of the given type (no display type always can;
+  // until the registry is loaded, any can)
+  const isDisplayTypeAllowed = useCallback(
+    (metafieldType, displayTypeId) =>
+      !displayTypeId ||
+      displayTypes.length === 0 ||
+      displayTypes.some(
+        (displayType) =>
+          displayType.id === displayTypeId && displayType.metafieldTypes.includes(metafieldType)
+      ),
+    [displayTypes]
+  );
+
+  return { displayTypes, isLoading, getDisplayType, displayTypeOptions, isDisplayTypeAllowed };
+}
@@ -18,7 +18,14 @@ import {useQuery, useQueryClient} from "react-query";
 import {ConfigurationGraphBuilder} from "../../components/ConfigurationGraphBuilder/ConfigurationGraphBuilder";
 import {ProductPreview} from "../../components/ProductPreview/ProductPreview";
 import {MetafieldConfigEditor} from "../../components/MetafieldConfigEditor";
-import {useAuthenticatedFetch} from "../../hooks";
+import {ApplyJobProgress} from "../../components/ApplyJobProgress/ApplyJobProgress";
+import {DryRunReviewModal} from "../../components/DryRunReviewModal/DryRunReviewModal";
+import {ApplyHistory} from "../../components/ApplyHistory/ApplyHistory";
+import {ManagedRemovals} from "../../components/ManagedRemovals/ManagedRemovals";
+import {useAuthenticatedFetch, useApplyJob, isApplyJobFinished} from "../../hooks";
+import {OWNER_TYPE_OPTIONS, isRuleTypeAllowed} from "../../constants/ownerTypes";
+import {CONFLICT_MODE_OPTIONS} from "../../constants/conflictModes";
+import {toDateTimeInputValue, fromDateTimeInputValue} from "../../utils/schedule";
 
 export default function EditConfiguration() {
     const {id} = useParams();
@@ -27,12 +34,33 @@ export default function EditConfiguration() {
     const queryClient = useQueryClient();
 
     const [name, setName] = useState("");
+    const [ownerType, setOwnerType] = useState("PRODUCT");
+    const [conflictMode, setConflictMode] = useState("override");
+    const [managed, setManaged] = useState(false);
+    // datetime-local input values, in the browser's time zone
+    const [startsAt, setStartsAt] = useState("");
+    const [endsAt, setEndsAt] = useState("");
     const [rules, setRules] = useState([]);
     const [metafieldConfigs, setMetafieldConfigs] = useState([]);
     const [isSaving, setIsSaving] = useState(false);
-    const [isApplying, setIsApplying] = useState(false);
+    const [isStartingApply, setIsStartingApply] = useState(false);
+    const [isReviewOpen, setIsReviewOpen] = useState(false);
     const [error, setError] = useState(null);
-    const [applyResult, setApplyResult] = useState(null);
+    const {
+        job: applyJob,
+        isRunning: isApplyRunning,
+        startApply,
+        startRollback,
+        reset: resetApplyJob,
+    } = useApplyJob();
+
+    // Refresh the apply history whenever a job starts or finishes
+    const applyJobFinished = isApplyJobFinished(applyJob);
+    useEffect(() => {
+        if (applyJob) {
+            queryClient.invalidateQueries(["apply-runs", id]);
+        }
+    }, [applyJob?.id, applyJobFinished, id, queryClient]);
 
     // Fetch configuration
     const {data: configData, isLoading: loadingConfig} = useQuery({
@@ -70,6 +98,11 @@ export default function EditConfiguration() {
             if (!configData) return;
 
             setName(configData.name || "");
+            setOwnerType(configData.owner_type || "PRODUCT");
+            setConflictMode(configData.conflict_mode || "override");
+            setManaged(!!configData.managed);
+            setStartsAt(toDateTimeInputValue(configData.starts_at));
+            setEndsAt(toDateTimeInputValue(configData.ends_at));
 
             // Convert snake_case to camelCase for frontend compatibility
             const convertedRules = (configData.rules || []).map(rule => ({
@@ -79,6 +112,8 @@ export default function EditConfiguration() {
                 ruleId: rule.rule_id,
                 parentId: rule.parent_id,
                 operator: rule.operator,
+                negate: !!rule.negate,
+                comparison: rule.comparison,
                 level: rule.level,
                 position: rule.position,
             }));
@@ -148,7 +183,7 @@ export default function EditConfiguration() {
         loadConfiguration();
     }, [configData, fetchMetaobjectData]);
 
-    // Fetch vendors, collections, categories, metafield definitions
+    // Fetch vendors, collections, categories, tags, metafield definitions
     const {data: vendorsData} = useQuery({
         queryKey: ["vendors"],
         queryFn: async () => {
@@ -185,6 +220,18 @@ export default function EditConfiguration() {
         refetchOnWindowFocus: false,
     });
 
+    const {data: tagsData} = useQuery({
+        queryKey: ["tags"],
+        queryFn: async () => {
+            const response = await fetch("/api/tags");
+            if (!response.ok) {
+                return {tags: []};
+            }
+            return await response.json();
+        },
+        refetchOnWindowFocus: false,
+    });
+
     const {data: productsData} = useQuery({
         queryKey: ["products"],
         queryFn: async () => {
@@ -197,10 +244,20 @@ export default function EditConfiguration() {
         refetchOnWindowFocus: false,
     });
 
+    // Product definitions are used by metafield rules
     const {data: metafieldDefsData} = useQuery({
-        queryKey: ["metafield-definitions"],
+        queryKey: ["metafield-definitions", "PRODUCT"],
         queryFn: async () => {
-            const response = await fetch("/api/metafield-definitions");
+            const response = await fetch("/api/metafield-definitions?ownerType=PRODUCT");
+            return await response.json();
+        },
+    });
+
+    // Definitions of the resource the configuration writes to
+    const {data: ownerMetafieldDefsData} = useQuery({
+        queryKey: ["metafield-definitions", ownerType],
+        queryFn: async () => {
+            const response = await fetch(`/api/metafield-definitions?ownerType=${ownerType}`);
             return await response.json();
         },
     });
@@ -208,8 +265,18 @@ export default function EditConfiguration() {
     const vendors = vendorsData?.vendors || [];
     const collections = collectionsData?.collections || [];
     const categories = categoriesData?.categories || [];
+    const tags = tagsData?.tags || [];
     const products = productsData?.products || [];
     const metafieldDefinitions = metafieldDefsData?.definitions || [];
+    const ownerMetafieldDefinitions = ownerMetafieldDefsData?.definitions || [];
+
+    // Product rules don't apply to collections (and vice versa), so switching between them starts over
+    const handleOwnerTypeChange = useCallback((value) => {
+        setOwnerType(value);
+        if (rules.some((rule) => !isRuleTypeAllowed(value, rule.ruleType))) {
+            setRules([]);
+        }
+    }, [rules]);
 
     const handleSave = useCallback(async () => {
         if (metafieldConfigs.length === 0) {
@@ -228,6 +295,11 @@ export default function EditConfiguration() {
                     name: name || null,
                     metafieldConfigs,
                     rules,
+                    ownerType,
+                    conflictMode,
+                    managed,
+                    startsAt: fromDateTimeInputValue(startsAt),
+                    endsAt: fromDateTimeInputValue(endsAt),
                 }),
             });
 
@@ -246,33 +318,40 @@ export default function EditConfiguration() {
         } finally {
             setIsSaving(false);
         }
-    }, [id, name, metafieldConfigs, rules, fetch, navigate, queryClient]);
+    }, [id, name, ownerType, conflictMode, managed, startsAt, endsAt, metafieldConfigs, rules, fetch, navigate, queryClient]);
 
     const handleApply = useCallback(async () => {
-        setIsApplying(true);
+        setIsReviewOpen(false);
+        setIsStartingApply(true);
         setError(null);
-        setApplyResult(null);
+        resetApplyJob();
 
         try {
-            const response = await fetch(`/api/configurations/${id}/apply`, {
-                method: "POST",
-                headers: {"Content-Type": "application/json"},
-            });
+            await startApply(id);
+        } catch (err) {
+            console.error("Error applying configuration:", err);
+            setError(err.message);
+        } finally {
+            setIsStartingApply(false);
+        }
+    }, [id, startApply, resetApplyJob]);
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || "Failed to apply configuration");
-            }
+    const handleRollback = useCallback(async (applyRunId) => {
+        setIsStartingApply(true);
+        setError(null);
+        resetApplyJob();
 
-            const result = await response.json();
-            setApplyResult(result);
+        try {
+            await startRollback(applyRunId);
         } catch (err) {
-            console.error("Error applying configuration:", err);
+            console.error("Error rolling back apply run:", err);
             setError(err.message);
         } finally {
-            setIsApplying(false);
+            setIsStartingApply(false);
         }
-    }, [id, fetch]);
+    }, [startRollback, resetApplyJob]);
+
+    const isApplying = isStartingApply || isApplyRunning;
 
     const handleCancel = useCallback(() => {
         navigate("/");
@@ -293,9 +372,9 @@ export default function EditConfiguration() {
             secondaryActions={[
                 {
                     content: "Apply to Products",
-                    onAction: handleApply,
-                    loading: isApplying,
-                    disabled: isSaving,
+                    onAction: () => setIsReviewOpen(true),
+                    loading: isStartingApply,
+                    disabled: isSaving || isApplyRunning,
                 },
                 {
                     content: "Cancel",
@@ -306,6 +385,14 @@ export default function EditConfiguration() {
         >
             <TitleBar title={`Edit Configuration${configData?.name ? `: ${configData.name}` : ""}`}/>
 
+            <DryRunReviewModal
+                open={isReviewOpen}
+                configurationId={id}
+                onClose={() => setIsReviewOpen(false)}
+                onConfirm={handleApply}
+                confirmLoading={isStartingApply}
+            />
+
             <Layout>
                 {error && (
                     <Layout.Section>
@@ -315,19 +402,12 @@ export default function EditConfiguration() {
                     </Layout.Section>
                 )}
 
-                {applyResult && (
+                {applyJob && (
                     <Layout.Section>
-                        <Banner
-                            tone={applyResult.failed === 0 ? "success" : "warning"}
-                            onDismiss={() => setApplyResult(null)}
-                        >
-                            <p>
-                                Applied to {applyResult.successful} of {applyResult.total} products.
-                            </p>
-                            {applyResult.failed > 0 && (
-                                <p>{applyResult.failed} products failed to update.</p>
-                            )}
-                        </Banner>
+                        <ApplyJobProgress
+                            job={applyJob}
+                            onDismiss={isApplyRunning ? undefined : resetApplyJob}
+                        />
                     </Layout.Section>
                 )}
 
@@ -352,6 +432,43 @@ export default function EditConfiguration() {
                                         helpText="If left empty, a name will be auto-generated based on your rules"
                                         autoComplete="off"
                                     />
+                                    <Select
+                                        label="Assign metafields to"
+                                        options={OWNER_TYPE_OPTIONS}
+                                        value={ownerType}
+                                        onChange={handleOwnerTypeChange}
+                                        helpText="Variants: metafields are written to each matching variant. Variant option, SKU and barcode rules then check the variant itself. Collections: rules match collection title, handle and type."
+                                    />
+                                    <Select
+                                        label="List metafields set by other configurations"
+                                        options={CONFLICT_MODE_OPTIONS}
+                                        value={conflictMode}
+                                        onChange={setConflictMode}
+                                        helpText="When configurations matching the same item set the same metafield, the highest priority one wins. Merge combines list values with lower-priority configurations instead."
+                                    />
+                                    <Checkbox
+                                        label="Managed: remove values when items stop matching"
+                                        checked={managed}
+                                        onChange={setManaged}
+                                        helpText="The app keeps track of the metafields this configuration writes. When an item no longer matches, or the configuration is changed or deleted, its values are removed or taken over by the configuration that now applies. Values edited in Shopify are left alone."
+                                    />
+                                    <HorizontalStack gap="4">
+                                        <TextField
+                                            label="Start (optional)"
+                                            type="datetime-local"
+                                            value={startsAt}
+                                            onChange={setStartsAt}
+                                            autoComplete="off"
+                                        />
+                                        <TextField
+                                            label="End (optional)"
+                                            type="datetime-local"
+                                            value={endsAt}
+                                            onChange={setEndsAt}
+                                            helpText="Applied when the start passes; when the end passes its values are reverted, or handed to the next-priority configuration when managed."
+                                            autoComplete="off"
+                                        />
+                                    </HorizontalStack>
                                 </VerticalStack>
                             </LegacyCard>
                         </Layout.Section>
@@ -362,7 +479,7 @@ export default function EditConfiguration() {
                                     <MetafieldConfigEditor
                                         metafieldConfigs={metafieldConfigs}
                                         onChange={setMetafieldConfigs}
-                                        metafieldDefinitions={metafieldDefinitions}
+                                        metafieldDefinitions={ownerMetafieldDefinitions}
                                     />
                                 </VerticalStack>
                             </LegacyCard>
@@ -375,13 +492,30 @@ export default function EditConfiguration() {
                                 vendors={vendors}
                                 collections={collections}
                                 categories={categories}
+                                tags={tags}
                                 products={products}
+                                metafieldDefinitions={ownerType === "COLLECTION" ? ownerMetafieldDefinitions : metafieldDefinitions}
+                                ownerType={ownerType}
                             />
                         </Layout.Section>
 
                         <Layout.Section>
-                            <ProductPreview rules={rules} />
+                            <ProductPreview rules={rules} ownerType={ownerType} />
                         </Layout.Section>
+
+                        <Layout.Section>
+                            <ApplyHistory
+                                configurationId={id}
+                                onRollback={handleRollback}
+                                rollbackDisabled={isApplying}
+                            />
+                        </Layout.Section>
+
+                        {configData?.managed && (
+                            <Layout.Section>
+                                <ManagedRemovals configurationId={id} title="Removed metafields" />
+                            </Layout.Section>
+                        )}
                     </>
                 )}
             </Layout>
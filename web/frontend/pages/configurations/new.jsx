@@ -9,6 +9,8 @@ import {
     Banner,
     Spinner,
     HorizontalStack,
+    Checkbox,
+    Select,
 } from "@shopify/polaris";
 import {TitleBar} from "@shopify/app-bridge-react";
 import {useNavigate} from "react-router-dom";
@@ -17,6 +19,9 @@ import {ConfigurationGraphBuilder} from "../../components/ConfigurationGraphBuil
 import {ProductPreview} from "../../components/ProductPreview/ProductPreview";
 import {MetafieldConfigEditor} from "../../components/MetafieldConfigEditor";
 import {useAuthenticatedFetch} from "../../hooks";
+import {OWNER_TYPE_OPTIONS, isRuleTypeAllowed} from "../../constants/ownerTypes";
+import {CONFLICT_MODE_OPTIONS} from "../../constants/conflictModes";
+import {fromDateTimeInputValue} from "../../utils/schedule";
 
 export default function NewConfiguration() {
     const navigate = useNavigate();
@@ -24,6 +29,12 @@ export default function NewConfiguration() {
     const queryClient = useQueryClient();
 
     const [name, setName] = useState("");
+    const [ownerType, setOwnerType] = useState("PRODUCT");
+    const [conflictMode, setConflictMode] = useState("override");
+    const [managed, setManaged] = useState(false);
+    // datetime-local input values, in the browser's time zone
+    const [startsAt, setStartsAt] = useState("");
+    const [endsAt, setEndsAt] = useState("");
     const [rules, setRules] = useState([]);
     const [metafieldConfigs, setMetafieldConfigs] = useState([]);
     const [isSaving, setIsSaving] = useState(false);
@@ -70,6 +81,19 @@ export default function NewConfiguration() {
         refetchOnWindowFocus: false,
     });
 
+    // Fetch tags
+    const {data: tagsData, isLoading: loadingTags} = useQuery({
+        queryKey: ["tags"],
+        queryFn: async () => {
+            const response = await fetch("/api/tags");
+            if (!response.ok) {
+                return {tags: []};
+            }
+            return await response.json();
+        },
+        refetchOnWindowFocus: false,
+    });
+
     // Fetch products
     const {data: productsData, isLoading: loadingProducts} = useQuery({
         queryKey: ["products"],
@@ -83,11 +107,21 @@ export default function NewConfiguration() {
         refetchOnWindowFocus: false,
     });
 
-    // Fetch metafield definitions
+    // Fetch metafield definitions (product definitions are used by metafield rules)
     const {data: metafieldDefsData, isLoading: loadingMetafields} = useQuery({
-        queryKey: ["metafield-definitions"],
+        queryKey: ["metafield-definitions", "PRODUCT"],
         queryFn: async () => {
-            const response = await fetch("/api/metafield-definitions");
+            const response = await fetch("/api/metafield-definitions?ownerType=PRODUCT");
+            return await response.json();
+        },
+        refetchOnWindowFocus: false,
+    });
+
+    // Definitions of the resource the configuration writes to
+    const {data: ownerMetafieldDefsData} = useQuery({
+        queryKey: ["metafield-definitions", ownerType],
+        queryFn: async () => {
+            const response = await fetch(`/api/metafield-definitions?ownerType=${ownerType}`);
             return await response.json();
         },
         refetchOnWindowFocus: false,
@@ -96,8 +130,18 @@ export default function NewConfiguration() {
     const vendors = vendorsData?.vendors || [];
     const collections = collectionsData?.collections || [];
     const categories = categoriesData?.categories || [];
+    const tags = tagsData?.tags || [];
     const products = productsData?.products || [];
     const metafieldDefinitions = metafieldDefsData?.definitions || [];
+    const ownerMetafieldDefinitions = ownerMetafieldDefsData?.definitions || [];
+
+    // Product rules don't apply to collections (and vice versa), so switching between them starts over
+    const handleOwnerTypeChange = useCallback((value) => {
+        setOwnerType(value);
+        if (rules.some((rule) => !isRuleTypeAllowed(value, rule.ruleType))) {
+            setRules([]);
+        }
+    }, [rules]);
 
     const handleSave = useCallback(async () => {
         if (metafieldConfigs.length === 0) {
@@ -117,6 +161,11 @@ export default function NewConfiguration() {
                     metafieldConfigs,
                     rules,
                     priority: 0,
+                    ownerType,
+                    conflictMode,
+                    managed,
+                    startsAt: fromDateTimeInputValue(startsAt),
+                    endsAt: fromDateTimeInputValue(endsAt),
                 }),
             });
 
@@ -137,13 +186,13 @@ export default function NewConfiguration() {
         } finally {
             setIsSaving(false);
         }
-    }, [name, metafieldConfigs, rules, fetch, navigate, queryClient]);
+    }, [name, ownerType, conflictMode, managed, startsAt, endsAt, metafieldConfigs, rules, fetch, navigate, queryClient]);
 
     const handleCancel = useCallback(() => {
         navigate("/");
     }, [navigate]);
 
-    const isLoading = loadingVendors || loadingCollections || loadingCategories || loadingProducts || loadingMetafields;
+    const isLoading = loadingVendors || loadingCollections || loadingCategories || loadingTags || loadingProducts || loadingMetafields;
 
     return (
         <Page
@@ -195,6 +244,43 @@ export default function NewConfiguration() {
                                         helpText="If left empty, a name will be auto-generated based on your rules"
                                         autoComplete="off"
                                     />
+                                    <Select
+                                        label="Assign metafields to"
+                                        options={OWNER_TYPE_OPTIONS}
+                                        value={ownerType}
+                                        onChange={handleOwnerTypeChange}
+                                        helpText="Variants: metafields are written to each matching variant. Variant option, SKU and barcode rules then check the variant itself. Collections: rules match collection title, handle and type."
+                                    />
+                                    <Select
+                                        label="List metafields set by other configurations"
+                                        options={CONFLICT_MODE_OPTIONS}
+                                        value={conflictMode}
+                                        onChange={setConflictMode}
+                                        helpText="When configurations matching the same item set the same metafield, the highest priority one wins. Merge combines list values with lower-priority configurations instead."
+                                    />
+                                    <Checkbox
+                                        label="Managed: remove values when items stop matching"
+                                        checked={managed}
+                                        onChange={setManaged}
+                                        helpText="The app keeps track of the metafields this configuration writes. When an item no longer matches, or the configuration is changed or deleted, its values are removed or taken over by the configuration that now applies. Values edited in Shopify are left alone."
+                                    />
+                                    <HorizontalStack gap="4">
+                                        <TextField
+                                            label="Start (optional)"
+                                            type="datetime-local"
+                                            value={startsAt}
+                                            onChange={setStartsAt}
+                                            autoComplete="off"
+                                        />
+                                        <TextField
+                                            label="End (optional)"
+                                            type="datetime-local"
+                                            value={endsAt}
+                                            onChange={setEndsAt}
+                                            helpText="Applied when the start passes; when the end passes its values are reverted, or handed to the next-priority configuration when managed."
+                                            autoComplete="off"
+                                        />
+                                    </HorizontalStack>
                                 </VerticalStack>
                             </LegacyCard>
                         </Layout.Section>
@@ -206,7 +292,7 @@ export default function NewConfiguration() {
                                         <MetafieldConfigEditor
                                             metafieldConfigs={metafieldConfigs}
                                             onChange={setMetafieldConfigs}
-                                            metafieldDefinitions={metafieldDefinitions}
+                                            metafieldDefinitions={ownerMetafieldDefinitions}
                                         />
                                     </VerticalStack>
                                 </LegacyCard>
@@ -220,12 +306,15 @@ export default function NewConfiguration() {
                                 vendors={vendors}
                                 collections={collections}
                                 categories={categories}
+                                tags={tags}
                                 products={products}
+                                metafieldDefinitions={ownerType === "COLLECTION" ? ownerMetafieldDefinitions : metafieldDefinitions}
+                                ownerType={ownerType}
                             />
                         </Layout.Section>
 
                         <Layout.Section>
-                            <ProductPreview rules={rules}/>
+                            <ProductPreview rules={rules} ownerType={ownerType}/>
                         </Layout.Section>
                     </>
                 )}
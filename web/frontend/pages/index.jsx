@@ -3,7 +3,8 @@ import {
   Page,
   Layout,
   LegacyCard,
-  DataTable,
+  IndexTable,
+  useIndexResourceState,
   Badge,
   Button,
   HorizontalStack,
@@ -19,18 +20,38 @@ import { TitleBar } from "@shopify/app-bridge-react";
 import { useNavigate } from "react-router-dom";
 import { useQuery, useMutation, useQueryClient } from "react-query";
 import { PriorityEditor } from "../components/PriorityEditor/PriorityEditor";
-import { useAuthenticatedFetch } from "../hooks";
+import { ApplyJobProgress } from "../components/ApplyJobProgress/ApplyJobProgress";
+import { DryRunReviewModal } from "../components/DryRunReviewModal/DryRunReviewModal";
+import { ManagedRemovals } from "../components/ManagedRemovals/ManagedRemovals";
+import { useAuthenticatedFetch, useApplyJob } from "../hooks";
+import { OWNER_TYPE_OPTIONS } from "../constants/ownerTypes";
+import { scheduleStatus } from "../utils/schedule";
+
+const SCHEDULE_BADGES = {
+  scheduled: { tone: "attention", label: "Scheduled" },
+  active: { tone: "success", label: "In window" },
+  ended: { tone: undefined, label: "Ended" },
+};
 
 export default function HomePage() {
   const navigate = useNavigate();
   const authenticatedFetch = useAuthenticatedFetch();
   const queryClient = useQueryClient();
 
-  const [applyingId, setApplyingId] = useState(null);
+  const [startingApplyId, setStartingApplyId] = useState(null);
+  const [reviewingId, setReviewingId] = useState(null);
   const [duplicatingId, setDuplicatingId] = useState(null);
-  const [applyResult, setApplyResult] = useState(null);
   const [error, setError] = useState(null);
   const [activePopover, setActivePopover] = useState(null);
+  const {
+    job: applyJob,
+    isRunning: isApplyRunning,
+    startApply,
+    reset: resetApplyJob,
+  } = useApplyJob();
+
+  // Configuration currently being applied (request in flight or job running)
+  const applyingId = startingApplyId || (isApplyRunning ? applyJob.configurationId : null);
 
   // Fetch configurations
   const {
@@ -52,6 +73,13 @@ export default function HomePage() {
 
   const configurations = configurationsData || [];
 
+  const {
+    selectedResources,
+    allResourcesSelected,
+    handleSelectionChange,
+    clearSelection,
+  } = useIndexResourceState(configurations);
+
   // Delete mutation
   const deleteMutation = useMutation({
     mutationFn: async (id) => {
@@ -92,31 +120,52 @@ export default function HomePage() {
     },
   });
 
-  // Apply configuration
+  // Enable/disable mutation (single row or bulk selection)
+  const enabledMutation = useMutation({
+    mutationFn: async ({ ids, enabled }) => {
+      const response = await authenticatedFetch("/api/configurations/enabled", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ids, enabled }),
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to ${enabled ? "enable" : "disable"} configurations`);
+      }
+      return await response.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(["configurations"]);
+      clearSelection();
+    },
+    onError: (err) => {
+      setError(err.message);
+    },
+  });
+
+  const handleSetEnabled = useCallback(
+    (ids, enabled) => {
+      enabledMutation.mutate({ ids, enabled });
+    },
+    [enabledMutation]
+  );
+
+  // Apply configuration (runs as a background job)
   const handleApply = useCallback(
     async (id) => {
-      setApplyingId(id);
+      setReviewingId(null);
+      setStartingApplyId(id);
       setError(null);
-      setApplyResult(null);
+      resetApplyJob();
 
       try {
-        const response = await authenticatedFetch(`/api/configurations/${id}/apply`, {
-          method: "POST",
-        });
-
-        if (!response.ok) {
-          throw new Error("Failed to apply configuration");
-        }
-
-        const result = await response.json();
-        setApplyResult(result);
+        await startApply(id);
       } catch (err) {
         setError(err.message);
       } finally {
-        setApplyingId(null);
+        setStartingApplyId(null);
       }
     },
-    [authenticatedFetch]
+    [startApply, resetApplyJob]
   );
 
   // Update priority
@@ -146,11 +195,15 @@ export default function HomePage() {
 
   const handleDelete = useCallback(
     (id) => {
-      if (confirm("Are you sure you want to delete this configuration?")) {
+      const configuration = configurations.find((config) => config.id === id);
+      const message = configuration?.managed
+        ? "Are you sure you want to delete this configuration? Its managed metafields will be removed from products that no other configuration sets them for."
+        : "Are you sure you want to delete this configuration?";
+      if (confirm(message)) {
         deleteMutation.mutate(id);
       }
     },
-    [deleteMutation]
+    [configurations, deleteMutation]
   );
 
   const handleDuplicate = useCallback(
@@ -173,78 +226,135 @@ export default function HomePage() {
   }, [navigate]);
 
   // Build table rows
-  const rows = configurations.map((config) => {
+  const rowMarkup = configurations.map((config, index) => {
     const typeBadgeColors = {
       vendor: "info",
       category: "warning",
       collection: "success",
       product: "attention",
+      tag: "new",
       combined: "default",
     };
+    const scheduleBadge = SCHEDULE_BADGES[scheduleStatus(config)];
 
-    return [
-      config.name || "(Auto-generated)",
-      <Badge tone={typeBadgeColors[config.type] || "default"} key={`type-${config.id}`}>
-        {config.type.charAt(0).toUpperCase() + config.type.slice(1)}
-      </Badge>,
-      <PriorityEditor
-        key={`priority-${config.id}`}
-        priority={config.priority}
-        configId={config.id}
-        onSave={handlePriorityUpdate}
-      />,
-      config.ruleCount || 0,
-      <Popover
-        key={`actions-${config.id}`}
-        active={activePopover === config.id}
-        activator={
-          <Button
-            onClick={() => setActivePopover(activePopover === config.id ? null : config.id)}
-            icon={MenuVerticalIcon}
-            accessibilityLabel="Actions"
-          />
-        }
-        onClose={() => setActivePopover(null)}
+    return (
+      <IndexTable.Row
+        id={config.id}
+        key={config.id}
+        position={index}
+        selected={selectedResources.includes(config.id)}
       >
-        <ActionList
-          items={[
-            {
-              content: "Edit",
-              onAction: () => {
-                setActivePopover(null);
-                handleEdit(config.id);
-              },
-            },
-            {
-              content: applyingId === config.id ? "Applying..." : "Apply",
-              onAction: () => {
-                setActivePopover(null);
-                handleApply(config.id);
-              },
-              disabled: applyingId === config.id,
-            },
-            {
-              content: duplicatingId === config.id ? "Duplicating..." : "Duplicate",
-              onAction: () => {
-                setActivePopover(null);
-                handleDuplicate(config.id);
-              },
-              disabled: duplicatingId === config.id,
-            },
-            {
-              content: "Delete",
-              destructive: true,
-              onAction: () => {
-                setActivePopover(null);
-                handleDelete(config.id);
-              },
-            },
-          ]}
-        />
-      </Popover>,
-    ];
+        <IndexTable.Cell>
+          <Text as="span" fontWeight="semibold">
+            {config.name || "(Auto-generated)"}
+          </Text>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <Badge tone={config.enabled ? "success" : undefined}>
+            {config.enabled ? "Enabled" : "Disabled"}
+          </Badge>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <HorizontalStack gap="1">
+            <Badge tone={typeBadgeColors[config.type] || "default"}>
+              {(config.type.charAt(0).toUpperCase() + config.type.slice(1)).replace("_", " ")}
+            </Badge>
+            {config.owner_type && config.owner_type !== "PRODUCT" && (
+              <Badge>{OWNER_TYPE_OPTIONS.find((option) => option.value === config.owner_type)?.label}</Badge>
+            )}
+            {config.managed && <Badge tone="info">Managed</Badge>}
+            {scheduleBadge && <Badge tone={scheduleBadge.tone}>{scheduleBadge.label}</Badge>}
+          </HorizontalStack>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          {/* Keep clicks in editable cells from toggling the row selection */}
+          <div onClick={(event) => event.stopPropagation()}>
+            <PriorityEditor
+              priority={config.priority}
+              configId={config.id}
+              onSave={handlePriorityUpdate}
+            />
+          </div>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <Text as="span" alignment="end" numeric>
+            {config.ruleCount || 0}
+          </Text>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <div onClick={(event) => event.stopPropagation()}>
+            <Popover
+              active={activePopover === config.id}
+              activator={
+                <Button
+                  onClick={() => setActivePopover(activePopover === config.id ? null : config.id)}
+                  icon={MenuVerticalIcon}
+                  accessibilityLabel="Actions"
+                />
+              }
+              onClose={() => setActivePopover(null)}
+            >
+              <ActionList
+                items={[
+                  {
+                    content: "Edit",
+                    onAction: () => {
+                      setActivePopover(null);
+                      handleEdit(config.id);
+                    },
+                  },
+                  {
+                    content: applyingId === config.id ? "Applying..." : "Apply",
+                    onAction: () => {
+                      setActivePopover(null);
+                      setReviewingId(config.id);
+                    },
+                    disabled: !!applyingId || !config.enabled,
+                  },
+                  {
+                    content: config.enabled ? "Disable" : "Enable",
+                    onAction: () => {
+                      setActivePopover(null);
+                      handleSetEnabled([config.id], !config.enabled);
+                    },
+                    disabled: enabledMutation.isLoading,
+                  },
+                  {
+                    content: duplicatingId === config.id ? "Duplicating..." : "Duplicate",
+                    onAction: () => {
+                      setActivePopover(null);
+                      handleDuplicate(config.id);
+                    },
+                    disabled: duplicatingId === config.id,
+                  },
+                  {
+                    content: "Delete",
+                    destructive: true,
+                    onAction: () => {
+                      setActivePopover(null);
+                      handleDelete(config.id);
+                    },
+                  },
+                ]}
+              />
+            </Popover>
+          </div>
+        </IndexTable.Cell>
+      </IndexTable.Row>
+    );
   });
 
+  const promotedBulkActions = [
+    {
+      content: "Enable",
+      onAction: () => handleSetEnabled(selectedResources, true),
+    },
+    {
+      content: "Disable",
+      onAction: () => handleSetEnabled(selectedResources, false),
+    },
+  ];
+
   return (
     <Page
       title="My Configurations"
@@ -255,15 +365,21 @@ export default function HomePage() {
     >
       <TitleBar title="My Configurations" />
 
+      <DryRunReviewModal
+        open={!!reviewingId}
+        configurationId={reviewingId}
+        onClose={() => setReviewingId(null)}
+        onConfirm={() => handleApply(reviewingId)}
+        confirmLoading={!!startingApplyId}
+      />
+
       <Layout>
-        {applyingId && (
+        {applyJob && (
           <Layout.Section>
-            <Banner>
-              <HorizontalStack gap="2" align="start">
-                <Spinner size="small" />
-                <Text as="span">Applying configuration to products...</Text>
-              </HorizontalStack>
-            </Banner>
+            <ApplyJobProgress
+              job={applyJob}
+              onDismiss={isApplyRunning ? undefined : resetApplyJob}
+            />
           </Layout.Section>
         )}
 
@@ -297,23 +413,6 @@ export default function HomePage() {
           </Layout.Section>
         )}
 
-        {applyResult && (
-          <Layout.Section>
-            <Banner
-              tone={applyResult.failed === 0 ? "success" : "warning"}
-              onDismiss={() => setApplyResult(null)}
-            >
-              <p>
-                Applied to {applyResult.successful} of {applyResult.total}{" "}
-                products.
-              </p>
-              {applyResult.failed > 0 && (
-                <p>{applyResult.failed} products failed to update.</p>
-              )}
-            </Banner>
-          </Layout.Section>
-        )}
-
         <Layout.Section>
           {isLoading ? (
             <LegacyCard sectioned>
@@ -337,16 +436,33 @@ export default function HomePage() {
               </p>
             </EmptyState>
           ) : (
-            <LegacyCard sectioned>
-              <DataTable
-                columnContentTypes={["text", "text", "text", "numeric", "text"]}
-                headings={["Name", "Type", "Priority", "Rules", "Actions"]}
-                rows={rows}
-              />
+            <LegacyCard>
+              <IndexTable
+                resourceName={{ singular: "configuration", plural: "configurations" }}
+                itemCount={configurations.length}
+                selectedItemsCount={allResourcesSelected ? "All" : selectedResources.length}
+                onSelectionChange={handleSelectionChange}
+                promotedBulkActions={promotedBulkActions}
+                loading={enabledMutation.isLoading}
+                headings={[
+                  { title: "Name" },
+                  { title: "Status" },
+                  { title: "Type" },
+                  { title: "Priority" },
+                  { title: "Rules", alignment: "end" },
+                  { title: "Actions" },
+                ]}
+              >
+                {rowMarkup}
+              </IndexTable>
             </LegacyCard>
           )}
         </Layout.Section>
 
+        <Layout.Section>
+          <ManagedRemovals />
+        </Layout.Section>
+
         {configurations.length > 0 && (
           <Layout.Section>
             <LegacyCard sectioned>
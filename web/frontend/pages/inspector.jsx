@@ -0,0 +1,260 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  Page,
+  Layout,
+  LegacyCard,
+  VerticalStack,
+  HorizontalStack,
+  Autocomplete,
+  DataTable,
+  Badge,
+  Banner,
+  Spinner,
+  Text,
+  Icon,
+} from "@shopify/polaris";
+import { SearchIcon } from "@shopify/polaris-icons";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { useQuery } from "react-query";
+import { RuleTrace } from "../components/RuleTrace/RuleTrace";
+import { useAuthenticatedFetch } from "../hooks";
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+function configurationLabel(configuration) {
+  return `${configuration.name || "(Auto-generated)"} (priority ${configuration.priority})`;
+}
+
+function syncBadge(metafield) {
+  if (metafield.value === null) {
+    return <Badge tone="warning">Skipped (empty value)</Badge>;
+  }
+  if (metafield.inSync) {
+    return <Badge tone="success">In sync</Badge>;
+  }
+  return <Badge tone="critical">{metafield.current ? "Differs" : "Not set"}</Badge>;
+}
+
+/**
+ * Effective metafields inspector: pick a product and see which configurations match it,
+ * why (per-rule trace), which values win by priority and what is stored on Shopify
+ */
+export default function EffectiveMetafields() {
+  const fetch = useAuthenticatedFetch();
+
+  const [searchValue, setSearchValue] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+  const [selectedProductId, setSelectedProductId] = useState(null);
+
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setDebouncedSearch(searchValue), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeoutId);
+  }, [searchValue]);
+
+  const { data: searchData, isLoading: isSearching } = useQuery({
+    queryKey: ["product-search", debouncedSearch],
+    queryFn: async () => {
+      const response = await fetch(
+        `/api/products/search?query=${encodeURIComponent(debouncedSearch)}`
+      );
+      if (!response.ok) {
+        return { products: [] };
+      }
+      return await response.json();
+    },
+    enabled: debouncedSearch.trim().length > 0,
+    refetchOnWindowFocus: false,
+  });
+
+  const {
+    data: inspection,
+    isLoading: isInspecting,
+    error,
+  } = useQuery({
+    queryKey: ["effective-metafields", selectedProductId],
+    queryFn: async () => {
+      const response = await fetch(
+        `/api/effective-metafields?productId=${encodeURIComponent(selectedProductId)}`
+      );
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || "Failed to inspect product");
+      }
+      return await response.json();
+    },
+    enabled: !!selectedProductId,
+    refetchOnWindowFocus: false,
+  });
+
+  const productOptions = (searchData?.products || []).map((product) => ({
+    label: product.title,
+    value: product.id,
+  }));
+
+  const handleSelect = useCallback(
+    (selected) => {
+      const productId = selected[0];
+      const option = productOptions.find((candidate) => candidate.value === productId);
+      setSelectedProductId(productId);
+      setSearchValue(option?.label || "");
+    },
+    [productOptions]
+  );
+
+  const renderOwner = (owner) => {
+    const rows = owner.metafields.map((metafield) => {
+      const others = metafield.contenders.filter(
+        (contender) => contender.id !== metafield.winner.id
+      );
+
+      return [
+        `${metafield.namespace}.${metafield.key}`,
+        <VerticalStack gap="1" key={`winner-${metafield.namespace}.${metafield.key}`}>
+          <Text as="span">{configurationLabel(metafield.winner)}</Text>
+          {others.length > 0 && (
+            <Text as="span" variant="bodySm" tone="subdued">
+              Also set by {others.map(configurationLabel).join(", ")}
+            </Text>
+          )}
+        </VerticalStack>,
+        metafield.value ?? "",
+        metafield.current?.value ?? "",
+        syncBadge(metafield),
+      ];
+    });
+
+    return (
+      <LegacyCard
+        key={owner.id}
+        title={owner.ownerType === "PRODUCTVARIANT" ? `Variant: ${owner.title}` : "Product metafields"}
+      >
+        <DataTable
+          columnContentTypes={["text", "text", "text", "text", "text"]}
+          headings={["Metafield", "Winning configuration", "Resolved value", "Current value", "Status"]}
+          rows={rows}
+        />
+      </LegacyCard>
+    );
+  };
+
+  const renderConfiguration = (configuration) => (
+    <LegacyCard.Section
+      key={configuration.id}
+      title={
+        <HorizontalStack gap="2" blockAlign="center">
+          <Text as="h3" variant="headingSm">
+            {configurationLabel(configuration)}
+          </Text>
+          {configuration.ownerType === "PRODUCTVARIANT" && <Badge>Variants</Badge>}
+          <Badge tone={configuration.matches ? "success" : undefined}>
+            {configuration.matches ? "Matches" : "No match"}
+          </Badge>
+        </HorizontalStack>
+      }
+    >
+      {configuration.ownerType === "PRODUCTVARIANT" ? (
+        <VerticalStack gap="3">
+          {configuration.variants.map((variant) => (
+            <VerticalStack gap="1" key={variant.id}>
+              <HorizontalStack gap="2" blockAlign="center">
+                <Text as="span" fontWeight="semibold">
+                  {variant.title}
+                </Text>
+                <Badge tone={variant.matches ? "success" : undefined}>
+                  {variant.matches ? "Matches" : "No match"}
+                </Badge>
+              </HorizontalStack>
+              <RuleTrace nodes={variant.nodes} />
+            </VerticalStack>
+          ))}
+        </VerticalStack>
+      ) : (
+        <RuleTrace nodes={configuration.nodes} />
+      )}
+    </LegacyCard.Section>
+  );
+
+  return (
+    <Page title="Effective metafields" backAction={{ content: "Configurations", url: "/" }}>
+      <TitleBar title="Effective metafields" />
+
+      <Layout>
+        <Layout.Section>
+          <LegacyCard sectioned>
+            <Autocomplete
+              options={productOptions}
+              selected={selectedProductId ? [selectedProductId] : []}
+              onSelect={handleSelect}
+              loading={isSearching}
+              emptyState={
+                debouncedSearch ? (
+                  <Text as="p" tone="subdued">
+                    No products found
+                  </Text>
+                ) : null
+              }
+              textField={
+                <Autocomplete.TextField
+                  label="Product"
+                  value={searchValue}
+                  onChange={setSearchValue}
+                  prefix={<Icon source={SearchIcon} />}
+                  placeholder="Search products by title"
+                  autoComplete="off"
+                />
+              }
+            />
+          </LegacyCard>
+        </Layout.Section>
+
+        {error && (
+          <Layout.Section>
+            <Banner tone="critical">{error.message}</Banner>
+          </Layout.Section>
+        )}
+
+        {isInspecting && (
+          <Layout.Section>
+            <LegacyCard sectioned>
+              <HorizontalStack align="center">
+                <Spinner size="small" />
+              </HorizontalStack>
+            </LegacyCard>
+          </Layout.Section>
+        )}
+
+        {inspection && (
+          <>
+            <Layout.Section>
+              <VerticalStack gap="4">
+                {inspection.owners.length === 0 ? (
+                  <LegacyCard sectioned>
+                    <Text as="p" tone="subdued">
+                      No configuration matches {inspection.product.title}.
+                    </Text>
+                  </LegacyCard>
+                ) : (
+                  inspection.owners.map(renderOwner)
+                )}
+              </VerticalStack>
+            </Layout.Section>
+
+            <Layout.Section>
+              <LegacyCard title="Configurations by priority">
+                {inspection.configurations.length === 0 ? (
+                  <LegacyCard.Section>
+                    <Text as="p" tone="subdued">
+                      There are no product or variant configurations yet.
+                    </Text>
+                  </LegacyCard.Section>
+                ) : (
+                  inspection.configurations.map(renderConfiguration)
+                )}
+              </LegacyCard>
+            </Layout.Section>
+          </>
+        )}
+      </Layout>
+    </Page>
+  );
+}
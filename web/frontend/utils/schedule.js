@@ -0,0 +1,39 @@
+/**
+ * Helpers for configuration schedule windows (starts_at/ends_at)
+ */
+
+function pad(number) {
+  return String(number).padStart(2, "0");
+}
+
+/**
+ * ISO timestamp -> value of a datetime-local input, in the browser's time zone
+ */
+export function toDateTimeInputValue(timestamp) {
+  if (!timestamp) return "";
+
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * datetime-local input value (browser time zone) -> ISO timestamp, or null when empty
+ */
+export function fromDateTimeInputValue(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Where now falls in a configuration's schedule window
+ * @returns {"scheduled"|"active"|"ended"|null} null for configurations without a schedule
+ */
+export function scheduleStatus(configuration, now = new Date()) {
+  const startsAt = configuration.starts_at ? new Date(configuration.starts_at) : null;
+  const endsAt = configuration.ends_at ? new Date(configuration.ends_at) : null;
+
+  if (!startsAt && !endsAt) return null;
+  if (startsAt && now < startsAt) return "scheduled";
+  if (endsAt && now >= endsAt) return "ended";
+  return "active";
+}
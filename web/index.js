@@ -8,13 +8,24 @@ import serveStatic from "serve-static";
 
 import configurationRoutes from "./configuration-routes.js";
 import resourceRoutes from "./resource-routes.js";
+import jobRoutes from "./job-routes.js";
+import applyRunRoutes from "./apply-run-routes.js";
+import effectiveMetafieldRoutes from "./effective-metafield-routes.js";
+import managedRemovalRoutes from "./managed-removal-routes.js";
 import shopify from "./shopify.js";
-import database from "./database.js";
+import database, { OWNER_TYPES } from "./database.js";
 import AppWebhookHandlers from "./webhooks.js";
 import productCreator from "./product-creator.js";
 import PrivacyWebhookHandlers from "./privacy.js";
 import { uploadFileToShopify } from "./file-upload.js";
 import * as metaobjectHandler from "./metaobject-handler.js";
+import { startApplyJobWorker } from "./apply-jobs.js";
+import { startConfigurationScheduler } from "./configuration-scheduler.js";
+import { syncProductIndex } from "./product-index.js";
+import { verifyAppProxyRequest } from "./app-proxy.js";
+import { getStorefrontPayload, STOREFRONT_MAX_AGE_SECONDS } from "./storefront-payload.js";
+import { syncStorefrontDisplayConfig } from "./storefront-display.js";
+import { DISPLAY_TYPES } from "./display-types.js";
 
 const PORT = parseInt(
   process.env.BACKEND_PORT || process.env.PORT || "3000",
@@ -46,6 +57,17 @@ async function initializeDatabase() {
   return dbInitPromise;
 }
 
+// Start the apply job worker once the database is ready (resumes interrupted jobs),
+// and the scheduler opening/closing configuration schedule windows
+initializeDatabase()
+  .then(() => {
+    startApplyJobWorker();
+    startConfigurationScheduler();
+  })
+  .catch((error) => {
+    console.error("[Server] Background workers not started:", error);
+  });
+
 // Middleware to ensure database is initialized before handling requests
 app.use(async (req, res, next) => {
   try {
@@ -65,6 +87,17 @@ app.get(shopify.config.auth.path, shopify.auth.begin());
 app.get(
   shopify.config.auth.callbackPath,
   shopify.auth.callback(),
+  (req, res, next) => {
+    // Seed the local product index in the background after install/re-auth
+    syncProductIndex(res.locals.shopify.session).catch((error) => {
+      console.error("[Server] Initial product index sync failed:", error);
+    });
+    // Publish which metafields the theme app blocks render
+    syncStorefrontDisplayConfig(res.locals.shopify.session).catch((error) => {
+      console.error("[Server] Storefront display config sync failed:", error);
+    });
+    next();
+  },
   shopify.redirectToShopifyOrAppRoot()
 );
 app.post(
@@ -84,86 +117,25 @@ app.post(
 // If you are adding routes outside of the /api path, remember to
 // also add a proxy rule for them in web/frontend/vite.config.js
 
-// App Proxy route for storefront (no authentication required)
+// App Proxy route for storefront (no session; Shopify signs the request instead)
 // Note: App proxy strips /apps/meta-bulk-assign prefix, so this route receives /storefront-config
-app.get("/storefront-config", async (req, res) => {
+app.get("/storefront-config", verifyAppProxyRequest(), async (req, res) => {
   try {
-    const { shop, product } = req.query;
-
-    if (!shop || !product) {
-      return res.status(400).json({ error: "Missing shop or product parameter" });
-    }
-
-    // Get all configurations for this shop
-    // We'll filter by displayType instead of show_on_storefront
-    const configs = await database.query(
-      `SELECT id, metafield_configs
-       FROM configurations
-       WHERE shop = ?
-       ORDER BY priority DESC`,
-      [shop]
-    );
+    // Only the signed shop is trusted, never a shop chosen by the caller
+    const { shop } = res.locals;
+    const { product } = req.query;
 
-    if (!configs.rows || configs.rows.length === 0) {
-      console.log('[Storefront API] No configurations found for shop');
-      return res.json({ metafields: [] });
+    if (!product) {
+      return res.status(400).json({ error: "Missing product parameter" });
     }
 
-    console.log(`[Storefront API] Found ${configs.rows.length} configurations for shop`);
-
-    // For each configuration, check if it applies to this product
-    const metafieldsToDisplay = [];
-
-    for (const config of configs.rows) {
-      // Parse metafield configs
-      const metafieldConfigs = typeof config.metafield_configs === 'string'
-        ? JSON.parse(config.metafield_configs)
-        : config.metafield_configs;
-
-      console.log(`[Storefront API] Config ${config.id} has ${metafieldConfigs.length} metafield configs`);
-
-      // Get rules for this configuration
-      const rules = await database.getConfigurationRules(config.id);
-
-      console.log(`[Storefront API] Config ${config.id} has ${rules.length} rules`);
+    // One Admin API query at most, none when the cached payload is still valid
+    const { payload, etag } = await getStorefrontPayload(shop, product);
 
-      // Check if this configuration applies to the product
-      const appliesToProduct = await checkIfConfigApplies(shop, product, rules);
-
-      console.log(`[Storefront API] Config ${config.id} applies to product ${product}:`, appliesToProduct);
-
-      if (appliesToProduct) {
-        console.log(`[Storefront API] Config ${config.id} applies to product. Metafields in config:`, metafieldConfigs);
-
-        // Add each metafield from this configuration
-        for (const mf of metafieldConfigs) {
-          console.log(`[Storefront API] Processing metafield ${mf.namespace}.${mf.key} with displayType: ${mf.displayType}`);
-
-          // Only include metafields that have a display type set
-          if (!mf.displayType || mf.displayType === '') {
-            console.log(`[Storefront API] Skipping ${mf.namespace}.${mf.key} - no display type`);
-            continue;
-          }
-
-          // Fetch the actual metafield value from Shopify
-          const value = await fetchMetafieldValue(shop, product, mf.namespace, mf.key);
-
-          console.log(`[Storefront API] Fetched value for ${mf.namespace}.${mf.key}:`, value ? 'HAS VALUE' : 'NULL');
-
-          if (value) {
-            metafieldsToDisplay.push({
-              namespace: mf.namespace,
-              key: mf.key,
-              displayType: mf.displayType, // Use the displayType from config
-              value: value,
-              showOnStorefront: true,
-            });
-          }
-        }
-      }
-    }
-
-    res.json({ metafields: metafieldsToDisplay });
+    // Express answers 304 itself when If-None-Match matches the ETag
+    res.set("ETag", etag);
+    res.set("Cache-Control", `public, max-age=${STOREFRONT_MAX_AGE_SECONDS}`);
+    res.json(payload);
 
   } catch (error) {
     console.error('[Storefront API] Error:', error);
@@ -171,317 +143,6 @@ app.get("/storefront-config", async (req, res) => {
   }
 });
 
-// Helper function to get session for shop
-async function getShopSession(shop) {
-  try {
-    // Get all sessions for this shop from session storage
-    const sessions = await shopify.config.sessionStorage.findSessionsByShop(shop);
-
-    if (!sessions || sessions.length === 0) {
-      console.error(`[Storefront API] No session found for shop: ${shop}`);
-      return null;
-    }
-
-    // Return the most recent active session
-    // Filter for online sessions first, fall back to offline
-    const onlineSession = sessions.find(s => s.isOnline);
-    const offlineSession = sessions.find(s => !s.isOnline);
-
-    return onlineSession || offlineSession || sessions[0];
-  } catch (error) {
-    console.error('[Storefront API] Error getting session:', error);
-    return null;
-  }
-}
-
-// Helper function to check if configuration applies to product
-async function checkIfConfigApplies(shop, productHandle, rules) {
-  // If no rules, apply to all products
-  if (!rules || rules.length === 0) {
-    return true;
-  }
-
-  try {
-    // Get session for this shop
-    const session = await getShopSession(shop);
-    if (!session) {
-      console.error('[Storefront API] Cannot check rules - no session available');
-      return false;
-    }
-
-    // Fetch product data to check against rules
-    const client = new shopify.api.clients.Graphql({ session });
-
-    const query = `
-      query GetProductByHandle($handle: String!) {
-        productByHandle(handle: $handle) {
-          id
-          vendor
-          productType
-          collections(first: 100) {
-            edges {
-              node {
-                id
-                handle
-                title
-              }
-            }
-          }
-        }
-      }
-    `;
-
-    const response = await client.request(query, {
-      variables: { handle: productHandle }
-    });
-
-    const product = response.data?.productByHandle;
-    if (!product) {
-      return false;
-    }
-
-    // Check if product matches any of the rules
-    for (const rule of rules) {
-      let matches = false;
-
-      switch (rule.rule_type) {
-        case 'vendor':
-          matches = product.vendor === rule.rule_value;
-          break;
-
-        case 'product':
-          // Parse rule_id which contains JSON array of product IDs
-          try {
-            const productIds = JSON.parse(rule.rule_id);
-            matches = Array.isArray(productIds) && productIds.includes(product.id);
-          } catch (e) {
-            // Fallback for non-JSON rule_id
-            matches = product.id === rule.rule_id || productHandle === rule.rule_value;
-          }
-          break;
-
-        case 'category':
-          matches = product.productType === rule.rule_value;
-          break;
-
-        case 'collection':
-          // Parse rule_id which may contain JSON array of collection IDs
-          try {
-            const collectionIds = JSON.parse(rule.rule_id);
-            if (Array.isArray(collectionIds)) {
-              matches = product.collections.edges.some(edge => collectionIds.includes(edge.node.id));
-            } else {
-              // Single collection ID
-              matches = product.collections.edges.some(edge =>
-                edge.node.id === rule.rule_id ||
-                edge.node.handle === rule.rule_value ||
-                edge.node.title === rule.rule_value
-              );
-            }
-          } catch (e) {
-            // Fallback for non-JSON rule_id
-            matches = product.collections.edges.some(edge =>
-              edge.node.id === rule.rule_id ||
-              edge.node.handle === rule.rule_value ||
-              edge.node.title === rule.rule_value
-            );
-          }
-          break;
-      }
-
-      // If any rule matches, the configuration applies
-      if (matches) {
-        return true;
-      }
-    }
-
-    return false;
-  } catch (error) {
-    console.error('[Storefront API] Error checking if config applies:', error);
-    return false;
-  }
-}
-
-// Helper function to fetch metafield value from Shopify
-async function fetchMetafieldValue(shop, productHandle, namespace, key) {
-  try {
-    // Get session for this shop
-    const session = await getShopSession(shop);
-    if (!session) {
-      console.error('[Storefront API] Cannot fetch metafield - no session available');
-      return null;
-    }
-
-    const client = new shopify.api.clients.Graphql({ session });
-
-    const query = `
-      query GetProductMetafield($handle: String!, $namespace: String!, $key: String!) {
-        productByHandle(handle: $handle) {
-          id
-          metafield(namespace: $namespace, key: $key) {
-            id
-            namespace
-            key
-            value
-            type
-            reference {
-              ... on MediaImage {
-                image {
-                  url
-                }
-              }
-              ... on GenericFile {
-                url
-              }
-              ... on Metaobject {
-                id
-                fields {
-                  key
-                  value
-                  type
-                  reference {
-                    ... on MediaImage {
-                      image {
-                        url
-                      }
-                    }
-                    ... on GenericFile {
-                      url
-                    }
-                  }
-                }
-              }
-            }
-            references(first: 50) {
-              nodes {
-                ... on MediaImage {
-                  image {
-                    url
-                  }
-                }
-                ... on GenericFile {
-                  url
-                }
-                ... on Metaobject {
-                  id
-                  fields {
-                    key
-                    value
-                    type
-                    reference {
-                      ... on MediaImage {
-                        image {
-                          url
-                        }
-                      }
-                      ... on GenericFile {
-                        url
-                      }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    `;
-
-    const response = await client.request(query, {
-      variables: {
-        handle: productHandle,
-        namespace: namespace,
-        key: key
-      }
-    });
-
-    const metafield = response.data?.productByHandle?.metafield;
-
-    if (!metafield) {
-      return null;
-    }
-
-    // Process value based on type
-    switch (metafield.type) {
-      case 'file_reference':
-        // Check if it's an image or a file
-        if (metafield.reference?.image) {
-          return metafield.reference.image.url;
-        } else if (metafield.reference?.url) {
-          return metafield.reference.url;
-        }
-        return metafield.value;
-
-      case 'list.file_reference':
-        // Return array of image/file URLs
-        if (metafield.references?.nodes && metafield.references.nodes.length > 0) {
-          const urls = metafield.references.nodes.map(node => {
-            if (node.image) {
-              return node.image.url;
-            } else if (node.url) {
-              return node.url;
-            }
-            return null;
-          }).filter(url => url !== null);
-          console.log(`[Storefront API] List file URLs for ${namespace}.${key}:`, urls);
-          return JSON.stringify(urls);
-        }
-        return metafield.value;
-
-      case 'list.metaobject_reference':
-        // Return array of structured metaobject data
-        if (metafield.references?.nodes && metafield.references.nodes.length > 0) {
-          const metaobjectArray = [];
-          for (const node of metafield.references.nodes) {
-            if (node.fields) {
-              const metaobjectData = {};
-              for (const field of node.fields) {
-                // Process nested references (images, files)
-                if (field.reference?.image) {
-                  metaobjectData[field.key] = field.reference.image.url;
-                } else if (field.reference?.url) {
-                  metaobjectData[field.key] = field.reference.url;
-                } else {
-                  metaobjectData[field.key] = field.value;
-                }
-              }
-              metaobjectArray.push(metaobjectData);
-            }
-          }
-          console.log(`[Storefront API] List metaobject data for ${namespace}.${key}:`, metaobjectArray);
-          return JSON.stringify(metaobjectArray);
-        }
-        return metafield.value;
-
-      case 'metaobject_reference':
-        // Return structured metaobject data
-        if (metafield.reference?.fields) {
-          const metaobjectData = {};
-          for (const field of metafield.reference.fields) {
-            // Process nested references (images, files)
-            if (field.reference?.image) {
-              metaobjectData[field.key] = field.reference.image.url;
-            } else if (field.reference?.url) {
-              metaobjectData[field.key] = field.reference.url;
-            } else {
-              metaobjectData[field.key] = field.value;
-            }
-          }
-          console.log(`[Storefront API] Metaobject data for ${namespace}.${key}:`, metaobjectData);
-          return JSON.stringify(metaobjectData);
-        }
-        return metafield.value;
-
-      default:
-        // For text and other types, return the value directly
-        return metafield.value;
-    }
-  } catch (error) {
-    console.error('[Storefront API] Error fetching metafield:', error);
-    return null;
-  }
-}
-
 app.use("/api/*", shopify.validateAuthenticatedSession());
 
 // Configure multer for file uploads (store in memory)
@@ -569,19 +230,44 @@ app.post("/api/products", async (_req, res) => {
 // Configuration routes
 app.use("/api/configurations", configurationRoutes);
 
+// Background job routes (apply progress)
+app.use("/api/jobs", jobRoutes);
+
+// Apply run history and rollback
+app.use("/api/apply-runs", applyRunRoutes);
+
+// Effective metafields inspector for a single product
+app.use("/api/effective-metafields", effectiveMetafieldRoutes);
+
+// Report of managed metafields removed or reassigned
+app.use("/api/managed-removals", managedRemovalRoutes);
+
 // Resource routes (vendors, collections, categories, products)
 app.use("/api", resourceRoutes);
 
-// Metafield definitions endpoint
-app.get("/api/metafield-definitions", async (_req, res) => {
+// Storefront display types (display-types.js), for the configuration editor
+app.get("/api/display-types", (_req, res) => {
+  res.status(200).json(DISPLAY_TYPES);
+});
+
+// Metafield definitions endpoint (?ownerType=PRODUCT|PRODUCTVARIANT|COLLECTION, defaults to PRODUCT)
+app.get("/api/metafield-definitions", async (req, res) => {
   try {
+    const ownerType = req.query.ownerType || "PRODUCT";
+    if (!OWNER_TYPES.includes(ownerType)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid owner type: ${ownerType}`,
+      });
+    }
+
     const client = new shopify.api.clients.Graphql({
       session: res.locals.shopify.session,
     });
 
     const query = `
-      query GetMetafieldDefinitions {
-        metafieldDefinitions(first: 100, ownerType: PRODUCT) {
+      query GetMetafieldDefinitions($ownerType: MetafieldOwnerType!) {
+        metafieldDefinitions(first: 100, ownerType: $ownerType) {
           edges {
             node {
               id
@@ -602,7 +288,7 @@ app.get("/api/metafield-definitions", async (_req, res) => {
       }
     `;
 
-    const response = await client.request(query);
+    const response = await client.request(query, { variables: { ownerType } });
     const definitions = response.data.metafieldDefinitions.edges.map(
       (edge) => edge.node
     );
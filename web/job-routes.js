@@ -0,0 +1,44 @@
+import express from "express";
+import database, { isSerialId } from "./database.js";
+import { formatApplyJob, runPendingJobs } from "./apply-jobs.js";
+
+const router = express.Router();
+
+/**
+ * Reject a :id that can't be a job id with the same 404 as a missing or foreign one,
+ * instead of letting Postgres fail on it
+ */
+router.param("id", (req, res, next, id) => {
+  if (!isSerialId(id)) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  next();
+});
+
+/**
+ * GET /api/jobs/:id
+ * Get progress of an apply job
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const session = res.locals.shopify.session;
+    const { id } = req.params;
+
+    const job = await database.getApplyJobById(id, session.shop);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    // Nudge the worker in case this instance was idle (e.g. serverless cold start)
+    if (job.status === 'pending' || job.status === 'running') {
+      runPendingJobs();
+    }
+
+    res.json(formatApplyJob(job));
+  } catch (error) {
+    console.error("[Jobs] Error fetching job:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
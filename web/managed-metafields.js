@@ -0,0 +1,193 @@
+/**
+ * Managed Metafields - Tracks which managed configuration wrote which metafield on which owner
+ *
+ * Configurations in "managed" mode own the values they write. When an owner is evaluated
+ * again and a value it holds is no longer won by its configuration (the owner stopped
+ * matching, the configuration was deleted or disabled, or a higher-priority one took the key), the
+ * value is reassigned to the new winner or removed from Shopify. Values edited since they
+ * were written are left in place. Every removal, reassignment or kept value is reported
+ * in managed_metafield_removals.
+ */
+
+import database from "./database.js";
+import { buildMetafieldInputs, deleteMetafields } from "./metafield-apply.js";
+import { fetchCurrentMetafields, metafieldValuesEqual } from "./metafield-diff.js";
+
+/**
+ * Shape a managed_metafield_removals row for API responses
+ */
+export function formatManagedRemoval(removal) {
+  return {
+    id: removal.id,
+    configurationId: removal.configuration_id,
+    configurationName: removal.configuration_name,
+    ownerId: removal.owner_id,
+    namespace: removal.namespace,
+    key: removal.key,
+    value: removal.value,
+    action: removal.action,
+    reason: removal.reason,
+    reassignedTo: removal.reassigned_to,
+    createdAt: removal.created_at,
+  };
+}
+
+/**
+ * Record the values a managed configuration wrote (or would have written, when unchanged)
+ * owners: [{ id, productId }] where productId is null for collections
+ */
+export async function recordManagedMetafields(shop, configuration, owners, metafieldConfigs) {
+  if (!configuration.managed || owners.length === 0) return;
+
+  const metafieldInputs = buildMetafieldInputs(metafieldConfigs);
+  const rows = owners.flatMap(owner => metafieldInputs.map(input => ({
+    ownerId: owner.id,
+    productId: owner.productId,
+    namespace: input.namespace,
+    key: input.key,
+    configurationId: configuration.id,
+    configurationName: configuration.name,
+    value: input.value,
+  })));
+
+  await database.upsertManagedMetafields(shop, rows);
+}
+
+/**
+ * Why a managed value lost its configuration
+ * configurationIds are the active configurations; existingIds caches whether others still exist
+ */
+async function removalReason(row, configurationIds, matchesByOwner, existingIds) {
+  if (!configurationIds.has(row.configuration_id)) {
+    if (!existingIds.has(row.configuration_id)) {
+      existingIds.set(row.configuration_id, !!(await database.getConfigurationById(row.configuration_id, row.shop)));
+    }
+    // Disabled or outside its schedule window
+    return existingIds.get(row.configuration_id) ? 'configuration_inactive' : 'configuration_deleted';
+  }
+
+  const stillMatches = (matchesByOwner.get(row.owner_id) || [])
+    .some(match => match.configuration.id === row.configuration_id);
+  return stillMatches ? 'outranked' : 'no_longer_matches';
+}
+
+/**
+ * Reconcile managed values after owners were evaluated and the winning values written
+ *
+ * owners: [{ id, productId }] every owner that was evaluated (matching or not)
+ * configurations: the shop's active configurations
+ * matchesByOwner / resolvedByOwner: Map ownerId -> [{ configuration, metafieldConfigs }],
+ * every matching configuration and the winners per key (see conflict-resolver.js)
+ * @returns {Object[]} the reported removals
+ */
+export async function reconcileManagedMetafields(session, { owners, configurations, matchesByOwner, resolvedByOwner }) {
+  const shop = session.shop;
+  const ownerById = new Map(owners.map(owner => [owner.id, owner]));
+  const configurationIds = new Set(configurations.map(configuration => configuration.id));
+
+  const managed = await database.getManagedMetafields(shop, owners.map(owner => owner.id));
+
+  const report = [];
+  const orphaned = [];
+
+  for (const row of managed) {
+    const winner = (resolvedByOwner.get(row.owner_id) || []).find(resolved =>
+      resolved.metafieldConfigs.some(config => config.namespace === row.namespace && config.key === row.key)
+    );
+
+    if (winner?.configuration.id === row.configuration_id) continue;
+
+    if (winner) {
+      // The new winner has written its value; it only keeps ownership if it is managed too
+      if (!winner.configuration.managed) {
+        await database.deleteManagedMetafield(shop, row.owner_id, row.namespace, row.key);
+      }
+      report.push({ row, action: 'reassigned', reassignedTo: winner.configuration.id });
+    } else {
+      orphaned.push(row);
+    }
+  }
+
+  if (orphaned.length > 0) {
+    const keys = Array.from(new Set(orphaned.map(row => `${row.namespace}.${row.key}`)));
+    const current = await fetchCurrentMetafields(
+      session,
+      Array.from(new Set(orphaned.map(row => row.owner_id))),
+      keys
+    );
+
+    const toDelete = [];
+    for (const row of orphaned) {
+      const stored = current.get(row.owner_id)?.metafields.get(`${row.namespace}.${row.key}`);
+
+      if (!stored) {
+        // Already gone, nothing to report
+        await database.deleteManagedMetafield(shop, row.owner_id, row.namespace, row.key);
+      } else if (metafieldValuesEqual(stored.value, row.value)) {
+        toDelete.push(row);
+      } else {
+        // Edited since we wrote it - leave the merchant's value alone
+        await database.deleteManagedMetafield(shop, row.owner_id, row.namespace, row.key);
+        report.push({ row, action: 'kept' });
+      }
+    }
+
+    if (toDelete.length > 0) {
+      const { failed } = await deleteMetafields(
+        session,
+        toDelete.map(row => ({ ownerId: row.owner_id, namespace: row.namespace, key: row.key }))
+      );
+      const failedOwners = new Set(failed.map(failure => failure.ownerId));
+
+      for (const failure of failed) {
+        console.error(`[Managed] Failed to remove metafields from ${failure.ownerId}:`, failure.error);
+      }
+
+      // Failed removals stay tracked and are retried on the next evaluation
+      for (const row of toDelete) {
+        if (failedOwners.has(row.owner_id)) continue;
+        await database.deleteManagedMetafield(shop, row.owner_id, row.namespace, row.key);
+        report.push({ row, action: 'removed' });
+      }
+    }
+  }
+
+  // Take (or refresh) ownership of every value won by a managed configuration
+  for (const [ownerId, resolved] of resolvedByOwner) {
+    const owner = ownerById.get(ownerId);
+    if (!owner) continue;
+
+    for (const { configuration, metafieldConfigs } of resolved) {
+      await recordManagedMetafields(shop, configuration, [owner], metafieldConfigs);
+    }
+  }
+
+  const existingIds = new Map();
+  const removals = [];
+  for (const { row, action, reassignedTo } of report) {
+    removals.push({
+      configurationId: row.configuration_id,
+      configurationName: row.configuration_name,
+      ownerId: row.owner_id,
+      namespace: row.namespace,
+      key: row.key,
+      value: row.value,
+      action,
+      reason: await removalReason(row, configurationIds, matchesByOwner, existingIds),
+      reassignedTo,
+    });
+  }
+
+  if (removals.length > 0) {
+    await database.saveManagedMetafieldRemovals(shop, removals);
+    console.log(`[Managed] Reconciled ${removals.length} managed metafield(s) for ${shop}`);
+  }
+
+  return removals;
+}
+
+export default {
+  formatManagedRemoval,
+  recordManagedMetafields,
+  reconcileManagedMetafields,
+};
@@ -0,0 +1,28 @@
+import express from "express";
+import database from "./database.js";
+import { formatManagedRemoval } from "./managed-metafields.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/managed-removals
+ * Report of managed metafields removed, reassigned or kept (optionally ?configurationId=)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const session = res.locals.shopify.session;
+    const configurationId = req.query.configurationId
+      ? parseInt(req.query.configurationId, 10)
+      : null;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const removals = await database.getManagedMetafieldRemovals(session.shop, { configurationId, limit });
+
+    res.json(removals.map(formatManagedRemoval));
+  } catch (error) {
+    console.error("[Managed Removals] Error fetching removals:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
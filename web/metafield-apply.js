@@ -1,16 +1,45 @@
 import shopify from "./shopify.js";
 
+// metafieldsSet accepts at most 25 metafields per call
+const METAFIELDS_SET_LIMIT = 25;
+const MAX_THROTTLE_RETRIES = 5;
+
+const METAFIELDS_SET_MUTATION = `
+  mutation SetMetafields($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields {
+        id
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+const METAFIELDS_DELETE_MUTATION = `
+  mutation DeleteMetafields($metafields: [MetafieldIdentifierInput!]!) {
+    metafieldsDelete(metafields: $metafields) {
+      deletedMetafields {
+        ownerId
+        namespace
+        key
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
 /**
- * Applies metafield configurations to a product
+ * Builds metafieldsSet inputs (without ownerId) from metafield configurations
+ * Invalid or empty values are skipped
  */
-export async function applyMetafieldsToProduct(
-  session,
-  productId,
-  metafieldConfigs
-) {
-  const client = new shopify.api.clients.Graphql({ session });
-
-  // Build metafields input array
+export function buildMetafieldInputs(metafieldConfigs) {
   const metafields = [];
 
   for (const config of metafieldConfigs) {
@@ -103,51 +132,237 @@ export async function applyMetafieldsToProduct(
     metafields.push(metafield);
   }
 
-  const mutation = `
-    mutation UpdateProductMetafields($input: ProductInput!) {
-      productUpdate(input: $input) {
-        product {
-          id
-          metafields(first: 20) {
-            edges {
-              node {
-                namespace
-                key
-                value
-                type
-              }
-            }
-          }
+  return metafields;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Check if a GraphQL client error was caused by cost throttling
+ */
+function isThrottledError(error) {
+  const errors = error.body?.errors || error.response?.errors;
+  if (Array.isArray(errors) && errors.some(e => e.extensions?.code === 'THROTTLED')) {
+    return true;
+  }
+  return /throttled/i.test(error.message || '');
+}
+
+/**
+ * Wait until the bucket has restored enough points for another call of the same cost
+ */
+async function waitForThrottleBudget(extensions) {
+  const cost = extensions?.cost;
+  const status = cost?.throttleStatus;
+  if (!status) return;
+
+  const needed = cost.requestedQueryCost || cost.actualQueryCost || 0;
+  if (status.currentlyAvailable >= needed) return;
+
+  const waitMs = Math.ceil(((needed - status.currentlyAvailable) / status.restoreRate) * 1000);
+  console.log(`[Metafields] Throttle budget low, waiting ${waitMs}ms`);
+  await sleep(waitMs);
+}
+
+/**
+ * Run a GraphQL request, backing off when Shopify throttles it
+ * Returns response.data
+ */
+export async function throttledRequest(client, query, variables) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await client.request(query, { variables });
+      await waitForThrottleBudget(response.extensions);
+      return response.data;
+    } catch (error) {
+      if (!isThrottledError(error) || attempt >= MAX_THROTTLE_RETRIES) {
+        throw error;
+      }
+      const backoffMs = 1000 * 2 ** attempt;
+      console.log(`[Metafields] Throttled, retrying in ${backoffMs}ms`);
+      await sleep(backoffMs);
+    }
+  }
+}
+
+async function runMetafieldsSet(client, metafields) {
+  const data = await throttledRequest(client, METAFIELDS_SET_MUTATION, { metafields });
+  return data.metafieldsSet;
+}
+
+async function runMetafieldsDelete(client, metafields) {
+  const data = await throttledRequest(client, METAFIELDS_DELETE_MUTATION, { metafields });
+  return data.metafieldsDelete;
+}
+
+/**
+ * Pack per-owner groups of metafield inputs into batches of at most METAFIELDS_SET_LIMIT,
+ * keeping each owner's metafields together whenever they fit in one batch
+ */
+function packBatches(ownerGroups) {
+  const batches = [];
+  let current = [];
+
+  for (const pairs of ownerGroups) {
+    if (current.length + pairs.length > METAFIELDS_SET_LIMIT && current.length > 0) {
+      batches.push(current);
+      current = [];
+    }
+
+    for (const pair of pairs) {
+      if (current.length === METAFIELDS_SET_LIMIT) {
+        batches.push(current);
+        current = [];
+      }
+      current.push(pair);
+    }
+  }
+
+  if (current.length > 0) {
+    batches.push(current);
+  }
+
+  return batches;
+}
+
+/**
+ * Group owner/metafield pairs by ownerId, preserving order
+ */
+function groupByOwner(pairs) {
+  const groups = new Map();
+  for (const pair of pairs) {
+    if (!groups.has(pair.ownerId)) {
+      groups.set(pair.ownerId, []);
+    }
+    groups.get(pair.ownerId).push(pair);
+  }
+  return Array.from(groups.values());
+}
+
+/**
+ * Send batches through a metafield mutation and collect per-owner errors
+ *
+ * The mutations are atomic per call, so when a batch returns userErrors the owners
+ * they point at are marked as failed and the rest of the batch is retried without them.
+ *
+ * @returns {Map<string, string>} ownerId -> error message
+ */
+async function writeBatches(client, batches, runMutation) {
+  const failedErrors = new Map();
+
+  for (let batch of batches) {
+    while (batch.length > 0) {
+      let result;
+      try {
+        result = await runMutation(client, batch);
+      } catch (error) {
+        console.error("[Metafields] Metafield mutation failed:", error);
+        for (const pair of batch) {
+          failedErrors.set(pair.ownerId, error.message);
         }
-        userErrors {
-          field
-          message
+        break;
+      }
+
+      if (result.userErrors.length === 0) {
+        break;
+      }
+
+      // Map each userError back to its owner via the input index in `field`
+      // (e.g. ["metafields", "3", "value"])
+      const failedInBatch = new Set();
+      for (const userError of result.userErrors) {
+        const index = parseInt(userError.field?.[1], 10);
+        const pair = Number.isNaN(index) ? null : batch[index];
+        const ownerIds = pair ? [pair.ownerId] : batch.map(p => p.ownerId);
+
+        for (const ownerId of ownerIds) {
+          failedInBatch.add(ownerId);
+          const previous = failedErrors.get(ownerId);
+          failedErrors.set(ownerId, previous ? `${previous}; ${userError.message}` : userError.message);
         }
       }
+
+      batch = batch.filter(pair => !failedInBatch.has(pair.ownerId));
     }
-  `;
+  }
 
-  try {
-    const response = await client.request(mutation, {
-      variables: {
-        input: {
-          id: productId,
-          metafields: metafields,
-        },
-      },
-    });
+  return failedErrors;
+}
 
-    if (response.data.productUpdate.userErrors.length > 0) {
-      throw new Error(
-        `GraphQL errors: ${JSON.stringify(response.data.productUpdate.userErrors)}`
-      );
-    }
+function toResult(ownerIds, failedErrors) {
+  return {
+    successful: ownerIds.filter(id => !failedErrors.has(id)),
+    failed: Array.from(failedErrors, ([ownerId, error]) => ({ ownerId, error })),
+  };
+}
 
-    return response.data.productUpdate.product;
-  } catch (error) {
+/**
+ * Applies metafield configurations to many owners using batched metafieldsSet calls
+ * Owners can be any resource GID metafieldsSet accepts (products, variants, collections...)
+ *
+ * @returns {{ successful: string[], failed: { ownerId: string, error: string }[] }}
+ */
+export async function applyMetafieldsToOwners(session, ownerIds, metafieldConfigs) {
+  const client = new shopify.api.clients.Graphql({ session });
+  const metafieldInputs = buildMetafieldInputs(metafieldConfigs);
+
+  if (metafieldInputs.length === 0) {
+    console.log("[Metafields] No valid metafields to apply");
+    return toResult(ownerIds, new Map());
+  }
+
+  const ownerGroups = ownerIds.map(ownerId =>
+    metafieldInputs.map(metafield => ({ ...metafield, ownerId }))
+  );
+  const failedErrors = await writeBatches(client, packBatches(ownerGroups), runMetafieldsSet);
+
+  return toResult(ownerIds, failedErrors);
+}
+
+/**
+ * Write explicit per-owner metafield values ({ ownerId, namespace, key, type, value })
+ * Used when each owner gets different values, e.g. restoring a snapshot
+ */
+export async function setMetafields(session, metafields) {
+  const client = new shopify.api.clients.Graphql({ session });
+  const ownerGroups = groupByOwner(metafields);
+  const failedErrors = await writeBatches(client, packBatches(ownerGroups), runMetafieldsSet);
+
+  return toResult(ownerGroups.map(group => group[0].ownerId), failedErrors);
+}
+
+/**
+ * Delete metafields identified by { ownerId, namespace, key }
+ */
+export async function deleteMetafields(session, identifiers) {
+  const client = new shopify.api.clients.Graphql({ session });
+  const ownerGroups = groupByOwner(
+    identifiers.map(({ ownerId, namespace, key }) => ({ ownerId, namespace, key }))
+  );
+  const failedErrors = await writeBatches(client, packBatches(ownerGroups), runMetafieldsDelete);
+
+  return toResult(ownerGroups.map(group => group[0].ownerId), failedErrors);
+}
+
+/**
+ * Applies metafield configurations to a single product
+ */
+export async function applyMetafieldsToProduct(
+  session,
+  productId,
+  metafieldConfigs
+) {
+  const result = await applyMetafieldsToOwners(session, [productId], metafieldConfigs);
+
+  if (result.failed.length > 0) {
+    const error = new Error(`GraphQL errors: ${result.failed[0].error}`);
     console.error(`Failed to apply metafields to product ${productId}:`, error);
     throw error;
   }
+
+  return { id: productId };
 }
 
 /**
@@ -238,18 +453,14 @@ export async function bulkApplyVendorConfig(
     errors: [],
   };
 
-  for (const productId of productIds) {
-    try {
-      await applyMetafieldsToProduct(session, productId, metafieldConfigs);
-      results.successful++;
-    } catch (error) {
-      results.failed++;
-      results.errors.push({
-        productId,
-        error: error.message,
-      });
-    }
-  }
+  const { successful, failed } = await applyMetafieldsToOwners(
+    session,
+    productIds,
+    metafieldConfigs
+  );
+  results.successful = successful.length;
+  results.failed = failed.length;
+  results.errors = failed;
 
   return results;
 }
\ No newline at end of file
@@ -0,0 +1,300 @@
+/**
+ * Metafield Diff - Reads current metafield values and compares them to what a configuration would write
+ */
+
+import shopify from "./shopify.js";
+import { buildMetafieldInputs, throttledRequest } from "./metafield-apply.js";
+
+// nodes(ids:) accepts at most 250 IDs per call
+const NODES_LIMIT = 250;
+// Stay under the 1000 point single query cost limit (each owner costs ~keys + 2)
+const MAX_QUERY_COST = 900;
+
+/**
+ * Fetch current values of the given namespace.key metafields for many products, variants or collections
+ * @returns {Map<string, { title: string, metafields: Map<string, { id, value, type }> }>}
+ */
+export async function fetchCurrentMetafields(session, productIds, keys) {
+  const client = new shopify.api.clients.Graphql({ session });
+  const result = new Map();
+
+  const query = `
+    query GetCurrentMetafields($ids: [ID!]!, $keys: [String!], $first: Int!) {
+      nodes(ids: $ids) {
+        ... on Product {
+          id
+          title
+          metafields(first: $first, keys: $keys) {
+            nodes {
+              id
+              namespace
+              key
+              value
+              type
+            }
+          }
+        }
+        ... on ProductVariant {
+          id
+          title: displayName
+          metafields(first: $first, keys: $keys) {
+            nodes {
+              id
+              namespace
+              key
+              value
+              type
+            }
+          }
+        }
+        ... on Collection {
+          id
+          title
+          metafields(first: $first, keys: $keys) {
+            nodes {
+              id
+              namespace
+              key
+              value
+              type
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const pageSize = Math.max(1, Math.min(NODES_LIMIT, Math.floor(MAX_QUERY_COST / (keys.length + 2))));
+
+  for (let i = 0; i < productIds.length; i += pageSize) {
+    const ids = productIds.slice(i, i + pageSize);
+    const data = await throttledRequest(client, query, { ids, keys, first: keys.length });
+
+    for (const node of data.nodes) {
+      if (!node) continue;
+
+      const metafields = new Map();
+      for (const metafield of node.metafields.nodes) {
+        metafields.set(`${metafield.namespace}.${metafield.key}`, {
+          id: metafield.id,
+          value: metafield.value,
+          type: metafield.type,
+        });
+      }
+      result.set(node.id, { title: node.title, metafields });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Fetch namespace.key metafield values for metafield rules
+ * Keys without a value on a product are null
+ * @returns {Map<string, Object<string, string|null>>}
+ */
+export async function fetchMetafieldValues(session, productIds, keys) {
+  const current = await fetchCurrentMetafields(session, productIds, keys);
+  const result = new Map();
+
+  for (const productId of productIds) {
+    const metafields = current.get(productId)?.metafields;
+    const values = {};
+    for (const key of keys) {
+      values[key] = metafields?.get(key)?.value ?? null;
+    }
+    result.set(productId, values);
+  }
+
+  return result;
+}
+
+/**
+ * Compare two metafield values, ignoring JSON formatting differences for list/json types
+ */
+export function metafieldValuesEqual(a, b) {
+  if (a === b) return true;
+  if (a == null || b == null) return false;
+
+  try {
+    return JSON.stringify(JSON.parse(a)) === JSON.stringify(JSON.parse(b));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Diff what a set of metafield inputs would write against a product's current metafields
+ * Each change is 'create', 'overwrite' or 'unchanged'
+ */
+export function diffProductMetafields(metafieldInputs, currentMetafields) {
+  return metafieldInputs.map((input) => {
+    const current = currentMetafields?.get(`${input.namespace}.${input.key}`);
+
+    let action = 'create';
+    if (current) {
+      action = metafieldValuesEqual(current.value, input.value) ? 'unchanged' : 'overwrite';
+    }
+
+    return {
+      namespace: input.namespace,
+      key: input.key,
+      type: input.type,
+      action,
+      oldValue: current ? current.value : null,
+      newValue: input.value,
+    };
+  });
+}
+
+/**
+ * Diff an owner like diffProductMetafields, after conflict resolution with other configurations
+ * wonConfigs: the metafield configs the configuration wins on the owner (see
+ * resolveConfigurationWrites in webhooks.js), or undefined when no other configuration competes
+ * Keys won by another configuration are 'skipped', the others are diffed with the won value
+ */
+function diffResolvedMetafields(metafieldInputs, wonConfigs, currentMetafields) {
+  if (!wonConfigs) {
+    return diffProductMetafields(metafieldInputs, currentMetafields);
+  }
+
+  const wonInputs = new Map(
+    buildMetafieldInputs(wonConfigs).map(input => [`${input.namespace}.${input.key}`, input])
+  );
+
+  return metafieldInputs.map((input) => {
+    const wonInput = wonInputs.get(`${input.namespace}.${input.key}`);
+    if (wonInput) {
+      return diffProductMetafields([wonInput], currentMetafields)[0];
+    }
+
+    const current = currentMetafields?.get(`${input.namespace}.${input.key}`);
+    return {
+      namespace: input.namespace,
+      key: input.key,
+      type: input.type,
+      action: 'skipped',
+      oldValue: current ? current.value : null,
+      newValue: input.value,
+    };
+  });
+}
+
+/**
+ * Drop resolved metafields whose value each owner already stores, so webhooks don't rewrite them
+ * resolvedByOwner: Map ownerId -> [{ configuration, metafieldConfigs }] (see conflict-resolver.js)
+ * @returns {Map} the same shape, without unchanged metafields and owners left with nothing to write
+ */
+export async function dropUnchangedMetafields(session, resolvedByOwner) {
+  const keys = new Set();
+  for (const resolved of resolvedByOwner.values()) {
+    for (const { metafieldConfigs } of resolved) {
+      for (const config of metafieldConfigs) {
+        keys.add(`${config.namespace}.${config.key}`);
+      }
+    }
+  }
+
+  if (keys.size === 0) {
+    return new Map();
+  }
+
+  const current = await fetchCurrentMetafields(session, Array.from(resolvedByOwner.keys()), Array.from(keys));
+  const changedByOwner = new Map();
+
+  for (const [ownerId, resolved] of resolvedByOwner) {
+    const stored = current.get(ownerId)?.metafields;
+    const changed = [];
+
+    for (const { configuration, metafieldConfigs } of resolved) {
+      const changedConfigs = metafieldConfigs.filter((config) => {
+        // Configs that wouldn't be written anyway (e.g. empty values) are dropped too
+        const [input] = buildMetafieldInputs([config]);
+        if (!input) return false;
+
+        const currentValue = stored?.get(`${config.namespace}.${config.key}`)?.value ?? null;
+        return !metafieldValuesEqual(currentValue, input.value);
+      });
+
+      if (changedConfigs.length > 0) {
+        changed.push({ configuration, metafieldConfigs: changedConfigs });
+      }
+    }
+
+    if (changed.length > 0) {
+      changedByOwner.set(ownerId, changed);
+    }
+  }
+
+  return changedByOwner;
+}
+
+/**
+ * Count what applying metafield configs would do across all given products
+ * Used for the dry-run summary, which covers every matched product rather than one page
+ * writes: optional Map productId -> won metafield configs, from resolveConfigurationWrites
+ * @returns {{ create: number, overwrite: number, unchanged: number, skipped: number }}
+ */
+export async function summarizeDryRun(session, productIds, metafieldConfigs, writes = null) {
+  const metafieldInputs = buildMetafieldInputs(metafieldConfigs);
+  const keys = metafieldInputs.map(input => `${input.namespace}.${input.key}`);
+
+  const summary = { create: 0, overwrite: 0, unchanged: 0, skipped: 0 };
+
+  if (productIds.length === 0 || metafieldInputs.length === 0) {
+    return summary;
+  }
+
+  const current = await fetchCurrentMetafields(session, productIds, keys);
+
+  for (const productId of productIds) {
+    const changes = diffResolvedMetafields(
+      metafieldInputs,
+      writes?.get(productId),
+      current.get(productId)?.metafields
+    );
+    for (const change of changes) {
+      summary[change.action]++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Build the dry-run diff for a page of products
+ * products: [{ id, title }]; metafieldConfigs: processed configuration metafield_configs
+ * writes: optional Map productId -> won metafield configs, as for summarizeDryRun
+ */
+export async function buildDryRunDiff(session, products, metafieldConfigs, writes = null) {
+  const metafieldInputs = buildMetafieldInputs(metafieldConfigs);
+  const keys = metafieldInputs.map(input => `${input.namespace}.${input.key}`);
+
+  if (products.length === 0 || metafieldInputs.length === 0) {
+    return { products: [] };
+  }
+
+  const current = await fetchCurrentMetafields(
+    session,
+    products.map(product => product.id),
+    keys
+  );
+
+  const diffedProducts = products.map((product) => ({
+    productId: product.id,
+    productTitle: product.title,
+    changes: diffResolvedMetafields(metafieldInputs, writes?.get(product.id), current.get(product.id)?.metafields),
+  }));
+
+  return { products: diffedProducts };
+}
+
+export default {
+  fetchCurrentMetafields,
+  fetchMetafieldValues,
+  metafieldValuesEqual,
+  diffProductMetafields,
+  dropUnchangedMetafields,
+  summarizeDryRun,
+  buildDryRunDiff,
+};
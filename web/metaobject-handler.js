@@ -337,3 +337,184 @@ export async function createOrUpdateMetaobject(session, definitionId, fieldValue
     return { id: resultId };
   }
 }
+
+/**
+ * Helper function to get metaobject definition ID from metafield definition
+ */
+async function getMetaobjectDefinitionIdFromMetafield(session, metafieldDefinitionId) {
+  const client = new shopify.api.clients.Graphql({ session });
+
+  const query = `
+    query GetMetafieldDefinition($id: ID!) {
+      metafieldDefinition(id: $id) {
+        id
+        validations {
+          name
+          value
+        }
+      }
+    }
+  `;
+
+  try {
+    const response = await client.request(query, {
+      variables: { id: metafieldDefinitionId }
+    });
+
+    const validations = response.data.metafieldDefinition?.validations || [];
+    const metaobjectDefValidation = validations.find(v => v.name === "metaobject_definition_id");
+
+    return metaobjectDefValidation?.value || null;
+  } catch (error) {
+    console.error("Error fetching metafield definition:", error);
+    throw error;
+  }
+}
+
+/**
+ * Helper function to process metafield configs and create metaobjects if needed
+ * Used by the configuration routes before saving and by webhooks, apply jobs and the scheduler
+ * before writing; saved configs already hold metaobject GIDs, which are kept as they are
+ */
+export async function processMetafieldConfigs(session, metafieldConfigs) {
+  const processed = [];
+
+  for (const config of metafieldConfigs) {
+    const processedConfig = { ...config };
+
+    // Handle list.metaobject_reference - create multiple metaobjects
+    if (config.type === "list.metaobject_reference") {
+      // Value should be an array
+      const isValueArray = Array.isArray(config.value);
+
+      if (isValueArray && config.value.length > 0) {
+        // Check if values are already GIDs (from saved config) or field values (from new config)
+        const isGidArray = config.value.every(v =>
+          typeof v === 'string' && v.startsWith('gid://shopify/Metaobject/')
+        );
+
+        if (isGidArray) {
+          // Values are already GIDs - use them as-is
+          console.log(`Using existing metaobject GIDs for ${config.namespace}.${config.key}`);
+          processedConfig.value = config.value;
+          processedConfig.metaobjectIds = config.value;
+        } else {
+          // Values are field objects - need to create metaobjects
+          try {
+            // Get metaobject definition ID
+            let metaobjectDefinitionId = config.metaobjectDefinitionId;
+
+            if (!metaobjectDefinitionId && config.definitionId) {
+              console.log(`Fetching metaobject definition ID for ${config.namespace}.${config.key}`);
+              metaobjectDefinitionId = await getMetaobjectDefinitionIdFromMetafield(
+                session,
+                config.definitionId
+              );
+            }
+
+            if (!metaobjectDefinitionId) {
+              console.warn(
+                `Skipping list.metaobject_reference ${config.namespace}.${config.key} - no metaobject definition ID`
+              );
+              processed.push(processedConfig);
+              continue;
+            }
+
+            // Create a metaobject for each entry in the array
+            const metaobjectGids = [];
+            for (let i = 0; i < config.value.length; i++) {
+              const entryValue = config.value[i];
+
+              // Skip empty objects
+              if (typeof entryValue !== "object" || Object.keys(entryValue).length === 0) {
+                continue;
+              }
+
+              const metaobject = await createOrUpdateMetaobject(
+                session,
+                metaobjectDefinitionId,
+                entryValue,
+                null // Always create new metaobjects for list entries
+              );
+
+              metaobjectGids.push(metaobject.id);
+            }
+
+            // Store array of GIDs as the value
+            processedConfig.value = metaobjectGids;
+            processedConfig.metaobjectIds = metaobjectGids;
+
+            console.log(`Created ${metaobjectGids.length} metaobjects for ${config.namespace}.${config.key}`);
+          } catch (error) {
+            console.error(
+              `Failed to create metaobjects for list ${config.namespace}.${config.key}:`,
+              error
+            );
+            throw error;
+          }
+        }
+      } else {
+        console.warn(
+          `Skipping list.metaobject_reference ${config.namespace}.${config.key} - value is not an array or is empty`
+        );
+      }
+    }
+    // Handle single metaobject_reference
+    else if (config.type === "metaobject_reference") {
+      // Check if value is an object (field values) or already a GID
+      const isValueObject = typeof config.value === "object" && config.value !== null && !Array.isArray(config.value);
+      const isValueGid = typeof config.value === "string" && config.value.startsWith("gid://shopify/Metaobject/");
+
+      if (isValueObject && Object.keys(config.value).length > 0) {
+        // Value contains field values - need to create/update metaobject
+        try {
+          // Get metaobject definition ID - either from config or fetch from metafield definition
+          let metaobjectDefinitionId = config.metaobjectDefinitionId;
+
+          if (!metaobjectDefinitionId && config.definitionId) {
+            // For backwards compatibility - fetch from metafield definition
+            console.log(`Fetching metaobject definition ID for ${config.namespace}.${config.key}`);
+            metaobjectDefinitionId = await getMetaobjectDefinitionIdFromMetafield(
+              session,
+              config.definitionId
+            );
+          }
+
+          if (!metaobjectDefinitionId) {
+            console.warn(
+              `Skipping metaobject_reference ${config.namespace}.${config.key} - no metaobject definition ID`
+            );
+            processed.push(processedConfig);
+            continue;
+          }
+
+          const metaobject = await createOrUpdateMetaobject(
+            session,
+            metaobjectDefinitionId,
+            config.value,
+            config.metaobjectId || null // Will be null for new, GID for updates
+          );
+
+          processedConfig.metaobjectId = metaobject.id;
+          processedConfig.value = metaobject.id;
+        } catch (error) {
+          console.error(
+            `Failed to create/update metaobject for ${config.namespace}.${config.key}:`,
+            error
+          );
+          throw error;
+        }
+      } else if (!isValueGid) {
+        // Value is neither valid field values nor a valid GID
+        console.warn(
+          `Skipping metaobject_reference ${config.namespace}.${config.key} - invalid value`
+        );
+      }
+      // If isValueGid is true, the value is already a GID, keep it as is
+    }
+
+    processed.push(processedConfig);
+  }
+
+  return processed;
+}
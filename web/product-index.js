@@ -0,0 +1,567 @@
+/**
+ * Product Index - Local Postgres mirror of the catalog fields used by rules
+ *
+ * Seeded by a bulk sync (bulk-operations.js) and kept fresh by product and
+ * collection webhooks, so rule matching and resource dropdowns don't need to
+ * download the whole catalog from Shopify on every request.
+ */
+
+import shopify from "./shopify.js";
+import database from "./database.js";
+import { scanProductCatalog } from "./bulk-operations.js";
+import {
+  normalizeGraphqlProduct,
+  normalizeWebhookProduct,
+  normalizeCollection,
+} from "./rule-engine.js";
+
+// Bump when the indexed fields change so existing indexes are re-synced
+const INDEX_VERSION = 4;
+
+// In-flight syncs per shop, so concurrent callers share one bulk operation
+const runningSyncs = new Map();
+
+/**
+ * Convert a product_index row into the normalized rule-engine product shape
+ */
+function rowToProduct(row) {
+  return {
+    id: row.product_id,
+    handle: row.handle,
+    title: row.title,
+    vendor: row.vendor,
+    productType: row.product_type,
+    category: row.category_id || row.category_name
+      ? { id: row.category_id, name: row.category_name }
+      : null,
+    tags: typeof row.tags === 'string' ? JSON.parse(row.tags) : row.tags || [],
+    // NUMERIC comes back from pg as a string
+    price: row.min_price === null ? null : Number(row.min_price),
+    totalInventory: row.total_inventory,
+    status: row.status,
+    createdAt: row.product_created_at ? new Date(row.product_created_at).toISOString() : null,
+    collections: row.collections || [],
+    variants: (row.variants || []).map(variant => ({
+      ...variant,
+      price: variant.price === null ? null : Number(variant.price),
+    })),
+  };
+}
+
+/**
+ * Store the collection membership of a product (replacing the one indexed before)
+ */
+export async function indexProductCollections(shop, productId, collections) {
+  for (const collection of collections) {
+    await database.upsertIndexedCollection(shop, collection);
+  }
+  await database.setIndexedProductCollections(
+    shop,
+    productId,
+    collections.map(collection => collection.id)
+  );
+}
+
+/**
+ * Store a normalized product and, when known, its collection membership and variants
+ */
+async function indexProduct(shop, product) {
+  await database.upsertIndexedProduct(shop, product);
+
+  // Webhook payloads don't include collections - keep the membership we already have
+  if (product.collections) {
+    await indexProductCollections(shop, product.id, product.collections);
+  }
+
+  if (product.variants) {
+    await database.setIndexedProductVariants(shop, product.id, product.variants);
+  }
+}
+
+/**
+ * Smart collections have a rule set, custom (manual) collections don't
+ */
+function collectionTypeOf(node) {
+  return node.ruleSet ? 'smart' : 'custom';
+}
+
+/**
+ * Fetch all collections (cheap paginated query) so empty collections are indexed too
+ */
+async function syncCollections(client, shop) {
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    const response = await client.request(
+      `
+        query getCollections($cursor: String) {
+          collections(first: 250, after: $cursor) {
+            nodes {
+              id
+              title
+              handle
+              ruleSet {
+                appliedDisjunctively
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      `,
+      { variables: { cursor } }
+    );
+
+    const { nodes, pageInfo } = response.data.collections;
+    for (const collection of nodes) {
+      await database.upsertIndexedCollection(shop, {
+        ...collection,
+        collectionType: collectionTypeOf(collection),
+      });
+    }
+
+    hasNextPage = pageInfo.hasNextPage;
+    cursor = pageInfo.endCursor;
+  }
+}
+
+async function runProductIndexSync(session) {
+  const shop = session.shop;
+  const client = new shopify.api.clients.Graphql({ session });
+
+  console.log(`[Product Index] Sync started for ${shop}`);
+  await database.startProductIndexSync(shop);
+
+  try {
+    await syncCollections(client, shop);
+
+    let productCount = 0;
+    await scanProductCatalog(client, async (node) => {
+      await indexProduct(shop, normalizeGraphqlProduct(node));
+      productCount++;
+    });
+
+    // Anything not seen during this sync was deleted in Shopify
+    await database.deleteStaleIndexedProducts(shop);
+    await database.deleteStaleIndexedCollections(shop);
+
+    await database.finishProductIndexSync(shop, 'completed', productCount, null, INDEX_VERSION);
+    console.log(`[Product Index] Sync completed for ${shop}: ${productCount} products`);
+  } catch (error) {
+    console.error(`[Product Index] Sync failed for ${shop}:`, error);
+    await database.finishProductIndexSync(shop, 'failed', null, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Run a full bulk sync of the product index for a shop
+ * Concurrent calls for the same shop share the in-flight sync
+ */
+export function syncProductIndex(session) {
+  const shop = session.shop;
+
+  if (!runningSyncs.has(shop)) {
+    const sync = runProductIndexSync(session).finally(() => {
+      runningSyncs.delete(shop);
+    });
+    runningSyncs.set(shop, sync);
+  }
+
+  return runningSyncs.get(shop);
+}
+
+/**
+ * Whether the shop's index has completed a full sync with the current set of indexed fields
+ */
+export async function isProductIndexReady(shop) {
+  const sync = await database.getProductIndexSync(shop);
+  return !!sync?.last_synced_at && sync.index_version === INDEX_VERSION;
+}
+
+/**
+ * Make sure the index is seeded, running the first sync if needed
+ */
+export async function ensureProductIndex(session) {
+  if (await isProductIndexReady(session.shop)) {
+    return;
+  }
+  await syncProductIndex(session);
+}
+
+/**
+ * Get all indexed products in the normalized rule-engine shape
+ */
+export async function getIndexedProducts(shop) {
+  const rows = await database.getIndexedProducts(shop);
+  return rows.map(rowToProduct);
+}
+
+/**
+ * Get all indexed collections in the normalized shape used by collection-level configurations
+ */
+export async function getIndexedCollectionOwners(shop) {
+  const rows = await database.getIndexedCollections(shop);
+  return rows.map(row => normalizeCollection({
+    id: row.id,
+    title: row.title,
+    handle: row.handle,
+    collectionType: row.collection_type,
+  }));
+}
+
+// Variant fields the rule engine reads (see normalizeGraphqlVariants)
+export const RULE_VARIANT_FIELDS = `
+  id
+  title
+  sku
+  barcode
+  price
+  inventoryQuantity
+  selectedOptions {
+    name
+    value
+  }
+`;
+
+const PRODUCT_QUERY = `
+  query GetProductForRules($id: ID!, $withMetafields: Boolean!, $metafieldKeys: [String!], $metafieldCount: Int!) {
+    product(id: $id) {
+      id
+      handle
+      title
+      vendor
+      productType
+      tags
+      status
+      createdAt
+      totalInventory
+      priceRangeV2 {
+        minVariantPrice {
+          amount
+        }
+      }
+      category {
+        id
+        name
+      }
+      collections(first: 250) {
+        nodes {
+          id
+          handle
+          title
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+      variants(first: 100) {
+        nodes {
+          ${RULE_VARIANT_FIELDS}
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+      metafields(first: $metafieldCount, keys: $metafieldKeys) @include(if: $withMetafields) {
+        nodes {
+          namespace
+          key
+          value
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Complete the collections and variants of a product node fetched with their first page,
+ * so collection and variant rules see all of them
+ */
+export async function fetchRemainingConnections(session, node) {
+  if (node.collections?.pageInfo?.hasNextPage) {
+    node.collections.nodes.push(
+      ...await fetchProductCollections(session, node.id, node.collections.pageInfo.endCursor)
+    );
+  }
+  if (node.variants?.pageInfo?.hasNextPage) {
+    node.variants.nodes.push(
+      ...await fetchProductVariants(session, node.id, node.variants.pageInfo.endCursor)
+    );
+  }
+  return node;
+}
+
+/**
+ * Fetch one product from Shopify in the normalized rule-engine shape, including its
+ * collections, its variants and the given namespace.key metafields
+ * Returns null when the product doesn't exist
+ */
+export async function fetchProductForRules(session, productId, metafieldKeys = []) {
+  const client = new shopify.api.clients.Graphql({ session });
+
+  const response = await client.request(PRODUCT_QUERY, {
+    variables: {
+      id: productId,
+      withMetafields: metafieldKeys.length > 0,
+      metafieldKeys,
+      metafieldCount: Math.max(metafieldKeys.length, 1),
+    },
+  });
+
+  const node = response.data?.product;
+  if (!node) {
+    return null;
+  }
+
+  const product = normalizeGraphqlProduct(await fetchRemainingConnections(session, node));
+  if (!product.metafields) {
+    product.metafields = {};
+  }
+  return product;
+}
+
+/**
+ * Fetch the collections a product belongs to (webhook payloads don't include them)
+ * Starts after cursor when given, to complete a first page fetched elsewhere
+ * @returns {{ id, handle, title }[]}
+ */
+export async function fetchProductCollections(session, productId, cursor = null) {
+  const client = new shopify.api.clients.Graphql({ session });
+  const collections = [];
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const response = await client.request(
+      `
+        query getProductCollections($id: ID!, $cursor: String) {
+          product(id: $id) {
+            collections(first: 250, after: $cursor) {
+              nodes {
+                id
+                handle
+                title
+              }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+            }
+          }
+        }
+      `,
+      { variables: { id: productId, cursor } }
+    );
+
+    const product = response.data.product;
+    if (!product) break;
+
+    collections.push(...product.collections.nodes);
+    hasNextPage = product.collections.pageInfo.hasNextPage;
+    cursor = product.collections.pageInfo.endCursor;
+  }
+
+  return collections;
+}
+
+/**
+ * Fetch the variants of a product with the fields rules read, in raw GraphQL shape
+ * Starts after cursor when given, to complete a first page fetched elsewhere
+ */
+export async function fetchProductVariants(session, productId, cursor = null) {
+  const client = new shopify.api.clients.Graphql({ session });
+  const variants = [];
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const response = await client.request(
+      `
+        query getProductVariants($id: ID!, $cursor: String) {
+          product(id: $id) {
+            variants(first: 250, after: $cursor) {
+              nodes {
+                ${RULE_VARIANT_FIELDS}
+              }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+            }
+          }
+        }
+      `,
+      { variables: { id: productId, cursor } }
+    );
+
+    const product = response.data.product;
+    if (!product) break;
+
+    variants.push(...product.variants.nodes);
+    hasNextPage = product.variants.pageInfo.hasNextPage;
+    cursor = product.variants.pageInfo.endCursor;
+  }
+
+  return variants;
+}
+
+/**
+ * Fetch one collection from Shopify in the normalized shape used by collection-level configurations
+ * Returns null when the collection doesn't exist
+ */
+export async function fetchCollectionForRules(session, collectionId) {
+  const client = new shopify.api.clients.Graphql({ session });
+
+  const response = await client.request(
+    `
+      query getCollectionForRules($id: ID!) {
+        collection(id: $id) {
+          id
+          title
+          handle
+          ruleSet {
+            appliedDisjunctively
+          }
+        }
+      }
+    `,
+    { variables: { id: collectionId } }
+  );
+
+  const node = response.data?.collection;
+  if (!node) {
+    return null;
+  }
+
+  return normalizeCollection({ ...node, collectionType: collectionTypeOf(node) });
+}
+
+/**
+ * Get the sync status for a shop
+ */
+export async function getProductIndexStatus(shop) {
+  const sync = await database.getProductIndexSync(shop);
+
+  return {
+    ready: !!sync?.last_synced_at && sync.index_version === INDEX_VERSION,
+    status: sync?.status || null,
+    productCount: sync?.product_count || 0,
+    lastSyncedAt: sync?.last_synced_at || null,
+    errorMessage: sync?.error_message || null,
+  };
+}
+
+// Webhook-driven updates
+
+export async function indexProductFromWebhook(shop, payload) {
+  await indexProduct(shop, normalizeWebhookProduct(payload));
+}
+
+export async function removeProductFromIndex(shop, payload) {
+  const productId = payload.admin_graphql_api_id || `gid://shopify/Product/${payload.id}`;
+  await database.deleteIndexedProduct(shop, productId);
+}
+
+/**
+ * Refresh a collection's title/handle/type and product membership
+ * Returns the normalized collection along with its member product IDs, and the products
+ * whose membership in it (as seen by collection rules) changed: products added or removed,
+ * or every member when the collection was renamed
+ */
+export async function indexCollectionFromWebhook(session, payload) {
+  const shop = session.shop;
+  const collectionId = payload.admin_graphql_api_id || `gid://shopify/Collection/${payload.id}`;
+
+  const previous = await database.getIndexedCollection(shop, collectionId);
+  const previousProductIds = await database.getCollectionMemberIds(shop, collectionId);
+
+  const client = new shopify.api.clients.Graphql({ session });
+  const productIds = [];
+  let collectionType = null;
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    const response = await client.request(
+      `
+        query getCollectionProducts($id: ID!, $cursor: String) {
+          collection(id: $id) {
+            ruleSet {
+              appliedDisjunctively
+            }
+            products(first: 250, after: $cursor) {
+              nodes {
+                id
+              }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+            }
+          }
+        }
+      `,
+      { variables: { id: collectionId, cursor } }
+    );
+
+    const collection = response.data.collection;
+    if (!collection) break;
+
+    collectionType = collectionTypeOf(collection);
+    productIds.push(...collection.products.nodes.map(node => node.id));
+    hasNextPage = collection.products.pageInfo.hasNextPage;
+    cursor = collection.products.pageInfo.endCursor;
+  }
+
+  const indexed = {
+    id: collectionId,
+    title: payload.title,
+    handle: payload.handle,
+    collectionType,
+  };
+
+  await database.upsertIndexedCollection(shop, indexed);
+  await database.setCollectionMembers(shop, collectionId, productIds);
+
+  // Collection rules match by GID, title or handle
+  const renamed = !previous || previous.title !== indexed.title || previous.handle !== indexed.handle;
+  const previousMembers = new Set(previousProductIds);
+  const currentMembers = new Set(productIds);
+  const changedProductIds = renamed
+    ? Array.from(new Set([...previousProductIds, ...productIds]))
+    : [
+        ...productIds.filter(productId => !previousMembers.has(productId)),
+        ...previousProductIds.filter(productId => !currentMembers.has(productId)),
+      ];
+
+  return { collectionId, productIds, changedProductIds, collection: normalizeCollection(indexed) };
+}
+
+export async function removeCollectionFromIndex(shop, payload) {
+  const collectionId = payload.admin_graphql_api_id || `gid://shopify/Collection/${payload.id}`;
+  await database.deleteIndexedCollection(shop, collectionId);
+}
+
+export default {
+  RULE_VARIANT_FIELDS,
+  syncProductIndex,
+  isProductIndexReady,
+  ensureProductIndex,
+  getIndexedProducts,
+  getIndexedCollectionOwners,
+  fetchProductForRules,
+  fetchRemainingConnections,
+  fetchProductCollections,
+  indexProductCollections,
+  fetchProductVariants,
+  fetchCollectionForRules,
+  getProductIndexStatus,
+  indexProductFromWebhook,
+  removeProductFromIndex,
+  indexCollectionFromWebhook,
+  removeCollectionFromIndex,
+};
@@ -1,246 +1,100 @@
 /**
- * Product Matcher - Evaluates AND/OR rule trees to find matching products
+ * Product Matcher - Finds products in the catalog that match a configuration's rule tree
  *
- * Logic:
- * - Horizontal (siblings at same level) = OR: Product matches if it satisfies ANY sibling
- * - Vertical (parent-child) = AND: Product must satisfy parent AND all children
+ * Products come from the local product index (product-index.js); rule evaluation
+ * itself lives in rule-engine.js (shared with webhooks and the storefront proxy).
+ * Metafield values aren't indexed - they are fetched for the keys metafield rules use.
+ * Variant-level configurations (owner_type PRODUCTVARIANT) match each variant separately,
+ * collection-level configurations (COLLECTION) match indexed collections.
  */
 
 import database from "./database.js";
+import {
+  buildRuleTree,
+  evaluateRuleTree,
+  getMetafieldRuleKeys,
+  toVariantViews,
+} from "./rule-engine.js";
+import {
+  ensureProductIndex,
+  getIndexedProducts,
+  getIndexedCollectionOwners,
+} from "./product-index.js";
+import { fetchMetafieldValues } from "./metafield-diff.js";
 
 /**
- * Fetch all products from Shopify with specified fields
+ * Expand products into variant views titled "Product - Variant"
  */
-async function fetchAllProducts(graphqlClient) {
-  const allProducts = [];
-  let hasNextPage = true;
-  let cursor = null;
-
-  while (hasNextPage) {
-    const query = `
-      query GetProducts($cursor: String) {
-        products(first: 250, after: $cursor) {
-          edges {
-            node {
-              id
-              title
-              vendor
-              productType
-              tags
-              collections(first: 250) {
-                edges {
-                  node {
-                    id
-                    title
-                  }
-                }
-              }
-              category {
-                id
-                name
-              }
-            }
-            cursor
-          }
-          pageInfo {
-            hasNextPage
-          }
-        }
-      }
-    `;
-
-    const response = await graphqlClient.query({
-      data: {
-        query,
-        variables: { cursor },
-      },
-    });
-
-    const { edges, pageInfo } = response.body.data.products;
-
-    for (const edge of edges) {
-      allProducts.push(edge.node);
-    }
-
-    hasNextPage = pageInfo.hasNextPage;
-    cursor = edges.length > 0 ? edges[edges.length - 1].cursor : null;
-  }
-
-  return allProducts;
+function expandVariants(products) {
+  return products.flatMap(product => toVariantViews(product).map(view => ({
+    ...view,
+    title: view.variant.title ? `${product.title} - ${view.variant.title}` : product.title,
+  })));
 }
 
 /**
- * Check if a product matches a single rule
+ * Attach the metafield values metafield rules look at to each owner (products or collections)
  */
-function matchesRule(product, rule) {
-  // Support both camelCase (frontend) and snake_case (database)
-  const ruleType = rule.rule_type || rule.ruleType;
-  const ruleValue = rule.rule_value || rule.ruleValue;
-  const ruleId = rule.rule_id || rule.ruleId;
-
-  // Skip rules without values
-  if (!ruleValue && !ruleId) {
-    return false;
+async function attachRuleMetafields(session, owners, rules) {
+  const metafieldKeys = getMetafieldRuleKeys(rules);
+  if (metafieldKeys.length === 0 || owners.length === 0) {
+    return owners;
   }
 
-  switch (ruleType) {
-    case 'vendor':
-      return product.vendor === ruleValue;
-
-    case 'category':
-      if (ruleId) {
-        // Match by Shopify category GID
-        return product.category?.id === ruleId;
-      }
-      // Match by category name
-      return product.category?.name === ruleValue;
-
-    case 'collection':
-      if (ruleId) {
-        // Match by collection GID
-        return product.collections.edges.some(
-          edge => edge.node.id === ruleId
-        );
-      }
-      // Match by collection title
-      return product.collections.edges.some(
-        edge => edge.node.title === ruleValue
-      );
-
-    case 'product':
-      // Match by product GID (can be single ID or JSON array of IDs for multiselect)
-      if (!ruleId) return false;
-
-      try {
-        // Try parsing as JSON array (multiselect)
-        const productIds = JSON.parse(ruleId);
-        if (Array.isArray(productIds)) {
-          return productIds.includes(product.id);
-        }
-      } catch {
-        // Not JSON, treat as single ID
-      }
-
-      // Fallback to single ID comparison
-      return product.id === ruleId;
-
-    default:
-      return false;
-  }
-}
-
-/**
- * Build a tree structure from flat rules array
- */
-function buildRuleTree(rules) {
-  if (!rules || rules.length === 0) return [];
-
-  // Group rules by level
-  const rulesByLevel = {};
-  const ruleMap = {};
-
-  rules.forEach(rule => {
-    if (!rulesByLevel[rule.level]) {
-      rulesByLevel[rule.level] = [];
-    }
-    rulesByLevel[rule.level].push(rule);
-    ruleMap[rule.id] = { ...rule, children: [] };
-  });
-
-  // Build parent-child relationships (support both camelCase and snake_case)
-  rules.forEach(rule => {
-    const parentId = rule.parent_id || rule.parentId;
-    if (parentId && ruleMap[parentId]) {
-      ruleMap[parentId].children.push(ruleMap[rule.id]);
-    }
-  });
-
-  // Return root nodes (no parent)
-  return rules.filter(r => !r.parent_id && !r.parentId).map(r => ruleMap[r.id]);
+  const values = await fetchMetafieldValues(
+    session,
+    owners.map(owner => owner.id),
+    metafieldKeys
+  );
+  return owners.map(owner => ({
+    ...owner,
+    metafields: values.get(owner.id) || {},
+  }));
 }
 
 /**
- * Evaluate a rule node and its children recursively
- * Returns true if product matches this node's logic
+ * Filter the local product index against flat rules
+ * The index is seeded with a bulk sync the first time a shop needs it
+ * Returns products in the normalized rule-engine shape, variant views
+ * (id = variant GID, productId = product GID) for PRODUCTVARIANT, or
+ * normalized collections for COLLECTION
  */
-function evaluateRuleNode(product, node) {
-  // Check if product matches this node
-  const matchesThisRule = matchesRule(product, node);
+async function filterIndexedProducts(session, rules, ownerType = 'PRODUCT') {
+  await ensureProductIndex(session);
 
-  if (!matchesThisRule) {
-    return false;
-  }
-
-  // If no children, just return the match result
-  if (!node.children || node.children.length === 0) {
-    return true;
-  }
-
-  // Group children by operator (though all children should have the same operator at the same level)
-  // Evaluate children based on their operator
-  const firstChildOperator = node.children[0].operator;
-
-  if (firstChildOperator === 'AND') {
-    // ALL children must match (AND logic)
-    return node.children.every(child => evaluateRuleNode(product, child));
+  let candidates;
+  if (ownerType === 'COLLECTION') {
+    const collections = await getIndexedCollectionOwners(session.shop);
+    candidates = await attachRuleMetafields(session, collections, rules);
   } else {
-    // ANY child must match (OR logic)
-    return node.children.some(child => evaluateRuleNode(product, child));
-  }
-}
-
-/**
- * Evaluate the entire rule tree for a product
- * Root level nodes are OR'd together (product matches if it matches ANY root node)
- */
-function evaluateRuleTree(product, ruleTree) {
-  if (!ruleTree || ruleTree.length === 0) {
-    // No rules means match all products
-    return true;
+    const products = await attachRuleMetafields(session, await getIndexedProducts(session.shop), rules);
+    candidates = ownerType === 'PRODUCTVARIANT' ? expandVariants(products) : products;
   }
 
-  // Product matches if it satisfies ANY of the root-level rules
-  return ruleTree.some(rootNode => evaluateRuleNode(product, rootNode));
+  const ruleTree = buildRuleTree(rules);
+  return candidates.filter(candidate => evaluateRuleTree(candidate, ruleTree));
 }
 
 /**
- * Find all products that match a configuration
+ * Find all products (or variants/collections, for variant- and collection-level configurations)
+ * that match a configuration
  */
-export async function findMatchingProducts(graphqlClient, configurationId) {
-  // Get configuration rules
-  const rules = await database.getConfigurationRules(configurationId);
-
-  // Build tree from rules
-  const ruleTree = buildRuleTree(rules);
+export async function findMatchingProducts(session, configurationId) {
+  const configuration = await database.getConfigurationById(configurationId, session.shop);
 
-  // Fetch all products
-  const allProducts = await fetchAllProducts(graphqlClient);
-
-  // Filter products that match the rule tree
-  const matchingProducts = allProducts.filter(product =>
-    evaluateRuleTree(product, ruleTree)
-  );
+  // Get configuration rules
+  const rules = await database.getConfigurationRules(configurationId, session.shop);
 
-  return matchingProducts;
+  // Filter the catalog against the configuration rule tree
+  return filterIndexedProducts(session, rules, configuration?.owner_type);
 }
 
 /**
  * Find matching products for a preview (before saving configuration)
  * Takes rules array directly instead of configuration ID
  */
-export async function previewMatchingProducts(graphqlClient, rules) {
-  // Build tree from rules
-  const ruleTree = buildRuleTree(rules);
-
-  // Fetch all products
-  const allProducts = await fetchAllProducts(graphqlClient);
-
-  // Filter products that match the rule tree
-  const matchingProducts = allProducts.filter(product =>
-    evaluateRuleTree(product, ruleTree)
-  );
-
-  return matchingProducts;
+export async function previewMatchingProducts(session, rules, ownerType = 'PRODUCT') {
+  return filterIndexedProducts(session, rules, ownerType);
 }
 
 /**
@@ -261,6 +115,36 @@ export function determineConfigurationType(rules) {
   return 'combined';
 }
 
+/**
+ * Describe a rule's value for auto-generated names, including its comparison
+ */
+function describeRuleValue(rule) {
+  const ruleValue = rule.rule_value || rule.ruleValue;
+
+  switch (rule.comparison) {
+    case 'greater_than':
+      return `> ${ruleValue}`;
+    case 'less_than':
+      return `< ${ruleValue}`;
+    case 'between': {
+      try {
+        const [min, max] = JSON.parse(ruleValue);
+        return `${min}–${max}`;
+      } catch {
+        return ruleValue;
+      }
+    }
+    case 'contains':
+      return `contains "${ruleValue}"`;
+    case 'starts_with':
+      return `starts with "${ruleValue}"`;
+    case 'regex':
+      return `/${ruleValue}/`;
+    default:
+      return ruleValue;
+  }
+}
+
 /**
  * Generate auto-name for configuration based on rules
  */
@@ -279,14 +163,19 @@ export function generateConfigurationName(rules) {
   if (rootRules.length === 1) {
     const rule = rootRules[0];
     const ruleType = rule.rule_type || rule.ruleType;
-    const ruleValue = rule.rule_value || rule.ruleValue;
-    const typeLabel = ruleType.charAt(0).toUpperCase() + ruleType.slice(1);
-    return `${typeLabel}: ${ruleValue}`;
+    const typeLabel = (ruleType.charAt(0).toUpperCase() + ruleType.slice(1)).replace('_', ' ');
+    let description = describeRuleValue(rule);
+    if (ruleType === 'metafield') {
+      // e.g. "Metafield: custom.energy_class = A+++"
+      const isEquals = !rule.comparison || rule.comparison === 'equals';
+      description = `${rule.rule_id || rule.ruleId} ${isEquals ? '= ' : ''}${description}`;
+    }
+    return `${typeLabel}: ${rule.negate ? 'Not ' : ''}${description}`;
   }
 
   // Multiple root rules
   const type = determineConfigurationType(rules);
-  const typeLabel = type.charAt(0).toUpperCase() + type.slice(1);
+  const typeLabel = (type.charAt(0).toUpperCase() + type.slice(1)).replace('_', ' ');
   return `${typeLabel} Configuration`;
 }
 
@@ -1,8 +1,62 @@
 import { Router } from "express";
 import shopify from "./shopify.js";
+import database from "./database.js";
+import {
+  isProductIndexReady,
+  syncProductIndex,
+  getProductIndexStatus,
+} from "./product-index.js";
 
 const router = Router();
 
+/**
+ * Check whether dropdowns can be answered from the local product index
+ * Starts the first sync in the background when the index isn't seeded yet
+ */
+async function canUseProductIndex(session) {
+  if (await isProductIndexReady(session.shop)) {
+    return true;
+  }
+
+  syncProductIndex(session).catch((error) => {
+    console.error("[Product Index] Background sync failed:", error);
+  });
+  return false;
+}
+
+/**
+ * GET /api/product-index/status
+ * Get the local product index sync status
+ */
+router.get("/product-index/status", async (req, res) => {
+  try {
+    const session = res.locals.shopify.session;
+    res.json(await getProductIndexStatus(session.shop));
+  } catch (error) {
+    console.error("Error fetching product index status:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/product-index/sync
+ * Start a full resync of the local product index
+ */
+router.post("/product-index/sync", async (req, res) => {
+  try {
+    const session = res.locals.shopify.session;
+
+    syncProductIndex(session).catch((error) => {
+      console.error("[Product Index] Sync failed:", error);
+    });
+
+    res.status(202).json(await getProductIndexStatus(session.shop));
+  } catch (error) {
+    console.error("Error starting product index sync:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/products/vendors
  * Fetch unique vendors from all products
@@ -10,6 +64,11 @@ const router = Router();
 router.get("/products/vendors", async (req, res) => {
   try {
     const session = res.locals.shopify.session;
+
+    if (await canUseProductIndex(session)) {
+      return res.json({ vendors: await database.getIndexedVendors(session.shop) });
+    }
+
     const client = new shopify.api.clients.Graphql({ session });
 
     // Fetch all vendors using pagination
@@ -69,6 +128,14 @@ router.get("/products/vendors", async (req, res) => {
 router.get("/collections", async (req, res) => {
   try {
     const session = res.locals.shopify.session;
+
+    if (await canUseProductIndex(session)) {
+      const indexedCollections = await database.getIndexedCollections(session.shop);
+      return res.json({
+        collections: indexedCollections.map(({ id, title }) => ({ id, title })),
+      });
+    }
+
     const client = new shopify.api.clients.Graphql({ session });
 
     const collections = [];
@@ -129,6 +196,11 @@ router.get("/collections", async (req, res) => {
 router.get("/categories", async (req, res) => {
   try {
     const session = res.locals.shopify.session;
+
+    if (await canUseProductIndex(session)) {
+      return res.json({ categories: await database.getIndexedCategories(session.shop) });
+    }
+
     const client = new shopify.api.clients.Graphql({ session });
 
     // Fetch unique categories from products
@@ -183,6 +255,59 @@ router.get("/categories", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/tags
+ * Fetch all product tags used in the shop
+ */
+router.get("/tags", async (req, res) => {
+  try {
+    const session = res.locals.shopify.session;
+
+    if (await canUseProductIndex(session)) {
+      return res.json({ tags: await database.getIndexedTags(session.shop) });
+    }
+
+    const client = new shopify.api.clients.Graphql({ session });
+
+    const tags = [];
+    let hasNextPage = true;
+    let cursor = null;
+
+    while (hasNextPage) {
+      const query = `
+        query getTags($cursor: String) {
+          productTags(first: 250, after: $cursor) {
+            nodes
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      `;
+
+      const response = await client.query({
+        data: {
+          query,
+          variables: { cursor },
+        },
+      });
+
+      const productTags = response.body.data.productTags;
+
+      tags.push(...productTags.nodes);
+
+      hasNextPage = productTags.pageInfo.hasNextPage;
+      cursor = productTags.pageInfo.endCursor;
+    }
+
+    res.json({ tags: tags.sort((a, b) => a.localeCompare(b)) });
+  } catch (error) {
+    console.error("Error fetching tags:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/products
  * Fetch all products (limited to first 100 for performance)
@@ -0,0 +1,661 @@
+/**
+ * Rule Engine - Single source of truth for evaluating configuration rule trees
+ *
+ * Used by preview/bulk apply (product-matcher.js), product webhooks (webhooks.js)
+ * and the storefront proxy (index.js) so a configuration gives the same verdict everywhere.
+ *
+ * Logic:
+ * - Horizontal (siblings at same level) = OR: Product matches if it satisfies ANY sibling
+ * - Vertical (parent-child) = AND: Product must satisfy parent AND all children
+ * - A negated rule (negate flag) matches products that do NOT satisfy it
+ * - Variant rules (option, SKU, barcode) check product.variant when evaluating a single
+ *   variant (see toVariantViews), otherwise they match when ANY variant satisfies them
+ * - Collection-level configurations evaluate normalized collections (normalizeCollection)
+ *   with the title, handle, collection_type and metafield rules
+ */
+
+/**
+ * Convert a numeric product ID into a Shopify product GID
+ */
+function toProductGid(id) {
+  const idStr = String(id);
+  return idStr.startsWith("gid://") ? idStr : `gid://shopify/Product/${idStr}`;
+}
+
+/**
+ * Normalize tags from either an array (GraphQL) or a comma separated string (webhook)
+ */
+function normalizeTags(tags) {
+  if (Array.isArray(tags)) {
+    return tags.map(tag => String(tag).trim()).filter(Boolean);
+  }
+  if (typeof tags === "string") {
+    return tags.split(",").map(tag => tag.trim()).filter(Boolean);
+  }
+  return [];
+}
+
+/**
+ * Parse a money amount, returning null when it isn't a number
+ */
+function parseAmount(amount) {
+  const value = parseFloat(amount);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Build a namespace.key -> value map from a GraphQL metafields connection
+ */
+function normalizeMetafields(connection) {
+  const metafieldNodes = connection.nodes || (connection.edges || []).map(edge => edge.node);
+  const metafields = {};
+  for (const metafield of metafieldNodes) {
+    metafields[`${metafield.namespace}.${metafield.key}`] = metafield.value;
+  }
+  return metafields;
+}
+
+/**
+ * Normalize the variants of a GraphQL product node ({ nodes } or { edges })
+ */
+function normalizeGraphqlVariants(connection) {
+  const variantNodes = connection.nodes || (connection.edges || []).map(edge => edge.node);
+  return variantNodes.map(variant => ({
+    id: variant.id,
+    title: variant.title || null,
+    sku: variant.sku || null,
+    barcode: variant.barcode || null,
+    price: parseAmount(variant.price),
+    inventoryQuantity: variant.inventoryQuantity ?? null,
+    selectedOptions: (variant.selectedOptions || []).map(option => ({
+      name: option.name,
+      value: option.value,
+    })),
+  }));
+}
+
+/**
+ * Build the normalized product shape from a GraphQL product node
+ *
+ * Collections may be returned as a connection ({ edges }) or as { nodes }.
+ * Metafields are only known when the node was fetched with them (see getMetafieldRuleKeys).
+ */
+export function normalizeGraphqlProduct(node) {
+  let collections = null;
+
+  if (node.collections) {
+    const collectionNodes = node.collections.nodes
+      || (node.collections.edges || []).map(edge => edge.node);
+    collections = collectionNodes.map(collection => ({
+      id: collection.id,
+      title: collection.title || null,
+      handle: collection.handle || null,
+    }));
+  }
+
+  return {
+    id: toProductGid(node.id),
+    handle: node.handle || null,
+    title: node.title || null,
+    vendor: node.vendor || null,
+    productType: node.productType || null,
+    category: node.category
+      ? { id: node.category.id || null, name: node.category.name || null }
+      : null,
+    tags: normalizeTags(node.tags),
+    // Lowest variant price (the "from" price shown on the storefront)
+    price: parseAmount(node.priceRangeV2?.minVariantPrice?.amount),
+    totalInventory: node.totalInventory ?? null,
+    status: node.status ? node.status.toLowerCase() : null,
+    createdAt: node.createdAt || null,
+    collections,
+    variants: node.variants ? normalizeGraphqlVariants(node.variants) : null,
+    metafields: node.metafields ? normalizeMetafields(node.metafields) : null,
+  };
+}
+
+/**
+ * Normalize a webhook variant; option1..option3 map to the product's option names by position
+ */
+function normalizeWebhookVariant(variant, optionNames) {
+  const selectedOptions = [];
+  [variant.option1, variant.option2, variant.option3].forEach((value, index) => {
+    if (value !== null && value !== undefined && optionNames[index]) {
+      selectedOptions.push({ name: optionNames[index], value });
+    }
+  });
+
+  return {
+    id: variant.admin_graphql_api_id || `gid://shopify/ProductVariant/${variant.id}`,
+    title: variant.title || null,
+    sku: variant.sku || null,
+    barcode: variant.barcode || null,
+    price: parseAmount(variant.price),
+    inventoryQuantity: variant.inventory_quantity ?? null,
+    selectedOptions,
+  };
+}
+
+/**
+ * Build the normalized product shape from a PRODUCTS_CREATE/PRODUCTS_UPDATE webhook payload
+ *
+ * Webhook payloads don't include collection membership or metafields, so both are null (unknown).
+ */
+export function normalizeWebhookProduct(payload) {
+  const variants = payload.variants || [];
+  const variantPrices = variants.map(variant => parseAmount(variant.price)).filter(price => price !== null);
+  const optionNames = (payload.options || [])
+    .slice()
+    .sort((a, b) => (a.position || 0) - (b.position || 0))
+    .map(option => option.name);
+
+  return {
+    id: payload.admin_graphql_api_id || toProductGid(payload.id),
+    handle: payload.handle || null,
+    title: payload.title || null,
+    vendor: payload.vendor || null,
+    productType: payload.product_type || null,
+    category: payload.category
+      ? {
+          id: payload.category.admin_graphql_api_id || payload.category.id || null,
+          name: payload.category.name || null,
+        }
+      : null,
+    tags: normalizeTags(payload.tags),
+    price: variantPrices.length > 0 ? Math.min(...variantPrices) : null,
+    totalInventory: payload.variants
+      ? variants.reduce((total, variant) => total + (variant.inventory_quantity || 0), 0)
+      : null,
+    status: payload.status ? payload.status.toLowerCase() : null,
+    createdAt: payload.created_at || null,
+    collections: null,
+    variants: payload.variants ? variants.map(variant => normalizeWebhookVariant(variant, optionNames)) : null,
+    metafields: null,
+  };
+}
+
+/**
+ * Build the normalized collection shape evaluated by collection-level configurations
+ * collectionType is 'smart' (has a rule set), 'custom', or null when unknown
+ */
+export function normalizeCollection(collection) {
+  return {
+    id: collection.id,
+    title: collection.title || null,
+    handle: collection.handle || null,
+    collectionType: collection.collectionType || null,
+    metafields: collection.metafields ? normalizeMetafields(collection.metafields) : null,
+  };
+}
+
+/**
+ * Parse a rule_id that may hold a single GID or a JSON array of GIDs (multiselect)
+ */
+function parseRuleIds(ruleId) {
+  if (!ruleId) return [];
+
+  try {
+    const parsed = JSON.parse(ruleId);
+    if (Array.isArray(parsed)) {
+      return parsed;
+    }
+  } catch {
+    // Not JSON, treat as single ID
+  }
+
+  return [ruleId];
+}
+
+/**
+ * Parse a "between" rule value stored as a JSON array [min, max]
+ */
+function parseRange(ruleValue) {
+  try {
+    const range = JSON.parse(ruleValue);
+    if (Array.isArray(range) && range.length === 2) {
+      return range;
+    }
+  } catch {
+    // Not a range
+  }
+  return null;
+}
+
+/**
+ * Compare a number using the rule's comparison (equals, greater_than, less_than, between)
+ */
+function compareNumber(actual, comparison, ruleValue) {
+  if (actual === null || actual === undefined) return false;
+
+  if (comparison === 'between') {
+    const range = parseRange(ruleValue);
+    if (!range) return false;
+    const [min, max] = range.map(Number);
+    return actual >= min && actual <= max;
+  }
+
+  const expected = Number(ruleValue);
+  if (ruleValue === '' || !Number.isFinite(expected)) return false;
+
+  switch (comparison) {
+    case 'greater_than':
+      return actual > expected;
+    case 'less_than':
+      return actual < expected;
+    default:
+      return actual === expected;
+  }
+}
+
+/**
+ * Start of a YYYY-MM-DD day (UTC) in milliseconds, plus a number of days
+ */
+function dayStart(date, addDays = 0) {
+  const time = Date.parse(`${String(date).slice(0, 10)}T00:00:00Z`);
+  return time + addDays * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Compare a timestamp against whole days: equals = same day, greater_than = after
+ * that day, less_than = before that day, between = from the first through the last day
+ */
+function compareDate(actual, comparison, ruleValue) {
+  if (!actual) return false;
+  const time = Date.parse(actual);
+  if (Number.isNaN(time)) return false;
+
+  if (comparison === 'between') {
+    const range = parseRange(ruleValue);
+    if (!range) return false;
+    return time >= dayStart(range[0]) && time < dayStart(range[1], 1);
+  }
+
+  switch (comparison) {
+    case 'greater_than':
+      return time >= dayStart(ruleValue, 1);
+    case 'less_than':
+      return time < dayStart(ruleValue);
+    default:
+      return time >= dayStart(ruleValue) && time < dayStart(ruleValue, 1);
+  }
+}
+
+/**
+ * Compare text case-insensitively (equals, contains, starts_with, regex)
+ */
+function compareText(actual, comparison, ruleValue) {
+  if (!actual) return false;
+
+  const text = actual.toLowerCase();
+  const expected = String(ruleValue).toLowerCase();
+
+  switch (comparison) {
+    case 'contains':
+      return text.includes(expected);
+    case 'starts_with':
+      return text.startsWith(expected);
+    case 'regex':
+      try {
+        return new RegExp(ruleValue, 'i').test(actual);
+      } catch {
+        // Invalid pattern never matches
+        return false;
+      }
+    default:
+      return text === expected;
+  }
+}
+
+/**
+ * Split a metafield value into the values a rule compares against:
+ * list types match on any element, money/measurement JSON on its amount/value
+ */
+function metafieldValues(rawValue) {
+  try {
+    const parsed = JSON.parse(rawValue);
+    if (Array.isArray(parsed)) {
+      return parsed.map(String);
+    }
+    if (parsed && typeof parsed === 'object') {
+      const scalar = parsed.amount ?? parsed.value;
+      if (scalar !== undefined) {
+        return [String(scalar)];
+      }
+    }
+  } catch {
+    // Plain text value
+  }
+  return [String(rawValue)];
+}
+
+/**
+ * Compare one metafield value: numeric comparisons for greater_than/less_than/between,
+ * text comparisons otherwise
+ */
+function compareMetafieldValue(value, comparison, ruleValue) {
+  if (comparison === 'greater_than' || comparison === 'less_than' || comparison === 'between') {
+    return compareNumber(parseAmount(value), comparison, ruleValue);
+  }
+  return compareText(value, comparison, ruleValue);
+}
+
+const VARIANT_RULE_TYPES = ['variant_option', 'sku', 'barcode'];
+
+/**
+ * Whether a rule type matches on variant fields rather than product fields
+ */
+export function isVariantRuleType(ruleType) {
+  return VARIANT_RULE_TYPES.includes(ruleType);
+}
+
+/**
+ * Check a variant rule against the evaluated variant, or any variant of the product
+ * Returns null when the product's variants are unknown
+ */
+function matchesVariants(product, matchVariant) {
+  if (product.variant) {
+    return matchVariant(product.variant);
+  }
+  if (!product.variants) {
+    return null;
+  }
+  return product.variants.some(matchVariant);
+}
+
+/**
+ * Expand a normalized product into one view per variant for variant-level configurations
+ *
+ * Each view keeps the product fields (vendor, tags, collections...) but takes its id, price
+ * and inventory from the variant, so product and variant rules can be mixed in one tree.
+ */
+export function toVariantViews(product) {
+  return (product.variants || []).map(variant => ({
+    ...product,
+    id: variant.id,
+    productId: product.id,
+    price: variant.price,
+    totalInventory: variant.inventoryQuantity,
+    variant,
+  }));
+}
+
+/**
+ * Collect the namespace.key identifiers that metafield rules need fetched
+ */
+export function getMetafieldRuleKeys(rules) {
+  const keys = (rules || [])
+    .filter(rule => (rule.rule_type || rule.ruleType) === 'metafield')
+    .map(rule => rule.rule_id || rule.ruleId)
+    .filter(Boolean);
+
+  return Array.from(new Set(keys));
+}
+
+/**
+ * Check if a normalized product (or collection, for collection-level configurations) matches a single rule
+ */
+export function matchesRule(product, rule) {
+  // Support both camelCase (frontend) and snake_case (database)
+  const ruleType = rule.rule_type || rule.ruleType;
+  const ruleValue = rule.rule_value || rule.ruleValue;
+  const ruleId = rule.rule_id || rule.ruleId;
+  const comparison = rule.comparison || 'equals';
+
+  // Skip rules without values
+  if (!ruleValue && !ruleId) {
+    return false;
+  }
+
+  switch (ruleType) {
+    case 'vendor':
+      return product.vendor === ruleValue;
+
+    case 'category':
+      if (ruleId) {
+        // Match by Shopify category GID
+        return product.category?.id === ruleId;
+      }
+      // Match by category name
+      return product.category?.name === ruleValue;
+
+    case 'collection': {
+      // Collection membership unknown (e.g. webhook payload) - can't match
+      if (!product.collections) return false;
+
+      const collectionIds = parseRuleIds(ruleId);
+      if (collectionIds.length > 0) {
+        // Match by collection GID
+        return product.collections.some(
+          collection => collectionIds.includes(collection.id)
+        );
+      }
+      // Match by collection title or handle
+      return product.collections.some(
+        collection => collection.title === ruleValue || collection.handle === ruleValue
+      );
+    }
+
+    case 'tag': {
+      // Shopify treats tags case-insensitively
+      const tag = String(ruleValue).trim().toLowerCase();
+      return product.tags.some(productTag => productTag.toLowerCase() === tag);
+    }
+
+    case 'price':
+      return compareNumber(product.price, comparison, ruleValue);
+
+    case 'inventory':
+      return compareNumber(product.totalInventory, comparison, ruleValue);
+
+    case 'status':
+      return product.status === String(ruleValue).toLowerCase();
+
+    case 'created_at':
+      return compareDate(product.createdAt, comparison, ruleValue);
+
+    case 'title':
+      return compareText(product.title, comparison, ruleValue);
+
+    case 'handle':
+      return compareText(product.handle, comparison, ruleValue);
+
+    case 'metafield': {
+      // rule_id holds namespace.key; values unknown (not fetched) - can't match
+      if (!ruleId || !product.metafields) return false;
+
+      const rawValue = product.metafields[ruleId];
+      if (rawValue === undefined || rawValue === null) return false;
+
+      return metafieldValues(rawValue).some(
+        value => compareMetafieldValue(value, comparison, ruleValue)
+      );
+    }
+
+    case 'variant_option': {
+      // rule_id holds the option name (e.g. "Size"), rule_value the option value
+      if (!ruleId) return false;
+      const optionName = ruleId.toLowerCase();
+
+      return !!matchesVariants(product, variant => variant.selectedOptions.some(
+        option => option.name.toLowerCase() === optionName
+          && compareText(option.value, comparison, ruleValue)
+      ));
+    }
+
+    case 'sku':
+      return !!matchesVariants(product, variant => compareText(variant.sku, comparison, ruleValue));
+
+    case 'barcode':
+      return !!matchesVariants(product, variant => compareText(variant.barcode, comparison, ruleValue));
+
+    case 'collection_type':
+      // Smart vs custom collection (collection-level configurations)
+      return !!product.collectionType && product.collectionType === String(ruleValue).toLowerCase();
+
+    case 'product':
+      // Match by product GID (can be single ID or JSON array of IDs for multiselect)
+      // Variant views carry their product's GID in productId
+      if (!ruleId) return false;
+      return parseRuleIds(ruleId).includes(product.productId || product.id);
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check a single rule including its negate flag
+ *
+ * Negation only flips a real verdict: an empty rule, or a collection/metafield/variant
+ * rule when that data is unknown, never matches - otherwise "NOT" would match everything.
+ */
+export function matchesRuleWithNegation(product, rule) {
+  const matched = matchesRule(product, rule);
+
+  if (!rule.negate) {
+    return matched;
+  }
+
+  const ruleType = rule.rule_type || rule.ruleType;
+  const hasValue = !!(rule.rule_value || rule.ruleValue || rule.rule_id || rule.ruleId);
+
+  if (
+    !hasValue ||
+    (ruleType === 'collection' && !product.collections) ||
+    (ruleType === 'metafield' && !product.metafields) ||
+    (isVariantRuleType(ruleType) && !product.variant && !product.variants)
+  ) {
+    return false;
+  }
+
+  return !matched;
+}
+
+/**
+ * Build a tree structure from flat rules array
+ */
+export function buildRuleTree(rules) {
+  if (!rules || rules.length === 0) return [];
+
+  const ruleMap = {};
+
+  rules.forEach(rule => {
+    ruleMap[rule.id] = { ...rule, children: [] };
+  });
+
+  // Build parent-child relationships (support both camelCase and snake_case)
+  rules.forEach(rule => {
+    const parentId = rule.parent_id || rule.parentId;
+    if (parentId && ruleMap[parentId]) {
+      ruleMap[parentId].children.push(ruleMap[rule.id]);
+    }
+  });
+
+  // Return root nodes (no parent)
+  return rules.filter(r => !r.parent_id && !r.parentId).map(r => ruleMap[r.id]);
+}
+
+/**
+ * Evaluate a rule node and its children recursively
+ * Returns true if product matches this node's logic
+ */
+export function evaluateRuleNode(product, node) {
+  if (!matchesRuleWithNegation(product, node)) {
+    return false;
+  }
+
+  // If no children, just return the match result
+  if (!node.children || node.children.length === 0) {
+    return true;
+  }
+
+  // All children at the same level share the same operator
+  const firstChildOperator = node.children[0].operator;
+
+  if (firstChildOperator === 'AND') {
+    // ALL children must match (AND logic)
+    return node.children.every(child => evaluateRuleNode(product, child));
+  }
+
+  // ANY child must match (OR logic)
+  return node.children.some(child => evaluateRuleNode(product, child));
+}
+
+/**
+ * Evaluate the entire rule tree for a product
+ * Root level nodes are OR'd together (product matches if it matches ANY root node)
+ */
+export function evaluateRuleTree(product, ruleTree) {
+  if (!ruleTree || ruleTree.length === 0) {
+    // No rules means match all products
+    return true;
+  }
+
+  return ruleTree.some(rootNode => evaluateRuleNode(product, rootNode));
+}
+
+/**
+ * Evaluate a rule node like evaluateRuleNode, but record every rule's verdict
+ * matched = the rule itself (negation applied), result = the rule and its children
+ * Children are always evaluated so the trace shows why a branch failed
+ */
+export function traceRuleNode(product, node) {
+  const matched = matchesRuleWithNegation(product, node);
+  const children = (node.children || []).map(child => traceRuleNode(product, child));
+
+  let result = matched;
+  if (matched && children.length > 0) {
+    result = node.children[0].operator === 'AND'
+      ? children.every(child => child.result)
+      : children.some(child => child.result);
+  }
+
+  return {
+    id: node.id,
+    ruleType: node.rule_type || node.ruleType,
+    ruleValue: node.rule_value || node.ruleValue || null,
+    ruleId: node.rule_id || node.ruleId || null,
+    comparison: node.comparison || null,
+    negate: !!node.negate,
+    operator: node.operator || null,
+    matched,
+    result,
+    children,
+  };
+}
+
+/**
+ * Build the evaluation trace of flat rules for a product
+ * matches agrees with productMatchesRules
+ */
+export function traceRules(product, rules) {
+  const ruleTree = buildRuleTree(rules);
+  return {
+    matches: evaluateRuleTree(product, ruleTree),
+    nodes: ruleTree.map(node => traceRuleNode(product, node)),
+  };
+}
+
+/**
+ * Convenience wrapper: build the tree from flat rules and evaluate it for a product
+ */
+export function productMatchesRules(product, rules) {
+  return evaluateRuleTree(product, buildRuleTree(rules));
+}
+
+export default {
+  normalizeGraphqlProduct,
+  normalizeWebhookProduct,
+  normalizeCollection,
+  matchesRule,
+  matchesRuleWithNegation,
+  getMetafieldRuleKeys,
+  isVariantRuleType,
+  toVariantViews,
+  buildRuleTree,
+  evaluateRuleNode,
+  evaluateRuleTree,
+  traceRuleNode,
+  traceRules,
+  productMatchesRules,
+};
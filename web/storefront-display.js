@@ -0,0 +1,175 @@
+/**
+ * Storefront Display - Publishes which metafields the theme app blocks render
+ *
+ * The theme app blocks (extensions/storefront-display/blocks) read product.metafields
+ * directly in Liquid. They learn which namespace.keys to render, and how, from a JSON
+ * shop metafield (meta_bulk_assign.display_config) that this module rebuilds from the
+ * shop's active product-level configurations whenever those change:
+ *
+ * { "display_types": { "<displayType>": [{ namespace, key, type, layout, item, settings, style, fields }] } }
+ *
+ * layout, item, settings and style come from the display type registry (display-types.js),
+ * so the blocks draw every registered display type without knowing it.
+ *
+ * Liquid can't list a metaobject's fields, so for metaobject references `fields` maps the
+ * roles of the display type to fields ({ key, type }) of the metaobject definition.
+ */
+
+import shopify from "./shopify.js";
+import database from "./database.js";
+import { setMetafields } from "./metafield-apply.js";
+import {
+  getDisplayType,
+  mapDisplayFields,
+  resolveDisplaySettings,
+  resolveDisplayStyle,
+} from "./display-types.js";
+
+export const DISPLAY_CONFIG_NAMESPACE = 'meta_bulk_assign';
+export const DISPLAY_CONFIG_KEY = 'display_config';
+
+const DISPLAY_CONFIG_QUERY = `
+  query GetDisplayConfig($namespace: String!, $key: String!) {
+    shop {
+      id
+      metafield(namespace: $namespace, key: $key) {
+        value
+      }
+    }
+  }
+`;
+
+const METAFIELD_DEFINITION_QUERY = `
+  query GetMetafieldDefinitionValidations($id: ID!) {
+    metafieldDefinition(id: $id) {
+      validations {
+        name
+        value
+      }
+    }
+  }
+`;
+
+const METAOBJECT_DEFINITION_QUERY = `
+  query GetMetaobjectDefinitionFields($id: ID!) {
+    metaobjectDefinition(id: $id) {
+      fieldDefinitions {
+        key
+        type {
+          name
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Metaobject definition a metafield configuration references
+ */
+async function resolveMetaobjectDefinitionId(client, metafieldConfig) {
+  if (metafieldConfig.metaobjectDefinitionId) {
+    return metafieldConfig.metaobjectDefinitionId;
+  }
+  if (!metafieldConfig.definitionId) return null;
+
+  const response = await client.request(METAFIELD_DEFINITION_QUERY, {
+    variables: { id: metafieldConfig.definitionId },
+  });
+  const validations = response.data.metafieldDefinition?.validations || [];
+  return validations.find(validation => validation.name === 'metaobject_definition_id')?.value || null;
+}
+
+/**
+ * Build the display config from the shop's active product-level configurations
+ * Keys are listed by configuration priority, once per display type
+ */
+export async function buildDisplayConfig(session) {
+  const client = new shopify.api.clients.Graphql({ session });
+  const configurations = (await database.getActiveConfigurations(session.shop))
+    .filter(configuration => configuration.owner_type === 'PRODUCT');
+
+  const displayTypes = {};
+  const fieldDefinitionsById = new Map();
+
+  for (const configuration of configurations) {
+    for (const mf of configuration.metafield_configs) {
+      const displayType = getDisplayType(mf.displayType);
+      if (!displayType) continue;
+
+      const entries = displayTypes[displayType.id] || (displayTypes[displayType.id] = []);
+      if (entries.some(entry => entry.namespace === mf.namespace && entry.key === mf.key)) continue;
+
+      let fields = null;
+      if (mf.type?.includes('metaobject_reference') && displayType.fields) {
+        const definitionId = await resolveMetaobjectDefinitionId(client, mf);
+        if (definitionId && !fieldDefinitionsById.has(definitionId)) {
+          const response = await client.request(METAOBJECT_DEFINITION_QUERY, {
+            variables: { id: definitionId },
+          });
+          const fieldDefinitions = response.data.metaobjectDefinition?.fieldDefinitions || [];
+          fieldDefinitionsById.set(
+            definitionId,
+            fieldDefinitions.map(field => ({ key: field.key, type: field.type.name }))
+          );
+        }
+        if (fieldDefinitionsById.has(definitionId)) {
+          fields = mapDisplayFields(displayType.id, fieldDefinitionsById.get(definitionId));
+        }
+      }
+
+      entries.push({
+        namespace: mf.namespace,
+        key: mf.key,
+        type: mf.type || null,
+        layout: displayType.layout,
+        item: displayType.item,
+        settings: resolveDisplaySettings(displayType.id, mf.displaySettings),
+        style: resolveDisplayStyle(displayType.id, mf.displaySettings),
+        fields,
+      });
+    }
+  }
+
+  return { display_types: displayTypes };
+}
+
+/**
+ * Rebuild the display config and write it to the shop metafield when it changed
+ * @returns {Object} the display config
+ */
+export async function syncStorefrontDisplayConfig(session) {
+  const displayConfig = await buildDisplayConfig(session);
+  const value = JSON.stringify(displayConfig);
+
+  const client = new shopify.api.clients.Graphql({ session });
+  const response = await client.request(DISPLAY_CONFIG_QUERY, {
+    variables: { namespace: DISPLAY_CONFIG_NAMESPACE, key: DISPLAY_CONFIG_KEY },
+  });
+  const shop = response.data.shop;
+
+  if (shop.metafield?.value === value) {
+    return displayConfig;
+  }
+
+  const { failed } = await setMetafields(session, [{
+    ownerId: shop.id,
+    namespace: DISPLAY_CONFIG_NAMESPACE,
+    key: DISPLAY_CONFIG_KEY,
+    type: 'json',
+    value,
+  }]);
+
+  if (failed.length > 0) {
+    throw new Error(`Failed to write storefront display config: ${failed[0].error}`);
+  }
+
+  console.log(`[Storefront Display] Display config updated for ${session.shop}`);
+  return displayConfig;
+}
+
+export default {
+  DISPLAY_CONFIG_NAMESPACE,
+  DISPLAY_CONFIG_KEY,
+  buildDisplayConfig,
+  syncStorefrontDisplayConfig,
+};
@@ -0,0 +1,460 @@
+/**
+ * Storefront Payload - Builds and caches the /storefront-config response for a product
+ *
+ * A product page view used to cost one Admin API call per configuration (rule matching)
+ * plus one per displayed metafield. The payload is now built from a single query that
+ * fetches the product's rule fields and every displayed metafield at once, then cached in
+ * storefront_payloads per shop + product handle.
+ *
+ * Cached payloads are dropped when the product changes (product webhooks, apply jobs) and
+ * ignored when the shop's active configurations changed since they were built (their
+ * version covers edits, priorities, enabling and schedule windows).
+ */
+
+import crypto from "crypto";
+import shopify from "./shopify.js";
+import database from "./database.js";
+import { normalizeGraphqlProduct, productMatchesRules, getMetafieldRuleKeys } from "./rule-engine.js";
+import {
+  DISPLAY_TYPES,
+  getDisplayType,
+  mapDisplayFields,
+  resolveDisplaySettings,
+  resolveDisplayStyle,
+} from "./display-types.js";
+import { RULE_VARIANT_FIELDS, fetchRemainingConnections } from "./product-index.js";
+
+// Safety net for changes no webhook tells us about (e.g. a referenced metaobject was edited)
+const PAYLOAD_MAX_AGE_SECONDS = 60 * 60;
+
+// How long browsers and Shopify's proxy may reuse a response (Cache-Control max-age)
+export const STOREFRONT_MAX_AGE_SECONDS = 60;
+
+const REFERENCE_FIELDS = `
+  ... on MediaImage {
+    image {
+      url
+    }
+  }
+  ... on GenericFile {
+    url
+  }
+  ... on Video {
+    sources {
+      url
+    }
+  }
+  ... on Metaobject {
+    id
+    fields {
+      key
+      value
+      type
+      reference {
+        ... on MediaImage {
+          image {
+            url
+          }
+        }
+        ... on GenericFile {
+          url
+        }
+        ... on Video {
+          sources {
+            url
+          }
+        }
+      }
+    }
+  }
+`;
+
+const STOREFRONT_PRODUCT_QUERY = `
+  query GetStorefrontProduct($handle: String!, $metafieldKeys: [String!], $metafieldCount: Int!) {
+    productByHandle(handle: $handle) {
+      id
+      handle
+      title
+      vendor
+      productType
+      tags
+      status
+      createdAt
+      totalInventory
+      priceRangeV2 {
+        minVariantPrice {
+          amount
+        }
+      }
+      category {
+        id
+        name
+      }
+      collections(first: 100) {
+        nodes {
+          id
+          handle
+          title
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+      variants(first: 100) {
+        nodes {
+          ${RULE_VARIANT_FIELDS}
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+      metafields(first: $metafieldCount, keys: $metafieldKeys) {
+        nodes {
+          namespace
+          key
+          value
+          type
+          reference {
+            ${REFERENCE_FIELDS}
+          }
+          references(first: 50) {
+            nodes {
+              ${REFERENCE_FIELDS}
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Version of the shop's active configurations; any edit bumps updated_at
+ * The display type registry is included so payloads are rebuilt when it changes
+ */
+function configurationsVersion(configurations) {
+  const inputs = configurations.map(configuration => [
+    configuration.id,
+    configuration.updated_at,
+    configuration.priority,
+  ]);
+  inputs.push(DISPLAY_TYPES);
+  return crypto.createHash('sha256').update(JSON.stringify(inputs)).digest('hex');
+}
+
+/**
+ * URL of an image, file or video reference, if any
+ */
+function referenceUrl(reference) {
+  return reference?.image?.url || reference?.url || reference?.sources?.[0]?.url || null;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * HTML of a rich text node, escaping all text; links keep only http(s), mailto and relative URLs
+ */
+function richTextNodeToHtml(node) {
+  const children = (node.children || []).map(richTextNodeToHtml).join('');
+
+  switch (node.type) {
+    case 'paragraph':
+      return `<p>${children}</p>`;
+    case 'heading': {
+      const level = Math.min(Math.max(parseInt(node.level, 10) || 2, 1), 6);
+      return `<h${level}>${children}</h${level}>`;
+    }
+    case 'list': {
+      const tag = node.listType === 'ordered' ? 'ol' : 'ul';
+      return `<${tag}>${children}</${tag}>`;
+    }
+    case 'list-item':
+      return `<li>${children}</li>`;
+    case 'link':
+      if (!/^(https?:|mailto:|\/)/i.test(node.url || '')) return children;
+      return `<a href="${escapeHtml(node.url)}"${node.target ? ` target="${escapeHtml(node.target)}"` : ''}>${children}</a>`;
+    case 'text': {
+      let html = escapeHtml(node.value || '');
+      if (node.bold) html = `<strong>${html}</strong>`;
+      if (node.italic) html = `<em>${html}</em>`;
+      return html;
+    }
+    default:
+      return children;
+  }
+}
+
+function richTextNodeToText(node) {
+  if (node.type === 'text') return node.value || '';
+  return (node.children || []).map(richTextNodeToText).join(node.type === 'root' ? '\n' : '');
+}
+
+function parseJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Content of a value in the format a part needs: 'url' (images, links, videos), 'text'
+ * or 'html' (rich text as HTML, other text escaped with line breaks)
+ */
+function valueContent(type, value, reference, format) {
+  if (type.includes('file_reference')) {
+    return referenceUrl(reference);
+  }
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (type === 'rich_text_field') {
+    const richText = parseJson(value);
+    if (!richText) return format === 'html' ? escapeHtml(value) : value;
+    return format === 'html' ? richTextNodeToHtml(richText) : richTextNodeToText(richText);
+  }
+  if (format === 'html') {
+    return escapeHtml(value).replace(/\r?\n/g, '<br>');
+  }
+  return String(value);
+}
+
+/**
+ * Name of the file at a URL, without query and upload prefix
+ */
+function fileName(url) {
+  const filename = url.split('?')[0].split('/').pop() || '';
+  return filename.replace(/^\d+_/, '') || filename;
+}
+
+/**
+ * Values of a metafield, one per list entry, each with its own type
+ */
+function metafieldValues(metafield) {
+  if (!metafield.type.startsWith('list.')) {
+    return [{ type: metafield.type, value: metafield.value, reference: metafield.reference }];
+  }
+
+  const type = metafield.type.slice('list.'.length);
+  if (type.endsWith('_reference')) {
+    return (metafield.references?.nodes || []).map(reference => ({ type, value: null, reference }));
+  }
+
+  const values = parseJson(metafield.value);
+  return (Array.isArray(values) ? values : []).map(value => ({ type, value, reference: null }));
+}
+
+/**
+ * Resolve the item of a display type for one value: the link and the content of each part,
+ * like the item snippet of the theme app blocks does in Liquid
+ * @returns {{ link: string|null, parts: Array<{content: string|null, alt?: string}> }|null}
+ *   null when no part has content from the value
+ */
+function resolveDisplayItem(displayType, settings, entry) {
+  const metaobject = entry.type === 'metaobject_reference' ? entry.reference : null;
+  if (entry.type === 'metaobject_reference' && !metaobject?.fields) return null;
+
+  const fields = metaobject
+    ? mapDisplayFields(displayType.id, metaobject.fields.map(field => ({ key: field.key, type: field.type })))
+    : null;
+
+  const slot = (source, format) => {
+    if (source === 'value' || source === 'filename') {
+      if (metaobject) return null;
+      const content = valueContent(entry.type, entry.value, entry.reference, source === 'value' ? format : 'url');
+      return source === 'filename' && content ? fileName(content) : content;
+    }
+    const field = fields?.[source] && metaobject.fields.find(field => field.key === fields[source].key);
+    return field ? valueContent(field.type, field.value, field.reference, format) : null;
+  };
+  const firstContent = (sources = [], format) => {
+    for (const source of sources) {
+      const content = slot(source, format);
+      if (content) return content;
+    }
+    return null;
+  };
+
+  let hasContent = false;
+  const parts = displayType.item.parts.map(part => {
+    if (part.element === 'icon') return { content: null };
+
+    const format = part.element === 'text' ? 'text' : part.element === 'html' ? 'html' : 'url';
+    const content = firstContent(part.source, format);
+    if (content) hasContent = true;
+
+    const resolved = { content: (part.setting && settings[part.setting]) || content };
+    if (part.alt) resolved.alt = firstContent(part.alt, 'text') || '';
+    return resolved;
+  });
+
+  if (!hasContent) return null;
+
+  return {
+    link: displayType.layout === 'table' ? null : firstContent(displayType.item.link, 'url'),
+    parts,
+  };
+}
+
+/**
+ * Strong ETag of a payload
+ */
+function payloadEtag(payload) {
+  return `"${crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex')}"`;
+}
+
+async function loadOfflineSession(shop) {
+  const sessionId = shopify.api.session.getOfflineId(shop);
+  return await shopify.config.sessionStorage.loadSession(sessionId);
+}
+
+/**
+ * Build the payload of a product from one Admin API query
+ * @returns {{ productId: string, payload: Object } | null} null when the product doesn't exist
+ */
+async function buildStorefrontPayload(session, productHandle, configurations, rulesByConfiguration) {
+  const displayedKeys = configurations.flatMap(configuration =>
+    configuration.metafield_configs
+      .filter(mf => getDisplayType(mf.displayType))
+      .map(mf => `${mf.namespace}.${mf.key}`)
+  );
+  const metafieldKeys = Array.from(new Set([
+    ...displayedKeys,
+    ...getMetafieldRuleKeys(Array.from(rulesByConfiguration.values()).flat()),
+  ]));
+
+  const client = new shopify.api.clients.Graphql({ session });
+  const response = await client.request(STOREFRONT_PRODUCT_QUERY, {
+    variables: {
+      handle: productHandle,
+      metafieldKeys,
+      metafieldCount: Math.max(metafieldKeys.length, 1),
+    },
+  });
+
+  const node = response.data?.productByHandle;
+  if (!node) return null;
+
+  // Rules must see every collection and variant, not just the first page
+  const product = normalizeGraphqlProduct(await fetchRemainingConnections(session, node));
+  const metafieldsByKey = new Map(
+    node.metafields.nodes.map(metafield => [`${metafield.namespace}.${metafield.key}`, metafield])
+  );
+
+  // One entry per key, from the highest-priority matching configuration (configurations are
+  // ordered by priority), like the display config of the theme app blocks
+  const metafields = [];
+  const displayed = new Set();
+  for (const configuration of configurations) {
+    const rules = rulesByConfiguration.get(configuration.id) || [];
+    // No rules means the configuration applies to every product
+    if (rules.length > 0 && !productMatchesRules(product, rules)) continue;
+
+    for (const mf of configuration.metafield_configs) {
+      // Only include metafields with a registered display type
+      const displayType = getDisplayType(mf.displayType);
+      if (!displayType) continue;
+
+      const key = `${mf.namespace}.${mf.key}`;
+      if (displayed.has(key)) continue;
+      displayed.add(key);
+
+      const metafield = metafieldsByKey.get(key);
+      if (!metafield) continue;
+
+      const settings = resolveDisplaySettings(displayType.id, mf.displaySettings);
+      const items = metafieldValues(metafield)
+        .map(entry => resolveDisplayItem(displayType, settings, entry))
+        .filter(item => item !== null);
+
+      if (items.length > 0) {
+        metafields.push({
+          namespace: mf.namespace,
+          key: mf.key,
+          displayType: displayType.id, // Use the displayType from config
+          layout: displayType.layout,
+          item: displayType.item,
+          style: resolveDisplayStyle(displayType.id, mf.displaySettings),
+          items,
+          showOnStorefront: true,
+        });
+      }
+    }
+  }
+
+  return { productId: product.id, payload: { metafields } };
+}
+
+/**
+ * Get the /storefront-config payload of a product, from the cache when still valid
+ * @returns {{ payload: Object, etag: string }}
+ */
+export async function getStorefrontPayload(shop, productHandle) {
+  // Product-level configurations in effect, by priority (the block renders product metafields)
+  const configurations = (await database.getActiveConfigurations(shop))
+    .filter(configuration => configuration.owner_type === 'PRODUCT');
+  const version = configurationsVersion(configurations);
+
+  const cached = await database.getStorefrontPayload(shop, productHandle, PAYLOAD_MAX_AGE_SECONDS);
+  if (cached && cached.configurations_version === version) {
+    return { payload: cached.payload, etag: cached.etag };
+  }
+
+  const empty = { metafields: [] };
+  if (configurations.length === 0) {
+    return { payload: empty, etag: payloadEtag(empty) };
+  }
+
+  const session = await loadOfflineSession(shop);
+  if (!session) {
+    throw new Error(`No session found for shop ${shop}`);
+  }
+
+  const rulesByConfiguration = new Map();
+  for (const configuration of configurations) {
+    rulesByConfiguration.set(configuration.id, await database.getConfigurationRules(configuration.id, shop));
+  }
+
+  const built = await buildStorefrontPayload(session, productHandle, configurations, rulesByConfiguration);
+  if (!built) {
+    // Unknown handles aren't cached: no product webhook would ever invalidate them
+    return { payload: empty, etag: payloadEtag(empty) };
+  }
+
+  const etag = payloadEtag(built.payload);
+  await database.saveStorefrontPayload(shop, productHandle, built.productId, version, built.payload, etag);
+
+  console.log(
+    `[Storefront API] Built payload for ${productHandle} with ${built.payload.metafields.length} metafield(s)`
+  );
+
+  return { payload: built.payload, etag };
+}
+
+/**
+ * Drop cached payloads after products changed (all of the shop's when productIds is null)
+ * Never throws: a stale cache entry expires on its own
+ */
+export async function invalidateStorefrontPayloads(shop, productIds = null) {
+  if (productIds && productIds.length === 0) return;
+
+  try {
+    await database.deleteStorefrontPayloads(shop, productIds);
+  } catch (error) {
+    console.error("[Storefront API] Failed to invalidate cached payloads:", error);
+  }
+}
+
+export default {
+  getStorefrontPayload,
+  invalidateStorefrontPayloads,
+};
@@ -0,0 +1,83 @@
+/**
+ * Webhook Idempotency - Keeps product webhooks from re-applying configurations needlessly
+ *
+ * Our own metafield writes trigger PRODUCTS_UPDATE again. A product is only re-evaluated
+ * when the inputs its configurations look at changed: the product fields used by their
+ * rules, and the configurations themselves (updated_at covers rules, values and priority).
+ */
+
+import crypto from "crypto";
+
+// Normalized product fields each rule type reads
+const RULE_TYPE_FIELDS = {
+  vendor: ['vendor'],
+  collection: ['collections'],
+  category: ['category'],
+  tag: ['tags'],
+  price: ['price'],
+  inventory: ['totalInventory'],
+  status: ['status'],
+  created_at: ['createdAt'],
+  title: ['title'],
+  handle: ['handle'],
+  metafield: ['metafields'],
+  variant_option: ['variants'],
+  sku: ['variants'],
+  barcode: ['variants'],
+};
+
+/**
+ * Stable JSON: object keys sorted so equal inputs always hash the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash the inputs a product's webhook evaluation depends on
+ *
+ * configurations: the shop's configurations; rulesByConfiguration: Map of configuration id -> rules
+ * Only fields referenced by some rule are included, so e.g. inventory changes don't trigger
+ * a re-evaluation unless an inventory rule exists. Variant-level configurations depend on
+ * all variant fields (their views take price and inventory from the variant).
+ */
+export function hashEvaluationInputs(product, configurations, rulesByConfiguration) {
+  const fields = new Set();
+
+  for (const configuration of configurations) {
+    if (configuration.owner_type === 'PRODUCTVARIANT') {
+      fields.add('variants');
+    }
+    for (const rule of rulesByConfiguration.get(configuration.id) || []) {
+      for (const field of RULE_TYPE_FIELDS[rule.rule_type] || []) {
+        fields.add(field);
+      }
+    }
+  }
+
+  const inputs = {
+    id: product.id,
+    configurations: configurations.map(configuration => ({
+      id: configuration.id,
+      updatedAt: configuration.updated_at,
+      priority: configuration.priority,
+    })),
+  };
+
+  for (const field of Array.from(fields).sort()) {
+    inputs[field] = product[field] ?? null;
+  }
+
+  return crypto.createHash('sha256').update(stableStringify(inputs)).digest('hex');
+}
+
+export default {
+  hashEvaluationInputs,
+};
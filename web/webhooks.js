@@ -1,173 +1,400 @@
 import { DeliveryMethod } from "@shopify/shopify-api";
 import database from "./database.js";
-import { applyMetafieldsToProduct } from "./metafield-apply.js";
-import { createOrUpdateMetaobject } from "./metaobject-handler.js";
+import { applyToOwnersWithHistory } from "./apply-history.js";
+import { resolveMetafieldConflicts } from "./conflict-resolver.js";
+import { processMetafieldConfigs } from "./metaobject-handler.js";
 import shopify from "./shopify.js";
+import {
+  normalizeWebhookProduct,
+  productMatchesRules,
+  getMetafieldRuleKeys,
+  toVariantViews,
+} from "./rule-engine.js";
+import { fetchMetafieldValues, dropUnchangedMetafields } from "./metafield-diff.js";
+import { hashEvaluationInputs } from "./webhook-idempotency.js";
+import {
+  indexProductFromWebhook,
+  removeProductFromIndex,
+  indexCollectionFromWebhook,
+  removeCollectionFromIndex,
+  fetchProductForRules,
+  fetchProductCollections,
+  indexProductCollections,
+  fetchCollectionForRules,
+} from "./product-index.js";
+import { reconcileManagedMetafields } from "./managed-metafields.js";
+import { invalidateStorefrontPayloads } from "./storefront-payload.js";
 
 /**
- * Check if a product matches configuration rules
+ * Load the metafield values a configuration's metafield rules look at onto the product (or collection)
+ * Webhook payloads don't include metafields; keys already loaded are not fetched again
  */
-function productMatchesRules(product, rules) {
-  if (!rules || rules.length === 0) {
-    return true; // No rules means match all
+async function loadRuleMetafields(session, product, rules) {
+  const loaded = product.metafields || {};
+  const missingKeys = getMetafieldRuleKeys(rules).filter(key => !(key in loaded));
+
+  if (missingKeys.length > 0) {
+    const values = await fetchMetafieldValues(session, [product.id], missingKeys);
+    Object.assign(loaded, values.get(product.id));
+    product.metafields = loaded;
+  }
+}
+
+/**
+ * IDs a configuration writes to for this product: the product itself, or for
+ * variant-level configurations each variant that matches the rules
+ * Collection-level configurations are applied from collection webhooks instead
+ */
+function matchingOwnerIds(product, configuration, rules) {
+  if (configuration.owner_type === 'COLLECTION') {
+    return [];
+  }
+
+  if (configuration.owner_type === 'PRODUCTVARIANT') {
+    return toVariantViews(product)
+      .filter(variant => productMatchesRules(variant, rules))
+      .map(variant => variant.id);
   }
 
-  // Build tree structure
-  const ruleMap = {};
-  rules.forEach(rule => {
-    ruleMap[rule.id] = { ...rule, children: [] };
-  });
+  return productMatchesRules(product, rules) ? [product.id] : [];
+}
+
+/**
+ * Load the rules of every configuration once per webhook
+ * @returns {Map<number, Object[]>} configuration id -> rules
+ */
+async function loadConfigurationRules(configurations) {
+  const rulesByConfiguration = new Map();
+  for (const config of configurations) {
+    rulesByConfiguration.set(config.id, await database.getConfigurationRules(config.id, config.shop));
+  }
+  return rulesByConfiguration;
+}
 
-  rules.forEach(rule => {
-    if (rule.parent_id && ruleMap[rule.parent_id]) {
-      ruleMap[rule.parent_id].children.push(ruleMap[rule.id]);
+/**
+ * Write resolved metafields, skipping values the owners already store
+ * resolvedByOwner: Map ownerId -> [{ configuration, metafieldConfigs }] with only winning keys
+ * @returns {{ appliedCount: number, failed: boolean }}
+ */
+async function writeResolvedMetafields(session, resolvedByOwner) {
+  const changedByOwner = await dropUnchangedMetafields(session, resolvedByOwner);
+
+  // Owners that resolve to the same changed values are written together, as one run per configuration
+  const writes = new Map();
+  for (const [ownerId, resolved] of changedByOwner) {
+    for (const { configuration, metafieldConfigs } of resolved) {
+      const writeKey = `${configuration.id}:${JSON.stringify(metafieldConfigs)}`;
+      if (!writes.has(writeKey)) {
+        writes.set(writeKey, { configuration, metafieldConfigs, ownerIds: [] });
+      }
+      writes.get(writeKey).ownerIds.push(ownerId);
     }
-  });
-
-  const rootNodes = rules.filter(r => !r.parent_id).map(r => ruleMap[r.id]);
-
-  // Evaluate rules recursively
-  function matchesRule(rule) {
-    let matches = false;
-
-    switch (rule.rule_type) {
-      case 'vendor':
-        matches = product.vendor === rule.rule_value;
-        break;
-      case 'category':
-        matches = product.product_type === rule.rule_value ||
-                  (product.category && product.category.name === rule.rule_value);
-        break;
-      case 'collection':
-        // Collections not available in webhook payload, skip for now
-        matches = false;
-        break;
-      case 'product':
-        matches = `gid://shopify/Product/${product.id}` === rule.rule_id;
-        break;
-      default:
-        matches = false;
+  }
+
+  if (writes.size === 0 && resolvedByOwner.size > 0) {
+    console.log('[Webhook] Resolved metafields already up to date, nothing to write');
+  }
+
+  const applied = new Set();
+  let failed = false;
+  for (const { configuration, metafieldConfigs, ownerIds } of writes.values()) {
+    try {
+      await applyToOwnersWithHistory(session, configuration, ownerIds, metafieldConfigs);
+      applied.add(configuration.id);
+      console.log(
+        `[Webhook] Applied ${metafieldConfigs.length} changed metafield(s) of configuration ${configuration.id}`
+      );
+    } catch (error) {
+      failed = true;
+      console.error(`[Webhook] Failed to apply configuration ${configuration.id}:`, error.message);
     }
+  }
 
-    if (!matches) return false;
+  return { appliedCount: applied.size, failed };
+}
 
-    // Check children
-    if (!rule.children || rule.children.length === 0) {
-      return true;
+/**
+ * Apply the configurations matching a product (or its variants)
+ *
+ * configurations must be sorted by priority (highest first). When several of them set the
+ * same namespace.key on an owner, only the winner's value is written (see conflict-resolver.js),
+ * and only when it differs from the stored value. Values of managed configurations the product
+ * or its variants no longer get are then removed or reassigned (see managed-metafields.js).
+ * @returns {{ appliedCount: number, failed: boolean }} how many configurations wrote metafields,
+ * and whether any of them could not be processed or written
+ */
+async function applyMatchingConfigurations(session, product, configurations, rulesByConfiguration) {
+  // ownerId -> [{ configuration, metafieldConfigs }] in priority order
+  const matchesByOwner = new Map();
+  let failed = false;
+
+  for (const config of configurations) {
+    const rules = rulesByConfiguration.get(config.id) || [];
+
+    const ownerIds = matchingOwnerIds(product, config, rules);
+    if (ownerIds.length === 0) continue;
+
+    console.log(`[Webhook] Product matches configuration ${config.id} (${config.name || 'Unnamed'}) for ${ownerIds.length} owner(s)`);
+
+    let metafieldConfigs;
+    try {
+      // Process metafield configs (create metaobjects if needed)
+      metafieldConfigs = await processMetafieldConfigs(session, config.metafield_configs);
+    } catch (error) {
+      failed = true;
+      console.error(`[Webhook] Failed to process configuration ${config.id}:`, error.message);
+      continue;
     }
 
-    const firstChildOperator = rule.children[0].operator;
-    if (firstChildOperator === 'AND') {
-      return rule.children.every(child => matchesRule(child));
-    } else {
-      return rule.children.some(child => matchesRule(child));
+    for (const ownerId of ownerIds) {
+      if (!matchesByOwner.has(ownerId)) {
+        matchesByOwner.set(ownerId, []);
+      }
+      matchesByOwner.get(ownerId).push({ configuration: config, metafieldConfigs });
     }
   }
 
-  // Product matches if it satisfies ANY root rule (OR logic)
-  return rootNodes.some(node => matchesRule(node));
+  const resolvedByOwner = new Map();
+  for (const [ownerId, matches] of matchesByOwner) {
+    resolvedByOwner.set(ownerId, resolveMetafieldConflicts(matches));
+  }
+
+  const result = await writeResolvedMetafields(session, resolvedByOwner);
+  failed = failed || result.failed;
+
+  // Only reconcile complete evaluations, so a failed write doesn't look like a lost match
+  if (!failed) {
+    const owners = [
+      { id: product.id, productId: product.id },
+      ...(product.variants || []).map(variant => ({ id: variant.id, productId: product.id })),
+    ];
+    await reconcileManagedMetafields(session, { owners, configurations, matchesByOwner, resolvedByOwner });
+  }
+
+  return { appliedCount: result.appliedCount, failed };
 }
 
 /**
- * Helper function to get metaobject definition ID from metafield definition
+ * Load the shop's configurations in effect (ordered by priority DESC) with their rules
+ * Configurations outside their schedule window are left out
+ * @returns {{ configurations: Object[], rulesByConfiguration: Map<number, Object[]> }}
  */
-async function getMetaobjectDefinitionIdFromMetafield(session, metafieldDefinitionId) {
-  const client = new shopify.api.clients.Graphql({ session });
-
-  const query = `
-    query GetMetafieldDefinition($id: ID!) {
-      metafieldDefinition(id: $id) {
-        id
-        validations {
-          name
-          value
+async function loadEvaluationContext(shop) {
+  const configurations = await database.getActiveConfigurations(shop);
+  const rulesByConfiguration = await loadConfigurationRules(configurations);
+  return { configurations, rulesByConfiguration };
+}
+
+function metafieldKey(metafieldConfig) {
+  return `${metafieldConfig.namespace}.${metafieldConfig.key}`;
+}
+
+/**
+ * Load what an apply job needs to resolve conflicts like the webhooks do: the other
+ * configurations in effect for the same owner type that set one of its keys, with their rules
+ * configuration is ordered among them by priority, like getActiveConfigurations
+ * @returns {{ configurations, rulesByConfiguration, metafieldConfigsById } | null} null when no
+ * other configuration competes for its keys
+ */
+export async function loadConflictContext(session, configuration, metafieldConfigs) {
+  const keys = new Set(metafieldConfigs.map(metafieldKey));
+
+  const competitors = (await database.getActiveConfigurations(session.shop)).filter(config =>
+    config.id !== configuration.id
+      && config.owner_type === configuration.owner_type
+      && config.metafield_configs.some(metafieldConfig => keys.has(metafieldKey(metafieldConfig)))
+  );
+
+  if (competitors.length === 0) {
+    return null;
+  }
+
+  const configurations = [...competitors, configuration].sort((a, b) =>
+    b.priority - a.priority || new Date(b.created_at) - new Date(a.created_at)
+  );
+
+  const metafieldConfigsById = new Map([[configuration.id, metafieldConfigs]]);
+  for (const config of competitors) {
+    metafieldConfigsById.set(config.id, await processMetafieldConfigs(session, config.metafield_configs));
+  }
+
+  return {
+    configurations,
+    rulesByConfiguration: await loadConfigurationRules(configurations),
+    metafieldConfigsById,
+  };
+}
+
+/**
+ * The metafields a configuration wins on each of the given owners, so an apply job writes
+ * only those (merged values included) instead of overwriting higher-priority winners
+ * owners: [{ id, productId }] the configuration matched; context from loadConflictContext
+ * @returns {Map<string, Object[]>} owner id -> winning metafield configs (empty when it won none)
+ */
+export async function resolveConfigurationWrites(session, configuration, owners, context) {
+  const { configurations, rulesByConfiguration, metafieldConfigsById } = context;
+  const writes = new Map();
+
+  const resolve = (ownerId, matchingConfigurations) => {
+    const matches = configurations
+      .filter(config => config.id === configuration.id || matchingConfigurations.has(config.id))
+      .map(config => ({ configuration: config, metafieldConfigs: metafieldConfigsById.get(config.id) }));
+    const won = resolveMetafieldConflicts(matches).find(resolved => resolved.configuration.id === configuration.id);
+    writes.set(ownerId, won ? won.metafieldConfigs : []);
+  };
+
+  if (configuration.owner_type === 'COLLECTION') {
+    for (const owner of owners) {
+      const collection = await fetchCollectionForRules(session, owner.id);
+      const matchingConfigurations = new Set();
+
+      for (const config of collection ? configurations : []) {
+        const rules = rulesByConfiguration.get(config.id) || [];
+        await loadRuleMetafields(session, collection, rules);
+        if (productMatchesRules(collection, rules)) {
+          matchingConfigurations.add(config.id);
         }
       }
+
+      resolve(owner.id, matchingConfigurations);
     }
-  `;
+    return writes;
+  }
 
-  try {
-    const response = await client.request(query, {
-      variables: { id: metafieldDefinitionId }
-    });
+  // Variants are evaluated through their product, fetched once per product
+  const ownersByProduct = new Map();
+  for (const owner of owners) {
+    const productId = owner.productId || owner.id;
+    if (!ownersByProduct.has(productId)) {
+      ownersByProduct.set(productId, []);
+    }
+    ownersByProduct.get(productId).push(owner);
+  }
+
+  const ruleMetafieldKeys = getMetafieldRuleKeys(Array.from(rulesByConfiguration.values()).flat());
 
-    const validations = response.data.metafieldDefinition?.validations || [];
-    const metaobjectDefValidation = validations.find(v => v.name === "metaobject_definition_id");
+  for (const [productId, productOwners] of ownersByProduct) {
+    const product = await fetchProductForRules(session, productId, ruleMetafieldKeys);
+
+    // ownerId -> ids of the configurations matching it
+    const matchingByOwner = new Map();
+    for (const config of product ? configurations : []) {
+      for (const ownerId of matchingOwnerIds(product, config, rulesByConfiguration.get(config.id) || [])) {
+        if (!matchingByOwner.has(ownerId)) {
+          matchingByOwner.set(ownerId, new Set());
+        }
+        matchingByOwner.get(ownerId).add(config.id);
+      }
+    }
+
+    for (const owner of productOwners) {
+      resolve(owner.id, matchingByOwner.get(owner.id) || new Set());
+    }
+  }
+
+  return writes;
+}
 
-    return metaobjectDefValidation?.value || null;
+/**
+ * Fetch the collections of a product (webhook payloads don't include them) and store the
+ * membership in the product index, so indexed matching sees it without a full resync
+ */
+async function loadProductCollections(session, product) {
+  product.collections = await fetchProductCollections(session, product.id);
+
+  try {
+    await indexProductCollections(session.shop, product.id, product.collections);
   } catch (error) {
-    console.error("Error fetching metafield definition:", error);
-    throw error;
+    console.error("[Webhook] Failed to index product collections:", error);
   }
 }
 
 /**
- * Helper function to process metafield configs and create metaobjects if needed
+ * Evaluate a created/updated product against the shop's configurations
+ *
+ * With skipUnchanged, products whose evaluated inputs hash the same as last time are skipped;
+ * this is what stops our own metafield writes (which trigger PRODUCTS_UPDATE) from looping.
  */
-async function processMetafieldConfigs(session, metafieldConfigs) {
-  const processed = [];
-
-  for (const config of metafieldConfigs) {
-    const processedConfig = { ...config };
-
-    // If this is a metaobject_reference, create/update the metaobject
-    if (config.type === "metaobject_reference") {
-      // Check if value is an object (field values) or already a GID
-      const isValueObject = typeof config.value === "object" && config.value !== null;
-      const isValueGid = typeof config.value === "string" && config.value.startsWith("gid://shopify/Metaobject/");
-
-      if (isValueObject && Object.keys(config.value).length > 0) {
-        // Value contains field values - need to create/update metaobject
-        try {
-          // Get metaobject definition ID - either from config or fetch from metafield definition
-          let metaobjectDefinitionId = config.metaobjectDefinitionId;
-
-          if (!metaobjectDefinitionId && config.definitionId) {
-            // For backwards compatibility - fetch from metafield definition
-            console.log(`[Webhook] Fetching metaobject definition ID for ${config.namespace}.${config.key}`);
-            metaobjectDefinitionId = await getMetaobjectDefinitionIdFromMetafield(
-              session,
-              config.definitionId
-            );
-          }
-
-          if (!metaobjectDefinitionId) {
-            console.warn(
-              `[Webhook] Skipping metaobject_reference ${config.namespace}.${config.key} - no metaobject definition ID`
-            );
-            processed.push(processedConfig);
-            continue;
-          }
-
-          const metaobject = await createOrUpdateMetaobject(
-            session,
-            metaobjectDefinitionId,
-            config.value,
-            config.metaobjectId || null // Will be null for new, GID for updates
-          );
-
-          processedConfig.metaobjectId = metaobject.id;
-          processedConfig.value = metaobject.id;
-        } catch (error) {
-          console.error(
-            `[Webhook] Failed to create/update metaobject for ${config.namespace}.${config.key}:`,
-            error
-          );
-          throw error;
-        }
-      } else if (!isValueGid) {
-        // Value is neither valid field values nor a valid GID
-        console.warn(
-          `[Webhook] Skipping metaobject_reference ${config.namespace}.${config.key} - invalid value`
-        );
-      }
-      // If isValueGid is true, the value is already a GID, keep it as is
+async function evaluateProduct(session, product, { configurations, rulesByConfiguration }, { skipUnchanged }) {
+  // With no configurations left there is nothing to write, but managed values may still need removing
+  const rules = Array.from(rulesByConfiguration.values()).flat();
+  await loadRuleMetafields(session, product, rules);
+
+  // Webhook payloads don't include collections; only fetch them when a rule looks at them
+  if (!product.collections && rules.some(rule => rule.rule_type === 'collection')) {
+    await loadProductCollections(session, product);
+  }
+
+  const inputHash = hashEvaluationInputs(product, configurations, rulesByConfiguration);
+  if (skipUnchanged) {
+    const previousHash = await database.getProductEvaluationHash(session.shop, product.id);
+    if (previousHash === inputHash) {
+      console.log(`[Webhook] Evaluated fields of product ${product.id} unchanged, skipping`);
+      return;
     }
+  }
+
+  console.log(`[Webhook] Found ${configurations.length} configurations, checking matches`);
+
+  // Apply matching configurations; for each namespace.key only the highest-priority one writes
+  const { appliedCount, failed } = await applyMatchingConfigurations(
+    session,
+    product,
+    configurations,
+    rulesByConfiguration
+  );
 
-    processed.push(processedConfig);
+  if (appliedCount === 0) {
+    console.log('[Webhook] No metafields written for product');
+  } else {
+    console.log(`[Webhook] Applied ${appliedCount} configuration(s) to product ${product.id}`);
   }
 
-  return processed;
+  // Failed evaluations are retried on the next update
+  if (!failed) {
+    await database.saveProductEvaluationHash(session.shop, product.id, inputHash);
+  }
+}
+
+/**
+ * Re-evaluate products whose membership in a collection changed, for the product- and
+ * variant-level configurations that have collection rules
+ */
+async function reevaluateCollectionProducts(session, productIds) {
+  if (productIds.length === 0) return;
+
+  const context = await loadEvaluationContext(session.shop);
+  const usesCollections = context.configurations.some(config =>
+    config.owner_type !== 'COLLECTION'
+      && context.rulesByConfiguration.get(config.id).some(rule => rule.rule_type === 'collection')
+  );
+
+  if (!usesCollections) return;
+
+  console.log(`[Webhook] Re-evaluating ${productIds.length} product(s) for collection rules`);
+
+  for (const productId of productIds) {
+    try {
+      const product = await fetchProductForRules(session, productId);
+      if (!product) continue;
+
+      await evaluateProduct(session, product, context, { skipUnchanged: true });
+    } catch (error) {
+      console.error(`[Webhook] Failed to re-evaluate product ${productId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Forget a delivery whose handling failed, so Shopify's retry of it (e.g. after our response
+ * timed out) is processed instead of dropped as a duplicate
+ */
+async function releaseWebhookDelivery(webhookId) {
+  try {
+    await database.unmarkWebhookProcessed(webhookId);
+  } catch (error) {
+    console.error(`[Webhook] Failed to release delivery ${webhookId}:`, error);
+  }
 }
 
 /**
@@ -182,11 +409,25 @@ async function handleProductCreate(topic, shop, body, webhookId) {
   console.log("[Webhook] Webhook ID:", webhookId);
   console.log("[Webhook] ========================================");
 
+  let claimed = false;
   try {
+    if (!(await database.markWebhookProcessed(shop, topic, webhookId))) {
+      console.log(`[Webhook] Duplicate delivery ${webhookId}, skipping`);
+      return;
+    }
+    claimed = true;
+
     const payload = JSON.parse(body);
-    const productId = `gid://shopify/Product/${payload.id}`;
+    const product = normalizeWebhookProduct(payload);
+
+    console.log(`[Webhook] Product created: ${product.id}`);
 
-    console.log(`[Webhook] Product created: ${productId}`);
+    // Keep the local product index in sync
+    try {
+      await indexProductFromWebhook(shop, payload);
+    } catch (error) {
+      console.error("[Webhook] Failed to update product index:", error);
+    }
 
     // Get offline session for API calls
     const sessionId = shopify.api.session.getOfflineId(shop);
@@ -197,44 +438,13 @@ async function handleProductCreate(topic, shop, body, webhookId) {
       return;
     }
 
-    // Get all configurations for this shop (ordered by priority DESC)
-    const configurations = await database.getAllConfigurations(shop);
+    // A new product has no indexed membership yet; index it whether or not a rule needs it
+    await loadProductCollections(session, product);
 
-    if (!configurations || configurations.length === 0) {
-      console.log('[Webhook] No configurations found, skipping');
-      return;
-    }
-
-    console.log(`[Webhook] Found ${configurations.length} configurations, checking matches`);
-
-    // Check each configuration by priority and apply if matches
-    let appliedCount = 0;
-    for (const config of configurations) {
-      const rules = await database.getConfigurationRules(config.id);
-
-      if (productMatchesRules(payload, rules)) {
-        console.log(`[Webhook] Product matches configuration ${config.id} (${config.name || 'Unnamed'}), applying metafields`);
-
-        try {
-          // Process metafield configs (create metaobjects if needed)
-          const metafieldConfigs = await processMetafieldConfigs(session, config.metafield_configs);
-
-          await applyMetafieldsToProduct(session, productId, metafieldConfigs);
-          appliedCount++;
-          console.log(`[Webhook] Successfully applied configuration ${config.id}`);
-        } catch (error) {
-          console.error(`[Webhook] Failed to apply configuration ${config.id}:`, error.message);
-        }
-      }
-    }
-
-    if (appliedCount === 0) {
-      console.log('[Webhook] Product did not match any configurations');
-    } else {
-      console.log(`[Webhook] Applied ${appliedCount} configuration(s) to product ${productId}`);
-    }
+    await evaluateProduct(session, product, await loadEvaluationContext(shop), { skipUnchanged: false });
   } catch (error) {
     console.error("[Webhook] Error handling product create:", error);
+    if (claimed) await releaseWebhookDelivery(webhookId);
     // Don't throw error to prevent webhook retry loops
   }
 }
@@ -251,11 +461,28 @@ async function handleProductUpdate(topic, shop, body, webhookId) {
   console.log("[Webhook] Webhook ID:", webhookId);
   console.log("[Webhook] ========================================");
 
+  let claimed = false;
   try {
+    if (!(await database.markWebhookProcessed(shop, topic, webhookId))) {
+      console.log(`[Webhook] Duplicate delivery ${webhookId}, skipping`);
+      return;
+    }
+    claimed = true;
+
     const payload = JSON.parse(body);
-    const productId = `gid://shopify/Product/${payload.id}`;
+    const product = normalizeWebhookProduct(payload);
+
+    console.log(`[Webhook] Product updated: ${product.id}`);
 
-    console.log(`[Webhook] Product updated: ${productId}`);
+    // Its fields or metafield values may have changed
+    await invalidateStorefrontPayloads(shop, [product.id]);
+
+    // Keep the local product index in sync
+    try {
+      await indexProductFromWebhook(shop, payload);
+    } catch (error) {
+      console.error("[Webhook] Failed to update product index:", error);
+    }
 
     // Get offline session for API calls
     const sessionId = shopify.api.session.getOfflineId(shop);
@@ -266,44 +493,194 @@ async function handleProductUpdate(topic, shop, body, webhookId) {
       return;
     }
 
-    // Get all configurations for this shop (ordered by priority DESC)
-    const configurations = await database.getAllConfigurations(shop);
+    await evaluateProduct(session, product, await loadEvaluationContext(shop), { skipUnchanged: true });
+  } catch (error) {
+    console.error("[Webhook] Error handling product update:", error);
+    if (claimed) await releaseWebhookDelivery(webhookId);
+    // Don't throw error to prevent webhook retry loops
+  }
+}
 
-    if (!configurations || configurations.length === 0) {
-      console.log('[Webhook] No configurations found, skipping');
-      return;
+/**
+ * Webhook handler for PRODUCTS_DELETE
+ * Removes the product from the local product index and forgets its last evaluation
+ * and managed metafields
+ */
+async function handleProductDelete(topic, shop, body, webhookId) {
+  console.log(`[Webhook] ${topic} for ${shop} (${webhookId})`);
+
+  try {
+    const payload = JSON.parse(body);
+    await removeProductFromIndex(shop, payload);
+    const productId = normalizeWebhookProduct(payload).id;
+    await database.deleteProductEvaluation(shop, productId);
+    await database.deleteManagedMetafieldsForOwner(shop, productId);
+    await invalidateStorefrontPayloads(shop, [productId]);
+    console.log(`[Webhook] Product ${payload.id} removed from index`);
+  } catch (error) {
+    console.error("[Webhook] Error handling product delete:", error);
+    // Don't throw error to prevent webhook retry loops
+  }
+}
+
+/**
+ * Apply matching collection-level configurations to a created/updated collection,
+ * resolving namespace.key conflicts by priority like product webhooks
+ */
+async function applyCollectionConfigurations(session, collection, context = null) {
+  const { configurations, rulesByConfiguration } = context || await loadEvaluationContext(session.shop);
+  const matches = [];
+  let failed = false;
+
+  for (const config of configurations) {
+    if (config.owner_type !== 'COLLECTION') continue;
+
+    const rules = rulesByConfiguration.get(config.id) || [];
+    await loadRuleMetafields(session, collection, rules);
+
+    if (!productMatchesRules(collection, rules)) continue;
+
+    console.log(`[Webhook] Collection matches configuration ${config.id} (${config.name || 'Unnamed'})`);
+
+    try {
+      const metafieldConfigs = await processMetafieldConfigs(session, config.metafield_configs);
+      matches.push({ configuration: config, metafieldConfigs });
+    } catch (error) {
+      failed = true;
+      console.error(`[Webhook] Failed to process configuration ${config.id}:`, error.message);
     }
+  }
+
+  const matchesByOwner = new Map();
+  const resolvedByOwner = new Map();
+  if (matches.length > 0) {
+    matchesByOwner.set(collection.id, matches);
+    resolvedByOwner.set(collection.id, resolveMetafieldConflicts(matches));
+  }
 
-    console.log(`[Webhook] Found ${configurations.length} configurations, checking matches`);
+  // Only changed values are written, so our own writes don't re-trigger COLLECTIONS_UPDATE writes
+  const result = await writeResolvedMetafields(session, resolvedByOwner);
 
-    // Check each configuration by priority and apply if matches
-    let appliedCount = 0;
-    for (const config of configurations) {
-      const rules = await database.getConfigurationRules(config.id);
+  if (!failed && !result.failed) {
+    await reconcileManagedMetafields(session, {
+      owners: [{ id: collection.id, productId: null }],
+      configurations,
+      matchesByOwner,
+      resolvedByOwner,
+    });
+  }
+}
 
-      if (productMatchesRules(payload, rules)) {
-        console.log(`[Webhook] Product matches configuration ${config.id} (${config.name || 'Unnamed'}), applying metafields`);
+/**
+ * Re-evaluate everything a managed configuration wrote, after it was deleted or changed,
+ * so values it no longer wins are removed or reassigned
+ */
+export async function reconcileConfigurationOwners(session, configurationId) {
+  const managed = await database.getManagedMetafieldsByConfiguration(session.shop, configurationId);
+  if (managed.length === 0) return;
+
+  const productIds = new Set(managed.filter(row => row.product_id).map(row => row.product_id));
+  const collectionIds = new Set(managed.filter(row => !row.product_id).map(row => row.owner_id));
+
+  console.log(
+    `[Managed] Reconciling configuration ${configurationId}: ` +
+    `${productIds.size} product(s), ${collectionIds.size} collection(s)`
+  );
+
+  const context = await loadEvaluationContext(session.shop);
+
+  for (const productId of productIds) {
+    try {
+      const product = await fetchProductForRules(session, productId);
+      if (!product) {
+        await database.deleteManagedMetafieldsForOwner(session.shop, productId);
+        continue;
+      }
 
-        try {
-          // Process metafield configs (create metaobjects if needed)
-          const metafieldConfigs = await processMetafieldConfigs(session, config.metafield_configs);
+      await evaluateProduct(session, product, context, { skipUnchanged: false });
+    } catch (error) {
+      console.error(`[Managed] Failed to reconcile product ${productId}:`, error.message);
+    }
+  }
 
-          await applyMetafieldsToProduct(session, productId, metafieldConfigs);
-          appliedCount++;
-          console.log(`[Webhook] Successfully applied configuration ${config.id}`);
-        } catch (error) {
-          console.error(`[Webhook] Failed to apply configuration ${config.id}:`, error.message);
-        }
+  for (const collectionId of collectionIds) {
+    try {
+      const collection = await fetchCollectionForRules(session, collectionId);
+      if (!collection) {
+        await database.deleteManagedMetafieldsForOwner(session.shop, collectionId);
+        continue;
       }
+
+      await applyCollectionConfigurations(session, collection, context);
+    } catch (error) {
+      console.error(`[Managed] Failed to reconcile collection ${collectionId}:`, error.message);
     }
+  }
+}
 
-    if (appliedCount === 0) {
-      console.log('[Webhook] Product did not match any configurations');
-    } else {
-      console.log(`[Webhook] Applied ${appliedCount} configuration(s) to product ${productId}`);
+/**
+ * Webhook handler for COLLECTIONS_CREATE / COLLECTIONS_UPDATE
+ * Refreshes the collection and its product membership in the local product index,
+ * applies matching collection-level configurations and re-evaluates products that
+ * joined or left the collection
+ */
+async function handleCollectionUpdate(topic, shop, body, webhookId) {
+  console.log(`[Webhook] ${topic} for ${shop} (${webhookId})`);
+
+  let claimed = false;
+  try {
+    if (!(await database.markWebhookProcessed(shop, topic, webhookId))) {
+      console.log(`[Webhook] Duplicate delivery ${webhookId}, skipping`);
+      return;
     }
+    claimed = true;
+
+    const payload = JSON.parse(body);
+
+    const sessionId = shopify.api.session.getOfflineId(shop);
+    const session = await shopify.config.sessionStorage.loadSession(sessionId);
+
+    if (!session) {
+      console.error(`[Webhook] No session found for shop ${shop}`);
+      return;
+    }
+
+    const { collectionId, productIds, changedProductIds, collection } = await indexCollectionFromWebhook(session, payload);
+    console.log(`[Webhook] Collection ${collectionId} indexed with ${productIds.length} products`);
+
+    // Collection rules may now (not) match the products that joined or left it
+    await invalidateStorefrontPayloads(shop, changedProductIds);
+
+    await applyCollectionConfigurations(session, collection);
+
+    // Products added to or removed from the collection may now (not) match collection rules
+    await reevaluateCollectionProducts(session, changedProductIds);
   } catch (error) {
-    console.error("[Webhook] Error handling product update:", error);
+    console.error("[Webhook] Error handling collection update:", error);
+    if (claimed) await releaseWebhookDelivery(webhookId);
+    // Don't throw error to prevent webhook retry loops
+  }
+}
+
+/**
+ * Webhook handler for COLLECTIONS_DELETE
+ * Removes the collection and its memberships from the local product index
+ */
+async function handleCollectionDelete(topic, shop, body, webhookId) {
+  console.log(`[Webhook] ${topic} for ${shop} (${webhookId})`);
+
+  try {
+    const payload = JSON.parse(body);
+    await removeCollectionFromIndex(shop, payload);
+    await database.deleteManagedMetafieldsForOwner(
+      shop,
+      payload.admin_graphql_api_id || `gid://shopify/Collection/${payload.id}`
+    );
+    // Its former members may no longer match collection rules
+    await invalidateStorefrontPayloads(shop);
+    console.log(`[Webhook] Collection ${payload.id} removed from index`);
+  } catch (error) {
+    console.error("[Webhook] Error handling collection delete:", error);
     // Don't throw error to prevent webhook retry loops
   }
 }
@@ -322,4 +699,24 @@ export default {
     callbackUrl: "/api/webhooks",
     callback: handleProductUpdate,
   },
+  PRODUCTS_DELETE: {
+    deliveryMethod: DeliveryMethod.Http,
+    callbackUrl: "/api/webhooks",
+    callback: handleProductDelete,
+  },
+  COLLECTIONS_CREATE: {
+    deliveryMethod: DeliveryMethod.Http,
+    callbackUrl: "/api/webhooks",
+    callback: handleCollectionUpdate,
+  },
+  COLLECTIONS_UPDATE: {
+    deliveryMethod: DeliveryMethod.Http,
+    callbackUrl: "/api/webhooks",
+    callback: handleCollectionUpdate,
+  },
+  COLLECTIONS_DELETE: {
+    deliveryMethod: DeliveryMethod.Http,
+    callbackUrl: "/api/webhooks",
+    callback: handleCollectionDelete,
+  },
 };
\ No newline at end of file